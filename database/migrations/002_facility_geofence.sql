@@ -0,0 +1,24 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Facility Geofencing
+-- ============================================================================
+-- Adds a per-facility geofence radius and policy used to validate the GPS
+-- position reported on clock-in and clock-out.
+--
+-- Policies:
+--   reject - refuse clock events outside the radius
+--   flag   - accept but record the distance in attendance.metadata
+--   ignore - skip the distance check
+-- ============================================================================
+
+ALTER TABLE facilities
+    ADD COLUMN geofence_radius INTEGER CHECK (geofence_radius IS NULL OR geofence_radius > 0),
+    ADD COLUMN geofence_policy VARCHAR(20) CHECK (
+        geofence_policy IS NULL OR geofence_policy IN ('reject', 'flag', 'ignore')
+    );
+
+COMMENT ON COLUMN facilities.geofence_radius IS 'Allowed clock-in distance in meters (NULL uses the server default)';
+COMMENT ON COLUMN facilities.geofence_policy IS 'What to do with clock events outside the radius: reject, flag or ignore (NULL uses the server default)';
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Refresh Token Store
+-- ============================================================================
+-- Persists refresh tokens (hashed) so they can be rotated and revoked.
+-- Tokens issued from the same login share a family_id; every refresh revokes
+-- the presented token (reason 'rotated') and issues its successor. Presenting
+-- a rotated token again revokes the whole family.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: refresh_tokens
+-- Description: Hashed refresh tokens with device/IP metadata
+-- ============================================================================
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    device_id VARCHAR(255),
+    user_agent TEXT,
+    ip_address INET,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE refresh_tokens IS 'Hashed refresh tokens with rotation and revocation state';
+COMMENT ON COLUMN refresh_tokens.family_id IS 'Shared by all tokens rotated from the same login';
+COMMENT ON COLUMN refresh_tokens.token_hash IS 'SHA-256 hash of the issued refresh token';
+COMMENT ON COLUMN refresh_tokens.revoked_reason IS 'rotated, logout, logout_all, admin_revoked, reuse_detected, ...';
+COMMENT ON COLUMN refresh_tokens.replaced_by IS 'Token issued when this one was rotated';
+
+CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
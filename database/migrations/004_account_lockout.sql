@@ -0,0 +1,24 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Account Lockout
+-- ============================================================================
+-- Tracks failed logins per account so repeated failures lock the account.
+-- Consecutive lockouts grow exponentially and expire automatically at
+-- locked_until.
+-- ============================================================================
+
+ALTER TABLE users
+    ADD COLUMN failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN last_failed_login_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN locked_until TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN lockout_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN users.failed_login_attempts IS 'Failed logins within the current attempt window';
+COMMENT ON COLUMN users.last_failed_login_at IS 'Time of the most recent failed login';
+COMMENT ON COLUMN users.locked_until IS 'Account is locked until this time (NULL when not locked)';
+COMMENT ON COLUMN users.lockout_count IS 'Consecutive lockouts since the last successful login';
+
+CREATE INDEX idx_users_locked_until ON users(locked_until) WHERE locked_until IS NOT NULL;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
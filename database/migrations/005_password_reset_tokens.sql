@@ -0,0 +1,30 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Password Reset Tokens
+-- ============================================================================
+-- Single-use, expiring password reset tokens. Only the SHA-256 hash of the
+-- token sent to the user is stored.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: password_reset_tokens
+-- Description: Hashed single-use password reset tokens
+-- ============================================================================
+CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    requested_ip INET,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE password_reset_tokens IS 'Single-use password reset tokens';
+COMMENT ON COLUMN password_reset_tokens.token_hash IS 'SHA-256 hash of the emailed reset token';
+COMMENT ON COLUMN password_reset_tokens.used_at IS 'When the token was consumed or invalidated';
+
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
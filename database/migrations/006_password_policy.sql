@@ -0,0 +1,31 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Password Expiry and Reuse Policy
+-- ============================================================================
+-- Keeps the last N password hashes per user to forbid reuse, and adds a flag
+-- forcing a password change at next login (e.g. after an administrator sets a
+-- temporary password). Expiry itself is derived from users.password_changed_at.
+-- ============================================================================
+
+ALTER TABLE users
+    ADD COLUMN must_change_password BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN users.must_change_password IS 'User must change password before using the API';
+
+-- ============================================================================
+-- TABLE: password_history
+-- Description: Previous password hashes used for the reuse check
+-- ============================================================================
+CREATE TABLE password_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE password_history IS 'Previous password hashes per user (last PASSWORD_HISTORY_SIZE kept)';
+
+CREATE INDEX idx_password_history_user_created ON password_history(user_id, created_at DESC);
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
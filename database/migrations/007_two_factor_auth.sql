@@ -0,0 +1,38 @@
+-- ============================================================================
+-- WOTI Attendance v2 - TOTP Two-Factor Authentication
+-- ============================================================================
+-- Stores the (encrypted) TOTP secret per user and single-use backup codes.
+-- two_factor_secret is set during setup and only trusted once
+-- two_factor_enabled is true. two_factor_last_counter prevents replaying a
+-- code within its validity window.
+-- ============================================================================
+
+ALTER TABLE users
+    ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN two_factor_secret TEXT,
+    ADD COLUMN two_factor_enrolled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN two_factor_last_counter BIGINT;
+
+COMMENT ON COLUMN users.two_factor_enabled IS 'TOTP two-factor authentication is active';
+COMMENT ON COLUMN users.two_factor_secret IS 'AES-256-GCM encrypted base32 TOTP secret';
+COMMENT ON COLUMN users.two_factor_last_counter IS 'Time step of the last accepted TOTP code';
+
+-- ============================================================================
+-- TABLE: two_factor_backup_codes
+-- Description: Single-use recovery codes (SHA-256 hashes)
+-- ============================================================================
+CREATE TABLE two_factor_backup_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE two_factor_backup_codes IS 'Single-use two-factor recovery codes';
+
+CREATE INDEX idx_two_factor_backup_codes_user ON two_factor_backup_codes(user_id) WHERE used_at IS NULL;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
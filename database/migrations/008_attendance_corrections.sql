@@ -0,0 +1,69 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Attendance Correction Requests
+-- ============================================================================
+-- Employees propose corrected clock-in/out times for their own records;
+-- supervisors approve or reject them. Every change applied to an attendance
+-- record outside normal clocking keeps the previous values in
+-- attendance_history.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: attendance_corrections
+-- Description: Proposed changes to attendance records awaiting review
+-- ============================================================================
+CREATE TABLE attendance_corrections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attendance_id UUID NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+    requested_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    proposed_clock_in TIMESTAMP WITH TIME ZONE,
+    proposed_clock_out TIMESTAMP WITH TIME ZONE,
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (
+        status IN ('pending', 'approved', 'rejected', 'cancelled')
+    ),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT correction_has_change CHECK (
+        proposed_clock_in IS NOT NULL OR proposed_clock_out IS NOT NULL
+    )
+);
+
+COMMENT ON TABLE attendance_corrections IS 'Employee-proposed attendance corrections and their review';
+
+-- Only one open request per attendance record
+CREATE UNIQUE INDEX idx_attendance_corrections_pending
+    ON attendance_corrections(attendance_id) WHERE status = 'pending';
+CREATE INDEX idx_attendance_corrections_requested_by ON attendance_corrections(requested_by);
+CREATE INDEX idx_attendance_corrections_status ON attendance_corrections(status, created_at);
+
+CREATE TRIGGER update_attendance_corrections_updated_at
+    BEFORE UPDATE ON attendance_corrections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: attendance_history
+-- Description: Previous values of attendance records changed after the fact
+-- ============================================================================
+CREATE TABLE attendance_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    attendance_id UUID NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    change_source VARCHAR(50) NOT NULL,
+    correction_id UUID REFERENCES attendance_corrections(id) ON DELETE SET NULL,
+    previous_values JSONB NOT NULL,
+    new_values JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE attendance_history IS 'Audit trail of changes applied to attendance records';
+COMMENT ON COLUMN attendance_history.change_source IS 'What changed the record (e.g. correction)';
+
+CREATE INDEX idx_attendance_history_attendance ON attendance_history(attendance_id, created_at);
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
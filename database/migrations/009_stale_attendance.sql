@@ -0,0 +1,18 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Stale Attendance Closure
+-- ============================================================================
+-- Records still clocked in after the maximum shift length (MAX_SHIFT_HOURS)
+-- are closed as 'incomplete' by a scheduled job, so a forgotten clock-out no
+-- longer blocks the user's next clock-in. The previous values are kept in
+-- attendance_history with change_source 'auto_close'.
+-- ============================================================================
+
+-- Open records, scanned by the job on every run
+CREATE INDEX idx_attendance_open ON attendance(clock_in) WHERE status = 'clocked_in';
+
+COMMENT ON COLUMN attendance.status IS 'clocked_in, clocked_out, or incomplete (closed automatically without a clock-out)';
+COMMENT ON COLUMN attendance_history.change_source IS 'What changed the record (correction or auto_close)';
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,73 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Shift Schedules
+-- ============================================================================
+-- Shift templates define when people are expected to work: local start and
+-- end time (a shift ending at or before its start runs overnight), ISO days
+-- of the week (1 = Monday ... 7 = Sunday) and a grace period for lateness.
+--
+-- Shifts are assigned to individual users or to whole facilities. A user's
+-- own assignments take precedence over those of their facility.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: shifts
+-- Description: Shift templates, global (facility_id NULL) or per facility
+-- ============================================================================
+CREATE TABLE shifts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    facility_id UUID REFERENCES facilities(id) ON DELETE CASCADE,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    days_of_week SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    grace_minutes INTEGER NOT NULL DEFAULT 15 CHECK (grace_minutes BETWEEN 0 AND 240),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT shift_has_duration CHECK (start_time <> end_time),
+    CONSTRAINT valid_days_of_week CHECK (
+        cardinality(days_of_week) > 0 AND days_of_week <@ ARRAY[1, 2, 3, 4, 5, 6, 7]::SMALLINT[]
+    )
+);
+
+COMMENT ON TABLE shifts IS 'Shift templates with local start/end times and working days';
+COMMENT ON COLUMN shifts.facility_id IS 'Owning facility (NULL for templates available everywhere)';
+COMMENT ON COLUMN shifts.days_of_week IS 'ISO weekdays the shift starts on (1 = Monday, 7 = Sunday)';
+COMMENT ON COLUMN shifts.grace_minutes IS 'Clock events within this many minutes of the schedule are on time';
+
+CREATE INDEX idx_shifts_facility_id ON shifts(facility_id);
+
+CREATE TRIGGER update_shifts_updated_at
+    BEFORE UPDATE ON shifts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: shift_assignments
+-- Description: Shifts assigned to a user or to everyone at a facility
+-- ============================================================================
+CREATE TABLE shift_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    facility_id UUID REFERENCES facilities(id) ON DELETE CASCADE,
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    effective_to DATE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT assignment_has_one_target CHECK ((user_id IS NULL) <> (facility_id IS NULL)),
+    CONSTRAINT valid_effective_range CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+COMMENT ON TABLE shift_assignments IS 'Shift assignments to users or facilities for a date range';
+COMMENT ON COLUMN shift_assignments.effective_to IS 'Last day of the assignment (NULL = open-ended)';
+
+CREATE INDEX idx_shift_assignments_shift_id ON shift_assignments(shift_id);
+CREATE INDEX idx_shift_assignments_user ON shift_assignments(user_id, effective_from) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_shift_assignments_facility
+    ON shift_assignments(facility_id, effective_from) WHERE facility_id IS NOT NULL;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
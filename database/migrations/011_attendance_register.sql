@@ -0,0 +1,61 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Daily Attendance Register
+-- ============================================================================
+-- One row per user with a facility per day: present, late, absent, on leave,
+-- holiday or off. A nightly job builds the register of the previous day and
+-- freezes it. Attendance of a frozen day can only be changed through an
+-- approved correction, which also refreshes the register row.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: attendance_register_days
+-- Description: Days whose register has been built and frozen
+-- ============================================================================
+CREATE TABLE attendance_register_days (
+    register_date DATE PRIMARY KEY,
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    frozen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE attendance_register_days IS 'Frozen register days; attendance on these days changes only via corrections';
+
+-- ============================================================================
+-- TABLE: attendance_register
+-- Description: Per-user daily attendance status
+-- ============================================================================
+CREATE TABLE attendance_register (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    register_date DATE NOT NULL REFERENCES attendance_register_days(register_date) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    facility_id UUID REFERENCES facilities(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL CHECK (
+        status IN ('present', 'late', 'absent', 'on_leave', 'holiday', 'off')
+    ),
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    scheduled_start TIMESTAMP WITH TIME ZONE,
+    scheduled_end TIMESTAMP WITH TIME ZONE,
+    attendance_id UUID REFERENCES attendance(id) ON DELETE SET NULL,
+    first_clock_in TIMESTAMP WITH TIME ZONE,
+    last_clock_out TIMESTAMP WITH TIME ZONE,
+    late_minutes INTEGER NOT NULL DEFAULT 0,
+    correction_id UUID REFERENCES attendance_corrections(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_register_user_day UNIQUE (register_date, user_id)
+);
+
+COMMENT ON TABLE attendance_register IS 'Frozen daily attendance status per user';
+COMMENT ON COLUMN attendance_register.shift_id IS 'Shift scheduled that day (NULL for the default working day or days off)';
+COMMENT ON COLUMN attendance_register.correction_id IS 'Last approved correction that refreshed this row';
+
+CREATE INDEX idx_attendance_register_facility_date ON attendance_register(facility_id, register_date);
+CREATE INDEX idx_attendance_register_user_date ON attendance_register(user_id, register_date);
+
+CREATE TRIGGER update_attendance_register_updated_at
+    BEFORE UPDATE ON attendance_register
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,108 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Leave Management
+-- ============================================================================
+-- Leave types with a yearly allowance, per-user balances per year and leave
+-- requests approved through the supervisor_id reporting line. Approved leave
+-- blocks clock-in and marks the user on leave in the daily register.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: leave_types
+-- Description: Kinds of leave and their default yearly allowance
+-- ============================================================================
+CREATE TABLE leave_types (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    days_per_year DECIMAL(5, 1) CHECK (days_per_year IS NULL OR days_per_year >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE leave_types IS 'Leave types (annual, sick, ...)';
+COMMENT ON COLUMN leave_types.days_per_year IS 'Default yearly entitlement in working days; NULL means no balance is kept';
+
+CREATE TRIGGER update_leave_types_updated_at
+    BEFORE UPDATE ON leave_types
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO leave_types (code, name, days_per_year) VALUES
+    ('annual', 'Annual leave', 18),
+    ('sick', 'Sick leave', NULL),
+    ('maternity', 'Maternity leave', 84),
+    ('paternity', 'Paternity leave', 4),
+    ('compassionate', 'Compassionate leave', 5),
+    ('unpaid', 'Unpaid leave', NULL);
+
+-- ============================================================================
+-- TABLE: leave_balances
+-- Description: Entitled and used leave days per user, leave type and year
+-- ============================================================================
+CREATE TABLE leave_balances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    entitled_days DECIMAL(5, 1) NOT NULL CHECK (entitled_days >= 0),
+    used_days DECIMAL(5, 1) NOT NULL DEFAULT 0 CHECK (used_days >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_leave_balance UNIQUE (user_id, leave_type_id, year)
+);
+
+COMMENT ON TABLE leave_balances IS 'Yearly leave balances; created from leave_types.days_per_year when first needed';
+
+CREATE TRIGGER update_leave_balances_updated_at
+    BEFORE UPDATE ON leave_balances
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TABLE: leave_requests
+-- Description: Leave requested by users and its review
+-- ============================================================================
+CREATE TABLE leave_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days DECIMAL(5, 1) NOT NULL CHECK (days > 0),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (
+        status IN ('pending', 'approved', 'rejected', 'cancelled')
+    ),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT valid_leave_range CHECK (end_date >= start_date),
+    CONSTRAINT leave_within_one_year CHECK (
+        EXTRACT(YEAR FROM start_date) = EXTRACT(YEAR FROM end_date)
+    )
+);
+
+COMMENT ON TABLE leave_requests IS 'Leave requests, approved by the requester''s reporting line';
+COMMENT ON COLUMN leave_requests.days IS 'Working days taken from the balance';
+
+CREATE INDEX idx_leave_requests_user_dates ON leave_requests(user_id, start_date, end_date);
+CREATE INDEX idx_leave_requests_status ON leave_requests(status, created_at);
+
+CREATE TRIGGER update_leave_requests_updated_at
+    BEFORE UPDATE ON leave_requests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Register rows of users on leave point to the approved request
+-- ============================================================================
+ALTER TABLE attendance_register
+    ADD COLUMN leave_request_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,43 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Holiday Calendar
+-- ============================================================================
+-- Public holidays and commemoration days, national or limited to one region.
+-- Holidays are not working days: they are skipped when counting leave days,
+-- never count as late or absent, and show as holiday in the daily register.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: holidays
+-- Description: Non-working days, national (region_id NULL) or regional
+-- ============================================================================
+CREATE TABLE holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    holiday_date DATE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    region_id UUID REFERENCES regions(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE holidays IS 'Holiday calendar; national holidays apply to every region';
+COMMENT ON COLUMN holidays.region_id IS 'Region the holiday applies to; NULL for national holidays';
+
+-- One national and one regional entry per date at most
+CREATE UNIQUE INDEX idx_holidays_national_date ON holidays(holiday_date) WHERE region_id IS NULL;
+CREATE UNIQUE INDEX idx_holidays_region_date ON holidays(holiday_date, region_id) WHERE region_id IS NOT NULL;
+
+CREATE TRIGGER update_holidays_updated_at
+    BEFORE UPDATE ON holidays
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- Register rows may now be holidays on working days
+-- ============================================================================
+ALTER TABLE attendance_register
+    ADD COLUMN holiday_id UUID REFERENCES holidays(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,16 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Facility Timezone
+-- ============================================================================
+-- Facilities may sit in a different timezone than ATTENDANCE_TIMEZONE. Worked
+-- hours are attributed to the local day of the facility where the user
+-- clocked in, so a night shift crossing midnight counts towards the day it
+-- started. Facilities without a timezone use ATTENDANCE_TIMEZONE.
+-- ============================================================================
+
+ALTER TABLE facilities ADD COLUMN timezone VARCHAR(64);
+
+COMMENT ON COLUMN facilities.timezone IS 'IANA timezone (e.g. Africa/Kigali); NULL uses ATTENDANCE_TIMEZONE';
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
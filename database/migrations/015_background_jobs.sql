@@ -0,0 +1,53 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Background Jobs
+-- ============================================================================
+-- Postgres-backed queue for work too slow for an HTTP request, such as large
+-- imports. Workers claim queued jobs with FOR UPDATE SKIP LOCKED, so several
+-- workers (in-process or `npm run worker`) never run the same job. Failed
+-- jobs are retried with exponential backoff until max_attempts is reached.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: background_jobs
+-- Description: Queued, running and finished background jobs
+-- ============================================================================
+CREATE TABLE background_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (
+        status IN ('queued', 'running', 'completed', 'failed')
+    ),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    result JSONB,
+    error TEXT,
+    progress_processed INTEGER NOT NULL DEFAULT 0,
+    progress_total INTEGER,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts > 0),
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE background_jobs IS 'Job queue; claimed by workers with FOR UPDATE SKIP LOCKED';
+COMMENT ON COLUMN background_jobs.run_at IS 'Earliest time the job may run; pushed back on retry';
+COMMENT ON COLUMN background_jobs.locked_at IS 'Claim or last progress time; running jobs not updated for long are requeued';
+COMMENT ON COLUMN background_jobs.error IS 'Error of the last failed attempt';
+
+-- Workers pick the oldest due job
+CREATE INDEX idx_background_jobs_queue ON background_jobs(run_at) WHERE status = 'queued';
+CREATE INDEX idx_background_jobs_running ON background_jobs(locked_at) WHERE status = 'running';
+
+CREATE TRIGGER update_background_jobs_updated_at
+    BEFORE UPDATE ON background_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Facility Import Previews
+-- ============================================================================
+-- A dry-run facility import validates the file and resolves councils without
+-- writing facilities. The validated rows are kept here so the admin can
+-- commit the previewed import later without uploading the file again.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: facility_imports
+-- Description: Previewed facility imports awaiting commit
+-- ============================================================================
+CREATE TABLE facility_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL DEFAULT 'previewed' CHECK (
+        status IN ('previewed', 'committing', 'committed')
+    ),
+    file_name VARCHAR(255),
+    facilities JSONB NOT NULL DEFAULT '[]'::jsonb,
+    summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    committed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    committed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE facility_imports IS 'Dry-run facility imports; committing writes the stored rows';
+COMMENT ON COLUMN facility_imports.facilities IS 'Validated rows with resolved council, in file order';
+COMMENT ON COLUMN facility_imports.summary IS 'Row counts of the preview (total, toCreate, toUpdate, rejected)';
+
+CREATE TRIGGER update_facility_imports_updated_at
+    BEFORE UPDATE ON facility_imports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Facility Import Upsert
+-- ============================================================================
+-- Re-importing the facility list updates facilities by code, following
+-- per-column update rules, and can deactivate facilities missing from the
+-- file. Rows without a code match a code-less facility with the same name in
+-- the same council instead of creating a duplicate.
+-- ============================================================================
+
+ALTER TABLE facility_imports ADD COLUMN options JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN facility_imports.options IS 'Import options applied on commit (updateRules, deactivateMissing)';
+
+-- Matching code-less rows by council and name
+CREATE INDEX idx_facilities_uncoded_name ON facilities(council_id, LOWER(name)) WHERE code IS NULL;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Facility Import Profiles
+-- ============================================================================
+-- Partners send facility spreadsheets with their own headers and sheets.
+-- A profile maps import fields to a partner's headers and names the sheet to
+-- read, so an import only needs to name the profile.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: facility_import_profiles
+-- Description: Named column mappings for facility imports
+-- ============================================================================
+CREATE TABLE facility_import_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    columns JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sheet_name VARCHAR(100),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE facility_import_profiles IS 'Column mapping profiles for facility imports';
+COMMENT ON COLUMN facility_import_profiles.columns IS 'File headers by import field, e.g. {"code": ["MFL Code"]}';
+COMMENT ON COLUMN facility_import_profiles.sheet_name IS 'Excel sheet to read; NULL reads the first sheet';
+
+CREATE TRIGGER update_facility_import_profiles_updated_at
+    BEFORE UPDATE ON facility_import_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
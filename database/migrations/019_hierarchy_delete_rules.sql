@@ -0,0 +1,27 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Hierarchy Delete Rules
+-- ============================================================================
+-- Regions and councils can now be deleted through the API. Deleting a region
+-- used to cascade to its councils, their facilities and all attendance
+-- recorded there. Regions, councils and facilities can only be deleted once
+-- nothing refers to them any more; facilities are deactivated instead.
+-- ============================================================================
+
+ALTER TABLE councils
+    DROP CONSTRAINT councils_region_id_fkey,
+    ADD CONSTRAINT councils_region_id_fkey
+        FOREIGN KEY (region_id) REFERENCES regions(id) ON DELETE RESTRICT;
+
+ALTER TABLE facilities
+    DROP CONSTRAINT facilities_council_id_fkey,
+    ADD CONSTRAINT facilities_council_id_fkey
+        FOREIGN KEY (council_id) REFERENCES councils(id) ON DELETE RESTRICT;
+
+ALTER TABLE attendance
+    DROP CONSTRAINT attendance_facility_id_fkey,
+    ADD CONSTRAINT attendance_facility_id_fkey
+        FOREIGN KEY (facility_id) REFERENCES facilities(id) ON DELETE RESTRICT;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
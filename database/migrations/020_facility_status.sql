@@ -0,0 +1,18 @@
+-- ============================================================================
+-- WOTI Attendance v2 - Facility Status Changes
+-- ============================================================================
+-- Facilities can be put into maintenance or deactivated through the API. No
+-- new clock-ins are accepted while a facility is not active. The time of the
+-- last status change lets offline records made before it still sync.
+-- ============================================================================
+
+ALTER TABLE facilities
+    ADD COLUMN status_reason TEXT,
+    ADD COLUMN status_changed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN facilities.status_reason IS 'Reason given for the last status change';
+COMMENT ON COLUMN facilities.status_changed_at IS 'Time of the last status change; NULL if never changed';
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
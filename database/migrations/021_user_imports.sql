@@ -0,0 +1,44 @@
+-- ============================================================================
+-- WOTI Attendance v2 - User Imports
+-- ============================================================================
+-- Users can be created in bulk from a CSV/Excel file. A dry run keeps the
+-- validated rows so the admin can commit them later. On commit each user
+-- gets a generated temporary password that must be changed at first login;
+-- the passwords are kept encrypted until the committing admin downloads the
+-- credentials report, which is possible only once.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE: user_imports
+-- Description: Previewed and committed user imports
+-- ============================================================================
+CREATE TABLE user_imports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL DEFAULT 'previewed' CHECK (
+        status IN ('previewed', 'committing', 'committed')
+    ),
+    file_name VARCHAR(255),
+    users JSONB NOT NULL DEFAULT '[]'::jsonb,
+    summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+    credentials TEXT,
+    credentials_downloaded_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    committed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    committed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE user_imports IS 'Bulk user imports; dry runs are committed later from the stored rows';
+COMMENT ON COLUMN user_imports.users IS 'Validated rows with resolved facility and supervisor, in file order';
+COMMENT ON COLUMN user_imports.summary IS 'Row counts of the import (total, toCreate, rejected)';
+COMMENT ON COLUMN user_imports.credentials IS 'Encrypted temporary passwords of the created users; cleared once downloaded';
+
+CREATE TRIGGER update_user_imports_updated_at
+    BEFORE UPDATE ON user_imports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -0,0 +1,56 @@
+-- ============================================================================
+-- WOTI Attendance v2 - User Lifecycle
+-- ============================================================================
+-- Users can be suspended and reactivated with a reason, and transferred to
+-- another facility and/or supervisor from an effective date. Each user's
+-- facility and supervisor over time are kept in user_assignments, so the
+-- attendance register of a past day lists people under the facility they
+-- belonged to on that day.
+-- ============================================================================
+
+ALTER TABLE users
+    ADD COLUMN status_reason TEXT,
+    ADD COLUMN status_changed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.status_reason IS 'Reason given for the last suspension or reactivation';
+COMMENT ON COLUMN users.status_changed_at IS 'Time of the last status change; NULL if never changed';
+
+-- ============================================================================
+-- TABLE: user_assignments
+-- Description: Facility and supervisor of a user for a date range
+-- ============================================================================
+CREATE TABLE user_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    facility_id UUID REFERENCES facilities(id) ON DELETE SET NULL,
+    supervisor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    effective_from DATE NOT NULL,
+    effective_to DATE,
+    reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT valid_assignment_range CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+COMMENT ON TABLE user_assignments IS 'Facility and supervisor history of users; ranges of a user do not overlap';
+COMMENT ON COLUMN user_assignments.effective_to IS 'Last day of the assignment (NULL = current or upcoming)';
+
+-- One open-ended assignment per user
+CREATE UNIQUE INDEX idx_user_assignments_open ON user_assignments(user_id) WHERE effective_to IS NULL;
+CREATE INDEX idx_user_assignments_user ON user_assignments(user_id, effective_from);
+CREATE INDEX idx_user_assignments_facility ON user_assignments(facility_id, effective_from);
+
+CREATE TRIGGER update_user_assignments_updated_at
+    BEFORE UPDATE ON user_assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing users keep their current facility and supervisor from the day they were created
+INSERT INTO user_assignments (user_id, facility_id, supervisor_id, effective_from)
+SELECT id, facility_id, supervisor_id, created_at::date
+FROM users;
+
+-- ============================================================================
+-- End of migration
+-- ============================================================================
@@ -17,6 +17,7 @@ CREATE INDEX idx_facilities_code ON facilities(code);
 CREATE INDEX idx_facilities_status ON facilities(status);
 CREATE INDEX idx_facilities_coordinates ON facilities(latitude, longitude);
 CREATE INDEX idx_facilities_name ON facilities(name);
+CREATE INDEX idx_facilities_uncoded_name ON facilities(council_id, LOWER(name)) WHERE code IS NULL;
 
 -- Users indexes
 CREATE INDEX idx_users_facility_id ON users(facility_id);
@@ -25,6 +26,7 @@ CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
 CREATE INDEX idx_users_status ON users(status);
 CREATE INDEX idx_users_employee_id ON users(employee_id);
+CREATE INDEX idx_users_locked_until ON users(locked_until) WHERE locked_until IS NOT NULL;
 
 -- Attendance indexes
 CREATE INDEX idx_attendance_user_id ON attendance(user_id);
@@ -36,6 +38,7 @@ CREATE INDEX idx_attendance_synced ON attendance(synced);
 CREATE INDEX idx_attendance_device_id ON attendance(device_id);
 CREATE INDEX idx_attendance_user_date ON attendance(user_id, clock_in);
 CREATE INDEX idx_attendance_facility_date ON attendance(facility_id, clock_in);
+CREATE INDEX idx_attendance_open ON attendance(clock_in) WHERE status = 'clocked_in';
 
 -- Activities indexes
 CREATE INDEX idx_activities_user_id ON activities(user_id);
@@ -43,3 +46,54 @@ CREATE INDEX idx_activities_action ON activities(action);
 CREATE INDEX idx_activities_entity_type ON activities(entity_type);
 CREATE INDEX idx_activities_entity_id ON activities(entity_id);
 CREATE INDEX idx_activities_created_at ON activities(created_at);
+
+-- Refresh tokens indexes
+CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+
+-- Password reset tokens indexes
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- Password history indexes
+CREATE INDEX idx_password_history_user_created ON password_history(user_id, created_at DESC);
+
+-- Two-factor backup code indexes
+CREATE INDEX idx_two_factor_backup_codes_user ON two_factor_backup_codes(user_id) WHERE used_at IS NULL;
+
+-- Attendance correction indexes
+CREATE UNIQUE INDEX idx_attendance_corrections_pending
+    ON attendance_corrections(attendance_id) WHERE status = 'pending';
+CREATE INDEX idx_attendance_corrections_requested_by ON attendance_corrections(requested_by);
+CREATE INDEX idx_attendance_corrections_status ON attendance_corrections(status, created_at);
+
+-- Attendance history indexes
+CREATE INDEX idx_attendance_history_attendance ON attendance_history(attendance_id, created_at);
+
+-- Shift indexes
+CREATE INDEX idx_shifts_facility_id ON shifts(facility_id);
+CREATE INDEX idx_shift_assignments_shift_id ON shift_assignments(shift_id);
+CREATE INDEX idx_shift_assignments_user ON shift_assignments(user_id, effective_from) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_shift_assignments_facility
+    ON shift_assignments(facility_id, effective_from) WHERE facility_id IS NOT NULL;
+
+-- Attendance register indexes
+CREATE INDEX idx_attendance_register_facility_date ON attendance_register(facility_id, register_date);
+CREATE INDEX idx_attendance_register_user_date ON attendance_register(user_id, register_date);
+
+-- Leave indexes
+CREATE INDEX idx_leave_requests_user_dates ON leave_requests(user_id, start_date, end_date);
+CREATE INDEX idx_leave_requests_status ON leave_requests(status, created_at);
+
+-- Holiday indexes
+CREATE UNIQUE INDEX idx_holidays_national_date ON holidays(holiday_date) WHERE region_id IS NULL;
+CREATE UNIQUE INDEX idx_holidays_region_date ON holidays(holiday_date, region_id) WHERE region_id IS NOT NULL;
+
+-- Background job indexes
+CREATE INDEX idx_background_jobs_queue ON background_jobs(run_at) WHERE status = 'queued';
+CREATE INDEX idx_background_jobs_running ON background_jobs(locked_at) WHERE status = 'running';
+
+-- User assignment indexes
+CREATE UNIQUE INDEX idx_user_assignments_open ON user_assignments(user_id) WHERE effective_to IS NULL;
+CREATE INDEX idx_user_assignments_user ON user_assignments(user_id, effective_from);
+CREATE INDEX idx_user_assignments_facility ON user_assignments(facility_id, effective_from);
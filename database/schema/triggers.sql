@@ -40,3 +40,75 @@ CREATE TRIGGER update_attendance_updated_at
     BEFORE UPDATE ON attendance
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to attendance_corrections table
+CREATE TRIGGER update_attendance_corrections_updated_at
+    BEFORE UPDATE ON attendance_corrections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to shifts table
+CREATE TRIGGER update_shifts_updated_at
+    BEFORE UPDATE ON shifts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to attendance_register table
+CREATE TRIGGER update_attendance_register_updated_at
+    BEFORE UPDATE ON attendance_register
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to leave_types table
+CREATE TRIGGER update_leave_types_updated_at
+    BEFORE UPDATE ON leave_types
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to leave_balances table
+CREATE TRIGGER update_leave_balances_updated_at
+    BEFORE UPDATE ON leave_balances
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to leave_requests table
+CREATE TRIGGER update_leave_requests_updated_at
+    BEFORE UPDATE ON leave_requests
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to holidays table
+CREATE TRIGGER update_holidays_updated_at
+    BEFORE UPDATE ON holidays
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to background_jobs table
+CREATE TRIGGER update_background_jobs_updated_at
+    BEFORE UPDATE ON background_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to facility_imports table
+CREATE TRIGGER update_facility_imports_updated_at
+    BEFORE UPDATE ON facility_imports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to facility_import_profiles table
+CREATE TRIGGER update_facility_import_profiles_updated_at
+    BEFORE UPDATE ON facility_import_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to user_imports table
+CREATE TRIGGER update_user_imports_updated_at
+    BEFORE UPDATE ON user_imports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Apply trigger to user_assignments table
+CREATE TRIGGER update_user_assignments_updated_at
+    BEFORE UPDATE ON user_assignments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -54,6 +54,85 @@ module.exports = {
     allowedTypes: ['text/csv', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
   },
 
+  /**
+   * Geofence defaults for facilities without their own settings
+   */
+  geofence: {
+    defaultRadius: parseInt(process.env.GEOFENCE_DEFAULT_RADIUS || '200', 10), // meters
+    defaultPolicy: process.env.GEOFENCE_DEFAULT_POLICY || 'flag'
+  },
+
+  /**
+   * Nearby facility search (GET /api/facilities/nearby)
+   */
+  nearby: {
+    defaultRadius: parseInt(process.env.NEARBY_DEFAULT_RADIUS || '5000', 10), // meters
+    maxRadius: parseInt(process.env.NEARBY_MAX_RADIUS || '50000', 10) // meters
+  },
+
+  /**
+   * Working day settings used for daily attendance views
+   */
+  attendance: {
+    timezone: process.env.ATTENDANCE_TIMEZONE || 'Africa/Kigali',
+    workdayStart: process.env.WORKDAY_START || '08:00', // HH:MM, local time
+    workdayEnd: process.env.WORKDAY_END || '17:00', // HH:MM, local time
+    // ISO weekdays (1 = Monday) expected at work by users without a shift
+    workingDays: (process.env.WORKING_DAYS || '1,2,3,4,5').split(',').map((d) => parseInt(d.trim(), 10)),
+    lateGraceMinutes: parseInt(process.env.LATE_GRACE_MINUTES || '15', 10),
+    // Records still open after this many hours are closed as incomplete
+    maxShiftHours: parseInt(process.env.MAX_SHIFT_HOURS || '16', 10),
+    // Optional HH:MM local time used as clock-out of auto-closed records
+    autoClockOutTime: process.env.AUTO_CLOCK_OUT_TIME || null,
+    // HH:MM local time after which the previous day's register is frozen
+    registerFreezeTime: process.env.REGISTER_FREEZE_TIME || '02:00',
+    // Days before yesterday the freeze job still catches up on after downtime
+    registerCatchUpDays: parseInt(process.env.REGISTER_CATCH_UP_DAYS || '7', 10),
+    // Worked hours beyond these per day / per week are overtime (0 disables)
+    dailyOvertimeHours: parseFloat(process.env.OVERTIME_DAILY_HOURS || '8'),
+    weeklyOvertimeHours: parseFloat(process.env.OVERTIME_WEEKLY_HOURS || '40')
+  },
+
+  /**
+   * In-process scheduled jobs
+   * Disable on all but one instance when running several servers
+   */
+  jobs: {
+    enabled: process.env.JOBS_ENABLED
+      ? process.env.JOBS_ENABLED === 'true'
+      : process.env.NODE_ENV !== 'test',
+    staleAttendanceIntervalMinutes: parseInt(process.env.STALE_ATTENDANCE_INTERVAL_MINUTES || '60', 10),
+    registerIntervalMinutes: parseInt(process.env.REGISTER_INTERVAL_MINUTES || '60', 10),
+    userTransferIntervalMinutes: parseInt(process.env.USER_TRANSFER_INTERVAL_MINUTES || '60', 10)
+  },
+
+  /**
+   * Background job queue (imports)
+   * Workers may run in every server process and/or as `npm run worker`
+   */
+  queue: {
+    workerEnabled: process.env.QUEUE_WORKER_ENABLED
+      ? process.env.QUEUE_WORKER_ENABLED === 'true'
+      : process.env.NODE_ENV !== 'test',
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '1', 10),
+    pollIntervalSeconds: parseInt(process.env.QUEUE_POLL_INTERVAL_SECONDS || '2', 10),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10),
+    // Delay before the first retry; doubled on each further attempt
+    retryDelaySeconds: parseInt(process.env.QUEUE_RETRY_DELAY_SECONDS || '30', 10),
+    // Running jobs without progress for this long are assumed lost and requeued
+    lockTimeoutMinutes: parseInt(process.env.QUEUE_LOCK_TIMEOUT_MINUTES || '30', 10)
+  },
+
+  /**
+   * Outgoing mail configuration
+   * transport: console (log only), file (write to fileDir) or a registered custom transport
+   */
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'WOTI Attendance <no-reply@woti.rw>',
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail'
+  },
+
   /**
    * Logging configuration
    */
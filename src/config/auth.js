@@ -38,7 +38,69 @@ module.exports = {
     requireUppercase: true,
     requireLowercase: true,
     requireNumbers: true,
-    requireSpecialChars: true
+    requireSpecialChars: true,
+    expiryDays: parseInt(process.env.PASSWORD_EXPIRY_DAYS || '90', 10), // 0 disables expiry
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10) // 0 disables reuse check
+  },
+
+  /**
+   * Restricted access token scopes
+   * A scoped token is only accepted on the listed paths
+   */
+  restrictedScopes: {
+    password_change: {
+      expiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '15m',
+      allowedPaths: ['/api/auth/change-password', '/api/auth/me', '/api/auth/logout'],
+      message: 'Password change required'
+    },
+    two_factor_setup: {
+      expiresIn: process.env.TWO_FACTOR_SETUP_TOKEN_EXPIRES_IN || '15m',
+      allowedPaths: ['/api/auth/2fa/setup', '/api/auth/2fa/verify', '/api/auth/me', '/api/auth/logout'],
+      message: 'Two-factor authentication setup required'
+    }
+  },
+
+  /**
+   * TOTP two-factor authentication
+   * Users in mandatoryRoles must enroll before receiving a full session
+   */
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'WOTI Attendance',
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || 'your_2fa_encryption_key_change_in_production',
+    mandatoryRoles: (process.env.TWO_FACTOR_MANDATORY_ROLES || 'admin,backstopper,supervisor')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean),
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    window: parseInt(process.env.TWO_FACTOR_WINDOW || '1', 10), // accepted time steps either side
+    backupCodeCount: 10
+  },
+
+  /**
+   * Bulk user import
+   * Temporary passwords are stored encrypted with this key until downloaded
+   */
+  userImport: {
+    credentialsKey: process.env.USER_IMPORT_ENCRYPTION_KEY || 'your_user_import_encryption_key_change_in_production'
+  },
+
+  /**
+   * Password reset tokens
+   */
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10),
+    resetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3001/reset-password'
+  },
+
+  /**
+   * Per-account lockout after repeated failed logins
+   * Each consecutive lockout doubles the duration, up to maxDurationMinutes
+   */
+  lockout: {
+    maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS || '5', 10),
+    attemptWindowMinutes: parseInt(process.env.LOCKOUT_WINDOW_MINUTES || '15', 10),
+    baseDurationMinutes: parseInt(process.env.LOCKOUT_BASE_DURATION_MINUTES || '15', 10),
+    maxDurationMinutes: parseInt(process.env.LOCKOUT_MAX_DURATION_MINUTES || '1440', 10)
   },
 
   /**
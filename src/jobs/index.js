@@ -0,0 +1,140 @@
+/**
+ * Scheduled Jobs
+ *
+ * Registers the application's recurring jobs with the scheduler and the
+ * handlers of queued background jobs with the worker
+ *
+ * @module jobs
+ */
+
+const appConfig = require('../config/app');
+const scheduler = require('./scheduler');
+const worker = require('./worker');
+const attendanceService = require('../modules/attendance/attendance.service');
+const registerService = require('../modules/attendance/register.service');
+const facilitiesService = require('../modules/facilities/facilities.service');
+const holidaysService = require('../modules/holidays/holidays.service');
+const userImportService = require('../modules/users/import.service');
+const userLifecycleService = require('../modules/users/lifecycle.service');
+const spreadsheet = require('../utils/spreadsheet');
+
+/**
+ * Register and start all jobs
+ */
+function startJobs() {
+  scheduler.registerJob(
+    'close-stale-attendance',
+    appConfig.jobs.staleAttendanceIntervalMinutes * 60 * 1000,
+    () => attendanceService.closeStaleAttendance()
+  );
+
+  scheduler.registerJob(
+    'attendance-register',
+    appConfig.jobs.registerIntervalMinutes * 60 * 1000,
+    () => registerService.freezePastDays()
+  );
+
+  scheduler.registerJob(
+    'user-transfers',
+    appConfig.jobs.userTransferIntervalMinutes * 60 * 1000,
+    () => userLifecycleService.applyDueTransfers()
+  );
+
+  scheduler.start();
+}
+
+/**
+ * Stop all jobs and unregister them
+ */
+function stopJobs() {
+  scheduler.clear();
+}
+
+/**
+ * Register the background job handlers and start the worker
+ */
+function startWorker() {
+  const removeUpload = (payload) => spreadsheet.removeFile(payload.filePath);
+
+  worker.registerHandler(
+    'facility-import',
+    (payload, context) => facilitiesService.importFacilities(
+      payload.filePath,
+      payload.mimeType,
+      {
+        dryRun: payload.dryRun,
+        updateRules: payload.updateRules,
+        deactivateMissing: payload.deactivateMissing,
+        columns: payload.columns,
+        sheetName: payload.sheetName,
+        importedBy: payload.importedBy,
+        fileName: payload.originalName,
+        onProgress: context.reportProgress
+      }
+    ),
+    { finalize: removeUpload }
+  );
+
+  worker.registerHandler(
+    'facility-import-commit',
+    (payload, context) => facilitiesService.commitImport(
+      payload.importId,
+      { onProgress: context.reportProgress }
+    ),
+    { finalize: (payload) => facilitiesService.releaseImport(payload.importId) }
+  );
+
+  worker.registerHandler(
+    'holiday-import',
+    (payload, context) => holidaysService.importHolidays(
+      payload.filePath,
+      payload.mimeType,
+      { id: payload.importedBy },
+      { onProgress: context.reportProgress }
+    ),
+    { finalize: removeUpload }
+  );
+
+  worker.registerHandler(
+    'user-import',
+    (payload, context) => userImportService.importUsers(
+      payload.filePath,
+      payload.mimeType,
+      {
+        dryRun: payload.dryRun,
+        sheetName: payload.sheetName,
+        importedBy: payload.importedBy,
+        fileName: payload.originalName,
+        onProgress: context.reportProgress
+      }
+    ),
+    { finalize: removeUpload }
+  );
+
+  worker.registerHandler(
+    'user-import-commit',
+    (payload, context) => userImportService.commitImport(
+      payload.importId,
+      { onProgress: context.reportProgress }
+    ),
+    { finalize: (payload) => userImportService.releaseImport(payload.importId) }
+  );
+
+  worker.start();
+}
+
+/**
+ * Stop the worker and unregister its handlers
+ *
+ * @returns {Promise<void>} Resolves once running jobs have finished
+ */
+function stopWorker() {
+  return worker.clear();
+}
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,138 @@
+/**
+ * Job Scheduler
+ *
+ * Minimal in-process scheduler running registered jobs at a fixed interval.
+ * A job never overlaps with itself: a tick is skipped while the previous run
+ * is still in progress. Errors are logged and do not stop the schedule.
+ *
+ * @module jobs/scheduler
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Registered jobs by name
+ * Each entry: { name, intervalMs, task, running }
+ */
+const jobs = new Map();
+
+/**
+ * Interval timers of started jobs by name
+ */
+const timers = new Map();
+
+/**
+ * Register a job
+ *
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function performing the job
+ */
+function registerJob(name, intervalMs, task) {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  if (typeof task !== 'function') {
+    throw new Error(`Job "${name}" must be a function`);
+  }
+
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    throw new Error(`Job "${name}" needs a positive interval`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    task,
+    running: false
+  });
+}
+
+/**
+ * Run a registered job once, unless it is already running
+ *
+ * @param {string} name - Job name
+ * @returns {Promise<*>} Result of the task, or undefined if skipped or failed
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) {
+    logger.warn('Job still running, skipping', { job: name });
+    return undefined;
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.task();
+
+    logger.info('Job completed', {
+      job: name,
+      duration: `${Date.now() - startedAt}ms`
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Job failed', {
+      job: name,
+      error: error.message,
+      stack: error.stack
+    });
+
+    return undefined;
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start running all registered jobs on their interval
+ */
+function start() {
+  jobs.forEach((job) => {
+    if (timers.has(job.name)) {
+      return;
+    }
+
+    // unref() so a pending job never keeps the process alive on shutdown
+    const timer = setInterval(() => runJob(job.name), job.intervalMs);
+    timer.unref();
+    timers.set(job.name, timer);
+
+    logger.info('Job scheduled', {
+      job: job.name,
+      intervalMs: job.intervalMs
+    });
+  });
+}
+
+/**
+ * Stop all scheduled jobs (runs in progress are allowed to finish)
+ */
+function stop() {
+  timers.forEach((timer) => clearInterval(timer));
+  timers.clear();
+}
+
+/**
+ * Remove all registered jobs (stops them first)
+ */
+function clear() {
+  stop();
+  jobs.clear();
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  start,
+  stop,
+  clear
+};
@@ -0,0 +1,343 @@
+/**
+ * Job Queue Worker
+ *
+ * Runs jobs queued in the background_jobs table. Every server process may
+ * run a worker, and `npm run worker` runs one on its own: jobs are claimed
+ * with FOR UPDATE SKIP LOCKED, so each job runs on one worker only.
+ *
+ * A failed job is retried after QUEUE_RETRY_DELAY_SECONDS, doubled on each
+ * further attempt, until QUEUE_MAX_ATTEMPTS is reached. Client errors
+ * (AppError with a 4xx status, e.g. an unsupported file) fail the job
+ * right away since another attempt would fail the same way. Jobs of a
+ * worker that died are requeued once their lock times out.
+ *
+ * @module jobs/worker
+ */
+
+const os = require('os');
+const appConfig = require('../config/app');
+const jobsRepository = require('../modules/jobs/jobs.repository');
+const { AppError } = require('../middleware/errorHandler.middleware');
+const logger = require('../utils/logger');
+
+/**
+ * Minimum time between two progress writes of a job
+ */
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * Minimum time between two checks for jobs of dead workers
+ */
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Identifies this worker in locked_by
+ */
+const workerId = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Registered handlers by job type
+ * Each entry: { run, finalize }
+ */
+const handlers = new Map();
+
+/**
+ * Promises of the jobs currently running
+ */
+const active = new Set();
+
+let running = false;
+let polling = false;
+let timer = null;
+let lastStaleCheck = 0;
+
+/**
+ * Register the handler of a job type
+ *
+ * `run(payload, context)` performs the job and returns its result; it may
+ * call `context.reportProgress(processed, total)`. The optional
+ * `finalize(payload)` runs once the job has completed or failed for good,
+ * e.g. to remove an uploaded file.
+ *
+ * @param {string} type - Job type
+ * @param {Function} run - Async function performing the job
+ * @param {Object} options - Options ({ finalize })
+ */
+function registerHandler(type, run, options = {}) {
+  if (handlers.has(type)) {
+    throw new Error(`Job handler "${type}" is already registered`);
+  }
+
+  if (typeof run !== 'function') {
+    throw new Error(`Job handler "${type}" must be a function`);
+  }
+
+  handlers.set(type, { run, finalize: options.finalize || null });
+}
+
+/**
+ * Get the delay before the next attempt of a job
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelay(attempts) {
+  return appConfig.queue.retryDelaySeconds * (2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Check whether a failed job may succeed on another attempt
+ *
+ * @param {Error} error - Error thrown by the handler
+ * @returns {boolean} True unless the error is a client error
+ */
+function isRetryable(error) {
+  return !(error instanceof AppError && error.statusCode < 500);
+}
+
+/**
+ * Create the progress callback of a job
+ *
+ * Writes are throttled; each one also renews the job's lock.
+ *
+ * @param {Object} job - Running job
+ * @returns {Function} Async (processed, total) callback
+ */
+function createProgressReporter(job) {
+  let lastWrite = 0;
+
+  return async (processed, total = null) => {
+    const now = Date.now();
+
+    if (now - lastWrite < PROGRESS_INTERVAL_MS && processed !== total) {
+      return;
+    }
+
+    lastWrite = now;
+    const held = await jobsRepository.updateProgress(job.id, workerId, processed, total);
+
+    if (!held) {
+      logger.warn('Job lock lost while running', { jobId: job.id, type: job.type });
+    }
+  };
+}
+
+/**
+ * Run the finalize step of a job, if its handler has one
+ *
+ * @param {Object} job - Finished job with payload
+ */
+async function finalizeJob(job) {
+  const handler = handlers.get(job.type);
+
+  if (!handler || !handler.finalize) {
+    return;
+  }
+
+  try {
+    await handler.finalize(job.payload);
+  } catch (error) {
+    logger.error('Job finalize failed', { jobId: job.id, type: job.type, error: error.message });
+  }
+}
+
+/**
+ * Run a claimed job and record its outcome
+ *
+ * @param {Object} job - Claimed job with payload
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const startedAt = Date.now();
+  let finished = true;
+
+  try {
+    const result = await handler.run(job.payload, {
+      job,
+      reportProgress: createProgressReporter(job)
+    });
+
+    await jobsRepository.complete(job.id, workerId, result);
+
+    logger.info('Job completed', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      duration: `${Date.now() - startedAt}ms`
+    });
+  } catch (error) {
+    const retry = isRetryable(error) && job.attempts < job.maxAttempts;
+    finished = !retry;
+
+    await jobsRepository.fail(job.id, workerId, error.message, retry ? getRetryDelay(job.attempts) : null);
+
+    logger[retry ? 'warn' : 'error'](retry ? 'Job failed, will retry' : 'Job failed', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      retryInSeconds: retry ? getRetryDelay(job.attempts) : undefined,
+      error: error.message
+    });
+  }
+
+  if (finished) {
+    await finalizeJob(job);
+  }
+}
+
+/**
+ * Schedule the next poll
+ *
+ * @param {Function} pollFn - Poll to run
+ * @param {number} delayMs - Delay in milliseconds
+ */
+function schedule(pollFn, delayMs) {
+  if (!running) {
+    return;
+  }
+
+  clearTimeout(timer);
+  timer = setTimeout(pollFn, delayMs);
+}
+
+/**
+ * Start running a claimed job in the background
+ *
+ * @param {Object} job - Claimed job with payload
+ * @param {Function} onSettled - Called once the job has finished, to free its slot
+ */
+function startJob(job, onSettled) {
+  const promise = runJob(job)
+    .catch((error) => {
+      logger.error('Job outcome could not be recorded', { jobId: job.id, error: error.message });
+    })
+    .finally(() => {
+      active.delete(promise);
+      onSettled();
+    });
+
+  active.add(promise);
+}
+
+/**
+ * Claim and start jobs until the free slots are used or none is due
+ *
+ * @param {number} slots - Free slots
+ * @param {Function} onSettled - Called as each started job finishes
+ */
+async function claimJobs(slots, onSettled) {
+  if (slots <= 0 || !running) {
+    return;
+  }
+
+  const job = await jobsRepository.claimNext([...handlers.keys()], workerId);
+
+  if (!job) {
+    return;
+  }
+
+  logger.info('Job started', { jobId: job.id, type: job.type, attempt: job.attempts });
+  startJob(job, onSettled);
+
+  await claimJobs(slots - 1, onSettled);
+}
+
+/**
+ * Requeue or fail jobs whose worker stopped renewing the lock
+ */
+async function releaseStaleJobs() {
+  if (Date.now() - lastStaleCheck < STALE_CHECK_INTERVAL_MS) {
+    return;
+  }
+
+  lastStaleCheck = Date.now();
+  const released = await jobsRepository.releaseStale(appConfig.queue.lockTimeoutMinutes);
+
+  await Promise.all(released.map(async (job) => {
+    logger.warn('Released job of a stopped worker', { jobId: job.id, type: job.type, status: job.status });
+
+    if (job.status === 'failed') {
+      await finalizeJob(job);
+    }
+  }));
+}
+
+/**
+ * Check for due jobs and start as many as the concurrency allows
+ */
+async function poll() {
+  timer = null;
+
+  if (!running || polling) {
+    return;
+  }
+
+  polling = true;
+
+  try {
+    await releaseStaleJobs();
+    // A finished job frees a slot, so look for the next one right away
+    await claimJobs(appConfig.queue.concurrency - active.size, () => schedule(poll, 0));
+  } catch (error) {
+    logger.error('Job queue poll failed', { error: error.message });
+  } finally {
+    polling = false;
+  }
+
+  schedule(poll, appConfig.queue.pollIntervalSeconds * 1000);
+}
+
+/**
+ * Start polling for jobs
+ */
+function start() {
+  if (running) {
+    return;
+  }
+
+  if (handlers.size === 0) {
+    throw new Error('No job handlers registered');
+  }
+
+  running = true;
+  schedule(poll, 0);
+
+  logger.info('Job worker started', {
+    workerId,
+    types: [...handlers.keys()],
+    concurrency: appConfig.queue.concurrency
+  });
+}
+
+/**
+ * Stop polling for jobs
+ *
+ * @returns {Promise<void>} Resolves once the running jobs have finished
+ */
+async function stop() {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+
+  await Promise.all([...active]);
+}
+
+/**
+ * Stop and remove all registered handlers
+ *
+ * @returns {Promise<void>} Resolves once the running jobs have finished
+ */
+async function clear() {
+  await stop();
+  handlers.clear();
+}
+
+module.exports = {
+  registerHandler,
+  getRetryDelay,
+  isRetryable,
+  start,
+  stop,
+  clear
+};
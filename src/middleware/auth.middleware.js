@@ -40,11 +40,21 @@ const authenticate = asyncHandler(async (req, res, next) => {
       audience: authConfig.jwt.audience
     });
 
+    // Restricted tokens (e.g. password change required) only work on their allowed paths
+    if (decoded.scope) {
+      const scopeConfig = authConfig.restrictedScopes[decoded.scope];
+      const requestPath = req.originalUrl.split('?')[0];
+
+      if (!scopeConfig || !scopeConfig.allowedPaths.includes(requestPath)) {
+        throw new AppError(scopeConfig ? scopeConfig.message : 'Invalid token scope', 403);
+      }
+    }
+
     // Get user from database
     const result = await db.query(
       `SELECT 
         u.id, u.email, u.first_name, u.last_name, u.role, u.status,
-        u.facility_id, u.supervisor_id, u.phone, u.employee_id,
+        u.facility_id, u.supervisor_id, u.phone, u.employee_id, u.two_factor_enabled,
         f.id as facility_id, f.name as facility_name, f.council_id,
         c.id as council_id, c.name as council_name, c.region_id,
         r.id as region_id, r.name as region_name
@@ -74,6 +84,7 @@ const authenticate = asyncHandler(async (req, res, next) => {
       supervisorId: user.supervisor_id,
       phone: user.phone,
       employeeId: user.employee_id,
+      twoFactorEnabled: user.two_factor_enabled,
       facility: user.facility_id ? {
         id: user.facility_id,
         name: user.facility_name,
@@ -87,7 +98,8 @@ const authenticate = asyncHandler(async (req, res, next) => {
       region: user.region_id ? {
         id: user.region_id,
         name: user.region_name
-      } : null
+      } : null,
+      tokenScope: decoded.scope || null
     };
 
     logger.debug('User authenticated', {
@@ -0,0 +1,40 @@
+/**
+ * Data Scope Middleware
+ *
+ * Attaches the caller's row-level data scope to the request
+ *
+ * @module middleware/dataScope
+ */
+
+const { AppError } = require('./errorHandler.middleware');
+const { resolveScope } = require('../utils/dataScope');
+const logger = require('../utils/logger');
+
+/**
+ * Resolve the data scope of the authenticated user into req.dataScope
+ *
+ * Must run after authenticate. Services pass req.dataScope to repository
+ * list queries, which restrict their results to it.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function attachDataScope(req, res, next) {
+  if (!req.user) {
+    throw new AppError('Not authenticated', 401);
+  }
+
+  req.dataScope = resolveScope(req.user);
+
+  logger.debug('Data scope resolved', {
+    userId: req.user.id,
+    level: req.dataScope.level
+  });
+
+  next();
+}
+
+module.exports = {
+  attachDataScope
+};
@@ -0,0 +1,48 @@
+/**
+ * Upload Middleware
+ *
+ * Multer configuration for CSV/Excel import uploads
+ *
+ * @module middleware/upload
+ */
+
+const multer = require('multer');
+const path = require('path');
+const { AppError } = require('./errorHandler.middleware');
+const appConfig = require('../config/app');
+
+/**
+ * Create an upload handler storing CSV/Excel files in the upload directory
+ *
+ * @param {string} prefix - File name prefix (e.g. 'facility-import')
+ * @returns {Object} Multer instance
+ */
+function createImportUpload(prefix) {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, appConfig.upload.dir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+      cb(null, `${prefix}-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+  });
+
+  return multer({
+    storage,
+    limits: {
+      fileSize: appConfig.upload.maxSize
+    },
+    fileFilter: (req, file, cb) => {
+      if (appConfig.upload.allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new AppError('Invalid file type. Only CSV and Excel files are allowed.', 400));
+      }
+    }
+  });
+}
+
+module.exports = {
+  createImportUpload
+};
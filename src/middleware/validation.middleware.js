@@ -9,6 +9,7 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('./errorHandler.middleware');
 const validators = require('../utils/validators');
+const appConfig = require('../config/app');
 
 /**
  * Handle validation results
@@ -90,6 +91,83 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for password change
+ */
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('New password must be at least 8 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for forgot password
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for password reset
+ */
+const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Valid reset token is required'),
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('New password must be at least 8 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a two-factor code (TOTP or backup code)
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the second login step
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for disabling two-factor authentication
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required'),
+  handleValidationErrors
+];
+
 /**
  * Validation rules for user update
  */
@@ -120,10 +198,6 @@ const validateUserUpdate = [
     .optional()
     .custom(validators.isValidRole)
     .withMessage('Invalid role'),
-  body('status')
-    .optional()
-    .custom(validators.isValidUserStatus)
-    .withMessage('Invalid status'),
   body('phone')
     .optional()
     .custom(validators.isValidPhone)
@@ -131,6 +205,86 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for user import query parameters
+ */
+const validateUserImportQuery = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Must be true or false'),
+  query('sheet')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sheet name must be between 1 and 100 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for suspending a user
+ */
+const validateUserSuspension = [
+  param('id')
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid user ID'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and must be at most 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for reactivating a user
+ */
+const validateUserReactivation = [
+  param('id')
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid user ID'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for transferring a user
+ */
+const validateUserTransfer = [
+  param('id')
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid user ID'),
+  body()
+    .custom((value) => value && (value.facilityId !== undefined || value.supervisorId !== undefined))
+    .withMessage('facilityId or supervisorId is required'),
+  body('facilityId')
+    .optional({ nullable: true })
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
+  body('supervisorId')
+    .optional({ nullable: true })
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid supervisor ID'),
+  body('effectiveDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Effective date must be in YYYY-MM-DD format'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors
+];
+
 /**
  * Validation rules for clock in
  */
@@ -151,6 +305,11 @@ const validateClockIn = [
     .trim()
     .notEmpty()
     .withMessage('Device ID cannot be empty'),
+  body('overrideLeave')
+    .optional()
+    .isBoolean()
+    .withMessage('overrideLeave must be a boolean')
+    .toBoolean(),
   handleValidationErrors
 ];
 
@@ -173,30 +332,714 @@ const validateClockOut = [
 ];
 
 /**
- * Validation rules for facility creation
+ * Validation rules for attendance list query
+ */
+const validateAttendanceListQuery = [
+  query('userId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid user ID'),
+  query('facilityId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
+  query('status')
+    .optional()
+    .custom(validators.isValidAttendanceStatus)
+    .withMessage('Invalid attendance status'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for attendance export query
+ */
+const validateAttendanceExportQuery = [
+  query('from')
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From must be in YYYY-MM-DD format'),
+  query('to')
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('To must be in YYYY-MM-DD format'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx'),
+  query('columns')
+    .optional()
+    .isString()
+    .withMessage('Columns must be a comma-separated list'),
+  query(['userId', 'facilityId', 'councilId', 'regionId'])
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid ID'),
+  query('status')
+    .optional()
+    .custom(validators.isValidAttendanceStatus)
+    .withMessage('Invalid attendance status'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for team attendance query
+ */
+const validateTeamAttendanceQuery = [
+  query('date')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  query('facilityId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
+  query('supervisorId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid supervisor ID'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for attendance register query
  */
-const validateFacility = [
-  body('name')
+const validateRegisterQuery = [
+  query('date')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  query('facilityId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for attendance correction request
+ */
+const validateCorrectionRequest = [
+  body('attendanceId')
+    .custom(validators.isValidUUID)
+    .withMessage('Valid attendance ID is required'),
+  body('clockIn')
+    .optional()
+    .isISO8601()
+    .withMessage('Clock-in must be a valid date'),
+  body('clockOut')
+    .optional()
+    .isISO8601()
+    .withMessage('Clock-out must be a valid date'),
+  body()
+    .custom((value) => Boolean(value.clockIn || value.clockOut))
+    .withMessage('A corrected clock-in or clock-out time is required'),
+  body('reason')
     .trim()
-    .notEmpty()
-    .withMessage('Facility name is required')
-    .isLength({ max: 255 })
-    .withMessage('Facility name too long'),
-  body('councilId')
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Reason must be between 3 and 1000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for correction review (approve/reject)
+ */
+const validateCorrectionReview = [
+  param('id')
     .custom(validators.isValidUUID)
-    .withMessage('Valid council ID is required'),
-  body('latitude')
+    .withMessage('Invalid correction ID'),
+  body('notes')
     .optional()
-    .isFloat({ min: -90, max: 90 })
-    .withMessage('Invalid latitude'),
-  body('longitude')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Time of day (HH:MM, 24-hour clock)
+ */
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validation rules for shift creation and update
+ *
+ * @param {boolean} isUpdate - Make all fields optional
+ * @returns {Array} Validation chain
+ */
+const validateShift = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    field(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Shift name must be between 1 and 100 characters'),
+    field(body('startTime'))
+      .matches(TIME_OF_DAY_PATTERN)
+      .withMessage('Start time must be in HH:MM format'),
+    field(body('endTime'))
+      .matches(TIME_OF_DAY_PATTERN)
+      .withMessage('End time must be in HH:MM format'),
+    body('endTime')
+      .optional()
+      .custom((value, { req }) => value !== req.body.startTime)
+      .withMessage('Shift start and end time must differ'),
+    body('daysOfWeek')
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage('Days of week must be a non-empty list'),
+    body('daysOfWeek.*')
+      .isInt({ min: 1, max: 7 })
+      .withMessage('Days of week must be 1 (Monday) to 7 (Sunday)')
+      .toInt(),
+    body('graceMinutes')
+      .optional()
+      .isInt({ min: 0, max: 240 })
+      .withMessage('Grace period must be between 0 and 240 minutes')
+      .toInt(),
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid shift ID'),
+      body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+    ] : [
+      body('facilityId')
+        .optional({ nullable: true })
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid facility ID')
+    ]),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for shift assignment
+ */
+const validateShiftAssignment = [
+  param('id')
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid shift ID'),
+  body('userId')
     .optional()
-    .isFloat({ min: -180, max: 180 })
-    .withMessage('Invalid longitude'),
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid user ID'),
+  body('facilityId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
+  body()
+    .custom((value) => Boolean(value.userId) !== Boolean(value.facilityId))
+    .withMessage('Provide either userId or facilityId'),
+  body('effectiveFrom')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Effective from must be in YYYY-MM-DD format'),
+  body('effectiveTo')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Effective to must be in YYYY-MM-DD format'),
+  body('effectiveTo')
+    .optional()
+    .custom((value, { req }) => !req.body.effectiveFrom || value >= req.body.effectiveFrom)
+    .withMessage('Effective to must not be before effective from'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for roster query
+ */
+const validateRosterQuery = [
+  query('startDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+  query('endDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+  query('facilityId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
+  query('supervisorId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid supervisor ID'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for leave type creation and update
+ *
+ * @param {boolean} isUpdate - Make all fields optional
+ * @returns {Array} Validation chain
+ */
+const validateLeaveType = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    field(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Leave type name must be between 1 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be at most 1000 characters'),
+    body('daysPerYear')
+      .optional({ nullable: true })
+      .isFloat({ min: 0, max: 366 })
+      .withMessage('Days per year must be between 0 and 366')
+      .toFloat(),
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid leave type ID'),
+      body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+        .toBoolean()
+    ] : [
+      body('code')
+        .trim()
+        .matches(/^[a-z][a-z0-9_]{1,49}$/)
+        .withMessage('Code must be 2-50 lowercase letters, digits or underscores')
+    ]),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for leave entitlement update
+ */
+const validateLeaveBalance = [
+  body('userId')
+    .custom(validators.isValidUUID)
+    .withMessage('Valid user ID is required'),
+  body('leaveTypeId')
+    .custom(validators.isValidUUID)
+    .withMessage('Valid leave type ID is required'),
+  body('year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100')
+    .toInt(),
+  body('entitledDays')
+    .isFloat({ min: 0, max: 366 })
+    .withMessage('Entitled days must be between 0 and 366')
+    .toFloat(),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for leave balance query
+ */
+const validateLeaveBalanceQuery = [
+  query('userId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid user ID'),
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for leave request
+ */
+const validateLeaveRequest = [
+  body('leaveTypeId')
+    .custom(validators.isValidUUID)
+    .withMessage('Valid leave type ID is required'),
+  body('startDate')
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+  body('endDate')
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+  body('endDate')
+    .custom((value, { req }) => value >= req.body.startDate)
+    .withMessage('End date must be on or after start date'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for leave review (approve/reject)
+ */
+const validateLeaveReview = [
+  param('id')
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid leave request ID'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for holiday creation and update
+ *
+ * @param {boolean} isUpdate - All fields optional on update
+ */
+const validateHoliday = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid holiday ID')
+    ] : []),
+    field(body('date'))
+      .isISO8601({ strict: true })
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+    field(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Holiday name must be between 1 and 255 characters'),
+    body('regionId')
+      .optional({ nullable: true })
+      .custom(validators.isValidUUID)
+      .withMessage('Invalid region ID'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for holiday list query
+ */
+const validateHolidayQuery = [
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100'),
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From must be in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('To must be in YYYY-MM-DD format'),
+  query('regionId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid region ID'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for timesheet report query
+ */
+const validateTimesheetQuery = [
+  query('from')
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('From must be in YYYY-MM-DD format'),
+  query('to')
+    .isISO8601({ strict: true })
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('To must be in YYYY-MM-DD format'),
+  query('groupBy')
+    .optional()
+    .isIn(['user', 'facility', 'council'])
+    .withMessage('groupBy must be user, facility or council'),
+  query('period')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Period must be day, week or month'),
+  query(['userId', 'facilityId', 'councilId', 'regionId'])
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid ID'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for facility import query
+ */
+const validateFacilityImportQuery = [
+  query(['dryRun', 'deactivateMissing'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Must be true or false'),
+  query('updateRules')
+    .optional()
+    .isString()
+    .withMessage('Update rules must be a list of column:rule pairs'),
+  query('profileId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid import profile ID'),
+  query('sheet')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sheet name must be between 1 and 100 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for facility import profile creation and update
+ */
+const validateImportProfile = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid import profile ID')
+    ] : []),
+    field(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Profile name must be between 1 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Description must be text'),
+    field(body('columns'))
+      .isObject()
+      .withMessage('Columns must map fields to headers'),
+    body('sheetName')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Sheet name must be between 1 and 100 characters'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for region creation and update
+ */
+const validateRegion = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid region ID')
+    ] : []),
+    field(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Region name must be between 1 and 255 characters'),
+    body('code')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Region code must be between 1 and 50 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Description must be text'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for council creation and update
+ */
+const validateCouncil = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid council ID')
+    ] : []),
+    field(body('regionId'))
+      .custom(validators.isValidUUID)
+      .withMessage('Valid region ID is required'),
+    field(body('name'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Council name must be between 1 and 255 characters'),
+    body('code')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Council code must be between 1 and 50 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Description must be text'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for council list query
+ */
+const validateCouncilQuery = [
+  query('regionId')
+    .optional()
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid region ID'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for facility creation and update
+ *
+ * The status can only be set on creation; later changes go through
+ * validateFacilityStatus.
+ */
+const validateFacility = (isUpdate = false) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+  const optionalText = (name, max) => body(name)
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max })
+    .withMessage(`${name} must be at most ${max} characters`);
+
+  return [
+    ...(isUpdate ? [
+      param('id')
+        .custom(validators.isValidUUID)
+        .withMessage('Invalid facility ID')
+    ] : []),
+    field(body('name'))
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Facility name is required')
+      .isLength({ max: 255 })
+      .withMessage('Facility name too long'),
+    field(body('councilId'))
+      .custom(validators.isValidUUID)
+      .withMessage('Valid council ID is required'),
+    optionalText('code', 50),
+    optionalText('type', 100),
+    optionalText('address', 1000),
+    optionalText('contactPhone', 50),
+    body('contactEmail')
+      .optional({ nullable: true })
+      .isEmail()
+      .withMessage('Invalid contact email'),
+    body('latitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Invalid latitude')
+      .toFloat(),
+    body('longitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Invalid longitude')
+      .toFloat(),
+    ...(isUpdate ? [] : [
+      body('status')
+        .optional()
+        .custom(validators.isValidFacilityStatus)
+        .withMessage('Invalid facility status')
+    ]),
+    body('geofenceRadius')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('Geofence radius must be a positive number of meters')
+      .toInt(),
+    body('geofencePolicy')
+      .optional({ nullable: true })
+      .custom(validators.isValidGeofencePolicy)
+      .withMessage('Geofence policy must be reject, flag or ignore'),
+    body('timezone')
+      .optional({ nullable: true })
+      .custom(validators.isValidTimezone)
+      .withMessage('Timezone must be an IANA timezone name (e.g. Africa/Kigali)'),
+    body('metadata')
+      .optional()
+      .isObject()
+      .withMessage('Metadata must be an object'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Validation rules for facility status change
+ */
+const validateFacilityStatus = [
+  param('id')
+    .custom(validators.isValidUUID)
+    .withMessage('Invalid facility ID'),
   body('status')
+    .custom(validators.isValidFacilityStatus)
+    .withMessage('Status must be active, inactive or maintenance'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for nearby facility search query
+ */
+const validateNearbyQuery = [
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be a latitude between -90 and 90'),
+  query('lon')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lon must be a longitude between -180 and 180'),
+  query('radius')
+    .optional()
+    .isInt({ min: 1, max: appConfig.nearby.maxRadius })
+    .withMessage(`Radius must be between 1 and ${appConfig.nearby.maxRadius} meters`),
+  query('status')
     .optional()
     .custom(validators.isValidFacilityStatus)
     .withMessage('Invalid facility status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
   handleValidationErrors
 ];
 
@@ -214,9 +1057,43 @@ module.exports = {
   handleValidationErrors,
   validateRegistration,
   validateLogin,
+  validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
   validateUserUpdate,
+  validateUserImportQuery,
+  validateUserSuspension,
+  validateUserReactivation,
+  validateUserTransfer,
   validateClockIn,
   validateClockOut,
+  validateAttendanceListQuery,
+  validateAttendanceExportQuery,
+  validateTeamAttendanceQuery,
+  validateRegisterQuery,
+  validateCorrectionRequest,
+  validateCorrectionReview,
+  validateShift,
+  validateShiftAssignment,
+  validateRosterQuery,
+  validateLeaveType,
+  validateLeaveBalance,
+  validateLeaveBalanceQuery,
+  validateLeaveRequest,
+  validateLeaveReview,
+  validateHoliday,
+  validateHolidayQuery,
+  validateTimesheetQuery,
+  validateFacilityImportQuery,
+  validateImportProfile,
+  validateRegion,
+  validateCouncil,
+  validateCouncilQuery,
   validateFacility,
+  validateFacilityStatus,
+  validateNearbyQuery,
   validateUuidParam
 };
@@ -7,6 +7,9 @@
  */
 
 const attendanceService = require('./attendance.service');
+const registerService = require('./register.service');
+const exportService = require('./export.service');
+const { CONTENT_TYPES } = require('../../utils/exportWriter');
 const { asyncHandler } = require('../../middleware/errorHandler.middleware');
 
 /**
@@ -24,7 +27,8 @@ const clockIn = asyncHandler(async (req, res) => {
     notes,
     deviceId,
     clientTimestamp,
-    clockIn
+    clockIn,
+    overrideLeave
   } = req.body;
 
   const attendance = await attendanceService.clockIn(req.user.id, {
@@ -34,7 +38,8 @@ const clockIn = asyncHandler(async (req, res) => {
     notes,
     deviceId,
     clientTimestamp,
-    clockIn
+    clockIn,
+    overrideLeave
   });
 
   res.status(201).json({
@@ -111,6 +116,107 @@ const getMyRecords = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get attendance records in the caller's data scope
+ * GET /api/attendance
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllAttendance = asyncHandler(async (req, res) => {
+  const {
+    userId,
+    facilityId,
+    status,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const filters = {
+    userId,
+    facilityId,
+    status,
+    startDate,
+    endDate
+  };
+
+  const result = await attendanceService.getAllAttendance(
+    filters,
+    parseInt(page, 10),
+    parseInt(limit, 10),
+    req.dataScope
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.records,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get team attendance for a day
+ * GET /api/attendance/team
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTeamAttendance = asyncHandler(async (req, res) => {
+  const { date, facilityId, supervisorId } = req.query;
+
+  const result = await attendanceService.getTeamAttendance(req.user, {
+    date,
+    facilityId,
+    supervisorId
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Get the daily attendance register
+ * GET /api/attendance/register
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRegister = asyncHandler(async (req, res) => {
+  const { date, facilityId } = req.query;
+
+  const register = await registerService.getRegister({ date, facilityId }, req.dataScope);
+
+  res.status(200).json({
+    success: true,
+    data: register
+  });
+});
+
+/**
+ * Export attendance records as CSV or XLSX
+ * GET /api/attendance/export
+ *
+ * The file is streamed; validation errors are reported before the first
+ * byte is sent.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportAttendance = asyncHandler(async (req, res) => {
+  const options = exportService.prepareExport(req.query);
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[options.format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${options.fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  await exportService.streamExport(res, options, req.dataScope, req.user, { ipAddress: req.ip });
+});
+
 /**
  * Sync offline records
  * POST /api/attendance/sync
@@ -141,5 +247,9 @@ module.exports = {
   clockIn,
   clockOut,
   getMyRecords,
+  getAllAttendance,
+  getTeamAttendance,
+  getRegister,
+  exportAttendance,
   syncOfflineRecords
 };
@@ -7,6 +7,7 @@
  */
 
 const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
 
 /**
  * Find attendance by ID
@@ -76,6 +77,110 @@ async function findByUserId(userId, filters = {}, limit = 50, offset = 0) {
   return result.rows.map(row => formatAttendance(row));
 }
 
+/**
+ * Build the WHERE clause shared by findAll and count
+ *
+ * Attendance is scoped by the facility where it was recorded, or by the
+ * user for reporting-line and self scopes.
+ *
+ * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Object} WHERE clause and parameters
+ */
+function buildFilters(filters = {}, scope = null) {
+  const params = [];
+  const conditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'a.facility_id',
+    userId: 'a.user_id'
+  }, params);
+
+  if (filters.userId) {
+    params.push(filters.userId);
+    conditions.push(`a.user_id = $${params.length}`);
+  }
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`a.facility_id = $${params.length}`);
+  }
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`a.status = $${params.length}`);
+  }
+
+  if (filters.startDate) {
+    params.push(filters.startDate);
+    conditions.push(`a.clock_in >= $${params.length}`);
+  }
+
+  if (filters.endDate) {
+    params.push(filters.endDate);
+    conditions.push(`a.clock_in <= $${params.length}`);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find attendance records of all users with filters
+ *
+ * @param {Object} filters - Query filters ({ userId, facilityId, status, startDate, endDate })
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Array of attendance records
+ */
+async function findAll(filters = {}, limit = 50, offset = 0, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  params.push(limit, offset);
+
+  const result = await db.query(
+    `SELECT
+      a.*,
+      u.first_name, u.last_name, u.email, u.employee_id,
+      f.name as facility_name
+    FROM attendance a
+    INNER JOIN users u ON a.user_id = u.id
+    INNER JOIN facilities f ON a.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    ${whereClause}
+    ORDER BY a.clock_in DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows.map((row) => formatAttendance(row));
+}
+
+/**
+ * Count attendance records with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<number>} Record count
+ */
+async function count(filters = {}, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  const result = await db.query(
+    `SELECT COUNT(*)
+    FROM attendance a
+    INNER JOIN facilities f ON a.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    ${whereClause}`,
+    params
+  );
+
+  return parseInt(result.rows[0].count, 10);
+}
+
 /**
  * Find active attendance (clocked in, not clocked out)
  * 
@@ -91,7 +196,7 @@ async function findActiveAttendance(userId) {
     [userId]
   );
 
-  return result.rows.length > 0 ? result.rows[0] : null;
+  return result.rows.length > 0 ? formatAttendance(result.rows[0]) : null;
 }
 
 /**
@@ -225,6 +330,316 @@ async function bulkInsert(records) {
   }
 }
 
+/**
+ * Find the attendance records of several users clocked in within a period
+ *
+ * @param {Array<string>} userIds - User IDs
+ * @param {Date} from - Period start (inclusive)
+ * @param {Date} to - Period end (exclusive)
+ * @returns {Promise<Array>} Attendance records ordered by clock-in
+ */
+async function findByUsersBetween(userIds, from, to) {
+  const result = await db.query(
+    `SELECT * FROM attendance
+     WHERE user_id = ANY($1::uuid[]) AND clock_in >= $2 AND clock_in < $3
+     ORDER BY clock_in`,
+    [userIds, from, to]
+  );
+
+  return result.rows.map((row) => formatAttendance(row));
+}
+
+/**
+ * Find a batch of attendance records to export
+ *
+ * Records are ordered by clock-in and ID; pass the last row of a batch as
+ * `after` to get the next one, so every batch is an index range scan however
+ * far into the export. The cursor uses the clock-in as text (cursor_clock_in)
+ * because a JS Date drops the microseconds of timestamptz. Dates are local to the facility (facilities.timezone,
+ * falling back to `filters.timezone`).
+ *
+ * @param {Object} filters - Filters ({ from, to, timezone, userId, facilityId, councilId, regionId, status })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @param {Object|null} after - Last row of the previous batch ({ cursor_clock_in, id })
+ * @param {number} limit - Batch size
+ * @returns {Promise<Array>} Attendance rows with user, facility, council and region
+ */
+async function findExportBatch(filters, scope, after, limit) {
+  const params = [filters.from, filters.to, filters.timezone];
+  const conditions = [
+    // Coarse bounds for the clock_in index, padded a day for facility timezones
+    "a.clock_in >= ($1::date - 1)::timestamp AT TIME ZONE 'UTC'",
+    "a.clock_in < ($2::date + 2)::timestamp AT TIME ZONE 'UTC'",
+    '(a.clock_in AT TIME ZONE COALESCE(f.timezone, $3))::date BETWEEN $1::date AND $2::date',
+    ...buildScopeConditions(scope, {
+      regionId: 'c.region_id',
+      councilId: 'f.council_id',
+      facilityId: 'a.facility_id',
+      userId: 'a.user_id'
+    }, params)
+  ];
+
+  const optional = {
+    userId: 'a.user_id',
+    facilityId: 'a.facility_id',
+    councilId: 'f.council_id',
+    regionId: 'c.region_id',
+    status: 'a.status'
+  };
+
+  Object.keys(optional).forEach((key) => {
+    if (filters[key]) {
+      params.push(filters[key]);
+      conditions.push(`${optional[key]} = $${params.length}`);
+    }
+  });
+
+  if (after) {
+    params.push(after.cursor_clock_in, after.id);
+    conditions.push(`(a.clock_in, a.id) > ($${params.length - 1}::timestamptz, $${params.length})`);
+  }
+
+  params.push(limit);
+
+  const result = await db.query(
+    `SELECT
+      a.id, a.user_id, a.facility_id, a.clock_in, a.clock_out, a.status, a.notes,
+      a.clock_in_latitude, a.clock_in_longitude, a.clock_out_latitude, a.clock_out_longitude,
+      a.metadata, a.clock_in::text AS cursor_clock_in,
+      u.first_name, u.last_name, u.email, u.employee_id,
+      f.name AS facility_name, f.code AS facility_code, f.timezone,
+      c.name AS council_name, r.name AS region_name
+    FROM attendance a
+    INNER JOIN users u ON a.user_id = u.id
+    INNER JOIN facilities f ON a.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    INNER JOIN regions r ON c.region_id = r.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY a.clock_in, a.id
+    LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Record previous and new values of an attendance record changed after the fact
+ *
+ * @param {Object} entry - History entry
+ * @param {string} entry.attendanceId - Attendance ID
+ * @param {string} entry.changedBy - User who made the change
+ * @param {string} entry.changeSource - What changed the record (e.g. 'correction')
+ * @param {string} entry.correctionId - Related correction request, if any
+ * @param {Object} entry.previousValues - Values before the change
+ * @param {Object} entry.newValues - Values after the change
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<Object>} Created history row
+ */
+async function insertHistory(entry, executor = db) {
+  const result = await executor.query(
+    `INSERT INTO attendance_history (
+      attendance_id, changed_by, change_source, correction_id, previous_values, new_values
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *`,
+    [
+      entry.attendanceId,
+      entry.changedBy || null,
+      entry.changeSource,
+      entry.correctionId || null,
+      JSON.stringify(entry.previousValues),
+      JSON.stringify(entry.newValues)
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Close attendance records left open longer than the maximum shift length
+ *
+ * Matching records are marked `incomplete` in a single statement, with their
+ * previous values kept in attendance_history. With `autoClockOutTime` the
+ * clock-out is set to the next occurrence of that local time after clock-in,
+ * but never later than clock-in plus the maximum shift length. Rows locked
+ * by a concurrent update are skipped and picked up on the next run.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.maxShiftHours - Maximum shift length in hours
+ * @param {string|null} options.autoClockOutTime - Local clock-out time (HH:MM) or null
+ * @param {string} options.timezone - IANA timezone of autoClockOutTime
+ * @returns {Promise<Array>} Closed records with user and supervisor details
+ */
+async function closeStaleRecords({ maxShiftHours, autoClockOutTime, timezone }) {
+  const result = await db.query(
+    `WITH stale AS (
+      SELECT id, clock_in, clock_out, status,
+        ((clock_in AT TIME ZONE $3)::date + $2::time) AT TIME ZONE $3 AS same_day_clock_out
+      FROM attendance
+      WHERE status = 'clocked_in'
+        AND clock_out IS NULL
+        AND clock_in < CURRENT_TIMESTAMP - make_interval(hours => $1)
+      FOR UPDATE SKIP LOCKED
+    ),
+    closed AS (
+      UPDATE attendance a SET
+        status = 'incomplete',
+        clock_out = CASE
+          WHEN $2::time IS NULL THEN NULL
+          ELSE LEAST(
+            a.clock_in + make_interval(hours => $1),
+            CASE
+              WHEN stale.same_day_clock_out > a.clock_in THEN stale.same_day_clock_out
+              ELSE stale.same_day_clock_out + INTERVAL '1 day'
+            END
+          )
+        END,
+        sync_version = a.sync_version + 1,
+        metadata = COALESCE(a.metadata, '{}'::jsonb) || '{"autoClosed": true}'::jsonb
+      FROM stale
+      WHERE a.id = stale.id
+      RETURNING a.*, stale.clock_out AS previous_clock_out, stale.status AS previous_status
+    ),
+    history AS (
+      INSERT INTO attendance_history (attendance_id, change_source, previous_values, new_values)
+      SELECT id, 'auto_close',
+        jsonb_build_object('clockIn', clock_in, 'clockOut', previous_clock_out, 'status', previous_status),
+        jsonb_build_object('clockIn', clock_in, 'clockOut', clock_out, 'status', status)
+      FROM closed
+    )
+    SELECT
+      closed.id, closed.user_id, closed.facility_id, closed.clock_in, closed.clock_out,
+      u.first_name, u.last_name, u.employee_id, u.supervisor_id,
+      s.email AS supervisor_email, s.first_name AS supervisor_first_name,
+      f.name AS facility_name
+    FROM closed
+    INNER JOIN users u ON closed.user_id = u.id
+    INNER JOIN facilities f ON closed.facility_id = f.id
+    LEFT JOIN users s ON u.supervisor_id = s.id
+    ORDER BY u.supervisor_id, closed.clock_in`,
+    [maxShiftHours, autoClockOutTime || null, timezone]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find the attendance status of a supervisor's team for one day
+ *
+ * Team members are users whose supervisor_id points to the supervisor, or,
+ * when `recursive` is set, to anyone below the supervisor in the reporting
+ * line. Days are local days in `timezone`. Lateness comes from the shift
+ * matched at the first clock-in of the day (metadata.shift.arrival); only
+ * clock-ins without a matched shift are compared with `workdayStart`. Nobody
+ * is late on a holiday of their facility's region.
+ *
+ * @param {string} supervisorId - Supervisor user ID
+ * @param {Object} options - Query options
+ * @param {string} options.date - Local date (YYYY-MM-DD)
+ * @param {string} options.timezone - IANA timezone of the working day
+ * @param {string} options.workdayStart - Expected start time (HH:MM)
+ * @param {number} options.lateGraceMinutes - Minutes after workdayStart before a clock-in without a shift is late
+ * @param {boolean} options.recursive - Include indirect reports
+ * @param {string} options.facilityId - Only members assigned to this facility
+ * @returns {Promise<Array>} Team member rows
+ */
+async function findTeamAttendance(supervisorId, options) {
+  const params = [
+    supervisorId,
+    Boolean(options.recursive),
+    options.date,
+    options.timezone,
+    options.workdayStart,
+    options.lateGraceMinutes
+  ];
+  const conditions = ["u.status = 'active'"];
+
+  if (options.facilityId) {
+    params.push(options.facilityId);
+    conditions.push(`u.facility_id = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `WITH RECURSIVE team AS (
+      SELECT id FROM users WHERE supervisor_id = $1
+      UNION
+      SELECT u.id FROM users u
+      INNER JOIN team t ON u.supervisor_id = t.id
+      WHERE $2::boolean
+    ),
+    day AS (
+      SELECT
+        ($3::date)::timestamp AT TIME ZONE $4 AS day_start,
+        ($3::date + 1)::timestamp AT TIME ZONE $4 AS day_end
+    )
+    SELECT
+      u.id AS user_id, u.first_name, u.last_name, u.email, u.employee_id, u.role,
+      u.supervisor_id, u.facility_id, f.name AS facility_name,
+      today.first_clock_in,
+      latest.id AS attendance_id, latest.status AS attendance_status,
+      latest.clock_in, latest.clock_out, latest.facility_id AS attendance_facility_id,
+      COALESCE(latest.metadata->'geofence'->>'flagged', 'false')::boolean AS geofence_flagged,
+      holiday.id IS NULL AND CASE
+        WHEN today.arrival IS NOT NULL THEN today.arrival->>'status' = 'late'
+        ELSE (today.first_clock_in AT TIME ZONE $4)::time > ($5::time + make_interval(mins => $6))
+      END AS is_late,
+      CASE
+        WHEN today.arrival IS NOT NULL THEN GREATEST(0, (today.arrival->>'minutes')::int)
+        ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (
+          (today.first_clock_in AT TIME ZONE $4)::time - $5::time
+        )) / 60))::int
+      END AS late_minutes,
+      location.latitude AS last_latitude,
+      location.longitude AS last_longitude,
+      location.recorded_at AS last_location_at,
+      holiday.id AS holiday_id, holiday.name AS holiday_name
+    FROM team t
+    INNER JOIN users u ON u.id = t.id
+    LEFT JOIN facilities f ON f.id = u.facility_id
+    LEFT JOIN councils c ON c.id = f.council_id
+    CROSS JOIN day
+    LEFT JOIN LATERAL (
+      SELECT h.id, h.name
+      FROM holidays h
+      WHERE h.holiday_date = $3::date AND (h.region_id IS NULL OR h.region_id = c.region_id)
+      ORDER BY h.region_id NULLS LAST
+      LIMIT 1
+    ) holiday ON true
+    LEFT JOIN LATERAL (
+      SELECT a.clock_in AS first_clock_in, a.metadata->'shift'->'arrival' AS arrival
+      FROM attendance a
+      WHERE a.user_id = u.id AND a.clock_in >= day.day_start AND a.clock_in < day.day_end
+      ORDER BY a.clock_in
+      LIMIT 1
+    ) today ON true
+    LEFT JOIN LATERAL (
+      SELECT a.id, a.status, a.clock_in, a.clock_out, a.facility_id, a.metadata
+      FROM attendance a
+      WHERE a.user_id = u.id AND a.clock_in >= day.day_start AND a.clock_in < day.day_end
+      ORDER BY a.clock_in DESC
+      LIMIT 1
+    ) latest ON true
+    LEFT JOIN LATERAL (
+      SELECT
+        COALESCE(a.clock_out_latitude, a.clock_in_latitude) AS latitude,
+        CASE WHEN a.clock_out_latitude IS NOT NULL
+          THEN a.clock_out_longitude ELSE a.clock_in_longitude END AS longitude,
+        CASE WHEN a.clock_out_latitude IS NOT NULL THEN a.clock_out ELSE a.clock_in END AS recorded_at
+      FROM attendance a
+      WHERE a.user_id = u.id
+        AND a.clock_in < day.day_end
+        AND (a.clock_in_latitude IS NOT NULL OR a.clock_out_latitude IS NOT NULL)
+      ORDER BY a.clock_in DESC
+      LIMIT 1
+    ) location ON true
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY u.last_name, u.first_name`,
+    params
+  );
+
+  return result.rows;
+}
+
 /**
  * Format attendance record
  * 
@@ -251,6 +666,7 @@ function formatAttendance(row) {
     syncVersion: row.sync_version,
     conflictResolutionStrategy: row.conflict_resolution_strategy,
     metadata: row.metadata,
+    shift: row.metadata && row.metadata.shift ? row.metadata.shift : null,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
     facilityName: row.facility_name,
@@ -261,7 +677,14 @@ function formatAttendance(row) {
 module.exports = {
   findById,
   findByUserId,
+  findAll,
+  count,
   findActiveAttendance,
+  findByUsersBetween,
+  findTeamAttendance,
+  findExportBatch,
+  insertHistory,
+  closeStaleRecords,
   create,
   update,
   bulkInsert
@@ -9,10 +9,16 @@
 const express = require('express');
 const attendanceController = require('./attendance.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOrSupervisor } = require('../../middleware/roleAuth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
 const { syncLimiter } = require('../../middleware/rateLimiter.middleware');
 const {
   validateClockIn,
-  validateClockOut
+  validateClockOut,
+  validateTeamAttendanceQuery,
+  validateRegisterQuery,
+  validateAttendanceListQuery,
+  validateAttendanceExportQuery
 } = require('../../middleware/validation.middleware');
 
 const router = express.Router();
@@ -52,6 +58,55 @@ router.get(
   attendanceController.getMyRecords
 );
 
+/**
+ * @route   GET /api/attendance
+ * @desc    List attendance records in the caller's data scope
+ * @access  Private
+ */
+router.get(
+  '/',
+  validateAttendanceListQuery,
+  attachDataScope,
+  attendanceController.getAllAttendance
+);
+
+/**
+ * @route   GET /api/attendance/export
+ * @desc    Stream attendance records in the caller's data scope as CSV or XLSX
+ * @access  Private
+ */
+router.get(
+  '/export',
+  validateAttendanceExportQuery,
+  attachDataScope,
+  attendanceController.exportAttendance
+);
+
+/**
+ * @route   GET /api/attendance/team
+ * @desc    Current status, lateness and last location of the user's team
+ * @access  Private/Supervisor
+ */
+router.get(
+  '/team',
+  adminOrSupervisor,
+  validateTeamAttendanceQuery,
+  attendanceController.getTeamAttendance
+);
+
+/**
+ * @route   GET /api/attendance/register
+ * @desc    Daily attendance register (frozen for past days)
+ * @access  Private/Supervisor
+ */
+router.get(
+  '/register',
+  adminOrSupervisor,
+  validateRegisterQuery,
+  attachDataScope,
+  attendanceController.getRegister
+);
+
 /**
  * @route   POST /api/attendance/sync
  * @desc    Bulk sync offline records
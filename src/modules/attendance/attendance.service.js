@@ -7,11 +7,155 @@
  */
 
 const attendanceRepository = require('./attendance.repository');
+const registerService = require('./register.service');
+const leaveService = require('../leave/leave.service');
+const shiftsService = require('../shifts/shifts.service');
 const db = require('../../config/database');
 const { AppError } = require('../../middleware/errorHandler.middleware');
 const syncResolver = require('../../utils/syncResolver');
+const validators = require('../../utils/validators');
+const geo = require('../../utils/geo');
+const appConfig = require('../../config/app');
+const mailer = require('../../utils/mailer');
 const logger = require('../../utils/logger');
 
+/**
+ * Check a clock event position against the facility geofence
+ *
+ * Throws when the facility policy is `reject` and the position is outside the
+ * radius. Returns the flag details to store in attendance metadata when the
+ * event is accepted but outside the radius, or null when nothing to flag.
+ *
+ * @param {Object} facility - Facility row with coordinates and geofence settings
+ * @param {Object} position - Reported position ({ latitude, longitude })
+ * @param {string} event - 'clock_in' or 'clock_out'
+ * @returns {Object|null} Geofence flag details
+ */
+function checkGeofence(facility, position, event) {
+  const result = geo.evaluateGeofence(position, {
+    latitude: facility.latitude,
+    longitude: facility.longitude,
+    geofenceRadius: facility.geofence_radius,
+    geofencePolicy: facility.geofence_policy
+  }, {
+    radius: appConfig.geofence.defaultRadius,
+    policy: appConfig.geofence.defaultPolicy
+  });
+
+  if (!result.checked || result.withinRadius) {
+    return null;
+  }
+
+  if (result.policy === 'reject') {
+    const message = result.reason === 'missing_location'
+      ? 'Location is required to clock at this facility'
+      : `You are ${result.distanceMeters}m from the facility (allowed: ${result.radiusMeters}m)`;
+    throw new AppError(message, 403);
+  }
+
+  return {
+    event,
+    reason: result.reason,
+    distanceMeters: result.distanceMeters,
+    radiusMeters: result.radiusMeters,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check that a facility accepts a clock-in
+ *
+ * Inactive facilities and facilities in maintenance accept no clock-ins made
+ * after their last status change, so offline records made before the change
+ * still sync.
+ *
+ * @param {Object} facility - Facility row ({ status, status_reason, status_changed_at })
+ * @param {Date} clockInTime - Clock-in time
+ * @throws {AppError} If the facility does not accept the clock-in
+ */
+function assertFacilityOpen(facility, clockInTime) {
+  if (facility.status === 'active'
+    || (facility.status_changed_at && clockInTime < new Date(facility.status_changed_at))) {
+    return;
+  }
+
+  const state = facility.status === 'maintenance' ? 'under maintenance' : 'inactive';
+  const reason = facility.status_reason ? `: ${facility.status_reason}` : '';
+
+  throw new AppError(`Facility is ${state}${reason}`, 403);
+}
+
+/**
+ * Check a clock-in and build the metadata of its attendance record
+ *
+ * Shared by live clock-ins and offline sync: checks the geofence, the frozen
+ * register and approved leave, and matches the clock-in to a shift. The
+ * metadata is built here only, never taken from the client.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} facility - Facility row with coordinates and geofence settings
+ * @param {Object} clockInData - Clock-in data ({ latitude, longitude, overrideLeave })
+ * @param {Date} clockInTime - Clock-in time
+ * @returns {Promise<Object>} Checks ({ metadata, geofenceFlag, leave, shift })
+ * @throws {AppError} If the geofence, register or leave rejects the clock-in
+ */
+async function prepareClockIn(userId, facility, clockInData, clockInTime) {
+  const geofenceFlag = checkGeofence(facility, clockInData, 'clock_in');
+  const metadata = geofenceFlag
+    ? { geofence: { flagged: true, clockIn: geofenceFlag } }
+    : {};
+
+  await registerService.assertEditable(clockInTime);
+
+  const leave = await leaveService.checkClockIn(userId, clockInTime, clockInData.overrideLeave);
+  if (leave) {
+    metadata.leaveOverride = { leaveRequestId: leave.id };
+  }
+
+  const shift = await shiftsService.matchClockIn(userId, facility.id, clockInTime);
+  if (shift) {
+    metadata.shift = shift;
+  }
+
+  return {
+    metadata,
+    geofenceFlag,
+    leave,
+    shift
+  };
+}
+
+/**
+ * Check a clock-out and build the metadata of its attendance record
+ *
+ * @param {Object} attendance - Record clocked out ({ metadata, shift })
+ * @param {Object|null} facility - Facility row with coordinates and geofence settings
+ * @param {Object} clockOutData - Clock-out position ({ latitude, longitude })
+ * @param {Date} clockOutTime - Clock-out time
+ * @returns {Object} Checks ({ metadata, geofenceFlag }); metadata is undefined when unchanged
+ * @throws {AppError} If the geofence rejects the clock-out
+ */
+function prepareClockOut(attendance, facility, clockOutData, clockOutTime) {
+  const geofenceFlag = facility ? checkGeofence(facility, clockOutData, 'clock_out') : null;
+
+  if (!geofenceFlag && !attendance.shift) {
+    return { metadata: undefined, geofenceFlag };
+  }
+
+  const existing = attendance.metadata || {};
+  const metadata = { ...existing };
+
+  if (geofenceFlag) {
+    metadata.geofence = { ...existing.geofence, flagged: true, clockOut: geofenceFlag };
+  }
+
+  if (attendance.shift) {
+    metadata.shift = shiftsService.classifyClockOut(attendance.shift, clockOutTime);
+  }
+
+  return { metadata, geofenceFlag };
+}
+
 /**
  * Clock in user
  * 
@@ -27,26 +171,36 @@ async function clockIn(userId, clockInData) {
     throw new AppError('User already clocked in. Please clock out first.', 400);
   }
 
-  // Verify facility exists
+  // Verify facility exists and accepts clock-ins
   const facilityResult = await db.query(
-    'SELECT id FROM facilities WHERE id = $1 AND status = $2',
-    [clockInData.facilityId, 'active']
+    `SELECT id, latitude, longitude, geofence_radius, geofence_policy,
+       status, status_reason, status_changed_at
+     FROM facilities WHERE id = $1`,
+    [clockInData.facilityId]
   );
 
   if (facilityResult.rows.length === 0) {
-    throw new AppError('Facility not found or inactive', 404);
+    throw new AppError('Facility not found', 404);
   }
 
+  assertFacilityOpen(facilityResult.rows[0], new Date());
+
+  const clockInTime = clockInData.clockIn ? new Date(clockInData.clockIn) : new Date();
+  const {
+    metadata, geofenceFlag, leave, shift
+  } = await prepareClockIn(userId, facilityResult.rows[0], clockInData, clockInTime);
+
   // Create attendance record
   const attendance = await attendanceRepository.create({
     userId,
     facilityId: clockInData.facilityId,
-    clockIn: clockInData.clockIn || new Date(),
+    clockIn: clockInTime,
     clockInLatitude: clockInData.latitude,
     clockInLongitude: clockInData.longitude,
     notes: clockInData.notes,
     deviceId: clockInData.deviceId,
     clientTimestamp: clockInData.clientTimestamp,
+    metadata,
     synced: true
   });
 
@@ -54,9 +208,32 @@ async function clockIn(userId, clockInData) {
   await db.query(
     `INSERT INTO activities (user_id, action, entity_type, entity_id, description, metadata)
      VALUES ($1, 'CLOCK_IN', 'attendance', $2, 'User clocked in', $3)`,
-    [userId, attendance.id, JSON.stringify({ facilityId: clockInData.facilityId })]
+    [userId, attendance.id, JSON.stringify({
+      facilityId: clockInData.facilityId,
+      geofenceFlagged: Boolean(geofenceFlag),
+      shiftId: shift ? shift.shiftId : null,
+      arrival: shift ? shift.arrival.status : null,
+      leaveOverride: leave ? leave.id : null
+    })]
   );
 
+  if (leave) {
+    logger.warn('Clock-in during approved leave', {
+      userId,
+      attendanceId: attendance.id,
+      leaveRequestId: leave.id
+    });
+  }
+
+  if (geofenceFlag) {
+    logger.warn('Clock-in outside facility geofence', {
+      userId,
+      attendanceId: attendance.id,
+      facilityId: clockInData.facilityId,
+      distanceMeters: geofenceFlag.distanceMeters
+    });
+  }
+
   logger.info('User clocked in', {
     userId,
     attendanceId: attendance.id,
@@ -95,14 +272,30 @@ async function clockOut(userId, clockOutData) {
     throw new AppError('Already clocked out', 400);
   }
 
+  await registerService.assertEditable(attendance.clockIn);
+
+  const facilityResult = await db.query(
+    'SELECT id, latitude, longitude, geofence_radius, geofence_policy FROM facilities WHERE id = $1',
+    [attendance.facilityId]
+  );
+
+  const clockOutTime = clockOutData.clockOut ? new Date(clockOutData.clockOut) : new Date();
+  const { metadata, geofenceFlag } = prepareClockOut(
+    attendance,
+    facilityResult.rows[0] || null,
+    clockOutData,
+    clockOutTime
+  );
+
   // Update attendance record
   const updated = await attendanceRepository.update(attendance.id, {
-    clock_out: clockOutData.clockOut || new Date(),
+    clock_out: clockOutTime,
     clock_out_latitude: clockOutData.latitude,
     clock_out_longitude: clockOutData.longitude,
     notes: clockOutData.notes || attendance.notes,
     status: 'clocked_out',
-    sync_version: attendance.syncVersion + 1
+    sync_version: attendance.syncVersion + 1,
+    metadata
   });
 
   // Log activity
@@ -112,6 +305,15 @@ async function clockOut(userId, clockOutData) {
     [userId, attendance.id]
   );
 
+  if (geofenceFlag) {
+    logger.warn('Clock-out outside facility geofence', {
+      userId,
+      attendanceId: attendance.id,
+      facilityId: attendance.facilityId,
+      distanceMeters: geofenceFlag.distanceMeters
+    });
+  }
+
   logger.info('User clocked out', {
     userId,
     attendanceId: attendance.id
@@ -152,6 +354,208 @@ async function getUserAttendance(userId, filters = {}, page = 1, limit = 50) {
   };
 }
 
+/**
+ * Get attendance records within the caller's data scope
+ *
+ * @param {Object} filters - Query filters ({ userId, facilityId, status, startDate, endDate })
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} Attendance records and pagination
+ */
+async function getAllAttendance(filters = {}, page = 1, limit = 50, scope = null) {
+  const offset = (page - 1) * limit;
+
+  const [records, total] = await Promise.all([
+    attendanceRepository.findAll(filters, limit, offset, scope),
+    attendanceRepository.count(filters, scope)
+  ]);
+
+  return {
+    records,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Get today's local date in the attendance timezone
+ *
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getLocalDate(timezone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+}
+
+/**
+ * Get the attendance status of a supervisor's team for one day
+ *
+ * Supervisors see their direct reports. Backstoppers and admins see the
+ * whole reporting line below them; admins may also look at another
+ * supervisor's team with `supervisorId`.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} filters - Filters ({ date, facilityId, supervisorId })
+ * @returns {Promise<Object>} Team members and summary
+ */
+async function getTeamAttendance(user, filters = {}) {
+  const { timezone, workdayStart, lateGraceMinutes } = appConfig.attendance;
+  const date = filters.date || getLocalDate(timezone);
+  const supervisorId = user.role === 'admin' && filters.supervisorId ? filters.supervisorId : user.id;
+
+  const rows = await attendanceRepository.findTeamAttendance(supervisorId, {
+    date,
+    timezone,
+    workdayStart,
+    lateGraceMinutes,
+    recursive: user.role === 'backstopper' || user.role === 'admin',
+    facilityId: filters.facilityId
+  });
+
+  const members = rows.map((row) => ({
+    userId: row.user_id,
+    name: `${row.first_name} ${row.last_name}`,
+    email: row.email,
+    employeeId: row.employee_id,
+    role: row.role,
+    supervisorId: row.supervisor_id,
+    facility: row.facility_id ? { id: row.facility_id, name: row.facility_name } : null,
+    status: row.attendance_status || 'not_clocked_in',
+    attendanceId: row.attendance_id,
+    firstClockIn: row.first_clock_in,
+    clockIn: row.clock_in,
+    clockOut: row.clock_out,
+    flags: {
+      late: Boolean(row.is_late),
+      lateMinutes: row.is_late ? row.late_minutes : 0,
+      outsideGeofence: row.geofence_flagged
+    },
+    holiday: row.holiday_id ? { id: row.holiday_id, name: row.holiday_name } : null,
+    lastLocation: row.last_latitude !== null ? {
+      latitude: parseFloat(row.last_latitude),
+      longitude: parseFloat(row.last_longitude),
+      recordedAt: row.last_location_at
+    } : null
+  }));
+
+  const summary = {
+    total: members.length,
+    clockedIn: members.filter((member) => member.status === 'clocked_in').length,
+    clockedOut: members.filter((member) => member.status === 'clocked_out').length,
+    notClockedIn: members.filter((member) => member.status === 'not_clocked_in').length,
+    late: members.filter((member) => member.flags.late).length,
+    onHoliday: members.filter((member) => member.holiday).length
+  };
+
+  return {
+    date,
+    timezone,
+    workdayStart,
+    lateGraceMinutes,
+    summary,
+    members
+  };
+}
+
+/**
+ * Email a supervisor the records of their team that were closed automatically
+ *
+ * @param {Array} records - Closed records of one supervisor's team members
+ * @param {number} maxShiftHours - Maximum shift length used for closing
+ * @returns {Promise<void>}
+ */
+async function notifySupervisor(records, maxShiftHours) {
+  const [first] = records;
+
+  const lines = records.map((record) => {
+    const employee = record.employee_id ? ` (${record.employee_id})` : '';
+    return `- ${record.first_name} ${record.last_name}${employee} at ${record.facility_name}, `
+      + `clocked in ${new Date(record.clock_in).toISOString()}`;
+  });
+
+  await mailer.sendMail({
+    to: first.supervisor_email,
+    subject: `${records.length} attendance record(s) closed as incomplete`,
+    text: [
+      `Hello ${first.supervisor_first_name},`,
+      '',
+      `The following team members did not clock out within ${maxShiftHours} hours.`,
+      'Their records were closed as incomplete and can be fixed with a correction request:',
+      '',
+      ...lines
+    ].join('\n')
+  });
+}
+
+/**
+ * Close attendance records left open longer than the maximum shift length
+ *
+ * Closed records get the `incomplete` status so the user can clock in again.
+ * Each closure is logged as an activity, and supervisors receive one email
+ * listing their team members' closed records. A failing email is logged and
+ * does not fail the run.
+ *
+ * @param {Object} options - Overrides of appConfig.attendance ({ maxShiftHours, autoClockOutTime })
+ * @returns {Promise<Object>} Run summary ({ closed, notified })
+ */
+async function closeStaleAttendance(options = {}) {
+  const settings = { ...appConfig.attendance, ...options };
+
+  const closed = await attendanceRepository.closeStaleRecords({
+    maxShiftHours: settings.maxShiftHours,
+    autoClockOutTime: settings.autoClockOutTime,
+    timezone: settings.timezone
+  });
+
+  if (closed.length === 0) {
+    return { closed: 0, notified: 0 };
+  }
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, metadata)
+     SELECT NULL, 'ATTENDANCE_AUTO_CLOSED', 'attendance', record.id,
+       'Open attendance record closed as incomplete', $2
+     FROM unnest($1::uuid[]) AS record(id)`,
+    [closed.map((record) => record.id), JSON.stringify({ maxShiftHours: settings.maxShiftHours })]
+  );
+
+  const bySupervisor = new Map();
+  closed
+    .filter((record) => record.supervisor_email)
+    .forEach((record) => {
+      const records = bySupervisor.get(record.supervisor_id) || [];
+      records.push(record);
+      bySupervisor.set(record.supervisor_id, records);
+    });
+
+  const results = await Promise.allSettled(
+    Array.from(bySupervisor.values(), (records) => notifySupervisor(records, settings.maxShiftHours))
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => {
+      logger.error('Failed to notify supervisor of closed attendance records', {
+        error: result.reason.message
+      });
+    });
+
+  const summary = {
+    closed: closed.length,
+    notified: results.filter((result) => result.status === 'fulfilled').length
+  };
+
+  logger.info('Stale attendance records closed', summary);
+
+  return summary;
+}
+
 /**
  * Sync offline attendance records
  * 
@@ -164,6 +568,14 @@ async function syncOfflineRecords(userId, records) {
   const conflicts = [];
   const errors = [];
 
+  const facilityResult = await db.query(
+    `SELECT id, latitude, longitude, geofence_radius, geofence_policy,
+       status, status_reason, status_changed_at
+     FROM facilities WHERE id = ANY($1::uuid[])`,
+    [[...new Set(records.map((record) => record.facilityId).filter(validators.isValidUUID))]]
+  );
+  const facilities = new Map(facilityResult.rows.map((row) => [row.id, row]));
+
   for (const record of records) {
     try {
       // Validate sync metadata
@@ -186,6 +598,9 @@ async function syncOfflineRecords(userId, records) {
 
       if (existingResult.rows.length > 0) {
         const existingRecord = existingResult.rows[0];
+
+        // Days already in the frozen register only change through corrections
+        await registerService.assertEditable(existingRecord.clock_in);
         
         // Check for conflicts
         if (syncResolver.hasConflict(record, existingRecord)) {
@@ -204,10 +619,11 @@ async function syncOfflineRecords(userId, records) {
             continue;
           }
 
-          // Update with resolved data
+          // Update with resolved data; metadata stays what the server recorded
           if (resolution.winner === 'client') {
             await attendanceRepository.update(existingRecord.id, {
-              ...record,
+              notes: record.notes,
+              status: record.status,
               sync_version: existingRecord.sync_version + 1
             });
           }
@@ -224,6 +640,33 @@ async function syncOfflineRecords(userId, records) {
           });
         }
       } else {
+        const facility = facilities.get(record.facilityId);
+
+        if (!facility) {
+          throw new AppError('Facility not found', 404);
+        }
+
+        const clockInTime = new Date(record.clockIn);
+        assertFacilityOpen(facility, clockInTime);
+
+        // Same checks as a live clock-in and clock-out
+        const clockInCheck = await prepareClockIn(userId, facility, {
+          latitude: record.clockInLatitude,
+          longitude: record.clockInLongitude,
+          overrideLeave: record.overrideLeave
+        }, clockInTime);
+        let { metadata } = clockInCheck;
+
+        if (record.clockOut) {
+          const clockOutCheck = prepareClockOut(
+            { metadata, shift: clockInCheck.shift },
+            facility,
+            { latitude: record.clockOutLatitude, longitude: record.clockOutLongitude },
+            new Date(record.clockOut)
+          );
+          metadata = clockOutCheck.metadata || metadata;
+        }
+
         // Create new record
         const created = await attendanceRepository.create({
           userId,
@@ -239,7 +682,7 @@ async function syncOfflineRecords(userId, records) {
           clientTimestamp: record.clientTimestamp,
           syncVersion: record.syncVersion || 1,
           conflictResolutionStrategy: record.conflictResolutionStrategy,
-          metadata: record.metadata,
+          metadata,
           synced: true
         });
 
@@ -275,5 +718,8 @@ module.exports = {
   clockIn,
   clockOut,
   getUserAttendance,
+  getAllAttendance,
+  getTeamAttendance,
+  closeStaleAttendance,
   syncOfflineRecords
 };
@@ -0,0 +1,239 @@
+/**
+ * Attendance Export Service
+ *
+ * Streams attendance records of a date range as CSV or XLSX. Records are
+ * read in keyset-paginated batches and written row by row, so memory use
+ * does not grow with the size of the export. Dates and times are local to
+ * the facility where the record was made.
+ *
+ * @module modules/attendance/export.service
+ */
+
+const attendanceRepository = require('./attendance.repository');
+const db = require('../../config/database');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const exportWriter = require('../../utils/exportWriter');
+const { listDates } = require('../../utils/leaveCalculator');
+const { getLocalParts } = require('../../utils/shiftMatcher');
+const { toHours } = require('../../utils/timesheetCalculator');
+const logger = require('../../utils/logger');
+
+/**
+ * Records read from the database per query
+ */
+const EXPORT_BATCH_SIZE = 1000;
+
+/**
+ * Longest export range, in days
+ */
+const MAX_EXPORT_DAYS = 366;
+
+/**
+ * Format a moment as local date and time (YYYY-MM-DD HH:MM:SS)
+ *
+ * @param {Date|string|null} time - Moment
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} Local date and time
+ */
+function formatLocalDateTime(time, timezone) {
+  if (!time) {
+    return null;
+  }
+
+  const date = new Date(time);
+  const { offsetMs } = getLocalParts(date, timezone);
+  return new Date(date.getTime() + offsetMs).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Read a coordinate column
+ *
+ * @param {string|null} value - DECIMAL column value
+ * @returns {number|null} Coordinate
+ */
+function toCoordinate(value) {
+  return value !== null && value !== undefined ? parseFloat(value) : null;
+}
+
+/**
+ * Get the shift details stored with a record at clock-in
+ *
+ * @param {Object} row - Attendance row
+ * @returns {Object} Shift details or an empty object
+ */
+function getShift(row) {
+  return (row.metadata && row.metadata.shift) || {};
+}
+
+/**
+ * Exportable columns: header and value of an attendance row
+ */
+const EXPORT_COLUMNS = {
+  attendanceId: { header: 'Attendance ID', value: (row) => row.id },
+  employeeId: { header: 'Employee ID', value: (row) => row.employee_id },
+  name: { header: 'Name', value: (row) => `${row.first_name} ${row.last_name}` },
+  email: { header: 'Email', value: (row) => row.email },
+  region: { header: 'Region', value: (row) => row.region_name },
+  council: { header: 'Council', value: (row) => row.council_name },
+  facility: { header: 'Facility', value: (row) => row.facility_name },
+  facilityCode: { header: 'Facility code', value: (row) => row.facility_code },
+  date: { header: 'Date', value: (row, timezone) => getLocalParts(new Date(row.clock_in), timezone).date },
+  clockIn: { header: 'Clock in', value: (row, timezone) => formatLocalDateTime(row.clock_in, timezone) },
+  clockOut: { header: 'Clock out', value: (row, timezone) => formatLocalDateTime(row.clock_out, timezone) },
+  timezone: { header: 'Timezone', value: (row, timezone) => timezone },
+  workedHours: {
+    header: 'Worked hours',
+    value: (row) => (row.clock_out
+      ? toHours(Math.max(0, Math.round((new Date(row.clock_out) - new Date(row.clock_in)) / 60000)))
+      : null)
+  },
+  status: { header: 'Status', value: (row) => row.status },
+  shift: { header: 'Shift', value: (row) => getShift(row).name || null },
+  arrival: { header: 'Arrival', value: (row) => (getShift(row).arrival ? getShift(row).arrival.status : null) },
+  clockInLatitude: { header: 'Clock-in latitude', value: (row) => toCoordinate(row.clock_in_latitude) },
+  clockInLongitude: { header: 'Clock-in longitude', value: (row) => toCoordinate(row.clock_in_longitude) },
+  clockOutLatitude: { header: 'Clock-out latitude', value: (row) => toCoordinate(row.clock_out_latitude) },
+  clockOutLongitude: { header: 'Clock-out longitude', value: (row) => toCoordinate(row.clock_out_longitude) },
+  outsideGeofence: {
+    header: 'Outside geofence',
+    value: (row) => (row.metadata && row.metadata.geofence && row.metadata.geofence.flagged ? 'yes' : 'no')
+  },
+  autoClosed: {
+    header: 'Closed automatically',
+    value: (row) => (row.metadata && row.metadata.autoClosed ? 'yes' : 'no')
+  },
+  notes: { header: 'Notes', value: (row) => row.notes }
+};
+
+/**
+ * Columns exported when none are requested
+ */
+const DEFAULT_COLUMNS = [
+  'employeeId', 'name', 'facility', 'date', 'clockIn', 'clockOut', 'workedHours', 'status'
+];
+
+/**
+ * Validate an export request before anything is written
+ *
+ * @param {Object} options - Request ({ format, columns, from, to, userId, facilityId, councilId, regionId, status })
+ * @returns {Object} Export options ({ format, columns, filters, fileName })
+ * @throws {AppError} If columns or the date range are invalid
+ */
+function prepareExport(options) {
+  const format = options.format || 'csv';
+  const columns = options.columns
+    ? options.columns.split(',').map((column) => column.trim()).filter(Boolean)
+    : DEFAULT_COLUMNS;
+
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS[column]);
+  if (unknown.length > 0 || columns.length === 0) {
+    throw new AppError(
+      `Unknown export columns: ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}`,
+      400
+    );
+  }
+
+  if (options.to < options.from) {
+    throw new AppError('End date must not be before start date', 400);
+  }
+
+  if (listDates(options.from, options.to).length > MAX_EXPORT_DAYS) {
+    throw new AppError(`Export range cannot exceed ${MAX_EXPORT_DAYS} days`, 400);
+  }
+
+  return {
+    format,
+    columns,
+    fileName: `attendance-${options.from}-to-${options.to}.${format}`,
+    filters: {
+      from: options.from,
+      to: options.to,
+      timezone: appConfig.attendance.timezone,
+      userId: options.userId,
+      facilityId: options.facilityId,
+      councilId: options.councilId,
+      regionId: options.regionId,
+      status: options.status
+    }
+  };
+}
+
+/**
+ * Stream an attendance export
+ *
+ * Errors after the first byte cannot be reported as JSON anymore: they are
+ * logged and the output is destroyed, so the client sees a broken download.
+ *
+ * @param {Object} output - Writable stream (e.g. HTTP response)
+ * @param {Object} options - Export options from prepareExport
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @param {Object} user - User exporting
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<number|null>} Exported records, or null if not completed
+ */
+async function streamExport(output, options, scope, user, client = {}) {
+  const writer = exportWriter.createWriter(options.format, output, { sheetName: 'Attendance' });
+  const columns = options.columns.map((key) => EXPORT_COLUMNS[key]);
+  let exported = 0;
+
+  const writeBatch = async (after) => {
+    const rows = await attendanceRepository.findExportBatch(
+      options.filters,
+      scope,
+      after,
+      EXPORT_BATCH_SIZE
+    );
+
+    await rows.reduce(async (previous, row) => {
+      await previous;
+      const timezone = row.timezone || appConfig.attendance.timezone;
+      await writer.writeRow(columns.map((column) => column.value(row, timezone)));
+    }, Promise.resolve());
+
+    exported += rows.length;
+
+    if (rows.length === EXPORT_BATCH_SIZE && !output.destroyed) {
+      await writeBatch(rows[rows.length - 1]);
+    }
+  };
+
+  try {
+    await writer.writeRow(columns.map((column) => column.header));
+    await writeBatch(null);
+
+    if (output.destroyed) {
+      logger.warn('Attendance export aborted by client', { userId: user.id, exported });
+      return null;
+    }
+
+    await writer.end();
+    output.end();
+  } catch (error) {
+    logger.error('Attendance export failed', { userId: user.id, exported, error: error.message });
+    output.destroy(error);
+    return null;
+  }
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, description, ip_address, metadata)
+     VALUES ($1, 'ATTENDANCE_EXPORTED', 'attendance', 'Attendance exported', $2, $3)`,
+    [user.id, client.ipAddress || null, JSON.stringify({
+      format: options.format,
+      columns: options.columns,
+      filters: options.filters,
+      records: exported
+    })]
+  );
+
+  logger.info('Attendance exported', { userId: user.id, format: options.format, records: exported });
+
+  return exported;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  prepareExport,
+  streamExport
+};
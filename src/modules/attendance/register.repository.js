@@ -0,0 +1,289 @@
+/**
+ * Attendance Register Repository
+ *
+ * Database queries for the daily attendance register
+ *
+ * @module modules/attendance/register.repository
+ */
+
+const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
+
+/**
+ * Columns of a register row, in the order used for bulk inserts
+ */
+const ENTRY_COLUMNS = `register_date date, user_id uuid, facility_id uuid, status varchar,
+  shift_id uuid, scheduled_start timestamptz, scheduled_end timestamptz, attendance_id uuid,
+  first_clock_in timestamptz, last_clock_out timestamptz, late_minutes int, correction_id uuid,
+  leave_request_id uuid, holiday_id uuid`;
+
+/**
+ * Format register row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted register entry
+ */
+function formatEntry(row) {
+  return {
+    userId: row.user_id,
+    name: `${row.first_name} ${row.last_name}`,
+    employeeId: row.employee_id,
+    facility: row.facility_id ? { id: row.facility_id, name: row.facility_name } : null,
+    status: row.status,
+    shift: row.shift_id ? { id: row.shift_id, name: row.shift_name } : null,
+    scheduledStart: row.scheduled_start,
+    scheduledEnd: row.scheduled_end,
+    attendanceId: row.attendance_id,
+    firstClockIn: row.first_clock_in,
+    lastClockOut: row.last_clock_out,
+    lateMinutes: row.late_minutes,
+    correctionId: row.correction_id,
+    leaveRequestId: row.leave_request_id,
+    holiday: row.holiday_id ? { id: row.holiday_id, name: row.holiday_name } : null
+  };
+}
+
+/**
+ * Convert a register entry to the row shape used by jsonb_to_recordset
+ *
+ * @param {Object} entry - Register entry with its date (see register.service)
+ * @returns {Object} Row
+ */
+function toRow(entry) {
+  return {
+    register_date: entry.date,
+    user_id: entry.userId,
+    facility_id: entry.facility ? entry.facility.id : null,
+    status: entry.status,
+    shift_id: entry.shift ? entry.shift.id : null,
+    scheduled_start: entry.scheduledStart,
+    scheduled_end: entry.scheduledEnd,
+    attendance_id: entry.attendanceId,
+    first_clock_in: entry.firstClockIn,
+    last_clock_out: entry.lastClockOut,
+    late_minutes: entry.lateMinutes,
+    correction_id: entry.correctionId || null,
+    leave_request_id: entry.leaveRequestId || null,
+    holiday_id: entry.holiday ? entry.holiday.id : null
+  };
+}
+
+/**
+ * Find active users expected in the register of a day
+ *
+ * Users are listed under the facility they were assigned to on that day
+ * (see user_assignments), so past days keep reporting against the facility
+ * a user belonged to before a transfer.
+ *
+ * @param {Object} filters - Filters ({ date, facilityId, userId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} User rows
+ */
+async function findMembers(filters = {}, scope = null) {
+  const params = [filters.date];
+  const conditions = [
+    "u.status = 'active'",
+    ...buildScopeConditions(scope, {
+      regionId: 'c.region_id',
+      councilId: 'f.council_id',
+      facilityId: 'ua.facility_id',
+      userId: 'u.id'
+    }, params)
+  ];
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`ua.facility_id = $${params.length}`);
+  }
+
+  if (filters.userId) {
+    params.push(filters.userId);
+    conditions.push(`u.id = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `SELECT
+      u.id, u.first_name, u.last_name, u.employee_id, ua.facility_id, f.name AS facility_name,
+      c.region_id
+    FROM users u
+    INNER JOIN user_assignments ua ON ua.user_id = u.id
+      AND ua.effective_from <= $1 AND (ua.effective_to IS NULL OR ua.effective_to >= $1)
+    INNER JOIN facilities f ON ua.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY u.last_name, u.first_name`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find the frozen register day
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Day row ({ register_date, entry_count, frozen_at }) or null
+ */
+async function findDay(date) {
+  const result = await db.query(
+    `SELECT register_date::text AS register_date, entry_count, frozen_at
+     FROM attendance_register_days WHERE register_date = $1`,
+    [date]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Find the latest frozen register day
+ *
+ * @returns {Promise<string|null>} Date (YYYY-MM-DD), or null when no day is frozen
+ */
+async function findLatestDay() {
+  const result = await db.query(
+    'SELECT MAX(register_date)::text AS register_date FROM attendance_register_days'
+  );
+
+  return result.rows[0].register_date;
+}
+
+/**
+ * Find which of the given dates are frozen
+ *
+ * @param {Array<string>} dates - Dates (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} Frozen dates
+ */
+async function findFrozenDates(dates) {
+  const result = await db.query(
+    `SELECT register_date::text AS register_date FROM attendance_register_days
+     WHERE register_date = ANY($1::date[])
+     ORDER BY register_date`,
+    [dates]
+  );
+
+  return result.rows.map((row) => row.register_date);
+}
+
+/**
+ * Find the frozen register entries of a day
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} filters - Filters ({ facilityId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Register entries
+ */
+async function findEntries(date, filters = {}, scope = null) {
+  const params = [date];
+  const conditions = [
+    'ar.register_date = $1',
+    ...buildScopeConditions(scope, {
+      regionId: 'c.region_id',
+      councilId: 'f.council_id',
+      facilityId: 'ar.facility_id',
+      userId: 'ar.user_id'
+    }, params)
+  ];
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`ar.facility_id = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `SELECT
+      ar.*, u.first_name, u.last_name, u.employee_id,
+      f.name AS facility_name, s.name AS shift_name, h.name AS holiday_name
+    FROM attendance_register ar
+    INNER JOIN users u ON ar.user_id = u.id
+    LEFT JOIN facilities f ON ar.facility_id = f.id
+    LEFT JOIN councils c ON f.council_id = c.id
+    LEFT JOIN shifts s ON ar.shift_id = s.id
+    LEFT JOIN holidays h ON ar.holiday_id = h.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY u.last_name, u.first_name`,
+    params
+  );
+
+  return result.rows.map((row) => formatEntry(row));
+}
+
+/**
+ * Store and freeze the register of a day
+ *
+ * Does nothing when the day is already frozen, so concurrent runs (several
+ * server instances) build each day once.
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Array} entries - Register entries with their date
+ * @returns {Promise<boolean>} True if the day was frozen by this call
+ */
+async function freezeDay(date, entries) {
+  return db.transaction(async (trx) => {
+    const day = await trx.query(
+      `INSERT INTO attendance_register_days (register_date, entry_count)
+       VALUES ($1, $2)
+       ON CONFLICT (register_date) DO NOTHING
+       RETURNING register_date`,
+      [date, entries.length]
+    );
+
+    if (day.rows.length === 0) {
+      return false;
+    }
+
+    await trx.query(
+      `INSERT INTO attendance_register (
+        register_date, user_id, facility_id, status, shift_id, scheduled_start, scheduled_end,
+        attendance_id, first_clock_in, last_clock_out, late_minutes, correction_id, leave_request_id,
+        holiday_id
+      )
+      SELECT * FROM jsonb_to_recordset($1::jsonb) AS r(${ENTRY_COLUMNS})`,
+      [JSON.stringify(entries.map((entry) => toRow(entry)))]
+    );
+
+    return true;
+  });
+}
+
+/**
+ * Replace register entries of a frozen day (after an approved correction or leave)
+ *
+ * Keeps the correction reference of rows refreshed for another reason.
+ *
+ * @param {Array} entries - Register entries with their date
+ * @returns {Promise<void>}
+ */
+async function upsertEntries(entries) {
+  await db.query(
+    `INSERT INTO attendance_register (
+      register_date, user_id, facility_id, status, shift_id, scheduled_start, scheduled_end,
+      attendance_id, first_clock_in, last_clock_out, late_minutes, correction_id, leave_request_id,
+      holiday_id
+    )
+    SELECT * FROM jsonb_to_recordset($1::jsonb) AS r(${ENTRY_COLUMNS})
+    ON CONFLICT (register_date, user_id) DO UPDATE SET
+      facility_id = EXCLUDED.facility_id,
+      status = EXCLUDED.status,
+      shift_id = EXCLUDED.shift_id,
+      scheduled_start = EXCLUDED.scheduled_start,
+      scheduled_end = EXCLUDED.scheduled_end,
+      attendance_id = EXCLUDED.attendance_id,
+      first_clock_in = EXCLUDED.first_clock_in,
+      last_clock_out = EXCLUDED.last_clock_out,
+      late_minutes = EXCLUDED.late_minutes,
+      correction_id = COALESCE(EXCLUDED.correction_id, attendance_register.correction_id),
+      leave_request_id = EXCLUDED.leave_request_id,
+      holiday_id = EXCLUDED.holiday_id`,
+    [JSON.stringify(entries.map((entry) => toRow(entry)))]
+  );
+}
+
+module.exports = {
+  findMembers,
+  findDay,
+  findLatestDay,
+  findFrozenDates,
+  findEntries,
+  freezeDay,
+  upsertEntries
+};
@@ -0,0 +1,387 @@
+/**
+ * Attendance Register Service
+ *
+ * Builds the daily register: every active user assigned to a facility gets
+ * one status per day. The expected working time comes from the user's
+ * shifts (see shifts module); users without any shift assignment follow the
+ * default working day (WORKING_DAYS, WORKDAY_START - WORKDAY_END). Scheduled
+ * days that fall on a holiday of the facility's region are not counted as
+ * absences, and arrivals on a holiday are never late.
+ *
+ * Past days are frozen by a nightly job. Attendance of a frozen day cannot be
+ * recorded or edited directly anymore; approved corrections and leave
+ * refresh the affected register rows.
+ *
+ * @module modules/attendance/register.service
+ */
+
+const registerRepository = require('./register.repository');
+const attendanceRepository = require('./attendance.repository');
+const shiftsRepository = require('../shifts/shifts.repository');
+const leaveRepository = require('../leave/leave.repository');
+const holidaysRepository = require('../holidays/holidays.repository');
+const holidaysService = require('../holidays/holidays.service');
+const shiftsService = require('../shifts/shifts.service');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const shiftMatcher = require('../../utils/shiftMatcher');
+const logger = require('../../utils/logger');
+
+/**
+ * Shift used for users without any shift assignment
+ *
+ * @returns {Object} Shift-like object understood by utils/shiftMatcher
+ */
+function getDefaultShift() {
+  const {
+    workdayStart, workdayEnd, workingDays, lateGraceMinutes
+  } = appConfig.attendance;
+
+  return {
+    id: null,
+    name: 'Default working day',
+    startTime: workdayStart,
+    endTime: workdayEnd,
+    daysOfWeek: workingDays,
+    graceMinutes: lateGraceMinutes
+  };
+}
+
+/**
+ * Evaluate the register entry of one user for one day
+ *
+ * @param {Object} params - Inputs
+ * @param {Object} params.member - User row (id, names, facility)
+ * @param {string} params.date - Date (YYYY-MM-DD)
+ * @param {Array} params.shifts - Shifts assigned to the user that day
+ * @param {Array} params.records - Attendance records of the user
+ * @param {Object} params.leave - Approved leave covering the day, if any
+ * @param {Object} params.holiday - Holiday observed at the user's facility, if any
+ * @param {string} params.timezone - IANA timezone
+ * @param {Date} params.now - Current time
+ * @returns {Object} Register entry
+ */
+function evaluateEntry({
+  member, date, shifts, records, leave, holiday, timezone, now
+}) {
+  const scheduled = shifts.length > 0 ? shifts : [getDefaultShift()];
+  const [occurrence] = shiftMatcher.getOccurrences(scheduled, date, timezone);
+  const dayRecords = shiftsService.getDayRecords(records, date, timezone);
+  const [first] = dayRecords;
+
+  const clockOuts = dayRecords.map((record) => record.clockOut).filter(Boolean);
+  const lastClockOut = clockOuts.length > 0
+    ? new Date(Math.max(...clockOuts.map((time) => new Date(time).getTime())))
+    : null;
+
+  let status;
+  let lateMinutes = 0;
+
+  if (first) {
+    const arrival = occurrence && !holiday
+      ? shiftMatcher.classifyTiming(occurrence.start, first.clockIn, occurrence.shift.graceMinutes)
+      : null;
+    status = arrival && arrival.status === 'late' ? 'late' : 'present';
+    lateMinutes = status === 'late' ? arrival.minutes : 0;
+  } else if (!occurrence) {
+    status = 'off';
+  } else if (holiday) {
+    status = 'holiday';
+  } else if (leave) {
+    status = 'on_leave';
+  } else {
+    const lateAfter = occurrence.start.getTime() + occurrence.shift.graceMinutes * 60 * 1000;
+    status = now.getTime() > lateAfter ? 'absent' : 'scheduled';
+  }
+
+  return {
+    userId: member.id,
+    name: `${member.first_name} ${member.last_name}`,
+    employeeId: member.employee_id,
+    facility: { id: member.facility_id, name: member.facility_name },
+    status,
+    shift: occurrence && occurrence.shift.id
+      ? { id: occurrence.shift.id, name: occurrence.shift.name }
+      : null,
+    scheduledStart: occurrence ? occurrence.start : null,
+    scheduledEnd: occurrence ? occurrence.end : null,
+    attendanceId: first ? first.id : null,
+    firstClockIn: first ? first.clockIn : null,
+    lastClockOut,
+    lateMinutes,
+    leaveRequestId: leave ? leave.id : null,
+    holiday: holiday ? { id: holiday.id, name: holiday.name } : null
+  };
+}
+
+/**
+ * Compute register entries of a day from current attendance and schedules
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} filters - Filters ({ facilityId, userId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Register entries
+ */
+async function computeEntries(date, filters = {}, scope = null) {
+  const { timezone } = appConfig.attendance;
+  const members = await registerRepository.findMembers({ ...filters, date }, scope);
+
+  if (members.length === 0) {
+    return [];
+  }
+
+  const userIds = members.map((member) => member.id);
+  const facilityIds = [...new Set(members.map((member) => member.facility_id))];
+  const regionIds = [...new Set(members.map((member) => member.region_id))];
+
+  // Pad the attendance window by a day on each side for overnight shifts and timezone offsets
+  const [assignments, records, leave, holidays] = await Promise.all([
+    shiftsRepository.findRosterAssignments(userIds, facilityIds, date, date),
+    attendanceRepository.findByUsersBetween(
+      userIds,
+      new Date(`${shiftMatcher.addDays(date, -1)}T00:00:00Z`),
+      new Date(`${shiftMatcher.addDays(date, 2)}T00:00:00Z`)
+    ),
+    leaveRepository.findApprovedBetween(userIds, date, date),
+    holidaysRepository.findBetween(date, date, regionIds)
+  ]);
+
+  const now = new Date();
+  const findHoliday = holidaysService.createHolidayLookup(holidays);
+
+  return members.map((member) => evaluateEntry({
+    member,
+    date,
+    shifts: shiftsService.getMemberShifts(assignments, member, date),
+    records: records.filter((record) => record.userId === member.id),
+    leave: leave.find((item) => item.userId === member.id) || null,
+    holiday: findHoliday(date, member.region_id),
+    timezone,
+    now
+  }));
+}
+
+/**
+ * Get today's date in the attendance timezone
+ *
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getToday() {
+  return shiftMatcher.getLocalParts(new Date(), appConfig.attendance.timezone).date;
+}
+
+/**
+ * Build and freeze the register of a past day
+ *
+ * @param {string} date - Date (YYYY-MM-DD), before today
+ * @returns {Promise<Object>} Result ({ date, frozen, entries })
+ */
+async function buildRegister(date) {
+  if (date >= getToday()) {
+    throw new AppError('Only past days can be frozen', 400);
+  }
+
+  const entries = await computeEntries(date);
+  const frozen = await registerRepository.freezeDay(
+    date,
+    entries.map((entry) => ({ ...entry, date }))
+  );
+
+  if (frozen) {
+    logger.info('Attendance register frozen', { date, entries: entries.length });
+  }
+
+  return { date, frozen, entries: entries.length };
+}
+
+/**
+ * Freeze the registers of past days not frozen yet (nightly job)
+ *
+ * Waits until REGISTER_FREEZE_TIME so offline records of the previous day
+ * synced shortly after midnight still land in the register. Days after the
+ * latest frozen day that were missed while the server was down are built
+ * first, in order, going back at most REGISTER_CATCH_UP_DAYS before
+ * yesterday.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Build results, empty if nothing to do
+ */
+async function freezePastDays(now = new Date()) {
+  const { timezone, registerFreezeTime, registerCatchUpDays } = appConfig.attendance;
+  const { date: today, offsetMs } = shiftMatcher.getLocalParts(now, timezone);
+  const localMinutes = ((now.getTime() + offsetMs) - Date.parse(`${today}T00:00:00Z`)) / 60000;
+
+  if (localMinutes < shiftMatcher.parseTimeOfDay(registerFreezeTime)) {
+    return [];
+  }
+
+  const yesterday = shiftMatcher.addDays(today, -1);
+  const earliest = shiftMatcher.addDays(yesterday, -registerCatchUpDays);
+  const latest = await registerRepository.findLatestDay();
+
+  if (latest && latest >= yesterday) {
+    return [];
+  }
+
+  let start = latest ? shiftMatcher.addDays(latest, 1) : yesterday;
+
+  if (start < earliest) {
+    logger.warn('Attendance register days left unfrozen beyond the catch-up window', {
+      from: start,
+      to: shiftMatcher.addDays(earliest, -1)
+    });
+    start = earliest;
+  }
+
+  const dates = [];
+  for (let date = start; date <= yesterday; date = shiftMatcher.addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  return dates.reduce(async (previous, date) => {
+    const results = await previous;
+    return [...results, await buildRegister(date)];
+  }, Promise.resolve([]));
+}
+
+/**
+ * Check whether a day's register is frozen
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<boolean>} True if frozen
+ */
+async function isDateFrozen(date) {
+  return Boolean(await registerRepository.findDay(date));
+}
+
+/**
+ * Ensure attendance at a point in time may still be recorded or edited
+ *
+ * @param {Date|string} time - Clock-in time of the record
+ * @throws {AppError} If the day is frozen
+ */
+async function assertEditable(time) {
+  const { date } = shiftMatcher.getLocalParts(new Date(time), appConfig.attendance.timezone);
+
+  if (await isDateFrozen(date)) {
+    throw new AppError(
+      `The attendance register for ${date} is closed. Submit a correction request instead`,
+      409
+    );
+  }
+}
+
+/**
+ * Recompute frozen register rows of a user
+ *
+ * Days that are not frozen yet are skipped; they are computed when frozen.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<string>} dates - Dates (YYYY-MM-DD)
+ * @param {Object} changes - What caused the refresh ({ correctionId })
+ * @returns {Promise<void>}
+ */
+async function refreshDays(userId, dates, changes = {}) {
+  const frozenDates = await registerRepository.findFrozenDates([...new Set(dates)]);
+
+  const entries = (await Promise.all(frozenDates.map(async (date) => (
+    (await computeEntries(date, { userId })).map((entry) => ({ ...entry, ...changes, date }))
+  )))).flat();
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  await registerRepository.upsertEntries(entries);
+
+  logger.info('Attendance register refreshed', {
+    userId,
+    ...changes,
+    dates: frozenDates
+  });
+}
+
+/**
+ * Recompute frozen register rows of a user after an approved correction
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Date|string>} times - Clock-in times before and after the correction
+ * @param {string} correctionId - Approved correction ID
+ * @returns {Promise<void>}
+ */
+async function refreshEntries(userId, times, correctionId) {
+  const { timezone } = appConfig.attendance;
+  const dates = times
+    .filter(Boolean)
+    .map((time) => shiftMatcher.getLocalParts(new Date(time), timezone).date);
+
+  await refreshDays(userId, dates, { correctionId });
+}
+
+/**
+ * Summarize register entries by status
+ *
+ * @param {Array} entries - Register entries
+ * @returns {Object} Count per status
+ */
+function summarize(entries) {
+  const summary = {
+    total: entries.length,
+    present: 0,
+    late: 0,
+    absent: 0,
+    on_leave: 0,
+    holiday: 0,
+    off: 0,
+    scheduled: 0
+  };
+
+  entries.forEach((entry) => {
+    summary[entry.status] += 1;
+  });
+
+  return summary;
+}
+
+/**
+ * Get the register of a day
+ *
+ * Frozen days return the stored register; other days (today, or past days
+ * not frozen yet) are computed live.
+ *
+ * @param {Object} filters - Filters ({ date, facilityId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} Register
+ */
+async function getRegister(filters = {}, scope = null) {
+  const date = filters.date || getToday();
+
+  if (date > getToday()) {
+    throw new AppError('The register is not available for future days', 400);
+  }
+
+  const day = await registerRepository.findDay(date);
+  const entries = day
+    ? await registerRepository.findEntries(date, { facilityId: filters.facilityId }, scope)
+    : await computeEntries(date, { facilityId: filters.facilityId }, scope);
+
+  return {
+    date,
+    timezone: appConfig.attendance.timezone,
+    frozen: Boolean(day),
+    frozenAt: day ? day.frozen_at : null,
+    summary: summarize(entries),
+    entries
+  };
+}
+
+module.exports = {
+  computeEntries,
+  buildRegister,
+  freezePastDays,
+  isDateFrozen,
+  assertEditable,
+  refreshDays,
+  refreshEntries,
+  getRegister
+};
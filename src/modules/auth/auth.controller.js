@@ -8,7 +8,39 @@
 
 const authService = require('./auth.service');
 const { asyncHandler } = require('../../middleware/errorHandler.middleware');
-const logger = require('../../utils/logger');
+
+/**
+ * Extract client metadata stored with refresh tokens and activities
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object} Client metadata
+ */
+function getClientInfo(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null,
+    deviceId: req.body?.deviceId || req.get('x-device-id') || null
+  };
+}
+
+/**
+ * Build the message of a login response
+ *
+ * @param {Object} result - Login result
+ * @returns {string} Response message
+ */
+function getLoginMessage(result) {
+  if (result.twoFactorRequired) {
+    return 'Two-factor authentication code required';
+  }
+  if (result.passwordChangeRequired) {
+    return 'Password change required';
+  }
+  if (result.twoFactorSetupRequired) {
+    return 'Two-factor authentication setup required';
+  }
+  return 'Login successful';
+}
 
 /**
  * Register a new user
@@ -40,7 +72,7 @@ const register = asyncHandler(async (req, res) => {
     supervisorId,
     phone,
     employeeId
-  });
+  }, getClientInfo(req));
 
   res.status(201).json({
     success: true,
@@ -58,13 +90,31 @@ const register = asyncHandler(async (req, res) => {
  */
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
-  const ipAddress = req.ip;
 
-  const result = await authService.login(email, password, ipAddress);
+  const result = await authService.login(email, password, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: getLoginMessage(result),
+    data: result
+  });
+});
+
+/**
+ * Complete login with a two-factor code
+ * POST /api/auth/2fa/login
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const result = await authService.completeTwoFactorLogin(challengeToken, code, getClientInfo(req));
 
   res.status(200).json({
     success: true,
-    message: 'Login successful',
+    message: getLoginMessage(result),
     data: result
   });
 });
@@ -86,7 +136,7 @@ const refresh = asyncHandler(async (req, res) => {
     });
   }
 
-  const result = await authService.refreshAccessToken(refreshToken);
+  const result = await authService.refreshAccessToken(refreshToken, getClientInfo(req));
 
   res.status(200).json({
     success: true,
@@ -117,29 +167,209 @@ const getMe = asyncHandler(async (req, res) => {
  * @param {Object} res - Express response object
  */
 const logout = asyncHandler(async (req, res) => {
-  // Log logout activity
-  const db = require('../../config/database');
-  await db.query(
-    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
-     VALUES ($1, 'LOGOUT', 'user', $2, 'User logged out', $3)`,
-    [req.user.id, req.user.id, req.ip]
+  const { refreshToken, allDevices } = req.body;
+
+  const revoked = await authService.logout(
+    req.user,
+    { refreshToken, allDevices: allDevices === true },
+    getClientInfo(req)
   );
 
-  logger.info('User logged out', {
-    userId: req.user.id,
-    email: req.user.email
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully',
+    data: { revokedSessions: revoked }
+  });
+});
+
+/**
+ * Sign a user out of every device (admin only)
+ * POST /api/auth/users/:id/revoke-sessions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeUserSessions = asyncHandler(async (req, res) => {
+  const revoked = await authService.revokeUserSessions(req.params.id, req.user, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'User signed out of all devices',
+    data: { revokedSessions: revoked }
+  });
+});
+
+/**
+ * Change password of the current user
+ * POST /api/auth/change-password
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const tokens = await authService.changePassword(req.user, currentPassword, newPassword, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully. Please sign in again on your other devices.',
+    data: { tokens }
+  });
+});
+
+/**
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await authService.requestPasswordReset(req.body.email, getClientInfo(req));
+
+  // Same response whether or not the email exists
+  res.status(200).json({
+    success: true,
+    message: 'If the email is registered, a password reset link has been sent'
+  });
+});
+
+/**
+ * Reset password with a reset token
+ * POST /api/auth/reset-password
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  await authService.resetPassword(token, newPassword, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. Please sign in with your new password.'
+  });
+});
+
+/**
+ * Unlock an account locked after failed logins (admin only)
+ * POST /api/auth/users/:id/unlock
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlockAccount = asyncHandler(async (req, res) => {
+  const result = await authService.unlockAccount(req.params.id, req.user, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Account unlocked successfully',
+    data: result
+  });
+});
+
+/**
+ * Start two-factor enrollment
+ * POST /api/auth/2fa/setup
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.setupTwoFactor(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the provisioning URI with an authenticator app, then verify a code',
+    data: result
+  });
+});
+
+/**
+ * Confirm two-factor enrollment with a code
+ * POST /api/auth/2fa/verify
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.confirmTwoFactorSetup(req.user, req.body.code, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the backup codes in a safe place.',
+    data: result
+  });
+});
+
+/**
+ * Disable two-factor authentication
+ * POST /api/auth/2fa/disable
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  await authService.disableTwoFactor(req.user, password, code, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Regenerate two-factor backup codes
+ * POST /api/auth/2fa/backup-codes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const backupCodes = await authService.regenerateBackupCodes(req.user, req.body.code, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Backup codes regenerated. Previous codes no longer work.',
+    data: { backupCodes }
   });
+});
+
+/**
+ * Reset two-factor enrollment of a user (admin only)
+ * POST /api/auth/users/:id/2fa/reset
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetTwoFactor = asyncHandler(async (req, res) => {
+  await authService.resetTwoFactor(req.params.id, req.user, getClientInfo(req));
 
   res.status(200).json({
     success: true,
-    message: 'Logged out successfully'
+    message: 'Two-factor authentication reset'
   });
 });
 
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   refresh,
   getMe,
-  logout
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  revokeUserSessions,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetTwoFactor
 };
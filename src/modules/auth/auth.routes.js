@@ -13,7 +13,14 @@ const { adminOnly } = require('../../middleware/roleAuth.middleware');
 const { authLimiter } = require('../../middleware/rateLimiter.middleware');
 const {
   validateRegistration,
-  validateLogin
+  validateLogin,
+  validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateUuidParam
 } = require('../../middleware/validation.middleware');
 
 const router = express.Router();
@@ -44,6 +51,18 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/2fa/login
+ * @desc    Complete login with a TOTP or backup code
+ * @access  Public (challenge token from login)
+ */
+router.post(
+  '/2fa/login',
+  authLimiter,
+  validateTwoFactorLogin,
+  authController.loginTwoFactor
+);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -67,7 +86,7 @@ router.get(
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user
+ * @desc    Logout user (revokes the given refresh token, or all with allDevices)
  * @access  Private
  */
 router.post(
@@ -76,4 +95,130 @@ router.post(
   authController.logout
 );
 
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password (current password required)
+ * @access  Private
+ */
+router.post(
+  '/change-password',
+  authLimiter,
+  authenticate,
+  validateChangePassword,
+  authController.changePassword
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validateForgotPassword,
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a reset token
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  authLimiter,
+  validateResetPassword,
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generate a TOTP secret and provisioning URI
+ * @access  Private
+ */
+router.post(
+  '/2fa/setup',
+  authenticate,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm enrollment with a code and receive backup codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/verify',
+  authLimiter,
+  authenticate,
+  validateTwoFactorCode,
+  authController.verifyTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication (password and code required)
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authLimiter,
+  authenticate,
+  validateTwoFactorDisable,
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Regenerate backup codes (current code required)
+ * @access  Private
+ */
+router.post(
+  '/2fa/backup-codes',
+  authLimiter,
+  authenticate,
+  validateTwoFactorCode,
+  authController.regenerateBackupCodes
+);
+
+/**
+ * @route   POST /api/auth/users/:id/2fa/reset
+ * @desc    Reset two-factor enrollment of a user who lost their device (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/users/:id/2fa/reset',
+  authenticate,
+  adminOnly,
+  validateUuidParam('id'),
+  authController.resetTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/users/:id/unlock
+ * @desc    Unlock an account locked after failed logins (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/users/:id/unlock',
+  authenticate,
+  adminOnly,
+  validateUuidParam('id'),
+  authController.unlockAccount
+);
+
+/**
+ * @route   POST /api/auth/users/:id/revoke-sessions
+ * @desc    Sign a user out of every device (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/users/:id/revoke-sessions',
+  authenticate,
+  adminOnly,
+  validateUuidParam('id'),
+  authController.revokeUserSessions
+);
+
 module.exports = router;
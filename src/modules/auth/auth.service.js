@@ -6,21 +6,37 @@
  * @module modules/auth/auth.service
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const authConfig = require('../../config/auth');
+const appConfig = require('../../config/app');
 const db = require('../../config/database');
 const passwordService = require('./password.service');
+const tokenService = require('./token.service');
+const lockoutService = require('./lockout.service');
+const twoFactorService = require('./twoFactor.service');
 const logger = require('../../utils/logger');
+const mailer = require('../../utils/mailer');
+const { getLocalParts } = require('../../utils/shiftMatcher');
 const { AppError } = require('../../middleware/errorHandler.middleware');
 
+/**
+ * User columns needed by both login steps
+ */
+const LOGIN_USER_COLUMNS = `id, email, password_hash, first_name, last_name, role,
+  facility_id, supervisor_id, phone, employee_id, status,
+  locked_until, password_changed_at, must_change_password,
+  two_factor_enabled, two_factor_secret, two_factor_last_counter`;
+
 /**
  * Generate JWT access token
  * 
  * @param {Object} user - User object
+ * @param {string} scope - Optional restricted scope (see authConfig.restrictedScopes)
  * @returns {string} JWT token
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, scope = null) {
   const payload = {
     userId: user.id,
     email: user.email,
@@ -28,8 +44,12 @@ function generateAccessToken(user) {
     facilityId: user.facility_id || null
   };
 
+  if (scope) {
+    payload.scope = scope;
+  }
+
   return jwt.sign(payload, authConfig.jwt.secret, {
-    expiresIn: authConfig.jwt.expiresIn,
+    expiresIn: scope ? authConfig.restrictedScopes[scope].expiresIn : authConfig.jwt.expiresIn,
     algorithm: authConfig.jwt.algorithm,
     issuer: authConfig.jwt.issuer,
     audience: authConfig.jwt.audience
@@ -37,50 +57,135 @@ function generateAccessToken(user) {
 }
 
 /**
- * Generate JWT refresh token
- * 
- * @param {Object} user - User object
- * @returns {string} JWT refresh token
+ * Format user for authentication responses
+ *
+ * @param {Object} user - User row
+ * @returns {Object} Formatted user
  */
-function generateRefreshToken(user) {
-  const payload = {
-    userId: user.id,
-    type: 'refresh'
+function formatAuthUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    facilityId: user.facility_id,
+    supervisorId: user.supervisor_id,
+    phone: user.phone,
+    employeeId: user.employee_id,
+    status: user.status
   };
+}
 
-  return jwt.sign(payload, authConfig.jwt.refreshSecret, {
-    expiresIn: authConfig.jwt.refreshExpiresIn,
-    algorithm: authConfig.jwt.algorithm,
-    issuer: authConfig.jwt.issuer,
-    audience: authConfig.jwt.audience
-  });
+/**
+ * Issue a full access/refresh token pair
+ *
+ * @param {Object} user - User row
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} Tokens
+ */
+async function issueTokens(user, client = {}) {
+  const accessToken = generateAccessToken(user);
+  const refreshToken = await tokenService.issueRefreshToken(user, client);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: authConfig.jwt.expiresIn
+  };
 }
 
 /**
- * Verify refresh token
- * 
- * @param {string} token - Refresh token
- * @returns {Object} Decoded token payload
+ * Build a restricted token response for a scope in authConfig.restrictedScopes
+ *
+ * @param {Object} user - User row
+ * @param {string} scope - Restricted scope
+ * @returns {Object} Restricted tokens (no refresh token)
+ */
+function issueRestrictedTokens(user, scope) {
+  return {
+    accessToken: generateAccessToken(user, scope),
+    expiresIn: authConfig.restrictedScopes[scope].expiresIn,
+    scope
+  };
+}
+
+/**
+ * Issue the tokens a user is entitled to after authenticating
+ *
+ * Users whose role requires two-factor authentication but who have not
+ * enrolled yet only receive a token that allows completing the setup.
+ *
+ * @param {Object} user - User row with role and two_factor_enabled
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} Tokens
+ */
+async function issueSessionTokens(user, client = {}) {
+  if (twoFactorService.isSetupRequired(user)) {
+    return issueRestrictedTokens(user, 'two_factor_setup');
+  }
+
+  return issueTokens(user, client);
+}
+
+/**
+ * Determine whether a user must change their password before using the API
+ *
+ * @param {Object} user - User row with must_change_password and password_changed_at
+ * @returns {string|null} Reason ('reset_required' or 'expired'), or null
  */
-function verifyRefreshToken(token) {
-  try {
-    return jwt.verify(token, authConfig.jwt.refreshSecret, {
-      algorithms: [authConfig.jwt.algorithm],
-      issuer: authConfig.jwt.issuer,
-      audience: authConfig.jwt.audience
-    });
-  } catch (error) {
-    throw new AppError('Invalid refresh token', 401);
+function getPasswordChangeReason(user) {
+  if (user.must_change_password) {
+    return 'reset_required';
+  }
+
+  if (passwordService.isPasswordExpired(user.password_changed_at)) {
+    return 'expired';
   }
+
+  return null;
+}
+
+/**
+ * Record a password hash in the password history and trim old entries
+ *
+ * @param {string} userId - User ID
+ * @param {string} passwordHash - bcrypt hash
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<void>}
+ */
+async function recordPasswordHistory(userId, passwordHash, executor = db) {
+  const { historySize } = authConfig.password;
+
+  if (!historySize) {
+    return;
+  }
+
+  await executor.query(
+    'INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)',
+    [userId, passwordHash]
+  );
+
+  await executor.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1 AND id NOT IN (
+       SELECT id FROM password_history
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2
+     )`,
+    [userId, historySize]
+  );
 }
 
 /**
  * Register a new user
  * 
  * @param {Object} userData - User registration data
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
  * @returns {Promise<Object>} Created user and tokens
  */
-async function register(userData) {
+async function register(userData, client = {}) {
   const {
     email,
     password,
@@ -158,6 +263,15 @@ async function register(userData) {
 
   const user = result.rows[0];
 
+  await recordPasswordHistory(user.id, passwordHash);
+
+  // Start the user's facility and supervisor history (see user_assignments)
+  await db.query(
+    `INSERT INTO user_assignments (user_id, facility_id, supervisor_id, effective_from)
+     VALUES ($1, $2, $3, $4)`,
+    [user.id, user.facility_id, user.supervisor_id, getLocalParts(new Date(), appConfig.attendance.timezone).date]
+  );
+
   // Log activity
   await db.query(
     `INSERT INTO activities (user_id, action, entity_type, entity_id, description)
@@ -171,28 +285,68 @@ async function register(userData) {
     role: user.role
   });
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+  return {
+    user: formatAuthUser(user),
+    tokens: await issueTokens(user, client)
+  };
+}
+
+/**
+ * Finish a successful login and build the login response
+ *
+ * @param {Object} user - User row (LOGIN_USER_COLUMNS)
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @param {string} twoFactorMethod - Second factor used ('totp', 'backup_code'), if any
+ * @returns {Promise<Object>} User and tokens
+ */
+async function completeLogin(user, client = {}, twoFactorMethod = null) {
+  const ipAddress = client.ipAddress || null;
+
+  // Update last login timestamp
+  await db.query(
+    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  // Log successful login
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'LOGIN_SUCCESS', 'user', $2, 'User logged in successfully', $3, $4)`,
+    [user.id, user.id, ipAddress, JSON.stringify({ twoFactorMethod })]
+  );
+
+  logger.info('User logged in', {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    twoFactorMethod,
+    ipAddress
+  });
+
+  // Expired or administratively reset passwords get a token limited to changing it
+  const passwordChangeReason = getPasswordChangeReason(user);
+
+  if (passwordChangeReason) {
+    return {
+      user: formatAuthUser(user),
+      passwordChangeRequired: true,
+      reason: passwordChangeReason,
+      tokens: issueRestrictedTokens(user, 'password_change')
+    };
+  }
+
+  // Roles with mandatory two-factor must enroll before getting a full session
+  if (twoFactorService.isSetupRequired(user)) {
+    return {
+      user: formatAuthUser(user),
+      twoFactorSetupRequired: true,
+      tokens: issueRestrictedTokens(user, 'two_factor_setup')
+    };
+  }
 
   return {
-    user: {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role,
-      facilityId: user.facility_id,
-      supervisorId: user.supervisor_id,
-      phone: user.phone,
-      employeeId: user.employee_id,
-      status: user.status
-    },
-    tokens: {
-      accessToken,
-      refreshToken,
-      expiresIn: authConfig.jwt.expiresIn
-    }
+    user: formatAuthUser(user),
+    tokens: await issueTokens(user, client)
   };
 }
 
@@ -201,14 +355,15 @@ async function register(userData) {
  * 
  * @param {string} email - User email
  * @param {string} password - User password
- * @param {string} ipAddress - Client IP address
- * @returns {Promise<Object>} User and tokens
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} User and tokens, or a two-factor challenge
  */
-async function login(email, password, ipAddress = null) {
+async function login(email, password, client = {}) {
+  const ipAddress = client.ipAddress || null;
+
   // Get user from database
   const result = await db.query(
-    `SELECT id, email, password_hash, first_name, last_name, role, 
-            facility_id, supervisor_id, phone, employee_id, status
+    `SELECT ${LOGIN_USER_COLUMNS}
      FROM users 
      WHERE email = $1`,
     [email.toLowerCase()]
@@ -225,6 +380,12 @@ async function login(email, password, ipAddress = null) {
     throw new AppError('Account is not active', 401);
   }
 
+  // Refuse locked accounts before checking the password
+  if (lockoutService.isLocked(user)) {
+    await lockoutService.recordBlockedAttempt(user, ipAddress);
+    throw lockoutService.lockedError(user.locked_until);
+  }
+
   // Verify password
   const isPasswordValid = await passwordService.comparePassword(
     password,
@@ -232,86 +393,141 @@ async function login(email, password, ipAddress = null) {
   );
 
   if (!isPasswordValid) {
-    // Log failed login attempt
-    await db.query(
-      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
-       VALUES ($1, 'LOGIN_FAILED', 'user', $2, 'Failed login attempt', $3)`,
-      [user.id, user.id, ipAddress]
-    );
+    // Log failed login attempt and lock the account if over the limit
+    const lockState = await lockoutService.recordFailedAttempt(user, ipAddress);
+
+    if (lockState.locked) {
+      throw lockoutService.lockedError(lockState.lockedUntil);
+    }
 
     throw new AppError('Invalid email or password', 401);
   }
 
-  // Update last login timestamp
-  await db.query(
-    'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
-    [user.id]
-  );
+  // Enrolled users must also present a code; failed attempts are only
+  // cleared once the second factor succeeds
+  if (user.two_factor_enabled) {
+    logger.info('Two-factor challenge issued', { userId: user.id, ipAddress });
 
-  // Log successful login
-  await db.query(
-    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
-     VALUES ($1, 'LOGIN_SUCCESS', 'user', $2, 'User logged in successfully', $3)`,
-    [user.id, user.id, ipAddress]
+    return {
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.createChallengeToken(user),
+      expiresIn: authConfig.twoFactor.challengeExpiresIn
+    };
+  }
+
+  await lockoutService.resetFailedAttempts(user.id);
+
+  return completeLogin(user, client);
+}
+
+/**
+ * Complete a two-step login with a TOTP or backup code
+ *
+ * Wrong codes count as failed login attempts for the account lockout.
+ *
+ * @param {string} challengeToken - Challenge token returned by login
+ * @param {string} code - TOTP code or backup code
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} User and tokens
+ */
+async function completeTwoFactorLogin(challengeToken, code, client = {}) {
+  const ipAddress = client.ipAddress || null;
+  const userId = twoFactorService.verifyChallengeToken(challengeToken);
+
+  const result = await db.query(
+    `SELECT ${LOGIN_USER_COLUMNS}
+     FROM users
+     WHERE id = $1`,
+    [userId]
   );
 
-  logger.info('User logged in', {
-    userId: user.id,
-    email: user.email,
-    role: user.role,
-    ipAddress
-  });
+  if (result.rows.length === 0 || result.rows[0].status !== 'active') {
+    throw new AppError('Account is not active', 401);
+  }
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+  const user = result.rows[0];
 
-  return {
-    user: {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role,
-      facilityId: user.facility_id,
-      supervisorId: user.supervisor_id,
-      phone: user.phone,
-      employeeId: user.employee_id,
-      status: user.status
-    },
-    tokens: {
-      accessToken,
-      refreshToken,
-      expiresIn: authConfig.jwt.expiresIn
+  if (!user.two_factor_enabled) {
+    throw new AppError('Invalid or expired two-factor challenge. Please sign in again', 401);
+  }
+
+  if (lockoutService.isLocked(user)) {
+    await lockoutService.recordBlockedAttempt(user, ipAddress);
+    throw lockoutService.lockedError(user.locked_until);
+  }
+
+  const method = await twoFactorService.verifyCode(user, code);
+
+  if (!method) {
+    const lockState = await lockoutService.recordFailedAttempt(user, ipAddress);
+
+    if (lockState.locked) {
+      throw lockoutService.lockedError(lockState.lockedUntil);
     }
-  };
+
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  await lockoutService.resetFailedAttempts(user.id);
+
+  return completeLogin(user, client, method);
 }
 
 /**
  * Refresh access token
- * 
+ *
+ * Rotates the refresh token: the presented token is revoked and a new one in
+ * the same family is returned alongside the new access token.
+ *
+ * Users who must change their password or set up two-factor authentication
+ * get the same restricted token as at login instead, and the session is
+ * revoked so it cannot be refreshed into a full session later.
+ *
  * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} New access token
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} New access and refresh tokens, or restricted tokens
  */
-async function refreshAccessToken(refreshToken) {
-  // Verify refresh token
-  const decoded = verifyRefreshToken(refreshToken);
+async function refreshAccessToken(refreshToken, client = {}) {
+  const stored = await tokenService.findValidRefreshToken(refreshToken, client);
 
   // Get user from database
   const result = await db.query(
-    `SELECT id, email, role, facility_id, status
+    `SELECT ${LOGIN_USER_COLUMNS}
      FROM users 
      WHERE id = $1 AND status = 'active'`,
-    [decoded.userId]
+    [stored.user_id]
   );
 
   if (result.rows.length === 0) {
+    await tokenService.revokeFamily(stored.family_id, 'user_inactive');
     throw new AppError('User not found or inactive', 401);
   }
 
   const user = result.rows[0];
 
-  // Generate new access token
+  // Same restrictions as completeLogin
+  const passwordChangeReason = getPasswordChangeReason(user);
+
+  if (passwordChangeReason) {
+    await tokenService.revokeFamily(stored.family_id, 'password_change_required');
+
+    return {
+      passwordChangeRequired: true,
+      reason: passwordChangeReason,
+      ...issueRestrictedTokens(user, 'password_change')
+    };
+  }
+
+  if (twoFactorService.isSetupRequired(user)) {
+    await tokenService.revokeFamily(stored.family_id, 'two_factor_setup_required');
+
+    return {
+      twoFactorSetupRequired: true,
+      ...issueRestrictedTokens(user, 'two_factor_setup')
+    };
+  }
+
+  const nextRefreshToken = await tokenService.rotateRefreshToken(stored, client);
   const accessToken = generateAccessToken(user);
 
   logger.info('Access token refreshed', {
@@ -320,14 +536,434 @@ async function refreshAccessToken(refreshToken) {
 
   return {
     accessToken,
+    refreshToken: nextRefreshToken,
     expiresIn: authConfig.jwt.expiresIn
   };
 }
 
+/**
+ * Validate and store a new password for a user
+ *
+ * @param {string} userId - User ID
+ * @param {string} newPassword - New plain text password
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<void>}
+ */
+async function setPassword(userId, newPassword, executor = db) {
+  const passwordValidation = passwordService.validatePasswordStrength(newPassword);
+  if (!passwordValidation.isValid) {
+    throw new AppError(passwordValidation.errors.join(', '), 400);
+  }
+
+  const { historySize } = authConfig.password;
+
+  if (historySize) {
+    const previous = await executor.query(
+      `SELECT password_hash FROM users WHERE id = $1
+       UNION ALL
+       (SELECT password_hash FROM password_history
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+        LIMIT $2)`,
+      [userId, historySize]
+    );
+
+    const reused = await passwordService.isPasswordReused(
+      newPassword,
+      previous.rows.map((row) => row.password_hash)
+    );
+
+    if (reused) {
+      throw new AppError(`Password must not match any of your last ${historySize} passwords`, 400);
+    }
+  }
+
+  const passwordHash = await passwordService.hashPassword(newPassword);
+
+  await executor.query(
+    `UPDATE users
+     SET password_hash = $1, password_changed_at = CURRENT_TIMESTAMP, must_change_password = false
+     WHERE id = $2`,
+    [passwordHash, userId]
+  );
+
+  await recordPasswordHistory(userId, passwordHash, executor);
+}
+
+/**
+ * Change password of the authenticated user
+ *
+ * Requires the current password. All refresh tokens of the user are revoked
+ * and a fresh token pair is issued for the current device (a setup-only token
+ * if the user still has to enroll in two-factor authentication).
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} New tokens
+ */
+async function changePassword(user, currentPassword, newPassword, client = {}) {
+  const result = await db.query(
+    'SELECT id, email, role, facility_id, password_hash, two_factor_enabled FROM users WHERE id = $1',
+    [user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const isCurrentValid = await passwordService.comparePassword(
+    currentPassword,
+    result.rows[0].password_hash
+  );
+
+  if (!isCurrentValid) {
+    throw new AppError('Current password is incorrect', 400);
+  }
+
+  if (currentPassword === newPassword) {
+    throw new AppError('New password must be different from the current password', 400);
+  }
+
+  await setPassword(user.id, newPassword);
+  await tokenService.revokeAllForUser(user.id, 'password_changed');
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
+     VALUES ($1, 'PASSWORD_CHANGED', 'user', $1, 'User changed password', $2)`,
+    [user.id, client.ipAddress || null]
+  );
+
+  logger.info('Password changed', { userId: user.id });
+
+  return issueSessionTokens(result.rows[0], client);
+}
+
+/**
+ * Start the forgot-password flow
+ *
+ * Always resolves without revealing whether the email exists. For active users
+ * a single-use reset token is stored (hashed) and emailed.
+ *
+ * @param {string} email - User email
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email, client = {}) {
+  const result = await db.query(
+    `SELECT id, email, first_name FROM users
+     WHERE email = $1 AND status = 'active'`,
+    [email.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    logger.info('Password reset requested for unknown or inactive email');
+    return;
+  }
+
+  const user = result.rows[0];
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes = authConfig.passwordReset.tokenTtlMinutes;
+
+  await db.transaction(async (trx) => {
+    // Only the most recent reset token stays valid
+    await trx.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL`,
+      [user.id]
+    );
+
+    await trx.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3), $4)`,
+      [user.id, tokenService.hashToken(token), ttlMinutes, client.ipAddress || null]
+    );
+  });
+
+  const resetLink = `${authConfig.passwordReset.resetUrl}?token=${token}`;
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your WOTI Attendance password',
+    text: [
+      `Hello ${user.first_name},`,
+      '',
+      'A password reset was requested for your account.',
+      `Use the link below within ${ttlMinutes} minutes to choose a new password:`,
+      '',
+      resetLink,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
+     VALUES ($1, 'PASSWORD_RESET_REQUESTED', 'user', $1, 'Password reset requested', $2)`,
+    [user.id, client.ipAddress || null]
+  );
+
+  logger.info('Password reset requested', { userId: user.id });
+}
+
+/**
+ * Reset password using a reset token
+ *
+ * The token is consumed, and all refresh tokens of the user are revoked.
+ *
+ * @param {string} token - Reset token from the email
+ * @param {string} newPassword - New password
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function resetPassword(token, newPassword, client = {}) {
+  const userId = await db.transaction(async (trx) => {
+    const result = await trx.query(
+      `UPDATE password_reset_tokens prt
+       SET used_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE prt.user_id = u.id
+         AND prt.token_hash = $1
+         AND prt.used_at IS NULL
+         AND prt.expires_at > CURRENT_TIMESTAMP
+         AND u.status = 'active'
+       RETURNING prt.user_id`,
+      [tokenService.hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    await setPassword(result.rows[0].user_id, newPassword, trx);
+
+    return result.rows[0].user_id;
+  });
+
+  await tokenService.revokeAllForUser(userId, 'password_reset');
+  await lockoutService.resetFailedAttempts(userId);
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
+     VALUES ($1, 'PASSWORD_RESET', 'user', $1, 'Password reset with reset token', $2)`,
+    [userId, client.ipAddress || null]
+  );
+
+  logger.info('Password reset completed', { userId });
+}
+
+/**
+ * Logout user
+ *
+ * Revokes the session of the given refresh token, or every session of the
+ * user when `allDevices` is set.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - Logout options ({ refreshToken, allDevices })
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent })
+ * @returns {Promise<number>} Number of revoked refresh tokens
+ */
+async function logout(user, options = {}, client = {}) {
+  let revoked = 0;
+
+  if (options.allDevices) {
+    revoked = await tokenService.revokeAllForUser(user.id, 'logout_all');
+  } else if (options.refreshToken) {
+    revoked = await tokenService.revokeRefreshToken(options.refreshToken, user.id, 'logout');
+  }
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'LOGOUT', 'user', $1, 'User logged out', $2, $3)`,
+    [user.id, client.ipAddress || null, JSON.stringify({ allDevices: Boolean(options.allDevices), revoked })]
+  );
+
+  logger.info('User logged out', {
+    userId: user.id,
+    email: user.email,
+    revoked
+  });
+
+  return revoked;
+}
+
+/**
+ * Start two-factor enrollment for the authenticated user
+ *
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Secret and provisioning URI
+ */
+async function setupTwoFactor(user) {
+  return twoFactorService.startSetup(user);
+}
+
+/**
+ * Confirm two-factor enrollment
+ *
+ * When called with a setup-only token (mandatory enrollment during login),
+ * a full token pair is issued once the setup succeeds.
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} code - TOTP code from the authenticator app
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} Backup codes, and tokens for setup-only sessions
+ */
+async function confirmTwoFactorSetup(user, code, client = {}) {
+  const result = await twoFactorService.confirmSetup(user, code, client);
+
+  if (user.tokenScope === 'two_factor_setup') {
+    return {
+      backupCodes: result.backupCodes,
+      tokens: await issueTokens(result.user, client)
+    };
+  }
+
+  return { backupCodes: result.backupCodes };
+}
+
+/**
+ * Load the two-factor state of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User row
+ */
+async function getTwoFactorUser(userId) {
+  const result = await db.query(
+    `SELECT id, role, password_hash, two_factor_enabled, two_factor_secret, two_factor_last_counter
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Disable two-factor authentication for the authenticated user
+ *
+ * Requires the password and a current code. Not allowed for roles where
+ * two-factor authentication is mandatory.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} password - Current password
+ * @param {string} code - TOTP or backup code
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(user, password, code, client = {}) {
+  if (twoFactorService.isTwoFactorMandatory(user.role)) {
+    throw new AppError('Two-factor authentication is mandatory for your role', 403);
+  }
+
+  const userRow = await getTwoFactorUser(user.id);
+
+  if (!userRow.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const isPasswordValid = await passwordService.comparePassword(password, userRow.password_hash);
+
+  if (!isPasswordValid) {
+    throw new AppError('Current password is incorrect', 400);
+  }
+
+  if (!(await twoFactorService.verifyCode(userRow, code))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await twoFactorService.removeEnrollment(user.id, user, 'user_disabled', client);
+}
+
+/**
+ * Regenerate backup codes for the authenticated user
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} code - Current TOTP code
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Array<string>>} New backup codes
+ */
+async function regenerateBackupCodes(user, code, client = {}) {
+  const userRow = await getTwoFactorUser(user.id);
+  return twoFactorService.regenerateBackupCodes(userRow, code, client);
+}
+
+/**
+ * Reset two-factor enrollment of a user who lost their device (admin only)
+ *
+ * Users in mandatory roles are asked to enroll again at their next login.
+ *
+ * @param {string} userId - Target user ID
+ * @param {Object} admin - Admin performing the action
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function resetTwoFactor(userId, admin, client = {}) {
+  await twoFactorService.removeEnrollment(userId, admin, 'admin_reset', client);
+}
+
+/**
+ * Unlock a locked account (admin only)
+ *
+ * @param {string} userId - Target user ID
+ * @param {Object} admin - Admin performing the action
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Previous lock state
+ */
+async function unlockAccount(userId, admin, client = {}) {
+  return lockoutService.unlockAccount(userId, admin, client);
+}
+
+/**
+ * Revoke all sessions of a user (admin "sign out everywhere")
+ *
+ * @param {string} userId - Target user ID
+ * @param {Object} admin - Admin performing the action
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<number>} Number of revoked refresh tokens
+ */
+async function revokeUserSessions(userId, admin, client = {}) {
+  const userResult = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const revoked = await tokenService.revokeAllForUser(userId, 'admin_revoked');
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'SESSIONS_REVOKED', 'user', $2, 'All sessions revoked by administrator', $3, $4)`,
+    [admin.id, userId, client.ipAddress || null, JSON.stringify({ revoked })]
+  );
+
+  logger.info('User sessions revoked', {
+    userId,
+    adminId: admin.id,
+    revoked
+  });
+
+  return revoked;
+}
+
 module.exports = {
   register,
   login,
+  completeTwoFactorLogin,
   refreshAccessToken,
-  generateAccessToken,
-  generateRefreshToken
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  logout,
+  unlockAccount,
+  revokeUserSessions,
+  setupTwoFactor,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  resetTwoFactor,
+  generateAccessToken
 };
@@ -0,0 +1,208 @@
+/**
+ * Account Lockout Service
+ *
+ * Per-account login throttling: after too many failed attempts within a
+ * window the account is locked, with each consecutive lockout lasting twice as
+ * long as the previous one. Locks expire automatically.
+ *
+ * @module modules/auth/lockout.service
+ */
+
+const authConfig = require('../../config/auth');
+const db = require('../../config/database');
+const logger = require('../../utils/logger');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * Compute lockout duration for the nth consecutive lockout
+ *
+ * @param {number} lockoutCount - Number of previous consecutive lockouts
+ * @param {Object} config - Lockout configuration
+ * @returns {number} Lockout duration in minutes
+ */
+function computeLockoutDuration(lockoutCount = 0, config = authConfig.lockout) {
+  const duration = config.baseDurationMinutes * (2 ** Math.max(lockoutCount, 0));
+  return Math.min(duration, config.maxDurationMinutes);
+}
+
+/**
+ * Check whether a user row is currently locked
+ *
+ * @param {Object} user - User row with locked_until
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if locked
+ */
+function isLocked(user, now = new Date()) {
+  return Boolean(user.locked_until) && new Date(user.locked_until) > now;
+}
+
+/**
+ * Build the error returned to a locked account
+ *
+ * @param {Date|string} lockedUntil - Lock expiry
+ * @returns {AppError} Error with HTTP 423
+ */
+function lockedError(lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return new AppError(
+    `Account is temporarily locked due to failed login attempts. Try again in ${minutes} minute(s)`,
+    423
+  );
+}
+
+/**
+ * Record a login attempt against a locked account
+ *
+ * @param {Object} user - User row
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+async function recordBlockedAttempt(user, ipAddress = null) {
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'LOGIN_BLOCKED', 'user', $1, 'Login attempt on locked account', $2, $3)`,
+    [user.id, ipAddress, JSON.stringify({ lockedUntil: user.locked_until })]
+  );
+}
+
+/**
+ * Record a failed login attempt and lock the account when the limit is reached
+ *
+ * @param {Object} user - User row
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} Lock state ({ locked, lockedUntil, attempts })
+ */
+async function recordFailedAttempt(user, ipAddress = null) {
+  const config = authConfig.lockout;
+
+  // Attempts older than the window start a new count
+  const result = await db.query(
+    `UPDATE users SET
+      failed_login_attempts = CASE
+        WHEN last_failed_login_at IS NULL
+          OR last_failed_login_at < CURRENT_TIMESTAMP - make_interval(mins => $2)
+        THEN 1
+        ELSE failed_login_attempts + 1
+      END,
+      last_failed_login_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING failed_login_attempts, lockout_count`,
+    [user.id, config.attemptWindowMinutes]
+  );
+
+  const { failed_login_attempts: attempts, lockout_count: lockoutCount } = result.rows[0];
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'LOGIN_FAILED', 'user', $1, 'Failed login attempt', $2, $3)`,
+    [user.id, ipAddress, JSON.stringify({ attempts })]
+  );
+
+  if (attempts < config.maxAttempts) {
+    return { locked: false, attempts };
+  }
+
+  const durationMinutes = computeLockoutDuration(lockoutCount, config);
+
+  const lockResult = await db.query(
+    `UPDATE users SET
+      locked_until = CURRENT_TIMESTAMP + make_interval(mins => $2),
+      lockout_count = lockout_count + 1,
+      failed_login_attempts = 0
+    WHERE id = $1
+    RETURNING locked_until`,
+    [user.id, durationMinutes]
+  );
+
+  const lockedUntil = lockResult.rows[0].locked_until;
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'ACCOUNT_LOCKED', 'user', $1, 'Account locked after repeated failed logins', $2, $3)`,
+    [user.id, ipAddress, JSON.stringify({
+      attempts,
+      durationMinutes,
+      lockoutCount: lockoutCount + 1,
+      lockedUntil
+    })]
+  );
+
+  logger.warn('Account locked', {
+    userId: user.id,
+    durationMinutes,
+    lockedUntil,
+    ipAddress
+  });
+
+  return { locked: true, attempts, lockedUntil };
+}
+
+/**
+ * Clear failed attempts and lock state after a successful login
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function resetFailedAttempts(userId) {
+  await db.query(
+    `UPDATE users SET
+      failed_login_attempts = 0,
+      last_failed_login_at = NULL,
+      lockout_count = 0,
+      locked_until = NULL
+    WHERE id = $1 AND (failed_login_attempts > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)`,
+    [userId]
+  );
+}
+
+/**
+ * Unlock an account (admin action)
+ *
+ * @param {string} userId - Target user ID
+ * @param {Object} admin - Admin performing the action
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Previous lock state
+ */
+async function unlockAccount(userId, admin, client = {}) {
+  const result = await db.query(
+    'SELECT id, locked_until, failed_login_attempts FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const user = result.rows[0];
+  const wasLocked = isLocked(user);
+
+  await resetFailedAttempts(userId);
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'ACCOUNT_UNLOCKED', 'user', $2, 'Account unlocked by administrator', $3, $4)`,
+    [admin.id, userId, client.ipAddress || null, JSON.stringify({
+      wasLocked,
+      lockedUntil: user.locked_until,
+      failedAttempts: user.failed_login_attempts
+    })]
+  );
+
+  logger.info('Account unlocked', {
+    userId,
+    adminId: admin.id,
+    wasLocked
+  });
+
+  return { wasLocked, lockedUntil: user.locked_until };
+}
+
+module.exports = {
+  computeLockoutDuration,
+  isLocked,
+  lockedError,
+  recordBlockedAttempt,
+  recordFailedAttempt,
+  resetFailedAttempts,
+  unlockAccount
+};
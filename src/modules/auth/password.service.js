@@ -6,10 +6,23 @@
  * @module modules/auth/password.service
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const authConfig = require('../../config/auth');
 const logger = require('../../utils/logger');
 
+/**
+ * Characters of generated temporary passwords, one of each group at least
+ * (look-alike characters such as O/0 and l/1 are left out, and so is @,
+ * which spreadsheets read as the start of a formula)
+ */
+const TEMPORARY_PASSWORD_CHARS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnpqrstuvwxyz',
+  '23456789',
+  '!#$%^&*'
+];
+
 /**
  * Hash a password using bcrypt
  * 
@@ -85,8 +98,88 @@ function validatePasswordStrength(password) {
   };
 }
 
+/**
+ * Generate a random temporary password that meets the password policy
+ *
+ * @param {number} length - Password length (at least 12 and the policy minimum by default)
+ * @returns {string} Temporary password
+ */
+function generateTemporaryPassword(length = Math.max(12, authConfig.password.minLength)) {
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const all = TEMPORARY_PASSWORD_CHARS.join('');
+  const chars = [
+    ...TEMPORARY_PASSWORD_CHARS.map(pick),
+    ...Array.from({ length: length - TEMPORARY_PASSWORD_CHARS.length }, () => pick(all))
+  ];
+
+  // Shuffle so the required characters are not always in front
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+}
+
+/**
+ * Get the date a password expires
+ *
+ * @param {Date|string|null} passwordChangedAt - When the password was last set
+ * @param {number} expiryDays - Days a password stays valid (0 disables expiry)
+ * @returns {Date|null} Expiry date, or null when expiry is disabled or unknown
+ */
+function getPasswordExpiryDate(passwordChangedAt, expiryDays = authConfig.password.expiryDays) {
+  if (!expiryDays || !passwordChangedAt) {
+    return null;
+  }
+
+  const expiresAt = new Date(passwordChangedAt);
+  expiresAt.setDate(expiresAt.getDate() + expiryDays);
+  return expiresAt;
+}
+
+/**
+ * Check whether a password has expired
+ *
+ * A password that was never recorded as changed is treated as expired.
+ *
+ * @param {Date|string|null} passwordChangedAt - When the password was last set
+ * @param {Date} now - Reference time
+ * @param {number} expiryDays - Days a password stays valid (0 disables expiry)
+ * @returns {boolean} True if the password must be changed
+ */
+function isPasswordExpired(passwordChangedAt, now = new Date(), expiryDays = authConfig.password.expiryDays) {
+  if (!expiryDays) {
+    return false;
+  }
+
+  if (!passwordChangedAt) {
+    return true;
+  }
+
+  return getPasswordExpiryDate(passwordChangedAt, expiryDays) <= now;
+}
+
+/**
+ * Check whether a password matches any previous password hash
+ *
+ * @param {string} password - Plain text password
+ * @param {Array<string>} previousHashes - Previous bcrypt hashes
+ * @returns {Promise<boolean>} True if the password was used before
+ */
+async function isPasswordReused(password, previousHashes = []) {
+  const matches = await Promise.all(
+    previousHashes.map((hash) => comparePassword(password, hash))
+  );
+  return matches.some(Boolean);
+}
+
 module.exports = {
   hashPassword,
   comparePassword,
-  validatePasswordStrength
+  validatePasswordStrength,
+  generateTemporaryPassword,
+  getPasswordExpiryDate,
+  isPasswordExpired,
+  isPasswordReused
 };
@@ -0,0 +1,279 @@
+/**
+ * Refresh Token Service
+ *
+ * Issues, rotates and revokes refresh tokens. Tokens are persisted as SHA-256
+ * hashes together with device/IP metadata. Every refresh rotates the token
+ * within its family; presenting an already rotated token revokes the family.
+ *
+ * @module modules/auth/token.service
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const authConfig = require('../../config/auth');
+const db = require('../../config/database');
+const logger = require('../../utils/logger');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * Hash a refresh token for storage and lookup
+ *
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a refresh token JWT
+ *
+ * @param {string} userId - User ID
+ * @param {string} tokenId - Token ID (stored as jti)
+ * @param {string} familyId - Token family ID
+ * @returns {string} Signed refresh token
+ */
+function signRefreshToken(userId, tokenId, familyId) {
+  return jwt.sign({ userId, type: 'refresh', family: familyId }, authConfig.jwt.refreshSecret, {
+    expiresIn: authConfig.jwt.refreshExpiresIn,
+    algorithm: authConfig.jwt.algorithm,
+    issuer: authConfig.jwt.issuer,
+    audience: authConfig.jwt.audience,
+    jwtid: tokenId
+  });
+}
+
+/**
+ * Insert a refresh token row
+ *
+ * @param {Object} executor - Database pool or transaction client
+ * @param {string} userId - User ID
+ * @param {string} familyId - Token family ID
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<Object>} Token ID and raw token
+ */
+async function insertRefreshToken(executor, userId, familyId, client = {}) {
+  const tokenId = uuidv4();
+  const token = signRefreshToken(userId, tokenId, familyId);
+  const { exp } = jwt.decode(token);
+
+  await executor.query(
+    `INSERT INTO refresh_tokens (
+      id, user_id, family_id, token_hash, device_id, user_agent, ip_address, expires_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))`,
+    [
+      tokenId,
+      userId,
+      familyId,
+      hashToken(token),
+      client.deviceId || null,
+      client.userAgent || null,
+      client.ipAddress || null,
+      exp
+    ]
+  );
+
+  return { tokenId, token };
+}
+
+/**
+ * Issue a refresh token starting a new token family
+ *
+ * @param {Object} user - User object
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<string>} Refresh token
+ */
+async function issueRefreshToken(user, client = {}) {
+  const { token } = await insertRefreshToken(db, user.id, uuidv4(), client);
+  return token;
+}
+
+/**
+ * Revoke every active token in a family
+ *
+ * @param {string} familyId - Token family ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeFamily(familyId, reason) {
+  const result = await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId, reason]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Revoke every active refresh token of a user
+ *
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeAllForUser(userId, reason) {
+  const result = await db.query(
+    `UPDATE refresh_tokens
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+
+  logger.info('Refresh tokens revoked for user', {
+    userId,
+    reason,
+    count: result.rowCount
+  });
+
+  return result.rowCount;
+}
+
+/**
+ * Handle presentation of an already rotated refresh token
+ *
+ * @param {Object} stored - Stored token row
+ * @param {Object} client - Client metadata
+ * @returns {Promise<void>}
+ */
+async function handleTokenReuse(stored, client = {}) {
+  const revoked = await revokeFamily(stored.family_id, 'reuse_detected');
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, user_agent, metadata)
+     VALUES ($1, 'REFRESH_TOKEN_REUSE', 'user', $1, 'Rotated refresh token reused; session revoked', $2, $3, $4)`,
+    [
+      stored.user_id,
+      client.ipAddress || null,
+      client.userAgent || null,
+      JSON.stringify({ familyId: stored.family_id, revokedTokens: revoked })
+    ]
+  );
+
+  logger.warn('Refresh token reuse detected', {
+    userId: stored.user_id,
+    familyId: stored.family_id,
+    ipAddress: client.ipAddress
+  });
+}
+
+/**
+ * Verify a refresh token and load its stored record
+ *
+ * Detects reuse of rotated tokens and revokes the whole family when it happens.
+ *
+ * @param {string} token - Refresh token
+ * @param {Object} client - Client metadata
+ * @returns {Promise<Object>} Stored token row
+ */
+async function findValidRefreshToken(token, client = {}) {
+  try {
+    jwt.verify(token, authConfig.jwt.refreshSecret, {
+      algorithms: [authConfig.jwt.algorithm],
+      issuer: authConfig.jwt.issuer,
+      audience: authConfig.jwt.audience
+    });
+  } catch (error) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const result = await db.query(
+    'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at) {
+    if (stored.revoked_reason === 'rotated') {
+      await handleTokenReuse(stored, client);
+    }
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw new AppError('Refresh token has expired', 401);
+  }
+
+  return stored;
+}
+
+/**
+ * Rotate a stored refresh token, issuing its successor in the same family
+ *
+ * @param {Object} stored - Stored token row (from findValidRefreshToken)
+ * @param {Object} client - Client metadata ({ ipAddress, userAgent, deviceId })
+ * @returns {Promise<string>} New refresh token
+ */
+async function rotateRefreshToken(stored, client = {}) {
+  const rotated = await db.transaction(async (trx) => {
+    // Claim the token first so concurrent refreshes cannot both rotate it
+    const claim = await trx.query(
+      `UPDATE refresh_tokens
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'rotated', last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [stored.id]
+    );
+
+    if (claim.rowCount === 0) {
+      return null;
+    }
+
+    const next = await insertRefreshToken(trx, stored.user_id, stored.family_id, {
+      deviceId: client.deviceId || stored.device_id,
+      userAgent: client.userAgent || stored.user_agent,
+      ipAddress: client.ipAddress || stored.ip_address
+    });
+
+    await trx.query(
+      'UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2',
+      [next.tokenId, stored.id]
+    );
+
+    return next.token;
+  });
+
+  if (!rotated) {
+    await handleTokenReuse(stored, client);
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  return rotated;
+}
+
+/**
+ * Revoke the session (token family) a refresh token belongs to
+ *
+ * @param {string} token - Refresh token
+ * @param {string} userId - Expected owner of the token
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+async function revokeRefreshToken(token, userId, reason) {
+  const result = await db.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1 AND user_id = $2',
+    [hashToken(token), userId]
+  );
+
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  return revokeFamily(result.rows[0].family_id, reason);
+}
+
+module.exports = {
+  hashToken,
+  issueRefreshToken,
+  findValidRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeAllForUser
+};
@@ -0,0 +1,385 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP enrollment, code verification (with replay protection), single-use
+ * backup codes and the short-lived challenge token issued between the
+ * password step and the code step of a login.
+ *
+ * @module modules/auth/twoFactor.service
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../../config/auth');
+const db = require('../../config/database');
+const logger = require('../../utils/logger');
+const totp = require('../../utils/totp');
+const encryption = require('../../utils/encryption');
+const { hashToken } = require('./token.service');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * Audience of challenge tokens; differs from access tokens so a challenge
+ * token is never accepted by the authenticate middleware
+ */
+const CHALLENGE_AUDIENCE = `${authConfig.jwt.audience}:2fa-challenge`;
+
+/**
+ * Check whether two-factor authentication is mandatory for a role
+ *
+ * @param {string} role - User role
+ * @returns {boolean} True if mandatory
+ */
+function isTwoFactorMandatory(role) {
+  return authConfig.twoFactor.mandatoryRoles.includes(role);
+}
+
+/**
+ * Check whether a user must enroll before receiving a full session
+ *
+ * @param {Object} user - User row with role and two_factor_enabled
+ * @returns {boolean} True if setup is required
+ */
+function isSetupRequired(user) {
+  return isTwoFactorMandatory(user.role) && !user.two_factor_enabled;
+}
+
+/**
+ * Normalize a backup code for hashing (case, spaces and dashes ignored)
+ *
+ * @param {string} code - Backup code
+ * @returns {string} Normalized code
+ */
+function normalizeBackupCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Generate plain backup codes formatted as xxxx-xxxx
+ *
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Backup codes
+ */
+function generateBackupCodes(count = authConfig.twoFactor.backupCodeCount) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+}
+
+/**
+ * Replace the backup codes of a user
+ *
+ * @param {string} userId - User ID
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<Array<string>>} New plain backup codes (shown once)
+ */
+async function replaceBackupCodes(userId, executor = db) {
+  const codes = generateBackupCodes();
+
+  await executor.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+
+  await executor.query(
+    `INSERT INTO two_factor_backup_codes (user_id, code_hash)
+     SELECT $1, unnest($2::varchar[])`,
+    [userId, codes.map((code) => hashToken(normalizeBackupCode(code)))]
+  );
+
+  return codes;
+}
+
+/**
+ * Create the challenge token returned after a successful password step
+ *
+ * @param {Object} user - User row
+ * @returns {string} Signed challenge token
+ */
+function createChallengeToken(user) {
+  return jwt.sign({ userId: user.id, type: '2fa_challenge' }, authConfig.jwt.secret, {
+    expiresIn: authConfig.twoFactor.challengeExpiresIn,
+    algorithm: authConfig.jwt.algorithm,
+    issuer: authConfig.jwt.issuer,
+    audience: CHALLENGE_AUDIENCE
+  });
+}
+
+/**
+ * Verify a challenge token
+ *
+ * @param {string} challengeToken - Challenge token from the login response
+ * @returns {string} User ID
+ * @throws {AppError} If the token is invalid or expired
+ */
+function verifyChallengeToken(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, authConfig.jwt.secret, {
+      algorithms: [authConfig.jwt.algorithm],
+      issuer: authConfig.jwt.issuer,
+      audience: CHALLENGE_AUDIENCE
+    });
+
+    return decoded.userId;
+  } catch (error) {
+    throw new AppError('Invalid or expired two-factor challenge. Please sign in again', 401);
+  }
+}
+
+/**
+ * Start TOTP enrollment by generating a new (not yet active) secret
+ *
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Secret and otpauth:// provisioning URI
+ */
+async function startSetup(user) {
+  const result = await db.query(
+    'SELECT id, email, two_factor_enabled FROM users WHERE id = $1',
+    [user.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (result.rows[0].two_factor_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+
+  await db.query(
+    'UPDATE users SET two_factor_secret = $1, two_factor_last_counter = NULL WHERE id = $2',
+    [encryption.encrypt(secret, authConfig.twoFactor.encryptionKey), user.id]
+  );
+
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: result.rows[0].email,
+      issuer: authConfig.twoFactor.issuer
+    })
+  };
+}
+
+/**
+ * Verify a TOTP code against the stored secret and consume its time step
+ *
+ * @param {Object} user - User row with two_factor_secret and two_factor_last_counter
+ * @param {string} code - Code entered by the user
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<boolean>} True if the code is valid and unused
+ */
+async function consumeTotpCode(user, code, executor = db) {
+  if (!user.two_factor_secret) {
+    return false;
+  }
+
+  const secret = encryption.decrypt(user.two_factor_secret, authConfig.twoFactor.encryptionKey);
+  const counter = totp.verifyTotp(code, secret, { window: authConfig.twoFactor.window });
+
+  if (counter === null) {
+    return false;
+  }
+
+  // Only a newer time step than the last accepted one may be used
+  const result = await executor.query(
+    `UPDATE users SET two_factor_last_counter = $1
+     WHERE id = $2 AND (two_factor_last_counter IS NULL OR two_factor_last_counter < $1)`,
+    [counter, user.id]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Consume a backup code
+ *
+ * @param {string} userId - User ID
+ * @param {string} code - Backup code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+async function consumeBackupCode(userId, code) {
+  const result = await db.query(
+    `UPDATE two_factor_backup_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM two_factor_backup_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )
+     RETURNING id`,
+    [userId, hashToken(normalizeBackupCode(code))]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Verify a second-factor code for an enrolled user
+ *
+ * Six-digit codes are checked as TOTP codes, anything else as a backup code.
+ *
+ * @param {Object} user - User row with two-factor columns
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<string|null>} Method used ('totp' or 'backup_code'), or null if invalid
+ */
+async function verifyCode(user, code) {
+  const value = String(code || '').trim();
+
+  if (/^\d{6}$/.test(value)) {
+    return (await consumeTotpCode(user, value)) ? 'totp' : null;
+  }
+
+  if (await consumeBackupCode(user.id, value)) {
+    const remaining = await db.query(
+      'SELECT COUNT(*) FROM two_factor_backup_codes WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+
+    logger.warn('Two-factor backup code used', {
+      userId: user.id,
+      remaining: parseInt(remaining.rows[0].count, 10)
+    });
+
+    return 'backup_code';
+  }
+
+  return null;
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} code - TOTP code
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Enabled user row and plain backup codes
+ */
+async function confirmSetup(user, code, client = {}) {
+  return db.transaction(async (trx) => {
+    const result = await trx.query(
+      `SELECT id, email, role, facility_id, two_factor_enabled, two_factor_secret, two_factor_last_counter
+       FROM users WHERE id = $1
+       FOR UPDATE`,
+      [user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    const userRow = result.rows[0];
+
+    if (userRow.two_factor_enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    if (!userRow.two_factor_secret) {
+      throw new AppError('Two-factor setup has not been started', 400);
+    }
+
+    if (!(await consumeTotpCode(userRow, code, trx))) {
+      throw new AppError('Invalid verification code', 400);
+    }
+
+    await trx.query(
+      `UPDATE users SET two_factor_enabled = true, two_factor_enrolled_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [user.id]
+    );
+
+    const backupCodes = await replaceBackupCodes(user.id, trx);
+
+    await trx.query(
+      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
+       VALUES ($1, 'TWO_FACTOR_ENABLED', 'user', $1, 'Two-factor authentication enabled', $2)`,
+      [user.id, client.ipAddress || null]
+    );
+
+    logger.info('Two-factor authentication enabled', { userId: user.id });
+
+    return { user: { ...userRow, two_factor_enabled: true }, backupCodes };
+  });
+}
+
+/**
+ * Remove two-factor enrollment of a user
+ *
+ * @param {string} userId - Target user ID
+ * @param {Object} actor - User performing the action
+ * @param {string} reason - Reason stored with the activity ('user_disabled' or 'admin_reset')
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function removeEnrollment(userId, actor, reason, client = {}) {
+  await db.transaction(async (trx) => {
+    const result = await trx.query(
+      `UPDATE users SET
+        two_factor_enabled = false,
+        two_factor_secret = NULL,
+        two_factor_enrolled_at = NULL,
+        two_factor_last_counter = NULL
+      WHERE id = $1
+      RETURNING id`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    await trx.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+
+    await trx.query(
+      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+       VALUES ($1, 'TWO_FACTOR_DISABLED', 'user', $2, 'Two-factor authentication disabled', $3, $4)`,
+      [actor.id, userId, client.ipAddress || null, JSON.stringify({ reason })]
+    );
+  });
+
+  logger.info('Two-factor authentication disabled', {
+    userId,
+    actorId: actor.id,
+    reason
+  });
+}
+
+/**
+ * Regenerate backup codes for an enrolled user
+ *
+ * @param {Object} user - User row with two-factor columns
+ * @param {string} code - Current TOTP code
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Array<string>>} New plain backup codes
+ */
+async function regenerateBackupCodes(user, code, client = {}) {
+  if (!user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await consumeTotpCode(user, code))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const backupCodes = await db.transaction((trx) => replaceBackupCodes(user.id, trx));
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
+     VALUES ($1, 'TWO_FACTOR_BACKUP_CODES_REGENERATED', 'user', $1, 'Backup codes regenerated', $2)`,
+    [user.id, client.ipAddress || null]
+  );
+
+  return backupCodes;
+}
+
+module.exports = {
+  isTwoFactorMandatory,
+  isSetupRequired,
+  generateBackupCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  startSetup,
+  verifyCode,
+  confirmSetup,
+  removeEnrollment,
+  regenerateBackupCodes
+};
@@ -0,0 +1,179 @@
+/**
+ * Corrections Controller
+ *
+ * Handles HTTP requests for attendance correction endpoints
+ *
+ * @module modules/corrections/corrections.controller
+ */
+
+const correctionsService = require('./corrections.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * Request a correction of an own attendance record
+ * POST /api/corrections
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestCorrection = asyncHandler(async (req, res) => {
+  const {
+    attendanceId,
+    clockIn,
+    clockOut,
+    reason
+  } = req.body;
+
+  const correction = await correctionsService.requestCorrection(req.user, {
+    attendanceId,
+    clockIn,
+    clockOut,
+    reason
+  }, { ipAddress: req.ip });
+
+  res.status(201).json({
+    success: true,
+    message: 'Correction request submitted',
+    data: correction
+  });
+});
+
+/**
+ * List own correction requests
+ * GET /api/corrections/my
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyCorrections = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 50 } = req.query;
+
+  const result = await correctionsService.getCorrections(
+    { status, requestedBy: req.user.id },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.corrections,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * List correction requests to review
+ * GET /api/corrections
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCorrections = asyncHandler(async (req, res) => {
+  const {
+    status,
+    userId,
+    facilityId,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const result = await correctionsService.getCorrections(
+    { status, requestedBy: userId, facilityId },
+    parseInt(page, 10),
+    parseInt(limit, 10),
+    req.dataScope
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.corrections,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get correction request by ID
+ * GET /api/corrections/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCorrectionById = asyncHandler(async (req, res) => {
+  const correction = await correctionsService.getCorrection(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: correction
+  });
+});
+
+/**
+ * Approve a correction request
+ * POST /api/corrections/:id/approve
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveCorrection = asyncHandler(async (req, res) => {
+  const correction = await correctionsService.approveCorrection(
+    req.user,
+    req.params.id,
+    req.body.notes,
+    { ipAddress: req.ip }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Correction approved and applied',
+    data: correction
+  });
+});
+
+/**
+ * Reject a correction request
+ * POST /api/corrections/:id/reject
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectCorrection = asyncHandler(async (req, res) => {
+  const correction = await correctionsService.rejectCorrection(
+    req.user,
+    req.params.id,
+    req.body.notes,
+    { ipAddress: req.ip }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Correction rejected',
+    data: correction
+  });
+});
+
+/**
+ * Cancel an own pending correction request
+ * POST /api/corrections/:id/cancel
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelCorrection = asyncHandler(async (req, res) => {
+  const correction = await correctionsService.cancelCorrection(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Correction request cancelled',
+    data: correction
+  });
+});
+
+module.exports = {
+  requestCorrection,
+  getMyCorrections,
+  getCorrections,
+  getCorrectionById,
+  approveCorrection,
+  rejectCorrection,
+  cancelCorrection
+};
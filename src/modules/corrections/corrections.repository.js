@@ -0,0 +1,261 @@
+/**
+ * Corrections Repository
+ *
+ * Database queries for attendance correction requests
+ *
+ * @module modules/corrections/corrections.repository
+ */
+
+const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
+
+/**
+ * Columns selected for a correction with its attendance record and people
+ */
+const SELECT_CORRECTION = `SELECT
+      ac.*,
+      a.user_id, a.facility_id, a.clock_in AS current_clock_in, a.clock_out AS current_clock_out,
+      a.status AS attendance_status,
+      f.name AS facility_name,
+      requester.first_name AS requester_first_name, requester.last_name AS requester_last_name,
+      requester.supervisor_id AS requester_supervisor_id,
+      reviewer.first_name AS reviewer_first_name, reviewer.last_name AS reviewer_last_name
+    FROM attendance_corrections ac
+    INNER JOIN attendance a ON ac.attendance_id = a.id
+    INNER JOIN facilities f ON a.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    INNER JOIN users requester ON ac.requested_by = requester.id
+    LEFT JOIN users reviewer ON ac.reviewed_by = reviewer.id`;
+
+/**
+ * Format correction row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted correction
+ */
+function formatCorrection(row) {
+  return {
+    id: row.id,
+    attendanceId: row.attendance_id,
+    userId: row.user_id,
+    facilityId: row.facility_id,
+    facilityName: row.facility_name,
+    requestedBy: {
+      id: row.requested_by,
+      name: `${row.requester_first_name} ${row.requester_last_name}`,
+      supervisorId: row.requester_supervisor_id
+    },
+    current: {
+      clockIn: row.current_clock_in,
+      clockOut: row.current_clock_out,
+      status: row.attendance_status
+    },
+    proposedClockIn: row.proposed_clock_in,
+    proposedClockOut: row.proposed_clock_out,
+    reason: row.reason,
+    status: row.status,
+    reviewedBy: row.reviewed_by ? {
+      id: row.reviewed_by,
+      name: `${row.reviewer_first_name} ${row.reviewer_last_name}`
+    } : null,
+    reviewedAt: row.reviewed_at,
+    reviewNotes: row.review_notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Find correction by ID
+ *
+ * @param {string} correctionId - Correction ID
+ * @returns {Promise<Object|null>} Correction or null
+ */
+async function findById(correctionId) {
+  const result = await db.query(
+    `${SELECT_CORRECTION}
+    WHERE ac.id = $1`,
+    [correctionId]
+  );
+
+  return result.rows.length > 0 ? formatCorrection(result.rows[0]) : null;
+}
+
+/**
+ * Lock a correction row for review
+ *
+ * @param {string} correctionId - Correction ID
+ * @param {Object} executor - Transaction client
+ * @returns {Promise<Object|null>} Raw correction row or null
+ */
+async function findByIdForUpdate(correctionId, executor) {
+  const result = await executor.query(
+    'SELECT * FROM attendance_corrections WHERE id = $1 FOR UPDATE',
+    [correctionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Find the open correction request of an attendance record
+ *
+ * @param {string} attendanceId - Attendance ID
+ * @returns {Promise<Object|null>} Raw correction row or null
+ */
+async function findPendingByAttendanceId(attendanceId) {
+  const result = await db.query(
+    `SELECT * FROM attendance_corrections
+     WHERE attendance_id = $1 AND status = 'pending'`,
+    [attendanceId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Build the WHERE clause shared by findAll and count
+ *
+ * Corrections are scoped like the attendance record they belong to.
+ *
+ * @param {Object} filters - Query filters ({ status, requestedBy, facilityId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Object} WHERE clause and parameters
+ */
+function buildFilters(filters = {}, scope = null) {
+  const params = [];
+  const conditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'a.facility_id',
+    userId: 'ac.requested_by'
+  }, params);
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`ac.status = $${params.length}`);
+  }
+
+  if (filters.requestedBy) {
+    params.push(filters.requestedBy);
+    conditions.push(`ac.requested_by = $${params.length}`);
+  }
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`a.facility_id = $${params.length}`);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find correction requests with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Corrections
+ */
+async function findAll(filters = {}, limit = 50, offset = 0, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  params.push(limit, offset);
+
+  const result = await db.query(
+    `${SELECT_CORRECTION}
+    ${whereClause}
+    ORDER BY ac.created_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows.map((row) => formatCorrection(row));
+}
+
+/**
+ * Count correction requests with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<number>} Count
+ */
+async function count(filters = {}, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  const result = await db.query(
+    `SELECT COUNT(*)
+    FROM attendance_corrections ac
+    INNER JOIN attendance a ON ac.attendance_id = a.id
+    INNER JOIN facilities f ON a.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    ${whereClause}`,
+    params
+  );
+
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Create a correction request
+ *
+ * @param {Object} correctionData - Correction data
+ * @returns {Promise<Object>} Created correction row
+ */
+async function create(correctionData) {
+  const result = await db.query(
+    `INSERT INTO attendance_corrections (
+      attendance_id, requested_by, proposed_clock_in, proposed_clock_out, reason
+    ) VALUES ($1, $2, $3, $4, $5)
+    RETURNING *`,
+    [
+      correctionData.attendanceId,
+      correctionData.requestedBy,
+      correctionData.proposedClockIn || null,
+      correctionData.proposedClockOut || null,
+      correctionData.reason
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Set the outcome of a correction request
+ *
+ * @param {string} correctionId - Correction ID
+ * @param {Object} outcome - Outcome ({ status, reviewedBy, reviewNotes })
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<Object>} Updated correction row
+ */
+async function updateStatus(correctionId, outcome, executor = db) {
+  const result = await executor.query(
+    `UPDATE attendance_corrections
+     SET status = $1, reviewed_by = $2, reviewed_at = $3, review_notes = $4
+     WHERE id = $5
+     RETURNING *`,
+    [
+      outcome.status,
+      outcome.reviewedBy || null,
+      outcome.reviewedBy ? new Date() : null,
+      outcome.reviewNotes || null,
+      correctionId
+    ]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  findById,
+  findByIdForUpdate,
+  findPendingByAttendanceId,
+  findAll,
+  count,
+  create,
+  updateStatus
+};
@@ -0,0 +1,104 @@
+/**
+ * Corrections Routes
+ *
+ * Route definitions for attendance correction endpoints
+ *
+ * @module modules/corrections/corrections.routes
+ */
+
+const express = require('express');
+const correctionsController = require('./corrections.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOrSupervisor } = require('../../middleware/roleAuth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
+const {
+  validateCorrectionRequest,
+  validateCorrectionReview,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/corrections
+ * @desc    Request a correction of an own attendance record
+ * @access  Private
+ */
+router.post(
+  '/',
+  validateCorrectionRequest,
+  correctionsController.requestCorrection
+);
+
+/**
+ * @route   GET /api/corrections/my
+ * @desc    List own correction requests
+ * @access  Private
+ */
+router.get(
+  '/my',
+  correctionsController.getMyCorrections
+);
+
+/**
+ * @route   GET /api/corrections
+ * @desc    List correction requests in the caller's data scope
+ * @access  Private/Supervisor
+ */
+router.get(
+  '/',
+  adminOrSupervisor,
+  attachDataScope,
+  correctionsController.getCorrections
+);
+
+/**
+ * @route   GET /api/corrections/:id
+ * @desc    Get correction request (requester or reviewer)
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateUuidParam('id'),
+  correctionsController.getCorrectionById
+);
+
+/**
+ * @route   POST /api/corrections/:id/approve
+ * @desc    Approve a correction and apply it to the attendance record
+ * @access  Private/Supervisor
+ */
+router.post(
+  '/:id/approve',
+  adminOrSupervisor,
+  validateCorrectionReview,
+  correctionsController.approveCorrection
+);
+
+/**
+ * @route   POST /api/corrections/:id/reject
+ * @desc    Reject a correction request
+ * @access  Private/Supervisor
+ */
+router.post(
+  '/:id/reject',
+  adminOrSupervisor,
+  validateCorrectionReview,
+  correctionsController.rejectCorrection
+);
+
+/**
+ * @route   POST /api/corrections/:id/cancel
+ * @desc    Cancel an own pending correction request
+ * @access  Private
+ */
+router.post(
+  '/:id/cancel',
+  validateUuidParam('id'),
+  correctionsController.cancelCorrection
+);
+
+module.exports = router;
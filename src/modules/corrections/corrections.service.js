@@ -0,0 +1,370 @@
+/**
+ * Corrections Service
+ *
+ * Attendance correction workflow: employees propose new clock-in/out times
+ * for their own records, supervisors in their reporting line (or admins)
+ * approve or reject them. Approval updates the attendance record and keeps
+ * the previous values in attendance_history.
+ *
+ * @module modules/corrections/corrections.service
+ */
+
+const correctionsRepository = require('./corrections.repository');
+const attendanceRepository = require('../attendance/attendance.repository');
+const registerService = require('../attendance/register.service');
+const usersRepository = require('../users/users.repository');
+const db = require('../../config/database');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const logger = require('../../utils/logger');
+
+/**
+ * Roles allowed to review corrections of users in their reporting line
+ */
+const REVIEWER_ROLES = ['supervisor', 'backstopper'];
+
+/**
+ * Compute and validate the clock times an attendance record would have
+ * after applying a correction
+ *
+ * @param {Object} attendance - Current values ({ clock_in, clock_out })
+ * @param {Object} proposed - Proposed values ({ clockIn, clockOut })
+ * @returns {Object} Resulting { clockIn, clockOut }
+ * @throws {AppError} If the times are in the future or out of order
+ */
+function resolveCorrectedTimes(attendance, proposed) {
+  const clockIn = proposed.clockIn ? new Date(proposed.clockIn) : new Date(attendance.clock_in);
+  const clockOut = proposed.clockOut ? new Date(proposed.clockOut) : attendance.clock_out;
+  const now = new Date();
+
+  if (clockIn > now || (clockOut && new Date(clockOut) > now)) {
+    throw new AppError('Corrected times cannot be in the future', 400);
+  }
+
+  if (clockOut && new Date(clockOut) <= clockIn) {
+    throw new AppError('Clock-out must be after clock-in', 400);
+  }
+
+  return { clockIn, clockOut: clockOut ? new Date(clockOut) : null };
+}
+
+/**
+ * Check whether a user may review another user's corrections
+ *
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} requesterId - User who requested the correction
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function canReview(reviewer, requesterId) {
+  if (reviewer.id === requesterId) {
+    return false;
+  }
+
+  if (reviewer.role === 'admin') {
+    return true;
+  }
+
+  if (!REVIEWER_ROLES.includes(reviewer.role)) {
+    return false;
+  }
+
+  return usersRepository.isInReportingLine(reviewer.id, requesterId);
+}
+
+/**
+ * Request a correction of one of the user's own attendance records
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - Request data ({ attendanceId, clockIn, clockOut, reason })
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Created correction
+ */
+async function requestCorrection(user, data, client = {}) {
+  const attendance = await attendanceRepository.findById(data.attendanceId);
+
+  if (!attendance || attendance.userId !== user.id) {
+    throw new AppError('Attendance record not found', 404);
+  }
+
+  if (!data.clockIn && !data.clockOut) {
+    throw new AppError('A corrected clock-in or clock-out time is required', 400);
+  }
+
+  resolveCorrectedTimes(
+    { clock_in: attendance.clockIn, clock_out: attendance.clockOut },
+    data
+  );
+
+  const pending = await correctionsRepository.findPendingByAttendanceId(data.attendanceId);
+  if (pending) {
+    throw new AppError('A correction request is already pending for this record', 409);
+  }
+
+  const correction = await correctionsRepository.create({
+    attendanceId: data.attendanceId,
+    requestedBy: user.id,
+    proposedClockIn: data.clockIn,
+    proposedClockOut: data.clockOut,
+    reason: data.reason
+  });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'CORRECTION_REQUESTED', 'attendance', $2, 'Attendance correction requested', $3, $4)`,
+    [user.id, data.attendanceId, client.ipAddress || null, JSON.stringify({ correctionId: correction.id })]
+  );
+
+  logger.info('Attendance correction requested', {
+    correctionId: correction.id,
+    attendanceId: data.attendanceId,
+    userId: user.id
+  });
+
+  return correctionsRepository.findById(correction.id);
+}
+
+/**
+ * Get a correction request
+ *
+ * Visible to the requester and to anyone allowed to review it.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} correctionId - Correction ID
+ * @returns {Promise<Object>} Correction
+ */
+async function getCorrection(user, correctionId) {
+  const correction = await correctionsRepository.findById(correctionId);
+
+  if (!correction) {
+    throw new AppError('Correction request not found', 404);
+  }
+
+  if (correction.requestedBy.id !== user.id && !(await canReview(user, correction.requestedBy.id))) {
+    throw new AppError('Correction request not found', 404);
+  }
+
+  return correction;
+}
+
+/**
+ * List correction requests
+ *
+ * @param {Object} filters - Query filters ({ status, requestedBy, facilityId })
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} Corrections and pagination
+ */
+async function getCorrections(filters = {}, page = 1, limit = 50, scope = null) {
+  const offset = (page - 1) * limit;
+
+  const [corrections, total] = await Promise.all([
+    correctionsRepository.findAll(filters, limit, offset, scope),
+    correctionsRepository.count(filters, scope)
+  ]);
+
+  return {
+    corrections,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Lock a pending correction and check the reviewer may decide on it
+ *
+ * @param {Object} trx - Transaction client
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} correctionId - Correction ID
+ * @returns {Promise<Object>} Raw correction row
+ */
+async function lockForReview(trx, reviewer, correctionId) {
+  const correction = await correctionsRepository.findByIdForUpdate(correctionId, trx);
+
+  if (!correction) {
+    throw new AppError('Correction request not found', 404);
+  }
+
+  if (!(await canReview(reviewer, correction.requested_by))) {
+    throw new AppError('Not authorized to review this correction request', 403);
+  }
+
+  if (correction.status !== 'pending') {
+    throw new AppError(`Correction request is already ${correction.status}`, 409);
+  }
+
+  return correction;
+}
+
+/**
+ * Approve a correction and apply it to the attendance record
+ *
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} correctionId - Correction ID
+ * @param {string} notes - Optional review notes
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Reviewed correction
+ */
+async function approveCorrection(reviewer, correctionId, notes, client = {}) {
+  const change = await db.transaction(async (trx) => {
+    const correction = await lockForReview(trx, reviewer, correctionId);
+
+    const attendanceResult = await trx.query(
+      'SELECT * FROM attendance WHERE id = $1 FOR UPDATE',
+      [correction.attendance_id]
+    );
+    const attendance = attendanceResult.rows[0];
+
+    const corrected = resolveCorrectedTimes(attendance, {
+      clockIn: correction.proposed_clock_in,
+      clockOut: correction.proposed_clock_out
+    });
+
+    const previousValues = {
+      clockIn: attendance.clock_in,
+      clockOut: attendance.clock_out,
+      status: attendance.status
+    };
+    const newValues = {
+      clockIn: corrected.clockIn,
+      clockOut: corrected.clockOut,
+      status: corrected.clockOut ? 'clocked_out' : attendance.status
+    };
+
+    await attendanceRepository.insertHistory({
+      attendanceId: attendance.id,
+      changedBy: reviewer.id,
+      changeSource: 'correction',
+      correctionId,
+      previousValues,
+      newValues
+    }, trx);
+
+    await trx.query(
+      `UPDATE attendance SET
+        clock_in = $1,
+        clock_out = $2,
+        status = $3,
+        sync_version = sync_version + 1,
+        metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('correctionId', $4::text)
+      WHERE id = $5`,
+      [newValues.clockIn, newValues.clockOut, newValues.status, correctionId, attendance.id]
+    );
+
+    await correctionsRepository.updateStatus(correctionId, {
+      status: 'approved',
+      reviewedBy: reviewer.id,
+      reviewNotes: notes
+    }, trx);
+
+    await trx.query(
+      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+       VALUES ($1, 'ATTENDANCE_CORRECTED', 'attendance', $2, 'Attendance correction approved', $3, $4)`,
+      [reviewer.id, attendance.id, client.ipAddress || null, JSON.stringify({
+        correctionId,
+        requestedBy: correction.requested_by,
+        previousValues,
+        newValues
+      })]
+    );
+
+    return { userId: attendance.user_id, clockIns: [previousValues.clockIn, newValues.clockIn] };
+  });
+
+  logger.info('Attendance correction approved', {
+    correctionId,
+    reviewerId: reviewer.id
+  });
+
+  // The correction is committed; a failed register refresh must not undo the approval
+  try {
+    await registerService.refreshEntries(change.userId, change.clockIns, correctionId);
+  } catch (error) {
+    logger.error('Failed to refresh attendance register after correction', {
+      correctionId,
+      error: error.message
+    });
+  }
+
+  return correctionsRepository.findById(correctionId);
+}
+
+/**
+ * Reject a correction request
+ *
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} correctionId - Correction ID
+ * @param {string} notes - Reason for the rejection
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Reviewed correction
+ */
+async function rejectCorrection(reviewer, correctionId, notes, client = {}) {
+  if (!notes) {
+    throw new AppError('A reason is required to reject a correction request', 400);
+  }
+
+  await db.transaction(async (trx) => {
+    const correction = await lockForReview(trx, reviewer, correctionId);
+
+    await correctionsRepository.updateStatus(correctionId, {
+      status: 'rejected',
+      reviewedBy: reviewer.id,
+      reviewNotes: notes
+    }, trx);
+
+    await trx.query(
+      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+       VALUES ($1, 'CORRECTION_REJECTED', 'attendance', $2, 'Attendance correction rejected', $3, $4)`,
+      [reviewer.id, correction.attendance_id, client.ipAddress || null, JSON.stringify({
+        correctionId,
+        requestedBy: correction.requested_by
+      })]
+    );
+  });
+
+  logger.info('Attendance correction rejected', {
+    correctionId,
+    reviewerId: reviewer.id
+  });
+
+  return correctionsRepository.findById(correctionId);
+}
+
+/**
+ * Cancel one of the user's own pending correction requests
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} correctionId - Correction ID
+ * @returns {Promise<Object>} Cancelled correction
+ */
+async function cancelCorrection(user, correctionId) {
+  await db.transaction(async (trx) => {
+    const correction = await correctionsRepository.findByIdForUpdate(correctionId, trx);
+
+    if (!correction || correction.requested_by !== user.id) {
+      throw new AppError('Correction request not found', 404);
+    }
+
+    if (correction.status !== 'pending') {
+      throw new AppError(`Correction request is already ${correction.status}`, 409);
+    }
+
+    await correctionsRepository.updateStatus(correctionId, { status: 'cancelled' }, trx);
+  });
+
+  logger.info('Attendance correction cancelled', { correctionId, userId: user.id });
+
+  return correctionsRepository.findById(correctionId);
+}
+
+module.exports = {
+  requestCorrection,
+  getCorrection,
+  getCorrections,
+  approveCorrection,
+  rejectCorrection,
+  cancelCorrection
+};
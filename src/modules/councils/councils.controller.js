@@ -0,0 +1,126 @@
+/**
+ * Councils Controller
+ *
+ * Handles HTTP requests for council endpoints
+ *
+ * @module modules/councils/councils.controller
+ */
+
+const councilsService = require('./councils.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * List councils
+ * GET /api/councils
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCouncils = asyncHandler(async (req, res) => {
+  const { regionId, search } = req.query;
+
+  const councils = await councilsService.getCouncils({ regionId, search });
+
+  res.status(200).json({
+    success: true,
+    data: councils
+  });
+});
+
+/**
+ * Get council by ID
+ * GET /api/councils/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCouncilById = asyncHandler(async (req, res) => {
+  const council = await councilsService.getCouncilById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: council
+  });
+});
+
+/**
+ * Create council
+ * POST /api/councils
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCouncil = asyncHandler(async (req, res) => {
+  const {
+    regionId,
+    name,
+    code,
+    description
+  } = req.body;
+
+  const council = await councilsService.createCouncil({
+    regionId,
+    name,
+    code,
+    description
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Council created',
+    data: council
+  });
+});
+
+/**
+ * Update council
+ * PUT /api/councils/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCouncil = asyncHandler(async (req, res) => {
+  const {
+    regionId,
+    name,
+    code,
+    description
+  } = req.body;
+
+  const council = await councilsService.updateCouncil(req.params.id, {
+    regionId,
+    name,
+    code,
+    description
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Council updated',
+    data: council
+  });
+});
+
+/**
+ * Delete council
+ * DELETE /api/councils/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCouncil = asyncHandler(async (req, res) => {
+  await councilsService.deleteCouncil(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Council deleted'
+  });
+});
+
+module.exports = {
+  getCouncils,
+  getCouncilById,
+  createCouncil,
+  updateCouncil,
+  deleteCouncil
+};
@@ -0,0 +1,180 @@
+/**
+ * Councils Repository
+ *
+ * Database queries for councils, the middle level of the facility hierarchy
+ *
+ * @module modules/councils/councils.repository
+ */
+
+const db = require('../../config/database');
+
+/**
+ * Columns selected for a council with its region and facility count
+ */
+const SELECT_COUNCIL = `SELECT
+      c.id, c.name, c.code, c.description, c.region_id, c.created_at, c.updated_at,
+      r.name AS region_name,
+      (SELECT COUNT(*) FROM facilities f WHERE f.council_id = c.id) AS facility_count
+    FROM councils c
+    INNER JOIN regions r ON c.region_id = r.id`;
+
+/**
+ * Format council row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted council
+ */
+function formatCouncil(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    code: row.code,
+    description: row.description,
+    region: { id: row.region_id, name: row.region_name },
+    facilityCount: parseInt(row.facility_count, 10),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Find councils
+ *
+ * @param {Object} filters - Query filters ({ regionId, search })
+ * @returns {Promise<Array>} Councils ordered by region and name
+ */
+async function findAll(filters = {}) {
+  const params = [];
+  const conditions = [];
+
+  if (filters.regionId) {
+    params.push(filters.regionId);
+    conditions.push(`c.region_id = $${params.length}`);
+  }
+
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    conditions.push(`(c.name ILIKE $${params.length} OR c.code ILIKE $${params.length})`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await db.query(
+    `${SELECT_COUNCIL}
+    ${whereClause}
+    ORDER BY r.name, c.name`,
+    params
+  );
+
+  return result.rows.map((row) => formatCouncil(row));
+}
+
+/**
+ * Find council by ID
+ *
+ * @param {string} councilId - Council ID
+ * @returns {Promise<Object|null>} Council or null
+ */
+async function findById(councilId) {
+  const result = await db.query(
+    `${SELECT_COUNCIL}
+    WHERE c.id = $1`,
+    [councilId]
+  );
+
+  return result.rows.length > 0 ? formatCouncil(result.rows[0]) : null;
+}
+
+/**
+ * Check that a region exists
+ *
+ * @param {string} regionId - Region ID
+ * @returns {Promise<boolean>} True if the region exists
+ */
+async function regionExists(regionId) {
+  const result = await db.query('SELECT 1 FROM regions WHERE id = $1', [regionId]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Create council
+ *
+ * @param {Object} councilData - Council data ({ regionId, name, code, description })
+ * @returns {Promise<Object>} Created council row
+ */
+async function create(councilData) {
+  const result = await db.query(
+    `INSERT INTO councils (region_id, name, code, description)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [
+      councilData.regionId,
+      councilData.name,
+      councilData.code || null,
+      councilData.description || null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update council
+ *
+ * @param {string} councilId - Council ID
+ * @param {Object} updates - Fields to update (snake_case column names, undefined skipped)
+ * @returns {Promise<boolean>} True if the council exists
+ */
+async function update(councilId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = ['region_id', 'name', 'code', 'description'];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(updates[key]);
+      fields.push(`${key} = $${params.length}`);
+    }
+  });
+
+  if (fields.length === 0) {
+    return Boolean(await findById(councilId));
+  }
+
+  params.push(councilId);
+
+  const result = await db.query(
+    `UPDATE councils SET ${fields.join(', ')} WHERE id = $${params.length}`,
+    params
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete council
+ *
+ * Fails with a foreign key violation while facilities belong to the council.
+ *
+ * @param {string} councilId - Council ID
+ * @returns {Promise<Object|null>} Deleted council row ({ name, region_id }) or null
+ */
+async function deleteCouncil(councilId) {
+  const result = await db.query(
+    'DELETE FROM councils WHERE id = $1 RETURNING name, region_id',
+    [councilId]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  regionExists,
+  create,
+  update,
+  deleteCouncil
+};
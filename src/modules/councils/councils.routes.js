@@ -0,0 +1,82 @@
+/**
+ * Councils Routes
+ *
+ * Route definitions for council endpoints
+ *
+ * @module modules/councils/councils.routes
+ */
+
+const express = require('express');
+const councilsController = require('./councils.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOnly } = require('../../middleware/roleAuth.middleware');
+const {
+  validateCouncil,
+  validateCouncilQuery,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/councils
+ * @desc    List councils with facility counts
+ * @access  Private
+ */
+router.get(
+  '/',
+  validateCouncilQuery,
+  councilsController.getCouncils
+);
+
+/**
+ * @route   POST /api/councils
+ * @desc    Create council
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  adminOnly,
+  validateCouncil(),
+  councilsController.createCouncil
+);
+
+/**
+ * @route   GET /api/councils/:id
+ * @desc    Get council by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateUuidParam('id'),
+  councilsController.getCouncilById
+);
+
+/**
+ * @route   PUT /api/councils/:id
+ * @desc    Update council or move it to another region
+ * @access  Private/Admin
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateCouncil(true),
+  councilsController.updateCouncil
+);
+
+/**
+ * @route   DELETE /api/councils/:id
+ * @desc    Delete a council without facilities
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:id',
+  adminOnly,
+  validateUuidParam('id'),
+  councilsController.deleteCouncil
+);
+
+module.exports = router;
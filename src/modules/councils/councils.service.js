@@ -0,0 +1,135 @@
+/**
+ * Councils Service
+ *
+ * Business logic for councils. A council can be moved to another region;
+ * it can only be deleted once it has no facilities.
+ *
+ * @module modules/councils/councils.service
+ */
+
+const councilsRepository = require('./councils.repository');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const logger = require('../../utils/logger');
+
+/**
+ * Check that a council's region exists
+ *
+ * @param {string} regionId - Region ID
+ * @throws {AppError} If the region does not exist
+ */
+async function assertRegionExists(regionId) {
+  if (!await councilsRepository.regionExists(regionId)) {
+    throw new AppError('Region not found', 400);
+  }
+}
+
+/**
+ * Get council by ID
+ *
+ * @param {string} councilId - Council ID
+ * @returns {Promise<Object>} Council
+ */
+async function getCouncilById(councilId) {
+  const council = await councilsRepository.findById(councilId);
+
+  if (!council) {
+    throw new AppError('Council not found', 404);
+  }
+
+  return council;
+}
+
+/**
+ * List councils
+ *
+ * @param {Object} filters - Query filters ({ regionId, search })
+ * @returns {Promise<Array>} Councils
+ */
+async function getCouncils(filters = {}) {
+  return councilsRepository.findAll(filters);
+}
+
+/**
+ * Create council
+ *
+ * @param {Object} data - Council data ({ regionId, name, code, description })
+ * @returns {Promise<Object>} Created council
+ */
+async function createCouncil(data) {
+  await assertRegionExists(data.regionId);
+
+  const { id } = await councilsRepository.create(data);
+
+  logger.info('Council created', { councilId: id, regionId: data.regionId, name: data.name });
+
+  return councilsRepository.findById(id);
+}
+
+/**
+ * Update council
+ *
+ * Changing `regionId` moves the council and its facilities to that region.
+ *
+ * @param {string} councilId - Council ID
+ * @param {Object} updates - Fields to update ({ regionId, name, code, description })
+ * @returns {Promise<Object>} Updated council
+ */
+async function updateCouncil(councilId, updates) {
+  if (updates.regionId) {
+    await assertRegionExists(updates.regionId);
+  }
+
+  const updated = await councilsRepository.update(councilId, {
+    region_id: updates.regionId,
+    name: updates.name,
+    code: updates.code,
+    description: updates.description
+  });
+
+  if (!updated) {
+    throw new AppError('Council not found', 404);
+  }
+
+  logger.info('Council updated', { councilId, regionId: updates.regionId });
+
+  return councilsRepository.findById(councilId);
+}
+
+/**
+ * Delete council
+ *
+ * @param {string} councilId - Council ID
+ * @returns {Promise<void>}
+ * @throws {AppError} If the council does not exist or still has facilities
+ */
+async function deleteCouncil(councilId) {
+  const council = await getCouncilById(councilId);
+
+  if (council.facilityCount > 0) {
+    throw new AppError(
+      `Council has ${council.facilityCount} facilit${council.facilityCount === 1 ? 'y' : 'ies'}; move them first`,
+      409
+    );
+  }
+
+  try {
+    await councilsRepository.deleteCouncil(councilId);
+  } catch (error) {
+    // A facility was added since the check
+    if (error.code === '23503') {
+      throw new AppError('Council has facilities; move them first', 409);
+    }
+
+    throw error;
+  }
+
+  logger.info('Council deleted', { councilId, name: council.name });
+}
+
+module.exports = {
+  getCouncilById,
+  getCouncils,
+  createCouncil,
+  updateCouncil,
+  deleteCouncil
+};
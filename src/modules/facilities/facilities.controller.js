@@ -7,6 +7,7 @@
  */
 
 const facilitiesService = require('./facilities.service');
+const importProfilesService = require('./importProfiles.service');
 const { asyncHandler } = require('../../middleware/errorHandler.middleware');
 
 /**
@@ -38,7 +39,8 @@ const getAllFacilities = asyncHandler(async (req, res) => {
   const result = await facilitiesService.getAllFacilities(
     filters,
     parseInt(page, 10),
-    parseInt(limit, 10)
+    parseInt(limit, 10),
+    req.dataScope
   );
 
   res.status(200).json({
@@ -48,6 +50,39 @@ const getAllFacilities = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Find facilities near a GPS position
+ * GET /api/facilities/nearby
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getNearbyFacilities = asyncHandler(async (req, res) => {
+  const {
+    lat,
+    lon,
+    radius,
+    status,
+    limit
+  } = req.query;
+
+  const result = await facilitiesService.getNearbyFacilities(
+    { latitude: parseFloat(lat), longitude: parseFloat(lon) },
+    {
+      radius: radius ? parseInt(radius, 10) : null,
+      status,
+      limit: limit ? parseInt(limit, 10) : null
+    },
+    req.dataScope
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.facilities,
+    radius: result.radius
+  });
+});
+
 /**
  * Get facility by ID
  * GET /api/facilities/:id
@@ -65,7 +100,113 @@ const getFacilityById = asyncHandler(async (req, res) => {
 });
 
 /**
- * Import facilities from CSV/Excel
+ * Pick the facility fields of a request body
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Facility fields
+ */
+function pickFacilityFields(body) {
+  const {
+    councilId,
+    name,
+    code,
+    type,
+    latitude,
+    longitude,
+    address,
+    contactPhone,
+    contactEmail,
+    geofenceRadius,
+    geofencePolicy,
+    timezone,
+    metadata
+  } = body;
+
+  return {
+    councilId,
+    name,
+    code,
+    type,
+    latitude,
+    longitude,
+    address,
+    contactPhone,
+    contactEmail,
+    geofenceRadius,
+    geofencePolicy,
+    timezone,
+    metadata
+  };
+}
+
+/**
+ * Create facility
+ * POST /api/facilities
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createFacility = asyncHandler(async (req, res) => {
+  const facility = await facilitiesService.createFacility(
+    req.user,
+    { ...pickFacilityFields(req.body), status: req.body.status },
+    { ipAddress: req.ip }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Facility created',
+    data: facility
+  });
+});
+
+/**
+ * Update facility
+ * PUT /api/facilities/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateFacility = asyncHandler(async (req, res) => {
+  const facility = await facilitiesService.updateFacility(
+    req.user,
+    req.params.id,
+    pickFacilityFields(req.body),
+    { ipAddress: req.ip }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Facility updated',
+    data: facility
+  });
+});
+
+/**
+ * Change facility status
+ * PATCH /api/facilities/:id/status
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const changeFacilityStatus = asyncHandler(async (req, res) => {
+  const facility = await facilitiesService.changeFacilityStatus(
+    req.user,
+    req.params.id,
+    req.body.status,
+    req.body.reason,
+    { ipAddress: req.ip }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Facility status updated',
+    data: facility
+  });
+});
+
+/**
+ * Queue a facility import from CSV/Excel
  * POST /api/facilities/import
  * 
  * @param {Object} req - Express request object
@@ -79,20 +220,159 @@ const importFacilities = asyncHandler(async (req, res) => {
     });
   }
 
-  const result = await facilitiesService.importFacilities(
-    req.file.path,
-    req.file.mimetype
-  );
+  const dryRun = req.query.dryRun === 'true';
+  const job = await facilitiesService.queueImport(req.file, req.user, {
+    dryRun,
+    updateRules: req.query.updateRules,
+    deactivateMissing: req.query.deactivateMissing === 'true',
+    profileId: req.query.profileId,
+    sheetName: req.query.sheet
+  });
+
+  res.location(`/api/jobs/${job.id}`);
+  res.status(202).json({
+    success: true,
+    message: dryRun ? 'Facilities import preview queued' : 'Facilities import queued',
+    data: job
+  });
+});
+
+/**
+ * Queue the commit of a previewed facility import
+ * POST /api/facilities/import/:id/commit
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const commitImport = asyncHandler(async (req, res) => {
+  const job = await facilitiesService.queueCommit(req.params.id, req.user);
+
+  res.location(`/api/jobs/${job.id}`);
+  res.status(202).json({
+    success: true,
+    message: 'Facilities import commit queued',
+    data: job
+  });
+});
+
+/**
+ * List facility import profiles
+ * GET /api/facilities/import-profiles
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getImportProfiles = asyncHandler(async (req, res) => {
+  const profiles = await importProfilesService.getProfiles();
+
+  res.status(200).json({
+    success: true,
+    data: profiles
+  });
+});
+
+/**
+ * Get facility import profile by ID
+ * GET /api/facilities/import-profiles/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getImportProfileById = asyncHandler(async (req, res) => {
+  const profile = await importProfilesService.getProfileById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: profile
+  });
+});
+
+/**
+ * Create facility import profile
+ * POST /api/facilities/import-profiles
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createImportProfile = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    columns,
+    sheetName
+  } = req.body;
+
+  const profile = await importProfilesService.createProfile(req.user, {
+    name,
+    description,
+    columns,
+    sheetName
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Import profile created',
+    data: profile
+  });
+});
+
+/**
+ * Update facility import profile
+ * PUT /api/facilities/import-profiles/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateImportProfile = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    columns,
+    sheetName
+  } = req.body;
+
+  const profile = await importProfilesService.updateProfile(req.params.id, {
+    name,
+    description,
+    columns,
+    sheetName
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Import profile updated',
+    data: profile
+  });
+});
+
+/**
+ * Delete facility import profile
+ * DELETE /api/facilities/import-profiles/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteImportProfile = asyncHandler(async (req, res) => {
+  await importProfilesService.deleteProfile(req.params.id);
 
   res.status(200).json({
     success: true,
-    message: 'Facilities import completed',
-    data: result
+    message: 'Import profile deleted'
   });
 });
 
 module.exports = {
   getAllFacilities,
+  getNearbyFacilities,
   getFacilityById,
-  importFacilities
+  createFacility,
+  updateFacility,
+  changeFacilityStatus,
+  importFacilities,
+  commitImport,
+  getImportProfiles,
+  getImportProfileById,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
 };
@@ -7,6 +7,7 @@
  */
 
 const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
 
 /**
  * Find facility by ID with hierarchy
@@ -19,6 +20,7 @@ async function findById(facilityId) {
     `SELECT 
       f.id, f.name, f.code, f.type, f.latitude, f.longitude,
       f.address, f.contact_phone, f.contact_email, f.status,
+      f.status_reason, f.status_changed_at, f.geofence_radius, f.geofence_policy, f.timezone,
       f.metadata, f.created_at, f.updated_at,
       c.id as council_id, c.name as council_name, c.code as council_code,
       r.id as region_id, r.name as region_name, r.code as region_code
@@ -37,45 +39,62 @@ async function findById(facilityId) {
 }
 
 /**
- * Find all facilities with filters
- * 
+ * Build the WHERE clause shared by findAll and count
+ *
  * @param {Object} filters - Query filters
- * @param {number} limit - Result limit
- * @param {number} offset - Result offset
- * @returns {Promise<Array>} Array of facilities
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Object} WHERE clause and parameters
  */
-async function findAll(filters = {}, limit = 50, offset = 0) {
-  const conditions = [];
+function buildFilters(filters = {}, scope = null) {
   const params = [];
-  let paramIndex = 1;
+  const conditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'f.id'
+  }, params);
 
   if (filters.councilId) {
-    conditions.push(`f.council_id = $${paramIndex++}`);
     params.push(filters.councilId);
+    conditions.push(`f.council_id = $${params.length}`);
   }
 
   if (filters.regionId) {
-    conditions.push(`r.id = $${paramIndex++}`);
     params.push(filters.regionId);
+    conditions.push(`c.region_id = $${params.length}`);
   }
 
   if (filters.status) {
-    conditions.push(`f.status = $${paramIndex++}`);
     params.push(filters.status);
+    conditions.push(`f.status = $${params.length}`);
   }
 
   if (filters.type) {
-    conditions.push(`f.type = $${paramIndex++}`);
     params.push(filters.type);
+    conditions.push(`f.type = $${params.length}`);
   }
 
   if (filters.search) {
-    conditions.push(`(f.name ILIKE $${paramIndex} OR f.code ILIKE $${paramIndex})`);
     params.push(`%${filters.search}%`);
-    paramIndex++;
+    conditions.push(`(f.name ILIKE $${params.length} OR f.code ILIKE $${params.length})`);
   }
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find all facilities with filters
+ * 
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Array of facilities
+ */
+async function findAll(filters = {}, limit = 50, offset = 0, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
 
   params.push(limit, offset);
 
@@ -90,7 +109,7 @@ async function findAll(filters = {}, limit = 50, offset = 0) {
     INNER JOIN regions r ON c.region_id = r.id
     ${whereClause}
     ORDER BY f.name ASC
-    LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
     params
   );
 
@@ -101,31 +120,85 @@ async function findAll(filters = {}, limit = 50, offset = 0) {
  * Count facilities with filters
  * 
  * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
  * @returns {Promise<number>} Facility count
  */
-async function count(filters = {}) {
-  const conditions = [];
-  const params = [];
-  let paramIndex = 1;
+async function count(filters = {}, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
 
-  if (filters.councilId) {
-    conditions.push(`council_id = $${paramIndex++}`);
-    params.push(filters.councilId);
-  }
+  const result = await db.query(
+    `SELECT COUNT(*)
+    FROM facilities f
+    INNER JOIN councils c ON f.council_id = c.id
+    ${whereClause}`,
+    params
+  );
 
-  if (filters.status) {
-    conditions.push(`status = $${paramIndex++}`);
-    params.push(filters.status);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Find facilities within a radius, nearest first
+ *
+ * The bounding box narrows the rows on idx_facilities_coordinates before the
+ * haversine distance is computed.
+ *
+ * @param {Object} position - Center ({ latitude, longitude })
+ * @param {number} radiusMeters - Radius in meters
+ * @param {Object} box - Bounding box of the radius (see utils/geo boundingBox)
+ * @param {Object} options - Options ({ status, limit })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Facilities with distanceMeters
+ */
+async function findNearby(position, radiusMeters, box, options = {}, scope = null) {
+  const params = [position.latitude, position.longitude];
+  const conditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'f.id'
+  }, params);
+
+  params.push(box.minLatitude, box.maxLatitude);
+  conditions.push(`f.latitude BETWEEN $${params.length - 1} AND $${params.length}`);
+
+  params.push(box.minLongitude, box.maxLongitude);
+  conditions.push(box.minLongitude <= box.maxLongitude
+    ? `f.longitude BETWEEN $${params.length - 1} AND $${params.length}`
+    : `(f.longitude >= $${params.length - 1} OR f.longitude <= $${params.length})`);
+
+  if (options.status) {
+    params.push(options.status);
+    conditions.push(`f.status = $${params.length}`);
   }
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  params.push(radiusMeters, options.limit);
 
   const result = await db.query(
-    `SELECT COUNT(*) FROM facilities ${whereClause}`,
+    `SELECT * FROM (
+      SELECT
+        f.id, f.name, f.code, f.type, f.latitude, f.longitude,
+        f.status, f.created_at,
+        c.id as council_id, c.name as council_name,
+        r.id as region_id, r.name as region_name,
+        2 * 6371000 * ASIN(LEAST(1, SQRT(
+          POWER(SIN(RADIANS(f.latitude - $1) / 2), 2)
+          + COS(RADIANS($1)) * COS(RADIANS(f.latitude)) * POWER(SIN(RADIANS(f.longitude - $2) / 2), 2)
+        ))) AS distance
+      FROM facilities f
+      INNER JOIN councils c ON f.council_id = c.id
+      INNER JOIN regions r ON c.region_id = r.id
+      WHERE ${conditions.join(' AND ')}
+    ) nearby
+    WHERE distance <= $${params.length - 1}
+    ORDER BY distance ASC, name ASC
+    LIMIT $${params.length}`,
     params
   );
 
-  return parseInt(result.rows[0].count, 10);
+  return result.rows.map((row) => ({
+    ...formatFacilityList(row),
+    distanceMeters: Math.round(row.distance)
+  }));
 }
 
 /**
@@ -138,8 +211,9 @@ async function create(facilityData) {
   const result = await db.query(
     `INSERT INTO facilities (
       council_id, name, code, type, latitude, longitude,
-      address, contact_phone, contact_email, status, metadata
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      address, contact_phone, contact_email, status,
+      geofence_radius, geofence_policy, timezone, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     RETURNING *`,
     [
       facilityData.councilId,
@@ -152,6 +226,9 @@ async function create(facilityData) {
       facilityData.contactPhone || null,
       facilityData.contactEmail || null,
       facilityData.status || 'active',
+      facilityData.geofenceRadius || null,
+      facilityData.geofencePolicy || null,
+      facilityData.timezone || null,
       facilityData.metadata || {}
     ]
   );
@@ -160,54 +237,329 @@ async function create(facilityData) {
 }
 
 /**
- * Bulk insert facilities
- * 
- * @param {Array} facilities - Array of facility data
- * @returns {Promise<Array>} Created facilities
+ * Update facility
+ *
+ * @param {string} facilityId - Facility ID
+ * @param {Object} updates - Fields to update (snake_case column names, undefined skipped)
+ * @returns {Promise<boolean>} True if the facility exists
  */
-async function bulkInsert(facilities) {
-  const client = await db.getClient();
-  const inserted = [];
-
-  try {
-    await client.query('BEGIN');
-
-    for (const facility of facilities) {
-      const result = await client.query(
-        `INSERT INTO facilities (
-          council_id, name, code, type, latitude, longitude,
-          address, contact_phone, contact_email, status, metadata
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        ON CONFLICT (code) DO UPDATE SET
-          name = EXCLUDED.name,
-          latitude = EXCLUDED.latitude,
-          longitude = EXCLUDED.longitude
-        RETURNING *`,
-        [
-          facility.councilId,
-          facility.name,
-          facility.code || null,
-          facility.type || null,
-          facility.latitude || null,
-          facility.longitude || null,
-          facility.address || null,
-          facility.contactPhone || null,
-          facility.contactEmail || null,
-          facility.status || 'active',
-          facility.metadata || {}
-        ]
-      );
-      inserted.push(result.rows[0]);
+async function update(facilityId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = [
+    'council_id', 'name', 'code', 'type', 'latitude', 'longitude',
+    'address', 'contact_phone', 'contact_email', 'geofence_radius',
+    'geofence_policy', 'timezone', 'metadata'
+  ];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(key === 'metadata' ? JSON.stringify(updates[key]) : updates[key]);
+      fields.push(`${key} = $${params.length}`);
     }
+  });
 
-    await client.query('COMMIT');
-    return inserted;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
+  if (fields.length === 0) {
+    return Boolean(await findById(facilityId));
   }
+
+  params.push(facilityId);
+
+  const result = await db.query(
+    `UPDATE facilities SET ${fields.join(', ')} WHERE id = $${params.length}`,
+    params
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Change facility status
+ *
+ * @param {string} facilityId - Facility ID
+ * @param {string} status - New status
+ * @param {string|null} reason - Reason for the change
+ * @returns {Promise<string|null>} Previous status, or null if the facility
+ *   does not exist or already has the status
+ */
+async function updateStatus(facilityId, status, reason) {
+  const result = await db.query(
+    `UPDATE facilities f
+     SET status = $2, status_reason = $3, status_changed_at = CURRENT_TIMESTAMP
+     FROM (SELECT id, status FROM facilities WHERE id = $1 FOR UPDATE) previous
+     WHERE f.id = previous.id AND previous.status <> $2
+     RETURNING previous.status AS previous_status`,
+    [facilityId, status, reason || null]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].previous_status : null;
+}
+
+/**
+ * Facility columns written by imports, by update rule column
+ */
+const IMPORT_COLUMNS = {
+  name: ['name'],
+  council: ['council_id'],
+  type: ['type'],
+  coordinates: ['latitude', 'longitude'],
+  address: ['address'],
+  contactPhone: ['contact_phone'],
+  contactEmail: ['contact_email'],
+  timezone: ['timezone']
+};
+
+/**
+ * Find the facilities matched by imported rows
+ *
+ * Rows match by code; rows without a code match a code-less facility with
+ * the same name (case-insensitive) in the same council.
+ *
+ * @param {Array<string>} codes - Facility codes in the file
+ * @param {Array<Object>} uncoded - Code-less rows ({ councilId, name })
+ * @returns {Promise<Array>} Facility rows
+ */
+async function findImportMatches(codes, uncoded) {
+  if (codes.length === 0 && uncoded.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT
+      id, code, name, council_id, type, latitude, longitude,
+      address, contact_phone, contact_email, timezone, status
+    FROM facilities
+    WHERE code = ANY($1)
+      OR (code IS NULL AND (council_id, LOWER(name)) IN (
+        SELECT * FROM unnest($2::uuid[], $3::text[])
+      ))`,
+    [
+      codes,
+      uncoded.map((row) => row.councilId),
+      uncoded.map((row) => row.name.toLowerCase())
+    ]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find facilities that are not inactive and not in an import
+ *
+ * @param {Array<string>} keepIds - IDs of facilities matched by the import
+ * @param {Array<string>} keepCodes - Codes in the import file
+ * @returns {Promise<Array>} Facilities ({ id, code, name })
+ */
+async function findDeactivationCandidates(keepIds, keepCodes) {
+  const result = await db.query(
+    `SELECT id, code, name
+    FROM facilities
+    WHERE status <> 'inactive'
+      AND id <> ALL($1::uuid[])
+      AND (code IS NULL OR code <> ALL($2::text[]))
+    ORDER BY name ASC`,
+    [keepIds, keepCodes]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Insert an imported facility
+ *
+ * @param {Object} client - Database client
+ * @param {Object} facility - Facility data
+ * @returns {Promise<string>} Facility ID
+ */
+async function insertImportedFacility(client, facility) {
+  const result = await client.query(
+    `INSERT INTO facilities (
+      council_id, name, code, type, latitude, longitude,
+      address, contact_phone, contact_email, status, metadata, timezone
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING id`,
+    [
+      facility.councilId,
+      facility.name,
+      facility.code || null,
+      facility.type || null,
+      facility.latitude || null,
+      facility.longitude || null,
+      facility.address || null,
+      facility.contactPhone || null,
+      facility.contactEmail || null,
+      facility.status || 'active',
+      facility.metadata || {},
+      facility.timezone || null
+    ]
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Apply the changes of an imported row to a facility
+ *
+ * @param {Object} client - Database client
+ * @param {string} facilityId - Facility ID
+ * @param {Object} changes - Changes by update rule column ({ column: { from, to } })
+ */
+async function updateImportedFacility(client, facilityId, changes) {
+  const params = [facilityId];
+  const sets = [];
+
+  Object.keys(changes).forEach((column) => {
+    const values = IMPORT_COLUMNS[column].length > 1 ? changes[column].to : [changes[column].to];
+
+    IMPORT_COLUMNS[column].forEach((dbColumn, i) => {
+      const value = values ? values[i] : null;
+      params.push(value === undefined || value === '' ? null : value);
+      sets.push(`${dbColumn} = $${params.length}`);
+    });
+  });
+
+  await client.query(
+    `UPDATE facilities SET ${sets.join(', ')} WHERE id = $1`,
+    params
+  );
+}
+
+/**
+ * Write an import plan in one transaction
+ *
+ * @param {Object} plan - Plan ({ create: [{ data }], update: [{ facilityId, changes }], deactivate: [{ id }] })
+ * @param {string|null} importId - Previewed import to mark committed
+ * @returns {Promise<Array<string>>} IDs of the created facilities, in plan order
+ */
+async function applyImport(plan, importId = null) {
+  return db.transaction(async (client) => {
+    const createdIds = await plan.create.reduce(async (previous, row) => {
+      const ids = await previous;
+      ids.push(await insertImportedFacility(client, row.data));
+      return ids;
+    }, Promise.resolve([]));
+
+    await plan.update.reduce(async (previous, row) => {
+      await previous;
+      await updateImportedFacility(client, row.facilityId, row.changes);
+    }, Promise.resolve());
+
+    if (plan.deactivate.length > 0) {
+      await client.query(
+        `UPDATE facilities
+         SET status = 'inactive', status_reason = 'Not in facility import',
+           status_changed_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::uuid[])`,
+        [plan.deactivate.map((facility) => facility.id)]
+      );
+    }
+
+    if (importId) {
+      await client.query(
+        `UPDATE facility_imports
+         SET status = 'committed', committed_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [importId]
+      );
+    }
+
+    return createdIds;
+  });
+}
+
+/**
+ * Format facility import preview row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted import
+ */
+function formatImport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileName: row.file_name,
+    facilities: row.facilities,
+    summary: row.summary,
+    options: row.options,
+    createdBy: row.created_by,
+    committedBy: row.committed_by,
+    committedAt: row.committed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Save a previewed facility import
+ *
+ * @param {Object} data - Import data ({ fileName, facilities, summary, options, createdBy })
+ * @returns {Promise<Object>} Created import
+ */
+async function createImport(data) {
+  const result = await db.query(
+    `INSERT INTO facility_imports (file_name, facilities, summary, options, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [
+      data.fileName || null,
+      JSON.stringify(data.facilities),
+      JSON.stringify(data.summary),
+      JSON.stringify(data.options || {}),
+      data.createdBy
+    ]
+  );
+
+  return formatImport(result.rows[0]);
+}
+
+/**
+ * Find facility import by ID
+ *
+ * @param {string} importId - Import ID
+ * @returns {Promise<Object|null>} Import or null
+ */
+async function findImportById(importId) {
+  const result = await db.query(
+    'SELECT * FROM facility_imports WHERE id = $1',
+    [importId]
+  );
+
+  return result.rows.length > 0 ? formatImport(result.rows[0]) : null;
+}
+
+/**
+ * Mark a previewed import as being committed
+ *
+ * Only one commit can claim an import.
+ *
+ * @param {string} importId - Import ID
+ * @param {string} userId - User committing
+ * @returns {Promise<boolean>} False if the import is not in the previewed state
+ */
+async function claimImport(importId, userId) {
+  const result = await db.query(
+    `UPDATE facility_imports
+     SET status = 'committing', committed_by = $2
+     WHERE id = $1 AND status = 'previewed'`,
+    [importId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Return an import whose commit failed to the previewed state
+ *
+ * @param {string} importId - Import ID
+ */
+async function releaseImport(importId) {
+  await db.query(
+    `UPDATE facility_imports
+     SET status = 'previewed', committed_by = NULL
+     WHERE id = $1 AND status = 'committing'`,
+    [importId]
+  );
 }
 
 /**
@@ -228,6 +580,11 @@ function formatFacility(row) {
     contactPhone: row.contact_phone,
     contactEmail: row.contact_email,
     status: row.status,
+    statusReason: row.status_reason,
+    statusChangedAt: row.status_changed_at,
+    geofenceRadius: row.geofence_radius,
+    geofencePolicy: row.geofence_policy,
+    timezone: row.timezone,
     metadata: row.metadata,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
@@ -269,6 +626,15 @@ module.exports = {
   findById,
   findAll,
   count,
+  findNearby,
   create,
-  bulkInsert
+  update,
+  updateStatus,
+  findImportMatches,
+  findDeactivationCandidates,
+  applyImport,
+  createImport,
+  findImportById,
+  claimImport,
+  releaseImport
 };
@@ -7,64 +7,140 @@
  */
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const facilitiesController = require('./facilities.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
 const { adminOnly } = require('../../middleware/roleAuth.middleware');
 const { uploadLimiter } = require('../../middleware/rateLimiter.middleware');
-const { validateUuidParam } = require('../../middleware/validation.middleware');
-const appConfig = require('../../config/app');
+const { createImportUpload } = require('../../middleware/upload.middleware');
+const {
+  validateFacility,
+  validateFacilityStatus,
+  validateNearbyQuery,
+  validateFacilityImportQuery,
+  validateImportProfile,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, appConfig.upload.dir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'facility-import-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: appConfig.upload.maxSize
-  },
-  fileFilter: (req, file, cb) => {
-    if (appConfig.upload.allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only CSV and Excel files are allowed.'));
-    }
-  }
-});
+const upload = createImportUpload('facility-import');
 
 // All routes require authentication
 router.use(authenticate);
 
 /**
  * @route   POST /api/facilities/import
- * @desc    Import facilities from CSV/Excel (admin only)
+ * @desc    Queue a facility import (upsert by code) from CSV/Excel, or a dry run with ?dryRun=true;
+ *          ?profileId= maps headers with an import profile, ?sheet= picks the Excel sheet (admin only)
  * @access  Private/Admin
  */
 router.post(
   '/import',
   adminOnly,
   uploadLimiter,
+  validateFacilityImportQuery,
   upload.single('file'),
   facilitiesController.importFacilities
 );
 
+/**
+ * @route   POST /api/facilities/import/:id/commit
+ * @desc    Queue the commit of a dry-run import (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/import/:id/commit',
+  adminOnly,
+  validateUuidParam('id'),
+  facilitiesController.commitImport
+);
+
+/**
+ * @route   GET /api/facilities/import-profiles
+ * @desc    List facility import profiles (admin only)
+ * @access  Private/Admin
+ */
+router.get('/import-profiles', adminOnly, facilitiesController.getImportProfiles);
+
+/**
+ * @route   POST /api/facilities/import-profiles
+ * @desc    Create a facility import profile (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/import-profiles',
+  adminOnly,
+  validateImportProfile(),
+  facilitiesController.createImportProfile
+);
+
+/**
+ * @route   GET /api/facilities/import-profiles/:id
+ * @desc    Get facility import profile by ID (admin only)
+ * @access  Private/Admin
+ */
+router.get(
+  '/import-profiles/:id',
+  adminOnly,
+  validateUuidParam('id'),
+  facilitiesController.getImportProfileById
+);
+
+/**
+ * @route   PUT /api/facilities/import-profiles/:id
+ * @desc    Update a facility import profile (admin only)
+ * @access  Private/Admin
+ */
+router.put(
+  '/import-profiles/:id',
+  adminOnly,
+  validateImportProfile(true),
+  facilitiesController.updateImportProfile
+);
+
+/**
+ * @route   DELETE /api/facilities/import-profiles/:id
+ * @desc    Delete a facility import profile (admin only)
+ * @access  Private/Admin
+ */
+router.delete(
+  '/import-profiles/:id',
+  adminOnly,
+  validateUuidParam('id'),
+  facilitiesController.deleteImportProfile
+);
+
 /**
  * @route   GET /api/facilities
- * @desc    Get all facilities
+ * @desc    Get facilities in the caller's data scope
  * @access  Private
  */
-router.get('/', facilitiesController.getAllFacilities);
+router.get('/', attachDataScope, facilitiesController.getAllFacilities);
+
+/**
+ * @route   GET /api/facilities/nearby
+ * @desc    Find facilities in the caller's data scope near a GPS position, nearest first
+ * @access  Private
+ */
+router.get(
+  '/nearby',
+  validateNearbyQuery,
+  attachDataScope,
+  facilitiesController.getNearbyFacilities
+);
+
+/**
+ * @route   POST /api/facilities
+ * @desc    Create facility (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  adminOnly,
+  validateFacility(),
+  facilitiesController.createFacility
+);
 
 /**
  * @route   GET /api/facilities/:id
@@ -77,4 +153,28 @@ router.get(
   facilitiesController.getFacilityById
 );
 
+/**
+ * @route   PUT /api/facilities/:id
+ * @desc    Update facility or move it to another council (admin only)
+ * @access  Private/Admin
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateFacility(true),
+  facilitiesController.updateFacility
+);
+
+/**
+ * @route   PATCH /api/facilities/:id/status
+ * @desc    Activate, deactivate or put a facility into maintenance (admin only)
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:id/status',
+  adminOnly,
+  validateFacilityStatus,
+  facilitiesController.changeFacilityStatus
+);
+
 module.exports = router;
@@ -6,13 +6,17 @@
  * @module modules/facilities/facilities.service
  */
 
-const csv = require('csv-parser');
-const xlsx = require('xlsx');
-const fs = require('fs').promises;
 const facilitiesRepository = require('./facilities.repository');
+const importProfilesService = require('./importProfiles.service');
+const jobsService = require('../jobs/jobs.service');
 const db = require('../../config/database');
+const appConfig = require('../../config/app');
 const { AppError } = require('../../middleware/errorHandler.middleware');
 const validators = require('../../utils/validators');
+const importRules = require('../../utils/importRules');
+const columnMapping = require('../../utils/columnMapping');
+const geo = require('../../utils/geo');
+const spreadsheet = require('../../utils/spreadsheet');
 const logger = require('../../utils/logger');
 
 /**
@@ -37,14 +41,15 @@ async function getFacilityById(facilityId) {
  * @param {Object} filters - Query filters
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
  * @returns {Promise<Object>} Facilities and pagination info
  */
-async function getAllFacilities(filters = {}, page = 1, limit = 50) {
+async function getAllFacilities(filters = {}, page = 1, limit = 50, scope = null) {
   const offset = (page - 1) * limit;
   
   const [facilities, total] = await Promise.all([
-    facilitiesRepository.findAll(filters, limit, offset),
-    facilitiesRepository.count(filters)
+    facilitiesRepository.findAll(filters, limit, offset, scope),
+    facilitiesRepository.count(filters, scope)
   ]);
   
   return {
@@ -59,102 +64,416 @@ async function getAllFacilities(filters = {}, page = 1, limit = 50) {
 }
 
 /**
- * Parse CSV file
- * 
- * @param {string} filePath - Path to CSV file
- * @returns {Promise<Array>} Parsed records
+ * Find facilities near a GPS position, nearest first
+ *
+ * Only active facilities are returned unless another status is asked for.
+ *
+ * @param {Object} position - Position ({ latitude, longitude })
+ * @param {Object} options - Options ({ radius in meters, status, limit })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} { facilities, radius }
  */
-async function parseCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    const stream = require('fs').createReadStream(filePath);
-    
-    stream
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
+async function getNearbyFacilities(position, options = {}, scope = null) {
+  const radius = options.radius || appConfig.nearby.defaultRadius;
+  const box = geo.boundingBox(position.latitude, position.longitude, radius);
+
+  const facilities = await facilitiesRepository.findNearby(position, radius, box, {
+    status: options.status || 'active',
+    limit: options.limit || 20
+  }, scope);
+
+  return { facilities, radius };
+}
+
+/**
+ * Facility fields editable through the API, by column
+ */
+const EDITABLE_FIELDS = {
+  councilId: 'council_id',
+  name: 'name',
+  code: 'code',
+  type: 'type',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  address: 'address',
+  contactPhone: 'contact_phone',
+  contactEmail: 'contact_email',
+  geofenceRadius: 'geofence_radius',
+  geofencePolicy: 'geofence_policy',
+  timezone: 'timezone',
+  metadata: 'metadata'
+};
+
+/**
+ * Log a facility change
+ *
+ * @param {Object} admin - Admin making the change
+ * @param {string} facilityId - Facility ID
+ * @param {string} action - Activity action (e.g. 'FACILITY_UPDATED')
+ * @param {string} description - Activity description
+ * @param {Object} metadata - Activity metadata
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function logFacilityActivity(admin, facilityId, action, description, metadata, client = {}) {
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, $2, 'facility', $3, $4, $5, $6)`,
+    [admin.id, action, facilityId, description, client.ipAddress || null, JSON.stringify(metadata)]
+  );
+}
+
+/**
+ * Run a facility write, reporting constraint violations as client errors
+ *
+ * @param {Function} write - Async write
+ * @returns {Promise<*>} Write result
+ * @throws {AppError} If the code is taken or the council does not exist
+ */
+async function withFacilityConstraints(write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new AppError('A facility with this code already exists', 409);
+    }
+
+    if (error.code === '23503') {
+      throw new AppError('Council not found', 400);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Check that a facility has both coordinates or neither
+ *
+ * @param {number|null} latitude - Latitude
+ * @param {number|null} longitude - Longitude
+ * @throws {AppError} If only one coordinate is set
+ */
+function assertCoordinatePair(latitude, longitude) {
+  if ((latitude === null || latitude === undefined) !== (longitude === null || longitude === undefined)) {
+    throw new AppError('Latitude and longitude must be given together', 400);
+  }
+}
+
+/**
+ * Create facility
+ *
+ * @param {Object} admin - Admin creating the facility
+ * @param {Object} data - Facility data
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Object>} Created facility
+ */
+async function createFacility(admin, data, client = {}) {
+  assertCoordinatePair(data.latitude, data.longitude);
+
+  const { id } = await withFacilityConstraints(() => facilitiesRepository.create(data));
+
+  await logFacilityActivity(admin, id, 'FACILITY_CREATED', 'Facility created', {
+    councilId: data.councilId,
+    code: data.code || null,
+    status: data.status || 'active'
+  }, client);
+
+  logger.info('Facility created', { facilityId: id, adminId: admin.id });
+
+  return facilitiesRepository.findById(id);
+}
+
+/**
+ * Update facility
+ *
+ * Changing `councilId` moves the facility to that council. The status is
+ * changed through changeFacilityStatus.
+ *
+ * @param {Object} admin - Admin updating the facility
+ * @param {string} facilityId - Facility ID
+ * @param {Object} updates - Fields to update (see EDITABLE_FIELDS; undefined skipped)
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Object>} Updated facility
+ */
+async function updateFacility(admin, facilityId, updates, client = {}) {
+  const facility = await getFacilityById(facilityId);
+  const current = { ...facility, councilId: facility.council.id };
+
+  if (updates.latitude !== undefined || updates.longitude !== undefined) {
+    assertCoordinatePair(
+      updates.latitude !== undefined ? updates.latitude : facility.latitude,
+      updates.longitude !== undefined ? updates.longitude : facility.longitude
+    );
+  }
+
+  const changes = Object.keys(EDITABLE_FIELDS).reduce((changed, field) => {
+    const value = updates[field];
+    const same = field === 'metadata'
+      ? JSON.stringify(value) === JSON.stringify(current[field])
+      : importRules.isSameValue(current[field], value);
+
+    if (value === undefined || same) {
+      return changed;
+    }
+
+    return { ...changed, [field]: { from: current[field], to: value } };
+  }, {});
+
+  if (Object.keys(changes).length === 0) {
+    return facility;
+  }
+
+  await withFacilityConstraints(() => facilitiesRepository.update(
+    facilityId,
+    Object.keys(changes).reduce((columns, field) => ({
+      ...columns,
+      [EDITABLE_FIELDS[field]]: changes[field].to
+    }), {})
+  ));
+
+  await logFacilityActivity(admin, facilityId, 'FACILITY_UPDATED', 'Facility updated', { changes }, client);
+
+  logger.info('Facility updated', { facilityId, adminId: admin.id, fields: Object.keys(changes) });
+
+  return facilitiesRepository.findById(facilityId);
+}
+
+/**
+ * Change facility status
+ *
+ * No new clock-ins are accepted while a facility is inactive or in
+ * maintenance; open attendance can still be clocked out.
+ *
+ * @param {Object} admin - Admin changing the status
+ * @param {string} facilityId - Facility ID
+ * @param {string} status - New status (active, inactive or maintenance)
+ * @param {string|null} reason - Reason for the change
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Object>} Updated facility
+ * @throws {AppError} If the facility does not exist or already has the status
+ */
+async function changeFacilityStatus(admin, facilityId, status, reason, client = {}) {
+  const facility = await getFacilityById(facilityId);
+  const previous = await facilitiesRepository.updateStatus(facilityId, status, reason);
+
+  if (!previous) {
+    throw new AppError(`Facility status is already ${facility.status}`, 409);
+  }
+
+  await logFacilityActivity(
+    admin,
+    facilityId,
+    'FACILITY_STATUS_CHANGED',
+    `Facility status changed from ${previous} to ${status}`,
+    { from: previous, to: status, reason: reason || null },
+    client
+  );
+
+  logger.info('Facility status changed', {
+    facilityId,
+    adminId: admin.id,
+    from: previous,
+    to: status
   });
+
+  return facilitiesRepository.findById(facilityId);
 }
 
 /**
- * Parse Excel file
- * 
- * @param {string} filePath - Path to Excel file
- * @returns {Promise<Array>} Parsed records
+ * Get a cell value as trimmed text
+ *
+ * @param {*} value - Cell value (spreadsheet cells may be numbers)
+ * @returns {string} Trimmed text, empty for missing cells
  */
-async function parseExcel(filePath) {
-  const workbook = xlsx.readFile(filePath);
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  return xlsx.utils.sheet_to_json(sheet);
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
 }
 
 /**
  * Validate and normalize facility data
  * 
- * @param {Object} row - Raw facility data
+ * @param {Object} row - Facility data keyed by import field (see utils/columnMapping)
  * @returns {Object} Validated facility data
  */
 function validateFacilityRow(row) {
   const errors = [];
+  const name = cellText(row.name);
+  const councilId = cellText(row.councilId) || null;
   
   // Required fields
-  if (!row.name || !row.name.trim()) {
+  if (!name) {
     errors.push('Missing facility name');
   }
   
-  if (!row.council_name && !row.councilName && !row.council_id && !row.councilId) {
+  if (!cellText(row.councilName) && !councilId) {
     errors.push('Missing council information');
   }
+
+  if (councilId && !validators.isValidUUID(councilId)) {
+    errors.push(`Invalid council ID: ${councilId}`);
+  }
   
   // Validate coordinates if provided
-  const lat = parseFloat(row.latitude || row.lat);
-  const lon = parseFloat(row.longitude || row.lon || row.lng);
+  const lat = parseFloat(row.latitude);
+  const lon = parseFloat(row.longitude);
   
   if ((lat || lon) && !validators.isValidCoordinates(lat, lon)) {
     errors.push(`Invalid coordinates: ${lat}, ${lon}`);
   }
+
+  const timezone = cellText(row.timezone) || null;
+  if (timezone && !validators.isValidTimezone(timezone)) {
+    errors.push(`Invalid timezone: ${timezone}`);
+  }
   
   return {
     isValid: errors.length === 0,
     errors,
     data: {
-      name: (row.name || '').trim(),
-      code: (row.code || row.facility_code || '').trim() || null,
-      type: (row.type || row.facility_type || '').trim() || null,
+      name,
+      code: cellText(row.code) || null,
+      type: cellText(row.type) || null,
       latitude: lat || null,
       longitude: lon || null,
-      address: (row.address || '').trim() || null,
-      contactPhone: (row.contact_phone || row.phone || '').trim() || null,
-      contactEmail: (row.contact_email || row.email || '').trim() || null,
-      councilName: (row.council_name || row.councilName || '').trim(),
-      councilId: row.council_id || row.councilId || null
+      address: cellText(row.address) || null,
+      contactPhone: cellText(row.contactPhone) || null,
+      contactEmail: cellText(row.contactEmail) || null,
+      timezone,
+      councilName: cellText(row.councilName),
+      councilId
     }
   };
 }
 
 /**
- * Import facilities from CSV/Excel file
- * 
- * @param {string} filePath - Path to import file
- * @param {string} mimeType - File MIME type
- * @returns {Promise<Object>} Import results
+ * Update rule of each facility column on re-import (see utils/importRules)
  */
-async function importFacilities(filePath, mimeType) {
-  let records;
-  
-  // Parse file based on type
-  if (mimeType === 'text/csv' || mimeType === 'application/vnd.ms-excel') {
-    records = await parseCSV(filePath);
-  } else if (mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
-    records = await parseExcel(filePath);
-  } else {
-    throw new AppError('Unsupported file format', 400);
+const DEFAULT_UPDATE_RULES = {
+  name: 'if_provided',
+  council: 'if_provided',
+  type: 'if_provided',
+  coordinates: 'if_provided',
+  address: 'if_provided',
+  contactPhone: 'if_provided',
+  contactEmail: 'if_provided',
+  timezone: 'if_provided'
+};
+
+/**
+ * Get the values of a validated import row by update rule column
+ *
+ * @param {Object} facility - Validated facility data
+ * @returns {Object} Values by column
+ */
+function toImportValues(facility) {
+  return {
+    name: facility.name,
+    council: facility.councilId,
+    type: facility.type,
+    coordinates: [facility.latitude, facility.longitude],
+    address: facility.address,
+    contactPhone: facility.contactPhone,
+    contactEmail: facility.contactEmail,
+    timezone: facility.timezone
+  };
+}
+
+/**
+ * Get the stored values of a facility by update rule column
+ *
+ * @param {Object} row - Facility row
+ * @returns {Object} Values by column
+ */
+function toStoredValues(row) {
+  return {
+    name: row.name,
+    council: row.council_id,
+    type: row.type,
+    coordinates: [
+      row.latitude !== null ? parseFloat(row.latitude) : null,
+      row.longitude !== null ? parseFloat(row.longitude) : null
+    ],
+    address: row.address,
+    contactPhone: row.contact_phone,
+    contactEmail: row.contact_email,
+    timezone: row.timezone
+  };
+}
+
+/**
+ * Key matching a code-less row to a code-less facility
+ *
+ * @param {string} councilId - Council ID
+ * @param {string} name - Facility name
+ * @returns {string} Match key
+ */
+function uncodedKey(councilId, name) {
+  return `${councilId}|${name.toLowerCase()}`;
+}
+
+/**
+ * Build the job payload of a facility import
+ *
+ * The columns and sheet of a profile are copied into the payload, so later
+ * changes to the profile do not affect queued imports.
+ *
+ * @param {Object} admin - Admin importing
+ * @param {Object} options - Options (see queueImport)
+ * @returns {Promise<Object>} Job payload
+ * @throws {AppError} If the update rules are invalid or the profile does not exist
+ */
+async function buildImportPayload(admin, options) {
+  const { rules, errors } = importRules.parseUpdateRules(options.updateRules, DEFAULT_UPDATE_RULES);
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join('; '), 400);
   }
-  
-  logger.info('Parsed import file', { recordCount: records.length });
-  
+
+  const profile = options.profileId ? await importProfilesService.getProfileById(options.profileId) : null;
+
+  return {
+    dryRun: Boolean(options.dryRun),
+    updateRules: rules,
+    deactivateMissing: Boolean(options.deactivateMissing),
+    profileId: profile ? profile.id : null,
+    columns: profile ? profile.columns : null,
+    sheetName: options.sheetName || (profile && profile.sheetName) || null,
+    importedBy: admin.id
+  };
+}
+
+/**
+ * Queue a facility import from an uploaded CSV/Excel file
+ *
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} admin - Admin importing
+ * @param {Object} options - Options ({ dryRun, updateRules, deactivateMissing, profileId, sheetName });
+ *   `sheetName` overrides the sheet of the profile
+ * @returns {Promise<Object>} Queued job (see GET /api/jobs/:id)
+ * @throws {AppError} If the update rules are invalid or the profile does not exist
+ */
+async function queueImport(file, admin, options = {}) {
+  let payload;
+
+  try {
+    payload = await buildImportPayload(admin, options);
+  } catch (error) {
+    await spreadsheet.removeFile(file.path);
+    throw error;
+  }
+
+  return jobsService.enqueueImport('facility-import', file, admin, payload);
+}
+
+/**
+ * Validate import rows and resolve their councils
+ *
+ * @param {Array} records - Parsed file rows
+ * @param {Object} aliases - Headers by import field (see utils/columnMapping)
+ * @param {Function} onProgress - Async (processed, total) callback
+ * @returns {Promise<Object>} { results, facilities, fileCodes }
+ */
+async function validateImport(records, aliases, onProgress) {
   const results = {
     total: records.length,
     successful: 0,
@@ -162,12 +481,24 @@ async function importFacilities(filePath, mimeType) {
     errors: []
   };
   
-  const facilitiesToInsert = [];
+  const facilities = [];
+  const fileCodes = new Set();
+  const uncoded = new Set();
   
-  // Validate all records first
   for (let i = 0; i < records.length; i++) {
+    await onProgress(i, records.length);
+
     const row = records[i];
-    const validation = validateFacilityRow(row);
+    const validation = validateFacilityRow(columnMapping.applyMapping(row, aliases));
+
+    if (validation.isValid && validation.data.code && fileCodes.has(validation.data.code)) {
+      validation.isValid = false;
+      validation.errors.push(`Duplicate facility code in file: ${validation.data.code}`);
+    }
+
+    if (validation.data.code) {
+      fileCodes.add(validation.data.code);
+    }
     
     if (!validation.isValid) {
       results.failed++;
@@ -198,38 +529,363 @@ async function importFacilities(filePath, mimeType) {
       
       validation.data.councilId = councilResult.rows[0].id;
     }
-    
-    facilitiesToInsert.push(validation.data);
-  }
-  
-  // Bulk insert valid facilities
-  if (facilitiesToInsert.length > 0) {
-    try {
-      const inserted = await facilitiesRepository.bulkInsert(facilitiesToInsert);
-      results.successful = inserted.length;
-      
-      logger.info('Facilities imported successfully', {
-        successful: results.successful,
-        failed: results.failed
+
+    // Rows without a code are matched by council and name, so these must be unique
+    const key = validation.data.code ? null : uncodedKey(validation.data.councilId, validation.data.name);
+
+    if (key && uncoded.has(key)) {
+      results.failed += 1;
+      results.errors.push({
+        row: i + 1,
+        errors: [`Duplicate facility without code in file: ${validation.data.name}`],
+        data: row
       });
-    } catch (error) {
-      logger.error('Bulk insert failed', { error: error.message });
-      throw new AppError('Failed to import facilities', 500);
+    } else {
+      if (key) {
+        uncoded.add(key);
+      }
+
+      facilities.push({ row: i + 1, ...validation.data });
     }
   }
-  
-  // Clean up uploaded file
+
+  return { results, facilities, fileCodes: [...fileCodes] };
+}
+
+/**
+ * Work out what an import does to the stored facilities
+ *
+ * Rows match a facility by code, or, without a code, a code-less facility
+ * with the same name in the same council. Matched facilities are updated
+ * following the update rules. With `deactivateMissing`, facilities that no
+ * row matches and whose code is not in the file (also on rejected rows) are
+ * deactivated.
+ *
+ * @param {Array} facilities - Valid facilities ({ row, ...facility data })
+ * @param {Array<string>} fileCodes - Facility codes in the file
+ * @param {Object} options - Options ({ updateRules, deactivateMissing })
+ * @returns {Promise<Object>} Plan ({ create, update, unchanged, deactivate })
+ */
+async function planImport(facilities, fileCodes, options) {
+  const rules = options.updateRules || DEFAULT_UPDATE_RULES;
+  const matches = await facilitiesRepository.findImportMatches(
+    facilities.filter((facility) => facility.code).map((facility) => facility.code),
+    facilities.filter((facility) => !facility.code)
+  );
+
+  const byCode = new Map(matches.filter((row) => row.code).map((row) => [row.code, row]));
+  const byName = new Map(matches
+    .filter((row) => !row.code)
+    .map((row) => [uncodedKey(row.council_id, row.name), row]));
+
+  const plan = {
+    create: [],
+    update: [],
+    unchanged: [],
+    deactivate: []
+  };
+
+  facilities.forEach(({ row, ...data }) => {
+    const match = data.code ? byCode.get(data.code) : byName.get(uncodedKey(data.councilId, data.name));
+
+    if (!match) {
+      plan.create.push({ row, data });
+      return;
+    }
+
+    const changes = importRules.planChanges(toStoredValues(match), toImportValues(data), rules);
+    const entry = { row, facilityId: match.id, data };
+
+    if (Object.keys(changes).length > 0) {
+      plan.update.push({ ...entry, changes });
+    } else {
+      plan.unchanged.push(entry);
+    }
+  });
+
+  if (options.deactivateMissing) {
+    plan.deactivate = await facilitiesRepository.findDeactivationCandidates(
+      [...plan.update, ...plan.unchanged].map((entry) => entry.facilityId),
+      fileCodes
+    );
+  }
+
+  return plan;
+}
+
+/**
+ * Write an import plan and report what changed
+ *
+ * @param {Object} plan - Import plan (see planImport)
+ * @param {string|null} importId - Previewed import to mark committed
+ * @returns {Promise<Object>} Counts and IDs of created, updated, unchanged and deactivated facilities
+ */
+async function applyImport(plan, importId = null) {
+  let createdIds;
+
+  try {
+    createdIds = await facilitiesRepository.applyImport(plan, importId);
+  } catch (error) {
+    logger.error('Facility import write failed', { error: error.message });
+    throw new AppError('Failed to import facilities', 500);
+  }
+
+  const report = (ids) => ({ count: ids.length, ids });
+
+  return {
+    created: report(createdIds),
+    updated: report(plan.update.map((entry) => entry.facilityId)),
+    unchanged: report(plan.unchanged.map((entry) => entry.facilityId)),
+    deactivated: report(plan.deactivate.map((facility) => facility.id))
+  };
+}
+
+/**
+ * Save a dry-run import and describe what committing it would do
+ *
+ * @param {Object} results - Validation results ({ total, failed, errors })
+ * @param {Array} facilities - Valid facilities ({ row, ...facility data })
+ * @param {Array<string>} fileCodes - Facility codes in the file
+ * @param {Object} options - Import options ({ fileName, importedBy, updateRules, deactivateMissing })
+ * @returns {Promise<Object>} Preview with the ID to commit
+ */
+async function previewImport(results, facilities, fileCodes, options) {
+  const plan = await planImport(facilities, fileCodes, options);
+
+  const rows = [
+    ...plan.create.map((entry) => ({
+      row: entry.row,
+      action: 'create',
+      facilityId: null,
+      data: entry.data
+    })),
+    ...plan.update.map((entry) => ({
+      row: entry.row,
+      action: 'update',
+      facilityId: entry.facilityId,
+      changes: entry.changes,
+      data: entry.data
+    })),
+    ...plan.unchanged.map((entry) => ({
+      row: entry.row,
+      action: 'unchanged',
+      facilityId: entry.facilityId,
+      data: entry.data
+    })),
+    ...results.errors.map((error) => ({
+      row: error.row,
+      action: 'reject',
+      errors: error.errors,
+      data: error.data
+    }))
+  ].sort((a, b) => a.row - b.row);
+
+  const summary = {
+    total: results.total,
+    toCreate: plan.create.length,
+    toUpdate: plan.update.length,
+    unchanged: plan.unchanged.length,
+    toDeactivate: plan.deactivate.length,
+    rejected: results.failed
+  };
+
+  const preview = await facilitiesRepository.createImport({
+    fileName: options.fileName,
+    facilities,
+    summary,
+    options: {
+      updateRules: options.updateRules || DEFAULT_UPDATE_RULES,
+      deactivateMissing: Boolean(options.deactivateMissing),
+      fileCodes
+    },
+    createdBy: options.importedBy
+  });
+
+  logger.info('Facility import previewed', { importId: preview.id, ...summary });
+
+  return {
+    importId: preview.id,
+    dryRun: true,
+    ...summary,
+    rows,
+    deactivate: plan.deactivate
+  };
+}
+
+/**
+ * Parse an import file
+ *
+ * @param {string} filePath - Path to import file
+ * @param {string} mimeType - File MIME type
+ * @param {string|null} sheetName - Excel sheet to read
+ * @returns {Promise<Array>} Parsed records
+ * @throws {AppError} If the sheet is not in the file
+ */
+async function parseImportFile(filePath, mimeType, sheetName) {
   try {
-    await fs.unlink(filePath);
+    return await spreadsheet.parseFile(filePath, mimeType, { sheetName });
   } catch (error) {
-    logger.warn('Failed to delete uploaded file', { filePath });
+    if (error.code === 'SHEET_NOT_FOUND') {
+      throw new AppError(error.message, 400);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Import facilities from CSV/Excel file
+ *
+ * Runs as a background job (see queueImport); the job removes the file.
+ * Headers are matched to fields through `columns` (from an import profile)
+ * and the default headers; Excel files are read from `sheetName`, or the
+ * first sheet. Facilities are created or updated as described in planImport. With
+ * `dryRun`, nothing is written: the validated rows are saved as a preview
+ * that can be committed by ID (see queueCommit).
+ * 
+ * @param {string} filePath - Path to import file
+ * @param {string} mimeType - File MIME type
+ * @param {Object} options - Options ({ dryRun, updateRules, deactivateMissing, columns, sheetName, importedBy,
+ *   fileName, onProgress })
+ * @returns {Promise<Object>} Import report, or the preview for a dry run
+ */
+async function importFacilities(filePath, mimeType, options = {}) {
+  if (!spreadsheet.isSupported(mimeType)) {
+    throw new AppError('Unsupported file format', 400);
   }
+
+  const records = await parseImportFile(filePath, mimeType, options.sheetName);
+  const aliases = columnMapping.buildAliases(columnMapping.FACILITY_FIELDS, options.columns);
+  const onProgress = options.onProgress || (async () => {});
   
+  logger.info('Parsed import file', { recordCount: records.length });
+
+  const { results, facilities, fileCodes } = await validateImport(records, aliases, onProgress);
+
+  if (options.dryRun) {
+    const preview = await previewImport(results, facilities, fileCodes, options);
+    await onProgress(records.length, records.length);
+    return preview;
+  }
+
+  const plan = await planImport(facilities, fileCodes, options);
+  const report = await applyImport(plan);
+  await onProgress(records.length, records.length);
+
+  logger.info('Facilities imported successfully', {
+    created: report.created.count,
+    updated: report.updated.count,
+    unchanged: report.unchanged.count,
+    deactivated: report.deactivated.count,
+    failed: results.failed
+  });
+
+  return {
+    total: results.total,
+    successful: facilities.length,
+    failed: results.failed,
+    ...report,
+    errors: results.errors
+  };
+}
+
+/**
+ * Queue the commit of a previewed facility import
+ *
+ * @param {string} importId - Import ID (from the dry-run result)
+ * @param {Object} admin - Admin committing
+ * @returns {Promise<Object>} Queued job (see GET /api/jobs/:id)
+ * @throws {AppError} If the import does not exist or is no longer a preview
+ */
+async function queueCommit(importId, admin) {
+  const claimed = await facilitiesRepository.claimImport(importId, admin.id);
+
+  if (!claimed) {
+    const preview = await facilitiesRepository.findImportById(importId);
+
+    if (!preview) {
+      throw new AppError('Facility import not found', 404);
+    }
+
+    throw new AppError(
+      preview.status === 'committed'
+        ? 'Facility import has already been committed'
+        : 'Facility import is already being committed',
+      409
+    );
+  }
+
+  try {
+    return await jobsService.enqueue('facility-import-commit', { importId }, admin);
+  } catch (error) {
+    await facilitiesRepository.releaseImport(importId);
+    throw error;
+  }
+}
+
+/**
+ * Write the facilities of a previewed import
+ *
+ * Runs as a background job (see queueCommit). The import is planned again
+ * against the current facilities, with the options of the dry run, and
+ * written in one transaction.
+ *
+ * @param {string} importId - Import ID
+ * @param {Object} options - Options ({ onProgress(processed, total) })
+ * @returns {Promise<Object>} Import report
+ */
+async function commitImport(importId, options = {}) {
+  const preview = await facilitiesRepository.findImportById(importId);
+
+  if (!preview || preview.status !== 'committing') {
+    throw new AppError('Facility import is not queued for commit', 409);
+  }
+
+  const onProgress = options.onProgress || (async () => {});
+  const { facilities } = preview;
+  await onProgress(0, facilities.length);
+
+  const plan = await planImport(facilities, preview.options.fileCodes || [], preview.options);
+  const report = await applyImport(plan, importId);
+
+  const results = {
+    importId,
+    total: preview.summary.total,
+    successful: facilities.length,
+    failed: preview.summary.rejected,
+    ...report
+  };
+
+  logger.info('Facility import committed', {
+    importId,
+    created: report.created.count,
+    updated: report.updated.count,
+    unchanged: report.unchanged.count,
+    deactivated: report.deactivated.count
+  });
+
   return results;
 }
 
+/**
+ * Make a previewed import committable again after its commit failed
+ *
+ * @param {string} importId - Import ID
+ */
+async function releaseImport(importId) {
+  await facilitiesRepository.releaseImport(importId);
+}
+
 module.exports = {
   getFacilityById,
   getAllFacilities,
-  importFacilities
+  getNearbyFacilities,
+  createFacility,
+  updateFacility,
+  changeFacilityStatus,
+  queueImport,
+  importFacilities,
+  queueCommit,
+  commitImport,
+  releaseImport
 };
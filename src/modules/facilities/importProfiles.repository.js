@@ -0,0 +1,136 @@
+/**
+ * Facility Import Profiles Repository
+ *
+ * Database queries for the column mapping profiles of facility imports
+ *
+ * @module modules/facilities/importProfiles.repository
+ */
+
+const db = require('../../config/database');
+
+/**
+ * Format import profile row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted profile
+ */
+function formatProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    columns: row.columns,
+    sheetName: row.sheet_name,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Find all import profiles
+ *
+ * @returns {Promise<Array>} Profiles ordered by name
+ */
+async function findAll() {
+  const result = await db.query('SELECT * FROM facility_import_profiles ORDER BY name');
+
+  return result.rows.map((row) => formatProfile(row));
+}
+
+/**
+ * Find import profile by ID
+ *
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object|null>} Profile or null
+ */
+async function findById(profileId) {
+  const result = await db.query(
+    'SELECT * FROM facility_import_profiles WHERE id = $1',
+    [profileId]
+  );
+
+  return result.rows.length > 0 ? formatProfile(result.rows[0]) : null;
+}
+
+/**
+ * Create import profile
+ *
+ * @param {Object} profileData - Profile data ({ name, description, columns, sheetName, createdBy })
+ * @returns {Promise<Object>} Created profile
+ */
+async function create(profileData) {
+  const result = await db.query(
+    `INSERT INTO facility_import_profiles (name, description, columns, sheet_name, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [
+      profileData.name,
+      profileData.description || null,
+      JSON.stringify(profileData.columns),
+      profileData.sheetName || null,
+      profileData.createdBy
+    ]
+  );
+
+  return formatProfile(result.rows[0]);
+}
+
+/**
+ * Update import profile
+ *
+ * @param {string} profileId - Profile ID
+ * @param {Object} updates - Fields to update (snake_case column names, undefined skipped)
+ * @returns {Promise<Object|null>} Updated profile or null
+ */
+async function update(profileId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = ['name', 'description', 'columns', 'sheet_name'];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(key === 'columns' ? JSON.stringify(updates[key]) : updates[key]);
+      fields.push(`${key} = $${params.length}`);
+    }
+  });
+
+  if (fields.length === 0) {
+    return findById(profileId);
+  }
+
+  params.push(profileId);
+
+  const result = await db.query(
+    `UPDATE facility_import_profiles SET ${fields.join(', ')}
+     WHERE id = $${params.length}
+     RETURNING *`,
+    params
+  );
+
+  return result.rows.length > 0 ? formatProfile(result.rows[0]) : null;
+}
+
+/**
+ * Delete import profile
+ *
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteProfile(profileId) {
+  const result = await db.query(
+    'DELETE FROM facility_import_profiles WHERE id = $1',
+    [profileId]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  deleteProfile
+};
@@ -0,0 +1,150 @@
+/**
+ * Facility Import Profiles Service
+ *
+ * Named column mappings for facility imports. A profile lists, per import
+ * field, the headers a partner uses for it (see utils/columnMapping) and
+ * optionally the Excel sheet to read.
+ *
+ * @module modules/facilities/importProfiles.service
+ */
+
+const importProfilesRepository = require('./importProfiles.repository');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const columnMapping = require('../../utils/columnMapping');
+const logger = require('../../utils/logger');
+
+/**
+ * Check the columns of a profile
+ *
+ * @param {Object} columns - Headers by import field
+ * @throws {AppError} If a field is unknown or has no headers
+ */
+function assertValidColumns(columns) {
+  const errors = columnMapping.validateMapping(columns, columnMapping.FACILITY_FIELDS);
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join('; '), 400);
+  }
+}
+
+/**
+ * Run a profile write, reporting a taken name as a conflict
+ *
+ * @param {Function} write - Async write
+ * @returns {Promise<*>} Write result
+ * @throws {AppError} If another profile has the name
+ */
+async function withUniqueName(write) {
+  try {
+    return await write();
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new AppError('An import profile with this name already exists', 409);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * List import profiles
+ *
+ * @returns {Promise<Array>} Profiles
+ */
+async function getProfiles() {
+  return importProfilesRepository.findAll();
+}
+
+/**
+ * Get import profile by ID
+ *
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object>} Profile
+ * @throws {AppError} If the profile does not exist
+ */
+async function getProfileById(profileId) {
+  const profile = await importProfilesRepository.findById(profileId);
+
+  if (!profile) {
+    throw new AppError('Import profile not found', 404);
+  }
+
+  return profile;
+}
+
+/**
+ * Create import profile
+ *
+ * @param {Object} admin - Authenticated admin
+ * @param {Object} data - Profile data ({ name, description, columns, sheetName })
+ * @returns {Promise<Object>} Created profile
+ */
+async function createProfile(admin, data) {
+  assertValidColumns(data.columns);
+
+  const profile = await withUniqueName(() => importProfilesRepository.create({
+    name: data.name,
+    description: data.description,
+    columns: data.columns,
+    sheetName: data.sheetName,
+    createdBy: admin.id
+  }));
+
+  logger.info('Import profile created', { profileId: profile.id, name: profile.name });
+
+  return profile;
+}
+
+/**
+ * Update import profile
+ *
+ * @param {string} profileId - Profile ID
+ * @param {Object} updates - Fields to update ({ name, description, columns, sheetName })
+ * @returns {Promise<Object>} Updated profile
+ */
+async function updateProfile(profileId, updates) {
+  if (updates.columns !== undefined) {
+    assertValidColumns(updates.columns);
+  }
+
+  const profile = await withUniqueName(() => importProfilesRepository.update(profileId, {
+    name: updates.name,
+    description: updates.description,
+    columns: updates.columns,
+    sheet_name: updates.sheetName
+  }));
+
+  if (!profile) {
+    throw new AppError('Import profile not found', 404);
+  }
+
+  logger.info('Import profile updated', { profileId });
+
+  return profile;
+}
+
+/**
+ * Delete import profile
+ *
+ * Queued imports keep the columns they were queued with.
+ *
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<void>}
+ */
+async function deleteProfile(profileId) {
+  const deleted = await importProfilesRepository.deleteProfile(profileId);
+
+  if (!deleted) {
+    throw new AppError('Import profile not found', 404);
+  }
+
+  logger.info('Import profile deleted', { profileId });
+}
+
+module.exports = {
+  getProfiles,
+  getProfileById,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
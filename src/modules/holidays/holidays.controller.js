@@ -0,0 +1,151 @@
+/**
+ * Holidays Controller
+ *
+ * Handles HTTP requests for holiday calendar endpoints
+ *
+ * @module modules/holidays/holidays.controller
+ */
+
+const holidaysService = require('./holidays.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * List holidays
+ * GET /api/holidays
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getHolidays = asyncHandler(async (req, res) => {
+  const {
+    year,
+    from,
+    to,
+    regionId,
+    nationalOnly,
+    page = 1,
+    limit = 100
+  } = req.query;
+
+  const result = await holidaysService.getHolidays(
+    {
+      year,
+      from,
+      to,
+      regionId,
+      nationalOnly: nationalOnly === 'true'
+    },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.holidays,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get holiday by ID
+ * GET /api/holidays/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getHolidayById = asyncHandler(async (req, res) => {
+  const holiday = await holidaysService.getHolidayById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: holiday
+  });
+});
+
+/**
+ * Create holiday
+ * POST /api/holidays
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createHoliday = asyncHandler(async (req, res) => {
+  const { date, name, regionId } = req.body;
+
+  const holiday = await holidaysService.createHoliday(req.user, { date, name, regionId });
+
+  res.status(201).json({
+    success: true,
+    message: 'Holiday created',
+    data: holiday
+  });
+});
+
+/**
+ * Update holiday
+ * PUT /api/holidays/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateHoliday = asyncHandler(async (req, res) => {
+  const { date, name, regionId } = req.body;
+
+  const holiday = await holidaysService.updateHoliday(req.params.id, { date, name, regionId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Holiday updated',
+    data: holiday
+  });
+});
+
+/**
+ * Delete holiday
+ * DELETE /api/holidays/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteHoliday = asyncHandler(async (req, res) => {
+  await holidaysService.deleteHoliday(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Holiday deleted'
+  });
+});
+
+/**
+ * Queue a holiday import from CSV/Excel
+ * POST /api/holidays/import
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importHolidays = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+  }
+
+  const job = await holidaysService.queueImport(req.file, req.user);
+
+  res.location(`/api/jobs/${job.id}`);
+  return res.status(202).json({
+    success: true,
+    message: 'Holiday import queued',
+    data: job
+  });
+});
+
+module.exports = {
+  getHolidays,
+  getHolidayById,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+};
@@ -0,0 +1,342 @@
+/**
+ * Holidays Repository
+ *
+ * Database queries for the holiday calendar
+ *
+ * @module modules/holidays/holidays.repository
+ */
+
+const db = require('../../config/database');
+
+/**
+ * Columns selected for a holiday with its region
+ */
+const SELECT_HOLIDAY = `SELECT
+      h.id, h.holiday_date::text AS holiday_date, h.name, h.region_id, h.created_by,
+      h.created_at, h.updated_at,
+      r.name AS region_name
+    FROM holidays h
+    LEFT JOIN regions r ON h.region_id = r.id`;
+
+/**
+ * Columns of an imported holiday row, for jsonb_to_recordset
+ */
+const IMPORT_COLUMNS = 'holiday_date date, name varchar, region_id uuid, created_by uuid';
+
+/**
+ * Format holiday row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted holiday
+ */
+function formatHoliday(row) {
+  return {
+    id: row.id,
+    date: row.holiday_date,
+    name: row.name,
+    region: row.region_id ? { id: row.region_id, name: row.region_name } : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Find holiday by ID
+ *
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise<Object|null>} Holiday or null
+ */
+async function findById(holidayId) {
+  const result = await db.query(
+    `${SELECT_HOLIDAY}
+    WHERE h.id = $1`,
+    [holidayId]
+  );
+
+  return result.rows.length > 0 ? formatHoliday(result.rows[0]) : null;
+}
+
+/**
+ * Build the WHERE clause shared by findAll and count
+ *
+ * @param {Object} filters - Query filters ({ from, to, regionId, nationalOnly })
+ * @returns {Object} WHERE clause and parameters
+ */
+function buildFilters(filters = {}) {
+  const params = [];
+  const conditions = [];
+
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`h.holiday_date >= $${params.length}`);
+  }
+
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`h.holiday_date <= $${params.length}`);
+  }
+
+  // A region's calendar includes the national holidays
+  if (filters.regionId) {
+    params.push(filters.regionId);
+    conditions.push(`(h.region_id IS NULL OR h.region_id = $${params.length})`);
+  } else if (filters.nationalOnly) {
+    conditions.push('h.region_id IS NULL');
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find holidays with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @returns {Promise<Array>} Holidays
+ */
+async function findAll(filters = {}, limit = 100, offset = 0) {
+  const { whereClause, params } = buildFilters(filters);
+
+  params.push(limit, offset);
+
+  const result = await db.query(
+    `${SELECT_HOLIDAY}
+    ${whereClause}
+    ORDER BY h.holiday_date, r.name NULLS FIRST
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows.map((row) => formatHoliday(row));
+}
+
+/**
+ * Count holidays with filters
+ *
+ * @param {Object} filters - Query filters
+ * @returns {Promise<number>} Count
+ */
+async function count(filters = {}) {
+  const { whereClause, params } = buildFilters(filters);
+
+  const result = await db.query(
+    `SELECT COUNT(*) FROM holidays h ${whereClause}`,
+    params
+  );
+
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Find the holidays of a period for a set of regions
+ *
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {Array<string>} regionIds - Region IDs; national holidays are always included
+ * @returns {Promise<Array>} Holidays ({ id, date, name, regionId })
+ */
+async function findBetween(from, to, regionIds = []) {
+  const result = await db.query(
+    `SELECT id, holiday_date::text AS holiday_date, name, region_id
+     FROM holidays
+     WHERE holiday_date BETWEEN $1 AND $2
+       AND (region_id IS NULL OR region_id = ANY($3::uuid[]))
+     ORDER BY holiday_date`,
+    [from, to, regionIds]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    date: row.holiday_date,
+    name: row.name,
+    regionId: row.region_id
+  }));
+}
+
+/**
+ * Find the region of a facility
+ *
+ * @param {string} facilityId - Facility ID
+ * @returns {Promise<string|null>} Region ID or null
+ */
+async function findFacilityRegionId(facilityId) {
+  const result = await db.query(
+    `SELECT c.region_id FROM facilities f
+     INNER JOIN councils c ON f.council_id = c.id
+     WHERE f.id = $1`,
+    [facilityId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].region_id : null;
+}
+
+/**
+ * Find the region of a user's facility
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Region ID or null
+ */
+async function findUserRegionId(userId) {
+  const result = await db.query(
+    `SELECT c.region_id FROM users u
+     INNER JOIN facilities f ON u.facility_id = f.id
+     INNER JOIN councils c ON f.council_id = c.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].region_id : null;
+}
+
+/**
+ * Find region IDs by name or code (case-insensitive)
+ *
+ * @param {Array<string>} keys - Region names or codes
+ * @returns {Promise<Map>} Lower-cased name/code to region ID
+ */
+async function findRegionIds(keys) {
+  const result = await db.query(
+    `SELECT id, LOWER(name) AS name, LOWER(code) AS code FROM regions
+     WHERE LOWER(name) = ANY($1::text[]) OR LOWER(code) = ANY($1::text[])`,
+    [keys.map((key) => key.toLowerCase())]
+  );
+
+  const regions = new Map();
+  result.rows.forEach((row) => {
+    regions.set(row.name, row.id);
+    if (row.code) {
+      regions.set(row.code, row.id);
+    }
+  });
+
+  return regions;
+}
+
+/**
+ * Create holiday
+ *
+ * @param {Object} holidayData - Holiday data ({ date, name, regionId, createdBy })
+ * @returns {Promise<Object>} Created holiday row
+ */
+async function create(holidayData) {
+  const result = await db.query(
+    `INSERT INTO holidays (holiday_date, name, region_id, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [holidayData.date, holidayData.name, holidayData.regionId || null, holidayData.createdBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update holiday
+ *
+ * @param {string} holidayId - Holiday ID
+ * @param {Object} updates - Fields to update (snake_case column names, undefined skipped)
+ * @returns {Promise<boolean>} True if the holiday exists
+ */
+async function update(holidayId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = ['holiday_date', 'name', 'region_id'];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(updates[key]);
+      fields.push(`${key} = $${params.length}`);
+    }
+  });
+
+  if (fields.length === 0) {
+    return Boolean(await findById(holidayId));
+  }
+
+  params.push(holidayId);
+
+  const result = await db.query(
+    `UPDATE holidays SET ${fields.join(', ')} WHERE id = $${params.length}`,
+    params
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete holiday
+ *
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise<Object|null>} Deleted holiday row ({ holiday_date, region_id }) or null
+ */
+async function deleteHoliday(holidayId) {
+  const result = await db.query(
+    'DELETE FROM holidays WHERE id = $1 RETURNING holiday_date::text AS holiday_date, region_id',
+    [holidayId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Insert holidays, renaming existing entries for the same date and region
+ *
+ * @param {Array} holidays - Holidays ({ date, name, regionId, createdBy })
+ * @returns {Promise<Object>} Counts ({ created, updated })
+ */
+async function bulkUpsert(holidays) {
+  const toRows = (items) => JSON.stringify(items.map((holiday) => ({
+    holiday_date: holiday.date,
+    name: holiday.name,
+    region_id: holiday.regionId || null,
+    created_by: holiday.createdBy
+  })));
+
+  const national = holidays.filter((holiday) => !holiday.regionId);
+  const regional = holidays.filter((holiday) => holiday.regionId);
+
+  // xmax = 0 only for freshly inserted rows
+  return db.transaction(async (trx) => {
+    const nationalResult = await trx.query(
+      `INSERT INTO holidays (holiday_date, name, region_id, created_by)
+       SELECT * FROM jsonb_to_recordset($1::jsonb) AS r(${IMPORT_COLUMNS})
+       ON CONFLICT (holiday_date) WHERE region_id IS NULL
+       DO UPDATE SET name = EXCLUDED.name
+       RETURNING (xmax = 0) AS inserted`,
+      [toRows(national)]
+    );
+
+    const regionalResult = await trx.query(
+      `INSERT INTO holidays (holiday_date, name, region_id, created_by)
+       SELECT * FROM jsonb_to_recordset($1::jsonb) AS r(${IMPORT_COLUMNS})
+       ON CONFLICT (holiday_date, region_id) WHERE region_id IS NOT NULL
+       DO UPDATE SET name = EXCLUDED.name
+       RETURNING (xmax = 0) AS inserted`,
+      [toRows(regional)]
+    );
+
+    const rows = [...nationalResult.rows, ...regionalResult.rows];
+    const created = rows.filter((row) => row.inserted).length;
+
+    return { created, updated: rows.length - created };
+  });
+}
+
+module.exports = {
+  findById,
+  findAll,
+  count,
+  findBetween,
+  findFacilityRegionId,
+  findUserRegionId,
+  findRegionIds,
+  create,
+  update,
+  deleteHoliday,
+  bulkUpsert
+};
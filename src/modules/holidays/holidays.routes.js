@@ -0,0 +1,99 @@
+/**
+ * Holidays Routes
+ *
+ * Route definitions for holiday calendar endpoints
+ *
+ * @module modules/holidays/holidays.routes
+ */
+
+const express = require('express');
+const holidaysController = require('./holidays.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOnly } = require('../../middleware/roleAuth.middleware');
+const { uploadLimiter } = require('../../middleware/rateLimiter.middleware');
+const { createImportUpload } = require('../../middleware/upload.middleware');
+const {
+  validateHoliday,
+  validateHolidayQuery,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+const upload = createImportUpload('holiday-import');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/holidays/import
+ * @desc    Import holidays from CSV/Excel (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/import',
+  adminOnly,
+  uploadLimiter,
+  upload.single('file'),
+  holidaysController.importHolidays
+);
+
+/**
+ * @route   GET /api/holidays
+ * @desc    List holidays
+ * @access  Private
+ */
+router.get(
+  '/',
+  validateHolidayQuery,
+  holidaysController.getHolidays
+);
+
+/**
+ * @route   POST /api/holidays
+ * @desc    Create holiday
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  adminOnly,
+  validateHoliday(),
+  holidaysController.createHoliday
+);
+
+/**
+ * @route   GET /api/holidays/:id
+ * @desc    Get holiday by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateUuidParam('id'),
+  holidaysController.getHolidayById
+);
+
+/**
+ * @route   PUT /api/holidays/:id
+ * @desc    Update holiday
+ * @access  Private/Admin
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateHoliday(true),
+  holidaysController.updateHoliday
+);
+
+/**
+ * @route   DELETE /api/holidays/:id
+ * @desc    Delete holiday
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:id',
+  adminOnly,
+  validateUuidParam('id'),
+  holidaysController.deleteHoliday
+);
+
+module.exports = router;
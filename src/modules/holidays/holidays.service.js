@@ -0,0 +1,329 @@
+/**
+ * Holidays Service
+ *
+ * Public holiday calendar. A holiday is either national (no region) or
+ * observed in a single region; a region's calendar is its own holidays plus
+ * the national ones. Leave day counts, late arrivals and absences all skip
+ * the holidays of the user's facility region.
+ *
+ * @module modules/holidays/holidays.service
+ */
+
+const holidaysRepository = require('./holidays.repository');
+const jobsService = require('../jobs/jobs.service');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const spreadsheet = require('../../utils/spreadsheet');
+const logger = require('../../utils/logger');
+
+/**
+ * Check a YYYY-MM-DD calendar date
+ *
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Get holiday by ID
+ *
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise<Object>} Holiday
+ */
+async function getHolidayById(holidayId) {
+  const holiday = await holidaysRepository.findById(holidayId);
+
+  if (!holiday) {
+    throw new AppError('Holiday not found', 404);
+  }
+
+  return holiday;
+}
+
+/**
+ * List holidays with pagination and filters
+ *
+ * @param {Object} filters - Query filters ({ year, from, to, regionId, nationalOnly })
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Holidays and pagination info
+ */
+async function getHolidays(filters = {}, page = 1, limit = 100) {
+  const offset = (page - 1) * limit;
+
+  const queryFilters = {
+    from: filters.year ? `${filters.year}-01-01` : filters.from,
+    to: filters.year ? `${filters.year}-12-31` : filters.to,
+    regionId: filters.regionId,
+    nationalOnly: filters.nationalOnly
+  };
+
+  const [holidays, total] = await Promise.all([
+    holidaysRepository.findAll(queryFilters, limit, offset),
+    holidaysRepository.count(queryFilters)
+  ]);
+
+  return {
+    holidays,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Create holiday
+ *
+ * @param {Object} admin - Authenticated admin
+ * @param {Object} data - Holiday data ({ date, name, regionId })
+ * @returns {Promise<Object>} Created holiday
+ */
+async function createHoliday(admin, data) {
+  const { id } = await holidaysRepository.create({
+    date: data.date,
+    name: data.name,
+    regionId: data.regionId,
+    createdBy: admin.id
+  });
+
+  logger.info('Holiday created', {
+    holidayId: id,
+    date: data.date,
+    regionId: data.regionId || null
+  });
+
+  return holidaysRepository.findById(id);
+}
+
+/**
+ * Update holiday
+ *
+ * @param {string} holidayId - Holiday ID
+ * @param {Object} updates - Fields to update ({ date, name, regionId })
+ * @returns {Promise<Object>} Updated holiday
+ */
+async function updateHoliday(holidayId, updates) {
+  const updated = await holidaysRepository.update(holidayId, {
+    holiday_date: updates.date,
+    name: updates.name,
+    region_id: updates.regionId
+  });
+
+  if (!updated) {
+    throw new AppError('Holiday not found', 404);
+  }
+
+  logger.info('Holiday updated', { holidayId });
+
+  return holidaysRepository.findById(holidayId);
+}
+
+/**
+ * Delete holiday
+ *
+ * @param {string} holidayId - Holiday ID
+ * @returns {Promise<void>}
+ */
+async function deleteHoliday(holidayId) {
+  const deleted = await holidaysRepository.deleteHoliday(holidayId);
+
+  if (!deleted) {
+    throw new AppError('Holiday not found', 404);
+  }
+
+  logger.info('Holiday deleted', { holidayId, date: deleted.holiday_date });
+}
+
+/**
+ * Queue a holiday import from an uploaded CSV/Excel file
+ *
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} admin - Authenticated admin
+ * @returns {Promise<Object>} Queued job (see GET /api/jobs/:id)
+ */
+async function queueImport(file, admin) {
+  return jobsService.enqueueImport('holiday-import', file, admin, { importedBy: admin.id });
+}
+
+/**
+ * Import holidays from CSV/Excel file
+ *
+ * Columns: date (YYYY-MM-DD), name and an optional region (name or code);
+ * rows without a region are national. Re-importing a date renames the
+ * existing holiday. Runs as a background job (see queueImport); the job
+ * removes the file.
+ *
+ * @param {string} filePath - Path to uploaded file
+ * @param {string} mimeType - File MIME type
+ * @param {Object} admin - Admin importing ({ id })
+ * @param {Object} options - Options ({ onProgress(processed, total) })
+ * @returns {Promise<Object>} Import results
+ */
+async function importHolidays(filePath, mimeType, admin, options = {}) {
+  if (!spreadsheet.isSupported(mimeType)) {
+    throw new AppError('Unsupported file format', 400);
+  }
+
+  const records = await spreadsheet.parseFile(filePath, mimeType);
+  const onProgress = options.onProgress || (async () => {});
+
+  logger.info('Parsed holiday import file', { recordCount: records.length });
+
+  const results = {
+    total: records.length,
+    successful: 0,
+    created: 0,
+    updated: 0,
+    failed: 0,
+    errors: []
+  };
+
+  const rows = records.map((row, index) => ({
+    row: index + 1,
+    data: row,
+    date: String(row.date || row.holiday_date || '').trim(),
+    name: String(row.name || '').trim(),
+    region: String(row.region || row.region_name || row.region_code || '').trim()
+  }));
+
+  const regionKeys = [...new Set(rows.filter((row) => row.region).map((row) => row.region))];
+  const regions = regionKeys.length > 0
+    ? await holidaysRepository.findRegionIds(regionKeys)
+    : new Map();
+
+  const holidays = [];
+  const seen = new Set();
+
+  rows.forEach((row) => {
+    const errors = [];
+    const regionId = row.region ? regions.get(row.region.toLowerCase()) : null;
+
+    if (!isValidDate(row.date)) {
+      errors.push('Date must be in YYYY-MM-DD format');
+    }
+
+    if (!row.name) {
+      errors.push('Missing holiday name');
+    } else if (row.name.length > 255) {
+      errors.push('Holiday name must be at most 255 characters');
+    }
+
+    if (row.region && !regionId) {
+      errors.push(`Region not found: ${row.region}`);
+    }
+
+    const key = `${row.date}|${regionId || ''}`;
+    if (errors.length === 0 && seen.has(key)) {
+      errors.push('Duplicate date for this region in file');
+    }
+
+    if (errors.length > 0) {
+      results.failed += 1;
+      results.errors.push({ row: row.row, errors, data: row.data });
+      return;
+    }
+
+    seen.add(key);
+    holidays.push({
+      date: row.date,
+      name: row.name,
+      regionId,
+      createdBy: admin.id
+    });
+  });
+
+  if (holidays.length > 0) {
+    try {
+      const { created, updated } = await holidaysRepository.bulkUpsert(holidays);
+      results.successful = holidays.length;
+      results.created = created;
+      results.updated = updated;
+    } catch (error) {
+      logger.error('Holiday import failed', { error: error.message });
+      throw new AppError('Failed to import holidays', 500);
+    }
+  }
+
+  await onProgress(records.length, records.length);
+
+  logger.info('Holidays imported', {
+    successful: results.successful,
+    failed: results.failed,
+    importedBy: admin.id
+  });
+
+  return results;
+}
+
+/**
+ * Get the holiday dates of a user's region in a period
+ *
+ * @param {string} userId - User ID
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} Holiday dates (YYYY-MM-DD)
+ */
+async function getUserHolidayDates(userId, from, to) {
+  const regionId = await holidaysRepository.findUserRegionId(userId);
+  const holidays = await holidaysRepository.findBetween(from, to, regionId ? [regionId] : []);
+
+  return holidays.map((holiday) => holiday.date);
+}
+
+/**
+ * Find the holiday observed at a facility on a date
+ *
+ * @param {string} facilityId - Facility ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Holiday ({ id, date, name, regionId }) or null
+ */
+async function findFacilityHoliday(facilityId, date) {
+  const regionId = facilityId ? await holidaysRepository.findFacilityRegionId(facilityId) : null;
+  const holidays = await holidaysRepository.findBetween(date, date, regionId ? [regionId] : []);
+
+  return holidays[0] || null;
+}
+
+/**
+ * Index holidays by region for lookups by date
+ *
+ * @param {Array} holidays - Holidays from findBetween
+ * @returns {Function} Lookup (date, regionId) => holiday or null
+ */
+function createHolidayLookup(holidays) {
+  const byKey = new Map();
+
+  holidays.forEach((holiday) => {
+    const key = `${holiday.date}|${holiday.regionId || ''}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, holiday);
+    }
+  });
+
+  // A regional holiday takes precedence over a national one on the same day
+  return (date, regionId) => (regionId && byKey.get(`${date}|${regionId}`))
+    || byKey.get(`${date}|`)
+    || null;
+}
+
+module.exports = {
+  getHolidayById,
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  queueImport,
+  importHolidays,
+  getUserHolidayDates,
+  findFacilityHoliday,
+  createHolidayLookup
+};
@@ -0,0 +1,30 @@
+/**
+ * Jobs Controller
+ *
+ * Handles HTTP requests for background job endpoints
+ *
+ * @module modules/jobs/jobs.controller
+ */
+
+const jobsService = require('./jobs.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * Get job status, progress and result
+ * GET /api/jobs/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJob = asyncHandler(async (req, res) => {
+  const job = await jobsService.getJob(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+module.exports = {
+  getJob
+};
@@ -0,0 +1,228 @@
+/**
+ * Jobs Repository
+ *
+ * Database queries for the background job queue
+ *
+ * @module modules/jobs/jobs.repository
+ */
+
+const db = require('../../config/database');
+
+/**
+ * Format job row
+ *
+ * The payload is internal to the job handler (e.g. paths of uploaded files)
+ * and left out.
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted job
+ */
+function formatJob(row) {
+  const total = row.progress_total;
+
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    progress: {
+      processed: row.progress_processed,
+      total,
+      percent: total > 0 ? Math.min(100, Math.floor((row.progress_processed / total) * 100)) : null
+    },
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    result: row.result,
+    error: row.error,
+    runAt: row.run_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Format a claimed job for its handler
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted job with payload
+ */
+function formatClaimedJob(row) {
+  return {
+    ...formatJob(row),
+    payload: row.payload
+  };
+}
+
+/**
+ * Queue a job
+ *
+ * @param {Object} job - Job data ({ type, payload, maxAttempts, createdBy })
+ * @returns {Promise<Object>} Created job
+ */
+async function create(job) {
+  const result = await db.query(
+    `INSERT INTO background_jobs (type, payload, max_attempts, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [job.type, JSON.stringify(job.payload || {}), job.maxAttempts, job.createdBy || null]
+  );
+
+  return formatJob(result.rows[0]);
+}
+
+/**
+ * Find job by ID
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+async function findById(jobId) {
+  const result = await db.query(
+    'SELECT * FROM background_jobs WHERE id = $1',
+    [jobId]
+  );
+
+  return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * Claim the oldest due job of the given types
+ *
+ * SKIP LOCKED lets concurrent workers claim different jobs without waiting
+ * on each other.
+ *
+ * @param {Array<string>} types - Job types the worker can run
+ * @param {string} workerId - Worker identifier
+ * @returns {Promise<Object|null>} Claimed job with payload, or null if none is due
+ */
+async function claimNext(types, workerId) {
+  const result = await db.query(
+    `UPDATE background_jobs
+     SET status = 'running',
+         attempts = attempts + 1,
+         error = NULL,
+         locked_by = $2,
+         locked_at = CURRENT_TIMESTAMP,
+         started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+     WHERE id = (
+       SELECT id FROM background_jobs
+       WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP AND type = ANY($1)
+       ORDER BY run_at, created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [types, workerId]
+  );
+
+  return result.rows.length > 0 ? formatClaimedJob(result.rows[0]) : null;
+}
+
+/**
+ * Record the progress of a running job and renew its lock
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the job
+ * @param {number} processed - Items processed
+ * @param {number|null} total - Total items, if known
+ * @returns {Promise<boolean>} False if the worker no longer holds the job
+ */
+async function updateProgress(jobId, workerId, processed, total) {
+  const result = await db.query(
+    `UPDATE background_jobs
+     SET progress_processed = $3, progress_total = $4, locked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, workerId, processed, total]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Mark a running job as completed
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the job
+ * @param {Object} jobResult - Result reported to the client
+ * @returns {Promise<boolean>} False if the worker no longer holds the job
+ */
+async function complete(jobId, workerId, jobResult) {
+  const result = await db.query(
+    `UPDATE background_jobs
+     SET status = 'completed',
+         result = $3,
+         progress_processed = COALESCE(progress_total, progress_processed),
+         locked_by = NULL,
+         locked_at = NULL,
+         completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, workerId, jobResult === undefined ? null : JSON.stringify(jobResult)]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a failed attempt of a running job
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the job
+ * @param {string} error - Error message
+ * @param {number|null} retryDelaySeconds - Delay before the next attempt, or null to fail the job
+ * @returns {Promise<boolean>} False if the worker no longer holds the job
+ */
+async function fail(jobId, workerId, error, retryDelaySeconds) {
+  const retry = retryDelaySeconds !== null;
+
+  const result = await db.query(
+    `UPDATE background_jobs
+     SET status = $3,
+         error = $4,
+         run_at = CASE WHEN $5::integer IS NULL THEN run_at
+                       ELSE CURRENT_TIMESTAMP + make_interval(secs => $5::integer) END,
+         locked_by = NULL,
+         locked_at = NULL,
+         completed_at = CASE WHEN $5::integer IS NULL THEN CURRENT_TIMESTAMP END
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, workerId, retry ? 'queued' : 'failed', error, retry ? retryDelaySeconds : null]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Release running jobs whose worker stopped renewing the lock
+ *
+ * Jobs with attempts left are queued again, the others fail.
+ *
+ * @param {number} lockTimeoutMinutes - Minutes without progress after which a job is lost
+ * @returns {Promise<Array>} Released jobs with payload
+ */
+async function releaseStale(lockTimeoutMinutes) {
+  const result = await db.query(
+    `UPDATE background_jobs
+     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+         error = 'Worker stopped before the job finished',
+         locked_by = NULL,
+         locked_at = NULL,
+         completed_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP END
+     WHERE status = 'running'
+       AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1::integer)
+     RETURNING *`,
+    [lockTimeoutMinutes]
+  );
+
+  return result.rows.map(formatClaimedJob);
+}
+
+module.exports = {
+  create,
+  findById,
+  claimNext,
+  updateProgress,
+  complete,
+  fail,
+  releaseStale
+};
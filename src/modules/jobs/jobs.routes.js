@@ -0,0 +1,30 @@
+/**
+ * Jobs Routes
+ *
+ * Route definitions for background job endpoints
+ *
+ * @module modules/jobs/jobs.routes
+ */
+
+const express = require('express');
+const jobsController = require('./jobs.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { validateUuidParam } = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get status, progress and result of a job queued by the user (any job for admins)
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateUuidParam('id'),
+  jobsController.getJob
+);
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * Jobs Service
+ *
+ * Queues background jobs and reports their status. Jobs are run by the
+ * worker (see jobs/worker).
+ *
+ * @module modules/jobs/jobs.service
+ */
+
+const jobsRepository = require('./jobs.repository');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const spreadsheet = require('../../utils/spreadsheet');
+const logger = require('../../utils/logger');
+
+/**
+ * Queue a job
+ *
+ * @param {string} type - Job type, as registered with the worker
+ * @param {Object} payload - Data passed to the job handler
+ * @param {Object} user - User queueing the job
+ * @param {Object} options - Options ({ maxAttempts })
+ * @returns {Promise<Object>} Queued job
+ */
+async function enqueue(type, payload, user, options = {}) {
+  const job = await jobsRepository.create({
+    type,
+    payload,
+    maxAttempts: options.maxAttempts || appConfig.queue.maxAttempts,
+    createdBy: user ? user.id : null
+  });
+
+  logger.info('Job queued', { jobId: job.id, type, createdBy: job.createdBy });
+
+  return job;
+}
+
+/**
+ * Queue the import of an uploaded CSV/Excel file
+ *
+ * The file stays in the upload directory until the job has finished, so a
+ * separate worker process needs access to the same directory. It is removed
+ * right away if the job cannot be queued.
+ *
+ * @param {string} type - Job type (e.g. 'facility-import')
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} user - User importing
+ * @param {Object} payload - Additional data passed to the job handler
+ * @returns {Promise<Object>} Queued job
+ * @throws {AppError} If the file format is not supported
+ */
+async function enqueueImport(type, file, user, payload = {}) {
+  try {
+    if (!spreadsheet.isSupported(file.mimetype)) {
+      throw new AppError('Unsupported file format', 400);
+    }
+
+    return await enqueue(type, {
+      ...payload,
+      filePath: file.path,
+      mimeType: file.mimetype,
+      originalName: file.originalname
+    }, user);
+  } catch (error) {
+    await spreadsheet.removeFile(file.path);
+    throw error;
+  }
+}
+
+/**
+ * Get a job visible to a user
+ *
+ * Jobs are visible to the user who queued them and to admins.
+ *
+ * @param {Object} user - Requesting user
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job
+ * @throws {AppError} If the job does not exist or is not visible
+ */
+async function getJob(user, jobId) {
+  const job = await jobsRepository.findById(jobId);
+
+  if (!job || (job.createdBy !== user.id && user.role !== 'admin')) {
+    throw new AppError('Job not found', 404);
+  }
+
+  return job;
+}
+
+module.exports = {
+  enqueue,
+  enqueueImport,
+  getJob
+};
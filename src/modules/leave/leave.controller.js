@@ -0,0 +1,321 @@
+/**
+ * Leave Controller
+ *
+ * Handles HTTP requests for leave type, balance and request endpoints
+ *
+ * @module modules/leave/leave.controller
+ */
+
+const leaveService = require('./leave.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * List leave types
+ * GET /api/leave/types
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLeaveTypes = asyncHandler(async (req, res) => {
+  const leaveTypes = await leaveService.getLeaveTypes({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: leaveTypes
+  });
+});
+
+/**
+ * Create leave type
+ * POST /api/leave/types
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLeaveType = asyncHandler(async (req, res) => {
+  const {
+    code,
+    name,
+    description,
+    daysPerYear
+  } = req.body;
+
+  const leaveType = await leaveService.createLeaveType({
+    code,
+    name,
+    description,
+    daysPerYear
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave type created',
+    data: leaveType
+  });
+});
+
+/**
+ * Update leave type
+ * PUT /api/leave/types/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLeaveType = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    daysPerYear,
+    isActive
+  } = req.body;
+
+  const leaveType = await leaveService.updateLeaveType(req.params.id, {
+    name,
+    description,
+    daysPerYear,
+    isActive
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave type updated',
+    data: leaveType
+  });
+});
+
+/**
+ * Get leave balances of the current user or of a team member
+ * GET /api/leave/balances
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBalances = asyncHandler(async (req, res) => {
+  const { userId, year } = req.query;
+
+  const result = await leaveService.getBalances(
+    req.user,
+    userId || req.user.id,
+    year ? parseInt(year, 10) : undefined
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Set a user's leave entitlement
+ * PUT /api/leave/balances
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setBalance = asyncHandler(async (req, res) => {
+  const {
+    userId,
+    leaveTypeId,
+    year,
+    entitledDays
+  } = req.body;
+
+  const balance = await leaveService.setBalance(req.user, {
+    userId,
+    leaveTypeId,
+    year,
+    entitledDays
+  }, { ipAddress: req.ip });
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave entitlement updated',
+    data: balance
+  });
+});
+
+/**
+ * Request leave
+ * POST /api/leave/requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestLeave = asyncHandler(async (req, res) => {
+  const {
+    leaveTypeId,
+    startDate,
+    endDate,
+    reason
+  } = req.body;
+
+  const request = await leaveService.requestLeave(req.user, {
+    leaveTypeId,
+    startDate,
+    endDate,
+    reason
+  }, { ipAddress: req.ip });
+
+  res.status(201).json({
+    success: true,
+    message: 'Leave request submitted',
+    data: request
+  });
+});
+
+/**
+ * List own leave requests
+ * GET /api/leave/requests/my
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyLeaveRequests = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 50 } = req.query;
+
+  const result = await leaveService.getLeaveRequests(
+    { status, userId: req.user.id },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.requests,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * List leave requests to review
+ * GET /api/leave/requests
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLeaveRequests = asyncHandler(async (req, res) => {
+  const {
+    status,
+    userId,
+    facilityId,
+    leaveTypeId,
+    from,
+    to,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const result = await leaveService.getLeaveRequests(
+    {
+      status,
+      userId,
+      facilityId,
+      leaveTypeId,
+      from,
+      to
+    },
+    parseInt(page, 10),
+    parseInt(limit, 10),
+    req.dataScope
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.requests,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get leave request by ID
+ * GET /api/leave/requests/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLeaveRequestById = asyncHandler(async (req, res) => {
+  const request = await leaveService.getLeaveRequest(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+/**
+ * Approve a leave request
+ * POST /api/leave/requests/:id/approve
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveLeave = asyncHandler(async (req, res) => {
+  const request = await leaveService.approveLeave(
+    req.user,
+    req.params.id,
+    req.body.notes,
+    { ipAddress: req.ip }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave approved',
+    data: request
+  });
+});
+
+/**
+ * Reject a leave request
+ * POST /api/leave/requests/:id/reject
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectLeave = asyncHandler(async (req, res) => {
+  const request = await leaveService.rejectLeave(
+    req.user,
+    req.params.id,
+    req.body.notes,
+    { ipAddress: req.ip }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave rejected',
+    data: request
+  });
+});
+
+/**
+ * Cancel an own leave request
+ * POST /api/leave/requests/:id/cancel
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelLeave = asyncHandler(async (req, res) => {
+  const request = await leaveService.cancelLeave(req.user, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Leave request cancelled',
+    data: request
+  });
+});
+
+module.exports = {
+  getLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  getBalances,
+  setBalance,
+  requestLeave,
+  getMyLeaveRequests,
+  getLeaveRequests,
+  getLeaveRequestById,
+  approveLeave,
+  rejectLeave,
+  cancelLeave
+};
@@ -0,0 +1,569 @@
+/**
+ * Leave Repository
+ *
+ * Database queries for leave types, balances and requests
+ *
+ * @module modules/leave/leave.repository
+ */
+
+const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
+
+/**
+ * Columns selected for a leave request with its type and people
+ */
+const SELECT_REQUEST = `SELECT
+      lr.*, lr.start_date::text AS start_date, lr.end_date::text AS end_date,
+      lt.code AS leave_type_code, lt.name AS leave_type_name,
+      u.first_name, u.last_name, u.employee_id, u.supervisor_id, u.facility_id,
+      f.name AS facility_name,
+      reviewer.first_name AS reviewer_first_name, reviewer.last_name AS reviewer_last_name
+    FROM leave_requests lr
+    INNER JOIN leave_types lt ON lr.leave_type_id = lt.id
+    INNER JOIN users u ON lr.user_id = u.id
+    LEFT JOIN facilities f ON u.facility_id = f.id
+    LEFT JOIN councils c ON f.council_id = c.id
+    LEFT JOIN users reviewer ON lr.reviewed_by = reviewer.id`;
+
+/**
+ * Format leave type row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted leave type
+ */
+function formatLeaveType(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    description: row.description,
+    daysPerYear: row.days_per_year === null ? null : parseFloat(row.days_per_year),
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Format leave balance row
+ *
+ * @param {Object} row - Database row (see findBalances)
+ * @returns {Object} Formatted balance
+ */
+function formatBalance(row) {
+  const entitled = parseFloat(row.entitled_days);
+  const used = parseFloat(row.used_days);
+  const pending = parseFloat(row.pending_days);
+
+  return {
+    leaveType: { id: row.leave_type_id, code: row.code, name: row.name },
+    year: row.year,
+    entitledDays: entitled,
+    usedDays: used,
+    pendingDays: pending,
+    availableDays: entitled - used - pending
+  };
+}
+
+/**
+ * Format leave request row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted leave request
+ */
+function formatRequest(row) {
+  return {
+    id: row.id,
+    user: {
+      id: row.user_id,
+      name: `${row.first_name} ${row.last_name}`,
+      employeeId: row.employee_id,
+      supervisorId: row.supervisor_id
+    },
+    facility: row.facility_id ? { id: row.facility_id, name: row.facility_name } : null,
+    leaveType: { id: row.leave_type_id, code: row.leave_type_code, name: row.leave_type_name },
+    startDate: row.start_date,
+    endDate: row.end_date,
+    days: parseFloat(row.days),
+    reason: row.reason,
+    status: row.status,
+    reviewedBy: row.reviewed_by ? {
+      id: row.reviewed_by,
+      name: `${row.reviewer_first_name} ${row.reviewer_last_name}`
+    } : null,
+    reviewedAt: row.reviewed_at,
+    reviewNotes: row.review_notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Find leave types
+ *
+ * @param {Object} filters - Filters ({ includeInactive })
+ * @returns {Promise<Array>} Leave types
+ */
+async function findTypes(filters = {}) {
+  const result = await db.query(
+    `SELECT * FROM leave_types
+     ${filters.includeInactive ? '' : 'WHERE is_active = true'}
+     ORDER BY name`
+  );
+
+  return result.rows.map((row) => formatLeaveType(row));
+}
+
+/**
+ * Find leave type by ID
+ *
+ * @param {string} leaveTypeId - Leave type ID
+ * @returns {Promise<Object|null>} Leave type or null
+ */
+async function findTypeById(leaveTypeId) {
+  const result = await db.query('SELECT * FROM leave_types WHERE id = $1', [leaveTypeId]);
+
+  return result.rows.length > 0 ? formatLeaveType(result.rows[0]) : null;
+}
+
+/**
+ * Create leave type
+ *
+ * @param {Object} typeData - Leave type data
+ * @returns {Promise<Object>} Created leave type
+ */
+async function createType(typeData) {
+  const result = await db.query(
+    `INSERT INTO leave_types (code, name, description, days_per_year)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [
+      typeData.code,
+      typeData.name,
+      typeData.description || null,
+      typeData.daysPerYear === undefined ? null : typeData.daysPerYear
+    ]
+  );
+
+  return formatLeaveType(result.rows[0]);
+}
+
+/**
+ * Update leave type
+ *
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {Object} updates - Fields to update (snake_case column names, undefined skipped)
+ * @returns {Promise<Object|null>} Updated leave type or null
+ */
+async function updateType(leaveTypeId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = ['name', 'description', 'days_per_year', 'is_active'];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(updates[key]);
+      fields.push(`${key} = $${params.length}`);
+    }
+  });
+
+  if (fields.length === 0) {
+    return findTypeById(leaveTypeId);
+  }
+
+  params.push(leaveTypeId);
+
+  const result = await db.query(
+    `UPDATE leave_types SET ${fields.join(', ')} WHERE id = $${params.length} RETURNING *`,
+    params
+  );
+
+  return result.rows.length > 0 ? formatLeaveType(result.rows[0]) : null;
+}
+
+/**
+ * Find a user's balances for a year
+ *
+ * Covers every active leave type that keeps a balance; types without a
+ * stored balance row report their default allowance.
+ *
+ * @param {string} userId - User ID
+ * @param {number} year - Year
+ * @returns {Promise<Array>} Balances
+ */
+async function findBalances(userId, year) {
+  const result = await db.query(
+    `SELECT
+      lt.id AS leave_type_id, lt.code, lt.name, $2::int AS year,
+      COALESCE(lb.entitled_days, lt.days_per_year) AS entitled_days,
+      COALESCE(lb.used_days, 0) AS used_days,
+      COALESCE((
+        SELECT SUM(lr.days) FROM leave_requests lr
+        WHERE lr.user_id = $1 AND lr.leave_type_id = lt.id AND lr.status = 'pending'
+          AND EXTRACT(YEAR FROM lr.start_date) = $2
+      ), 0) AS pending_days
+    FROM leave_types lt
+    LEFT JOIN leave_balances lb
+      ON lb.leave_type_id = lt.id AND lb.user_id = $1 AND lb.year = $2
+    WHERE lt.is_active = true AND (lt.days_per_year IS NOT NULL OR lb.id IS NOT NULL)
+    ORDER BY lt.name`,
+    [userId, year]
+  );
+
+  return result.rows.map((row) => formatBalance(row));
+}
+
+/**
+ * Find one balance, including pending days
+ *
+ * @param {string} userId - User ID
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {number} year - Year
+ * @returns {Promise<Object|null>} Balance, or null if the type keeps no balance
+ */
+async function findBalance(userId, leaveTypeId, year) {
+  const balances = await findBalances(userId, year);
+
+  return balances.find((balance) => balance.leaveType.id === leaveTypeId) || null;
+}
+
+/**
+ * Set a user's entitlement for a leave type and year
+ *
+ * @param {Object} balanceData - Balance data ({ userId, leaveTypeId, year, entitledDays })
+ * @returns {Promise<Object>} Balance row
+ */
+async function upsertBalance(balanceData) {
+  const result = await db.query(
+    `INSERT INTO leave_balances (user_id, leave_type_id, year, entitled_days)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, leave_type_id, year) DO UPDATE SET entitled_days = EXCLUDED.entitled_days
+     RETURNING *`,
+    [balanceData.userId, balanceData.leaveTypeId, balanceData.year, balanceData.entitledDays]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Lock a balance row, creating it from the type's default allowance
+ *
+ * @param {Object} trx - Transaction client
+ * @param {string} userId - User ID
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {number} year - Year
+ * @returns {Promise<Object|null>} Balance row, or null if the type keeps no balance
+ */
+async function lockBalance(trx, userId, leaveTypeId, year) {
+  await trx.query(
+    `INSERT INTO leave_balances (user_id, leave_type_id, year, entitled_days)
+     SELECT $1, id, $3, days_per_year FROM leave_types
+     WHERE id = $2 AND days_per_year IS NOT NULL
+     ON CONFLICT (user_id, leave_type_id, year) DO NOTHING`,
+    [userId, leaveTypeId, year]
+  );
+
+  const result = await trx.query(
+    `SELECT * FROM leave_balances
+     WHERE user_id = $1 AND leave_type_id = $2 AND year = $3
+     FOR UPDATE`,
+    [userId, leaveTypeId, year]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Add to (or with a negative value, give back) the used days of a balance
+ *
+ * @param {Object} trx - Transaction client
+ * @param {string} balanceId - Balance ID
+ * @param {number} days - Days to add
+ * @returns {Promise<void>}
+ */
+async function addUsedDays(trx, balanceId, days) {
+  await trx.query(
+    'UPDATE leave_balances SET used_days = GREATEST(used_days + $1, 0) WHERE id = $2',
+    [days, balanceId]
+  );
+}
+
+/**
+ * Find leave request by ID
+ *
+ * @param {string} requestId - Leave request ID
+ * @returns {Promise<Object|null>} Leave request or null
+ */
+async function findRequestById(requestId) {
+  const result = await db.query(
+    `${SELECT_REQUEST}
+    WHERE lr.id = $1`,
+    [requestId]
+  );
+
+  return result.rows.length > 0 ? formatRequest(result.rows[0]) : null;
+}
+
+/**
+ * Lock a leave request row for review or cancellation
+ *
+ * @param {string} requestId - Leave request ID
+ * @param {Object} executor - Transaction client
+ * @returns {Promise<Object|null>} Raw leave request row or null
+ */
+async function findRequestByIdForUpdate(requestId, executor) {
+  const result = await executor.query(
+    `SELECT *, start_date::text AS start_date, end_date::text AS end_date
+     FROM leave_requests WHERE id = $1 FOR UPDATE`,
+    [requestId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Find pending or approved requests of a user overlapping a date range
+ *
+ * @param {string} userId - User ID
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<Array>} Raw leave request rows
+ */
+async function findOverlapping(userId, startDate, endDate, executor = db) {
+  const result = await executor.query(
+    `SELECT id, status FROM leave_requests
+     WHERE user_id = $1 AND status IN ('pending', 'approved')
+       AND start_date <= $3 AND end_date >= $2`,
+    [userId, startDate, endDate]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find approved leave of a user covering a date
+ *
+ * @param {string} userId - User ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Leave request or null
+ */
+async function findApprovedOn(userId, date) {
+  const result = await db.query(
+    `${SELECT_REQUEST}
+    WHERE lr.user_id = $1 AND lr.status = 'approved'
+      AND lr.start_date <= $2 AND lr.end_date >= $2
+    LIMIT 1`,
+    [userId, date]
+  );
+
+  return result.rows.length > 0 ? formatRequest(result.rows[0]) : null;
+}
+
+/**
+ * Find approved leave of several users overlapping a date range
+ *
+ * @param {Array<string>} userIds - User IDs
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Leave ({ id, userId, leaveType, startDate, endDate })
+ */
+async function findApprovedBetween(userIds, startDate, endDate) {
+  const result = await db.query(
+    `SELECT
+      lr.id, lr.user_id, lr.start_date::text AS start_date, lr.end_date::text AS end_date,
+      lt.code AS leave_type_code
+    FROM leave_requests lr
+    INNER JOIN leave_types lt ON lr.leave_type_id = lt.id
+    WHERE lr.user_id = ANY($1::uuid[]) AND lr.status = 'approved'
+      AND lr.start_date <= $3 AND lr.end_date >= $2`,
+    [userIds, startDate, endDate]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    userId: row.user_id,
+    leaveType: row.leave_type_code,
+    startDate: row.start_date,
+    endDate: row.end_date
+  }));
+}
+
+/**
+ * Build the WHERE clause shared by findRequests and countRequests
+ *
+ * Requests are scoped like the user who made them.
+ *
+ * @param {Object} filters - Query filters ({ status, userId, facilityId, leaveTypeId, from, to })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Object} WHERE clause and parameters
+ */
+function buildFilters(filters = {}, scope = null) {
+  const params = [];
+  const conditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'u.facility_id',
+    userId: 'lr.user_id'
+  }, params);
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`lr.status = $${params.length}`);
+  }
+
+  if (filters.userId) {
+    params.push(filters.userId);
+    conditions.push(`lr.user_id = $${params.length}`);
+  }
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`u.facility_id = $${params.length}`);
+  }
+
+  if (filters.leaveTypeId) {
+    params.push(filters.leaveTypeId);
+    conditions.push(`lr.leave_type_id = $${params.length}`);
+  }
+
+  // Requests overlapping the from/to window
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`lr.end_date >= $${params.length}`);
+  }
+
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`lr.start_date <= $${params.length}`);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find leave requests with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Leave requests
+ */
+async function findRequests(filters = {}, limit = 50, offset = 0, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  params.push(limit, offset);
+
+  const result = await db.query(
+    `${SELECT_REQUEST}
+    ${whereClause}
+    ORDER BY lr.start_date DESC, lr.created_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows.map((row) => formatRequest(row));
+}
+
+/**
+ * Count leave requests with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<number>} Count
+ */
+async function countRequests(filters = {}, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  const result = await db.query(
+    `SELECT COUNT(*)
+    FROM leave_requests lr
+    INNER JOIN users u ON lr.user_id = u.id
+    LEFT JOIN facilities f ON u.facility_id = f.id
+    LEFT JOIN councils c ON f.council_id = c.id
+    ${whereClause}`,
+    params
+  );
+
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Create a leave request
+ *
+ * @param {Object} requestData - Leave request data
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<Object>} Created leave request row
+ */
+async function createRequest(requestData, executor = db) {
+  const result = await executor.query(
+    `INSERT INTO leave_requests (user_id, leave_type_id, start_date, end_date, days, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      requestData.userId,
+      requestData.leaveTypeId,
+      requestData.startDate,
+      requestData.endDate,
+      requestData.days,
+      requestData.reason || null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Set the outcome of a leave request
+ *
+ * @param {string} requestId - Leave request ID
+ * @param {Object} outcome - Outcome ({ status, reviewedBy, reviewNotes })
+ * @param {Object} executor - Database pool or transaction client
+ * @returns {Promise<Object>} Updated leave request row
+ */
+async function updateRequestStatus(requestId, outcome, executor = db) {
+  const result = await executor.query(
+    `UPDATE leave_requests
+     SET status = $1,
+       reviewed_by = COALESCE($2, reviewed_by),
+       reviewed_at = COALESCE($3, reviewed_at),
+       review_notes = COALESCE($4, review_notes)
+     WHERE id = $5
+     RETURNING *`,
+    [
+      outcome.status,
+      outcome.reviewedBy || null,
+      outcome.reviewedBy ? new Date() : null,
+      outcome.reviewNotes || null,
+      requestId
+    ]
+  );
+
+  return result.rows[0];
+}
+
+module.exports = {
+  findTypes,
+  findTypeById,
+  createType,
+  updateType,
+  findBalances,
+  findBalance,
+  upsertBalance,
+  lockBalance,
+  addUsedDays,
+  findRequestById,
+  findRequestByIdForUpdate,
+  findOverlapping,
+  findApprovedOn,
+  findApprovedBetween,
+  findRequests,
+  countRequests,
+  createRequest,
+  updateRequestStatus
+};
@@ -0,0 +1,164 @@
+/**
+ * Leave Routes
+ *
+ * Route definitions for leave type, balance and request endpoints
+ *
+ * @module modules/leave/leave.routes
+ */
+
+const express = require('express');
+const leaveController = require('./leave.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOnly, adminOrSupervisor } = require('../../middleware/roleAuth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
+const {
+  validateLeaveType,
+  validateLeaveBalance,
+  validateLeaveBalanceQuery,
+  validateLeaveRequest,
+  validateLeaveReview,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/leave/types
+ * @desc    List leave types
+ * @access  Private
+ */
+router.get(
+  '/types',
+  leaveController.getLeaveTypes
+);
+
+/**
+ * @route   POST /api/leave/types
+ * @desc    Create leave type
+ * @access  Private/Admin
+ */
+router.post(
+  '/types',
+  adminOnly,
+  validateLeaveType(),
+  leaveController.createLeaveType
+);
+
+/**
+ * @route   PUT /api/leave/types/:id
+ * @desc    Update leave type
+ * @access  Private/Admin
+ */
+router.put(
+  '/types/:id',
+  adminOnly,
+  validateLeaveType(true),
+  leaveController.updateLeaveType
+);
+
+/**
+ * @route   GET /api/leave/balances
+ * @desc    Leave balances of the current user or of a team member
+ * @access  Private
+ */
+router.get(
+  '/balances',
+  validateLeaveBalanceQuery,
+  leaveController.getBalances
+);
+
+/**
+ * @route   PUT /api/leave/balances
+ * @desc    Set a user's entitlement for a leave type and year
+ * @access  Private/Admin
+ */
+router.put(
+  '/balances',
+  adminOnly,
+  validateLeaveBalance,
+  leaveController.setBalance
+);
+
+/**
+ * @route   POST /api/leave/requests
+ * @desc    Request leave
+ * @access  Private
+ */
+router.post(
+  '/requests',
+  validateLeaveRequest,
+  leaveController.requestLeave
+);
+
+/**
+ * @route   GET /api/leave/requests/my
+ * @desc    List own leave requests
+ * @access  Private
+ */
+router.get(
+  '/requests/my',
+  leaveController.getMyLeaveRequests
+);
+
+/**
+ * @route   GET /api/leave/requests
+ * @desc    List leave requests in the caller's data scope
+ * @access  Private/Supervisor
+ */
+router.get(
+  '/requests',
+  adminOrSupervisor,
+  attachDataScope,
+  leaveController.getLeaveRequests
+);
+
+/**
+ * @route   GET /api/leave/requests/:id
+ * @desc    Get leave request (requester or reviewer)
+ * @access  Private
+ */
+router.get(
+  '/requests/:id',
+  validateUuidParam('id'),
+  leaveController.getLeaveRequestById
+);
+
+/**
+ * @route   POST /api/leave/requests/:id/approve
+ * @desc    Approve a leave request
+ * @access  Private/Supervisor
+ */
+router.post(
+  '/requests/:id/approve',
+  adminOrSupervisor,
+  validateLeaveReview,
+  leaveController.approveLeave
+);
+
+/**
+ * @route   POST /api/leave/requests/:id/reject
+ * @desc    Reject a leave request
+ * @access  Private/Supervisor
+ */
+router.post(
+  '/requests/:id/reject',
+  adminOrSupervisor,
+  validateLeaveReview,
+  leaveController.rejectLeave
+);
+
+/**
+ * @route   POST /api/leave/requests/:id/cancel
+ * @desc    Cancel an own leave request
+ * @access  Private
+ */
+router.post(
+  '/requests/:id/cancel',
+  validateUuidParam('id'),
+  leaveController.cancelLeave
+);
+
+module.exports = router;
@@ -0,0 +1,548 @@
+/**
+ * Leave Service
+ *
+ * Leave management: leave types with a yearly allowance, balances per user
+ * and year, and leave requests approved by supervisors in the requester's
+ * reporting line (users.supervisor_id) or admins. Approved leave takes its
+ * working days (weekends and the holidays of the user's region excluded)
+ * from the balance, blocks clock-in unless overridden and marks
+ * the user on leave in the daily register.
+ *
+ * @module modules/leave/leave.service
+ */
+
+const leaveRepository = require('./leave.repository');
+const registerService = require('../attendance/register.service');
+const holidaysService = require('../holidays/holidays.service');
+const usersRepository = require('../users/users.repository');
+const db = require('../../config/database');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const leaveCalculator = require('../../utils/leaveCalculator');
+const { getLocalParts } = require('../../utils/shiftMatcher');
+const logger = require('../../utils/logger');
+
+/**
+ * Roles allowed to review leave of users in their reporting line
+ */
+const REVIEWER_ROLES = ['supervisor', 'backstopper'];
+
+/**
+ * Get today's date in the attendance timezone
+ *
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getToday() {
+  return getLocalParts(new Date(), appConfig.attendance.timezone).date;
+}
+
+/**
+ * Count the working days of a leave period, skipping the user's holidays
+ *
+ * @param {string} userId - User ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<number>} Working days
+ */
+async function countDays(userId, startDate, endDate) {
+  const holidayDates = await holidaysService.getUserHolidayDates(userId, startDate, endDate);
+
+  return leaveCalculator.countLeaveDays(startDate, endDate, {
+    workingDays: appConfig.attendance.workingDays,
+    excludedDates: holidayDates
+  });
+}
+
+/**
+ * Check whether a user may review another user's leave
+ *
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} userId - User who requested the leave
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function canReview(reviewer, userId) {
+  if (reviewer.id === userId) {
+    return false;
+  }
+
+  if (reviewer.role === 'admin') {
+    return true;
+  }
+
+  if (!REVIEWER_ROLES.includes(reviewer.role)) {
+    return false;
+  }
+
+  return usersRepository.isInReportingLine(reviewer.id, userId);
+}
+
+/**
+ * Refresh frozen register days covered by a leave request
+ *
+ * Leave is committed before this runs, so a failure is only logged.
+ *
+ * @param {Object} request - Raw leave request row
+ * @returns {Promise<void>}
+ */
+async function refreshRegister(request) {
+  try {
+    await registerService.refreshDays(
+      request.user_id,
+      leaveCalculator.listDates(request.start_date, request.end_date)
+    );
+  } catch (error) {
+    logger.error('Failed to refresh attendance register after leave change', {
+      leaveRequestId: request.id,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List leave types
+ *
+ * @param {Object} filters - Filters ({ includeInactive })
+ * @returns {Promise<Array>} Leave types
+ */
+async function getLeaveTypes(filters = {}) {
+  return leaveRepository.findTypes(filters);
+}
+
+/**
+ * Create leave type
+ *
+ * @param {Object} typeData - Leave type data ({ code, name, description, daysPerYear })
+ * @returns {Promise<Object>} Created leave type
+ */
+async function createLeaveType(typeData) {
+  const leaveType = await leaveRepository.createType(typeData);
+
+  logger.info('Leave type created', { leaveTypeId: leaveType.id, code: leaveType.code });
+
+  return leaveType;
+}
+
+/**
+ * Update leave type
+ *
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {Object} updates - Fields to update ({ name, description, daysPerYear, isActive })
+ * @returns {Promise<Object>} Updated leave type
+ */
+async function updateLeaveType(leaveTypeId, updates) {
+  const leaveType = await leaveRepository.updateType(leaveTypeId, {
+    name: updates.name,
+    description: updates.description,
+    days_per_year: updates.daysPerYear,
+    is_active: updates.isActive
+  });
+
+  if (!leaveType) {
+    throw new AppError('Leave type not found', 404);
+  }
+
+  logger.info('Leave type updated', { leaveTypeId });
+
+  return leaveType;
+}
+
+/**
+ * Get a user's leave balances for a year
+ *
+ * Visible to the user and to anyone allowed to review their leave.
+ *
+ * @param {Object} requester - Authenticated user
+ * @param {string} userId - User whose balances are requested
+ * @param {number} year - Year (default: current year)
+ * @returns {Promise<Object>} Balances ({ userId, year, balances })
+ */
+async function getBalances(requester, userId, year) {
+  if (requester.id !== userId && !(await canReview(requester, userId))) {
+    throw new AppError('Not authorized to view this user\'s leave balances', 403);
+  }
+
+  const balanceYear = year || parseInt(getToday().slice(0, 4), 10);
+
+  return {
+    userId,
+    year: balanceYear,
+    balances: await leaveRepository.findBalances(userId, balanceYear)
+  };
+}
+
+/**
+ * Set a user's entitlement for a leave type and year
+ *
+ * @param {Object} admin - Authenticated admin
+ * @param {Object} data - Balance data ({ userId, leaveTypeId, year, entitledDays })
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Updated balance
+ */
+async function setBalance(admin, data, client = {}) {
+  const [leaveType, user] = await Promise.all([
+    leaveRepository.findTypeById(data.leaveTypeId),
+    usersRepository.findById(data.userId)
+  ]);
+
+  if (!leaveType) {
+    throw new AppError('Leave type not found', 404);
+  }
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  await leaveRepository.upsertBalance(data);
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'LEAVE_BALANCE_SET', 'user', $2, 'Leave entitlement set', $3, $4)`,
+    [admin.id, data.userId, client.ipAddress || null, JSON.stringify({
+      leaveTypeId: data.leaveTypeId,
+      year: data.year,
+      entitledDays: data.entitledDays
+    })]
+  );
+
+  logger.info('Leave entitlement set', {
+    userId: data.userId,
+    leaveTypeId: data.leaveTypeId,
+    year: data.year,
+    adminId: admin.id
+  });
+
+  return leaveRepository.findBalance(data.userId, data.leaveTypeId, data.year);
+}
+
+/**
+ * Request leave
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - Request data ({ leaveTypeId, startDate, endDate, reason })
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Created leave request
+ */
+async function requestLeave(user, data, client = {}) {
+  const leaveType = await leaveRepository.findTypeById(data.leaveTypeId);
+
+  if (!leaveType || !leaveType.isActive) {
+    throw new AppError('Leave type not found', 404);
+  }
+
+  if (data.endDate < data.startDate) {
+    throw new AppError('End date must be on or after start date', 400);
+  }
+
+  const year = parseInt(data.startDate.slice(0, 4), 10);
+  if (parseInt(data.endDate.slice(0, 4), 10) !== year) {
+    throw new AppError('Leave cannot span two years; submit one request per year', 400);
+  }
+
+  const days = await countDays(user.id, data.startDate, data.endDate);
+  if (days === 0) {
+    throw new AppError('The selected dates contain no working days', 400);
+  }
+
+  const overlapping = await leaveRepository.findOverlapping(user.id, data.startDate, data.endDate);
+  if (overlapping.length > 0) {
+    throw new AppError('Leave has already been requested or approved for part of this period', 409);
+  }
+
+  const balance = await leaveRepository.findBalance(user.id, leaveType.id, year);
+  if (balance && days > balance.availableDays) {
+    throw new AppError(
+      `Insufficient ${leaveType.name.toLowerCase()} balance: ${balance.availableDays} day(s) available`,
+      400
+    );
+  }
+
+  const request = await leaveRepository.createRequest({
+    userId: user.id,
+    leaveTypeId: leaveType.id,
+    startDate: data.startDate,
+    endDate: data.endDate,
+    days,
+    reason: data.reason
+  });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, 'LEAVE_REQUESTED', 'leave_request', $2, 'Leave requested', $3, $4)`,
+    [user.id, request.id, client.ipAddress || null, JSON.stringify({
+      leaveType: leaveType.code,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      days
+    })]
+  );
+
+  logger.info('Leave requested', {
+    leaveRequestId: request.id,
+    userId: user.id,
+    days
+  });
+
+  return leaveRepository.findRequestById(request.id);
+}
+
+/**
+ * Get a leave request
+ *
+ * Visible to the requester and to anyone allowed to review it.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} requestId - Leave request ID
+ * @returns {Promise<Object>} Leave request
+ */
+async function getLeaveRequest(user, requestId) {
+  const request = await leaveRepository.findRequestById(requestId);
+
+  if (!request) {
+    throw new AppError('Leave request not found', 404);
+  }
+
+  if (request.user.id !== user.id && !(await canReview(user, request.user.id))) {
+    throw new AppError('Leave request not found', 404);
+  }
+
+  return request;
+}
+
+/**
+ * List leave requests
+ *
+ * @param {Object} filters - Query filters ({ status, userId, facilityId, leaveTypeId, from, to })
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} Leave requests and pagination
+ */
+async function getLeaveRequests(filters = {}, page = 1, limit = 50, scope = null) {
+  const offset = (page - 1) * limit;
+
+  const [requests, total] = await Promise.all([
+    leaveRepository.findRequests(filters, limit, offset, scope),
+    leaveRepository.countRequests(filters, scope)
+  ]);
+
+  return {
+    requests,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Lock a pending leave request and check the reviewer may decide on it
+ *
+ * @param {Object} trx - Transaction client
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} requestId - Leave request ID
+ * @returns {Promise<Object>} Raw leave request row
+ */
+async function lockForReview(trx, reviewer, requestId) {
+  const request = await leaveRepository.findRequestByIdForUpdate(requestId, trx);
+
+  if (!request) {
+    throw new AppError('Leave request not found', 404);
+  }
+
+  if (!(await canReview(reviewer, request.user_id))) {
+    throw new AppError('Not authorized to review this leave request', 403);
+  }
+
+  if (request.status !== 'pending') {
+    throw new AppError(`Leave request is already ${request.status}`, 409);
+  }
+
+  return request;
+}
+
+/**
+ * Approve a leave request and take its days from the balance
+ *
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} requestId - Leave request ID
+ * @param {string} notes - Optional review notes
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Reviewed leave request
+ */
+async function approveLeave(reviewer, requestId, notes, client = {}) {
+  const request = await db.transaction(async (trx) => {
+    const pending = await lockForReview(trx, reviewer, requestId);
+    const days = parseFloat(pending.days);
+
+    const balance = await leaveRepository.lockBalance(
+      trx,
+      pending.user_id,
+      pending.leave_type_id,
+      parseInt(pending.start_date.slice(0, 4), 10)
+    );
+
+    if (balance) {
+      const available = parseFloat(balance.entitled_days) - parseFloat(balance.used_days);
+
+      if (days > available) {
+        throw new AppError(`Insufficient leave balance: ${available} day(s) available`, 409);
+      }
+
+      await leaveRepository.addUsedDays(trx, balance.id, days);
+    }
+
+    await leaveRepository.updateRequestStatus(requestId, {
+      status: 'approved',
+      reviewedBy: reviewer.id,
+      reviewNotes: notes
+    }, trx);
+
+    await trx.query(
+      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+       VALUES ($1, 'LEAVE_APPROVED', 'leave_request', $2, 'Leave request approved', $3, $4)`,
+      [reviewer.id, requestId, client.ipAddress || null, JSON.stringify({
+        requestedBy: pending.user_id,
+        days
+      })]
+    );
+
+    return pending;
+  });
+
+  logger.info('Leave request approved', {
+    leaveRequestId: requestId,
+    reviewerId: reviewer.id
+  });
+
+  await refreshRegister(request);
+
+  return leaveRepository.findRequestById(requestId);
+}
+
+/**
+ * Reject a leave request
+ *
+ * @param {Object} reviewer - Authenticated user
+ * @param {string} requestId - Leave request ID
+ * @param {string} notes - Reason for the rejection
+ * @param {Object} client - Client metadata ({ ipAddress })
+ * @returns {Promise<Object>} Reviewed leave request
+ */
+async function rejectLeave(reviewer, requestId, notes, client = {}) {
+  if (!notes) {
+    throw new AppError('A reason is required to reject a leave request', 400);
+  }
+
+  await db.transaction(async (trx) => {
+    const pending = await lockForReview(trx, reviewer, requestId);
+
+    await leaveRepository.updateRequestStatus(requestId, {
+      status: 'rejected',
+      reviewedBy: reviewer.id,
+      reviewNotes: notes
+    }, trx);
+
+    await trx.query(
+      `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+       VALUES ($1, 'LEAVE_REJECTED', 'leave_request', $2, 'Leave request rejected', $3, $4)`,
+      [reviewer.id, requestId, client.ipAddress || null, JSON.stringify({
+        requestedBy: pending.user_id
+      })]
+    );
+  });
+
+  logger.info('Leave request rejected', {
+    leaveRequestId: requestId,
+    reviewerId: reviewer.id
+  });
+
+  return leaveRepository.findRequestById(requestId);
+}
+
+/**
+ * Cancel one of the user's own leave requests
+ *
+ * Pending requests can always be cancelled; approved leave only before it
+ * starts, in which case its days go back to the balance.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} requestId - Leave request ID
+ * @returns {Promise<Object>} Cancelled leave request
+ */
+async function cancelLeave(user, requestId) {
+  await db.transaction(async (trx) => {
+    const request = await leaveRepository.findRequestByIdForUpdate(requestId, trx);
+
+    if (!request || request.user_id !== user.id) {
+      throw new AppError('Leave request not found', 404);
+    }
+
+    if (!['pending', 'approved'].includes(request.status)) {
+      throw new AppError(`Leave request is already ${request.status}`, 409);
+    }
+
+    if (request.status === 'approved') {
+      if (request.start_date <= getToday()) {
+        throw new AppError('Leave that has already started cannot be cancelled', 409);
+      }
+
+      const balance = await leaveRepository.lockBalance(
+        trx,
+        request.user_id,
+        request.leave_type_id,
+        parseInt(request.start_date.slice(0, 4), 10)
+      );
+
+      if (balance) {
+        await leaveRepository.addUsedDays(trx, balance.id, -parseFloat(request.days));
+      }
+    }
+
+    await leaveRepository.updateRequestStatus(requestId, { status: 'cancelled' }, trx);
+  });
+
+  logger.info('Leave request cancelled', { leaveRequestId: requestId, userId: user.id });
+
+  return leaveRepository.findRequestById(requestId);
+}
+
+/**
+ * Check a clock-in against the user's approved leave
+ *
+ * @param {string} userId - User ID
+ * @param {Date} time - Clock-in time
+ * @param {boolean} overrideLeave - Clock in despite approved leave
+ * @returns {Promise<Object|null>} Overridden leave request, or null when not on leave
+ * @throws {AppError} If the user is on approved leave and did not override it
+ */
+async function checkClockIn(userId, time, overrideLeave = false) {
+  const { date } = getLocalParts(time, appConfig.attendance.timezone);
+  const leave = await leaveRepository.findApprovedOn(userId, date);
+
+  if (leave && !overrideLeave) {
+    throw new AppError(
+      `You are on approved ${leave.leaveType.name.toLowerCase()} until ${leave.endDate}. `
+        + 'Set overrideLeave to clock in anyway',
+      409
+    );
+  }
+
+  return leave;
+}
+
+module.exports = {
+  getLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  getBalances,
+  setBalance,
+  requestLeave,
+  getLeaveRequest,
+  getLeaveRequests,
+  approveLeave,
+  rejectLeave,
+  cancelLeave,
+  checkClockIn
+};
@@ -0,0 +1,121 @@
+/**
+ * Regions Controller
+ *
+ * Handles HTTP requests for region endpoints
+ *
+ * @module modules/regions/regions.controller
+ */
+
+const regionsService = require('./regions.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * List regions
+ * GET /api/regions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRegions = asyncHandler(async (req, res) => {
+  const regions = await regionsService.getRegions({ search: req.query.search });
+
+  res.status(200).json({
+    success: true,
+    data: regions
+  });
+});
+
+/**
+ * Get the region > council tree with facility counts
+ * GET /api/regions/tree
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTree = asyncHandler(async (req, res) => {
+  const tree = await regionsService.getTree();
+
+  res.status(200).json({
+    success: true,
+    data: tree
+  });
+});
+
+/**
+ * Get region by ID
+ * GET /api/regions/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRegionById = asyncHandler(async (req, res) => {
+  const region = await regionsService.getRegionById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: region
+  });
+});
+
+/**
+ * Create region
+ * POST /api/regions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRegion = asyncHandler(async (req, res) => {
+  const { name, code, description } = req.body;
+
+  const region = await regionsService.createRegion({ name, code, description });
+
+  res.status(201).json({
+    success: true,
+    message: 'Region created',
+    data: region
+  });
+});
+
+/**
+ * Update region
+ * PUT /api/regions/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateRegion = asyncHandler(async (req, res) => {
+  const { name, code, description } = req.body;
+
+  const region = await regionsService.updateRegion(req.params.id, { name, code, description });
+
+  res.status(200).json({
+    success: true,
+    message: 'Region updated',
+    data: region
+  });
+});
+
+/**
+ * Delete region
+ * DELETE /api/regions/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRegion = asyncHandler(async (req, res) => {
+  await regionsService.deleteRegion(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Region deleted'
+  });
+});
+
+module.exports = {
+  getRegions,
+  getTree,
+  getRegionById,
+  createRegion,
+  updateRegion,
+  deleteRegion
+};
@@ -0,0 +1,181 @@
+/**
+ * Regions Repository
+ *
+ * Database queries for regions, the top level of the facility hierarchy
+ *
+ * @module modules/regions/regions.repository
+ */
+
+const db = require('../../config/database');
+
+/**
+ * Columns selected for a region with its council and facility counts
+ */
+const SELECT_REGION = `SELECT
+      r.id, r.name, r.code, r.description, r.created_at, r.updated_at,
+      (SELECT COUNT(*) FROM councils c WHERE c.region_id = r.id) AS council_count,
+      (SELECT COUNT(*) FROM facilities f
+       INNER JOIN councils c ON f.council_id = c.id
+       WHERE c.region_id = r.id) AS facility_count
+    FROM regions r`;
+
+/**
+ * Format region row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted region
+ */
+function formatRegion(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    code: row.code,
+    description: row.description,
+    councilCount: parseInt(row.council_count, 10),
+    facilityCount: parseInt(row.facility_count, 10),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Find regions
+ *
+ * @param {Object} filters - Query filters ({ search })
+ * @returns {Promise<Array>} Regions ordered by name
+ */
+async function findAll(filters = {}) {
+  const params = [];
+  let whereClause = '';
+
+  if (filters.search) {
+    params.push(`%${filters.search}%`);
+    whereClause = 'WHERE r.name ILIKE $1 OR r.code ILIKE $1';
+  }
+
+  const result = await db.query(
+    `${SELECT_REGION}
+    ${whereClause}
+    ORDER BY r.name`,
+    params
+  );
+
+  return result.rows.map((row) => formatRegion(row));
+}
+
+/**
+ * Find region by ID
+ *
+ * @param {string} regionId - Region ID
+ * @returns {Promise<Object|null>} Region or null
+ */
+async function findById(regionId) {
+  const result = await db.query(
+    `${SELECT_REGION}
+    WHERE r.id = $1`,
+    [regionId]
+  );
+
+  return result.rows.length > 0 ? formatRegion(result.rows[0]) : null;
+}
+
+/**
+ * Create region
+ *
+ * @param {Object} regionData - Region data ({ name, code, description })
+ * @returns {Promise<Object>} Created region row
+ */
+async function create(regionData) {
+  const result = await db.query(
+    `INSERT INTO regions (name, code, description)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [regionData.name, regionData.code || null, regionData.description || null]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update region
+ *
+ * @param {string} regionId - Region ID
+ * @param {Object} updates - Fields to update (snake_case column names, undefined skipped)
+ * @returns {Promise<boolean>} True if the region exists
+ */
+async function update(regionId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = ['name', 'code', 'description'];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(updates[key]);
+      fields.push(`${key} = $${params.length}`);
+    }
+  });
+
+  if (fields.length === 0) {
+    return Boolean(await findById(regionId));
+  }
+
+  params.push(regionId);
+
+  const result = await db.query(
+    `UPDATE regions SET ${fields.join(', ')} WHERE id = $${params.length}`,
+    params
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete region
+ *
+ * Fails with a foreign key violation while councils belong to the region.
+ *
+ * @param {string} regionId - Region ID
+ * @returns {Promise<Object|null>} Deleted region row ({ name }) or null
+ */
+async function deleteRegion(regionId) {
+  const result = await db.query(
+    'DELETE FROM regions WHERE id = $1 RETURNING name',
+    [regionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Find the hierarchy with facility counts per status
+ *
+ * @returns {Promise<Array>} One row per council, and one per region without councils
+ */
+async function findTree() {
+  const result = await db.query(
+    `SELECT
+      r.id AS region_id, r.name AS region_name, r.code AS region_code,
+      c.id AS council_id, c.name AS council_name, c.code AS council_code,
+      COUNT(f.id) AS total,
+      COUNT(f.id) FILTER (WHERE f.status = 'active') AS active,
+      COUNT(f.id) FILTER (WHERE f.status = 'inactive') AS inactive,
+      COUNT(f.id) FILTER (WHERE f.status = 'maintenance') AS maintenance
+    FROM regions r
+    LEFT JOIN councils c ON c.region_id = r.id
+    LEFT JOIN facilities f ON f.council_id = c.id
+    GROUP BY r.id, c.id
+    ORDER BY r.name, c.name`
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  findAll,
+  findById,
+  create,
+  update,
+  deleteRegion,
+  findTree
+};
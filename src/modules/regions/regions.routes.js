@@ -0,0 +1,84 @@
+/**
+ * Regions Routes
+ *
+ * Route definitions for region endpoints
+ *
+ * @module modules/regions/regions.routes
+ */
+
+const express = require('express');
+const regionsController = require('./regions.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOnly } = require('../../middleware/roleAuth.middleware');
+const {
+  validateRegion,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/regions
+ * @desc    List regions with council and facility counts
+ * @access  Private
+ */
+router.get('/', regionsController.getRegions);
+
+/**
+ * @route   GET /api/regions/tree
+ * @desc    Get the region > council tree with facility counts
+ * @access  Private
+ */
+router.get('/tree', regionsController.getTree);
+
+/**
+ * @route   POST /api/regions
+ * @desc    Create region
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  adminOnly,
+  validateRegion(),
+  regionsController.createRegion
+);
+
+/**
+ * @route   GET /api/regions/:id
+ * @desc    Get region by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateUuidParam('id'),
+  regionsController.getRegionById
+);
+
+/**
+ * @route   PUT /api/regions/:id
+ * @desc    Update region
+ * @access  Private/Admin
+ */
+router.put(
+  '/:id',
+  adminOnly,
+  validateRegion(true),
+  regionsController.updateRegion
+);
+
+/**
+ * @route   DELETE /api/regions/:id
+ * @desc    Delete a region without councils
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:id',
+  adminOnly,
+  validateUuidParam('id'),
+  regionsController.deleteRegion
+);
+
+module.exports = router;
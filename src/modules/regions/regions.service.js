@@ -0,0 +1,173 @@
+/**
+ * Regions Service
+ *
+ * Business logic for regions and the region > council > facility tree.
+ * A region can only be deleted once it has no councils, so facilities and
+ * their attendance are never removed along with it.
+ *
+ * @module modules/regions/regions.service
+ */
+
+const regionsRepository = require('./regions.repository');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const logger = require('../../utils/logger');
+
+/**
+ * Get region by ID
+ *
+ * @param {string} regionId - Region ID
+ * @returns {Promise<Object>} Region
+ */
+async function getRegionById(regionId) {
+  const region = await regionsRepository.findById(regionId);
+
+  if (!region) {
+    throw new AppError('Region not found', 404);
+  }
+
+  return region;
+}
+
+/**
+ * List regions
+ *
+ * @param {Object} filters - Query filters ({ search })
+ * @returns {Promise<Array>} Regions
+ */
+async function getRegions(filters = {}) {
+  return regionsRepository.findAll(filters);
+}
+
+/**
+ * Create region
+ *
+ * @param {Object} data - Region data ({ name, code, description })
+ * @returns {Promise<Object>} Created region
+ */
+async function createRegion(data) {
+  const { id } = await regionsRepository.create(data);
+
+  logger.info('Region created', { regionId: id, name: data.name });
+
+  return regionsRepository.findById(id);
+}
+
+/**
+ * Update region
+ *
+ * @param {string} regionId - Region ID
+ * @param {Object} updates - Fields to update ({ name, code, description })
+ * @returns {Promise<Object>} Updated region
+ */
+async function updateRegion(regionId, updates) {
+  const updated = await regionsRepository.update(regionId, {
+    name: updates.name,
+    code: updates.code,
+    description: updates.description
+  });
+
+  if (!updated) {
+    throw new AppError('Region not found', 404);
+  }
+
+  logger.info('Region updated', { regionId });
+
+  return regionsRepository.findById(regionId);
+}
+
+/**
+ * Delete region
+ *
+ * The region's holidays are deleted with it.
+ *
+ * @param {string} regionId - Region ID
+ * @returns {Promise<void>}
+ * @throws {AppError} If the region does not exist or still has councils
+ */
+async function deleteRegion(regionId) {
+  const region = await getRegionById(regionId);
+
+  if (region.councilCount > 0) {
+    throw new AppError(
+      `Region has ${region.councilCount} council${region.councilCount === 1 ? '' : 's'}; move or delete them first`,
+      409
+    );
+  }
+
+  try {
+    await regionsRepository.deleteRegion(regionId);
+  } catch (error) {
+    // A council was added since the check
+    if (error.code === '23503') {
+      throw new AppError('Region has councils; move or delete them first', 409);
+    }
+
+    throw error;
+  }
+
+  logger.info('Region deleted', { regionId, name: region.name });
+}
+
+/**
+ * Get the region > council tree with facility counts
+ *
+ * @returns {Promise<Array>} Regions with their councils; each level has
+ *   facility counts by status ({ total, active, inactive, maintenance })
+ */
+async function getTree() {
+  const rows = await regionsRepository.findTree();
+  const regions = new Map();
+
+  const toCounts = (row) => ({
+    total: parseInt(row.total, 10),
+    active: parseInt(row.active, 10),
+    inactive: parseInt(row.inactive, 10),
+    maintenance: parseInt(row.maintenance, 10)
+  });
+
+  rows.forEach((row) => {
+    if (!regions.has(row.region_id)) {
+      regions.set(row.region_id, {
+        id: row.region_id,
+        name: row.region_name,
+        code: row.region_code,
+        facilities: {
+          total: 0,
+          active: 0,
+          inactive: 0,
+          maintenance: 0
+        },
+        councils: []
+      });
+    }
+
+    if (!row.council_id) {
+      return;
+    }
+
+    const region = regions.get(row.region_id);
+    const facilities = toCounts(row);
+
+    Object.keys(facilities).forEach((status) => {
+      region.facilities[status] += facilities[status];
+    });
+
+    region.councils.push({
+      id: row.council_id,
+      name: row.council_name,
+      code: row.council_code,
+      facilities
+    });
+  });
+
+  return [...regions.values()];
+}
+
+module.exports = {
+  getRegionById,
+  getRegions,
+  createRegion,
+  updateRegion,
+  deleteRegion,
+  getTree
+};
@@ -0,0 +1,53 @@
+/**
+ * Reports Controller
+ *
+ * Handles HTTP requests for report endpoints
+ *
+ * @module modules/reports/reports.controller
+ */
+
+const reportsService = require('./reports.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * Get worked hours report
+ * GET /api/reports/timesheets
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTimesheet = asyncHandler(async (req, res) => {
+  const {
+    from,
+    to,
+    groupBy,
+    period,
+    userId,
+    facilityId,
+    councilId,
+    regionId
+  } = req.query;
+
+  const timesheet = await reportsService.getTimesheet(
+    {
+      from,
+      to,
+      groupBy,
+      period,
+      userId,
+      facilityId,
+      councilId,
+      regionId
+    },
+    req.dataScope
+  );
+
+  res.status(200).json({
+    success: true,
+    data: timesheet
+  });
+});
+
+module.exports = {
+  getTimesheet
+};
@@ -0,0 +1,82 @@
+/**
+ * Reports Repository
+ *
+ * Database queries for attendance reports
+ *
+ * @module modules/reports/reports.repository
+ */
+
+const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
+
+/**
+ * Find closed attendance records clocked in within a time window
+ *
+ * Open records are left out; `incomplete` records (closed automatically)
+ * are returned so reports can flag them.
+ *
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (exclusive)
+ * @param {Object} filters - Filters ({ userIds, userId, facilityId, councilId, regionId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Record rows with user, facility and council
+ */
+async function findClosedRecords(from, to, filters = {}, scope = null) {
+  const params = [from, to];
+  const conditions = [
+    'a.clock_in >= $1',
+    'a.clock_in < $2',
+    "a.status IN ('clocked_out', 'incomplete')",
+    ...buildScopeConditions(scope, {
+      regionId: 'c.region_id',
+      councilId: 'f.council_id',
+      facilityId: 'a.facility_id',
+      userId: 'a.user_id'
+    }, params)
+  ];
+
+  if (filters.userIds) {
+    params.push(filters.userIds);
+    conditions.push(`a.user_id = ANY($${params.length}::uuid[])`);
+  }
+
+  if (filters.userId) {
+    params.push(filters.userId);
+    conditions.push(`a.user_id = $${params.length}`);
+  }
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`a.facility_id = $${params.length}`);
+  }
+
+  if (filters.councilId) {
+    params.push(filters.councilId);
+    conditions.push(`f.council_id = $${params.length}`);
+  }
+
+  if (filters.regionId) {
+    params.push(filters.regionId);
+    conditions.push(`c.region_id = $${params.length}`);
+  }
+
+  const result = await db.query(
+    `SELECT
+      a.id, a.user_id, a.facility_id, a.clock_in, a.clock_out, a.status,
+      u.first_name, u.last_name, u.employee_id,
+      f.name AS facility_name, f.timezone, f.council_id, c.name AS council_name
+    FROM attendance a
+    INNER JOIN users u ON a.user_id = u.id
+    INNER JOIN facilities f ON a.facility_id = f.id
+    INNER JOIN councils c ON f.council_id = c.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY a.user_id, a.clock_in`,
+    params
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  findClosedRecords
+};
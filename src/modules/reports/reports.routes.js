@@ -0,0 +1,32 @@
+/**
+ * Reports Routes
+ *
+ * Route definitions for report endpoints
+ *
+ * @module modules/reports/reports.routes
+ */
+
+const express = require('express');
+const reportsController = require('./reports.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
+const { validateTimesheetQuery } = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/reports/timesheets
+ * @desc    Worked, regular and overtime hours in the caller's data scope
+ * @access  Private
+ */
+router.get(
+  '/timesheets',
+  validateTimesheetQuery,
+  attachDataScope,
+  reportsController.getTimesheet
+);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+/**
+ * Reports Service
+ *
+ * Timesheets: worked hours per user, facility or council for each day, week
+ * or month of a date range, split into regular and overtime (see
+ * utils/timesheetCalculator). Days are local to the facility where the user
+ * clocked in (facilities.timezone, falling back to ATTENDANCE_TIMEZONE).
+ *
+ * @module modules/reports/reports.service
+ */
+
+const reportsRepository = require('./reports.repository');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const { getLocalParts, addDays } = require('../../utils/shiftMatcher');
+const { listDates } = require('../../utils/leaveCalculator');
+const timesheetCalculator = require('../../utils/timesheetCalculator');
+
+/**
+ * Longest timesheet range, in days
+ */
+const MAX_TIMESHEET_DAYS = 366;
+
+/**
+ * Timesheet groupings and how to describe a group from a record row
+ */
+const GROUPINGS = {
+  user: (row) => ({
+    key: row.user_id,
+    label: `${row.last_name} ${row.first_name}`,
+    value: { id: row.user_id, name: `${row.first_name} ${row.last_name}`, employeeId: row.employee_id }
+  }),
+  facility: (row) => ({
+    key: row.facility_id,
+    label: row.facility_name,
+    value: { id: row.facility_id, name: row.facility_name }
+  }),
+  council: (row) => ({
+    key: row.council_id,
+    label: row.council_name,
+    value: { id: row.council_id, name: row.council_name }
+  })
+};
+
+/**
+ * Build an empty timesheet row
+ *
+ * @returns {Object} Minute counters
+ */
+function emptyTotals() {
+  return {
+    workedMinutes: 0,
+    regularMinutes: 0,
+    overtimeMinutes: 0,
+    records: 0,
+    incompleteRecords: 0
+  };
+}
+
+/**
+ * Convert minute counters to the hours reported
+ *
+ * @param {Object} totals - Minute counters
+ * @returns {Object} Hours and record counts
+ */
+function formatTotals(totals) {
+  return {
+    workedHours: timesheetCalculator.toHours(totals.workedMinutes),
+    regularHours: timesheetCalculator.toHours(totals.regularMinutes),
+    overtimeHours: timesheetCalculator.toHours(totals.overtimeMinutes),
+    records: totals.records,
+    incompleteRecords: totals.incompleteRecords
+  };
+}
+
+/**
+ * Add an entry to minute counters
+ *
+ * @param {Object} totals - Minute counters (updated)
+ * @param {Object} entry - Allocated record or incomplete record
+ */
+function addEntry(totals, entry) {
+  Object.assign(totals, {
+    workedMinutes: totals.workedMinutes + (entry.workedMinutes || 0),
+    regularMinutes: totals.regularMinutes + (entry.regularMinutes || 0),
+    overtimeMinutes: totals.overtimeMinutes + (entry.overtimeMinutes || 0),
+    records: totals.records + 1,
+    incompleteRecords: totals.incompleteRecords + (entry.status === 'incomplete' ? 1 : 0)
+  });
+}
+
+/**
+ * Get a timesheet report
+ *
+ * Overtime is computed over all of a user's closed records, so filtering by
+ * facility or council does not hide hours worked elsewhere that week.
+ * Records closed automatically (`incomplete`) are counted but add no hours.
+ *
+ * @param {Object} filters - Filters ({ from, to, groupBy, period, userId, facilityId, councilId, regionId })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} Timesheet
+ */
+async function getTimesheet(filters, scope = null) {
+  const groupBy = filters.groupBy || 'user';
+  const period = filters.period || 'day';
+  const { from, to } = filters;
+
+  if (to < from) {
+    throw new AppError('End date must not be before start date', 400);
+  }
+
+  if (listDates(from, to).length > MAX_TIMESHEET_DAYS) {
+    throw new AppError(`Timesheet range cannot exceed ${MAX_TIMESHEET_DAYS} days`, 400);
+  }
+
+  // Start at the Monday of the first week for the weekly threshold, padded a
+  // day on each side for facility timezones
+  const windowStart = new Date(`${addDays(timesheetCalculator.getWeekStart(from), -1)}T00:00:00Z`);
+  const windowEnd = new Date(`${addDays(to, 2)}T00:00:00Z`);
+
+  const rows = await reportsRepository.findClosedRecords(windowStart, windowEnd, filters, scope);
+  const userIds = [...new Set(rows.map((row) => row.user_id))];
+  const selected = new Set(rows.map((row) => row.id));
+
+  const allRows = userIds.length > 0
+    ? await reportsRepository.findClosedRecords(windowStart, windowEnd, { userIds })
+    : [];
+
+  const toRecord = (row) => ({
+    ...row,
+    userId: row.user_id,
+    clockIn: row.clock_in,
+    clockOut: row.clock_out,
+    timezone: row.timezone || appConfig.attendance.timezone
+  });
+
+  const allocated = timesheetCalculator.allocateOvertime(
+    allRows.filter((row) => row.status === 'clocked_out').map(toRecord),
+    {
+      dailyOvertimeHours: appConfig.attendance.dailyOvertimeHours,
+      weeklyOvertimeHours: appConfig.attendance.weeklyOvertimeHours
+    }
+  );
+
+  const incomplete = allRows
+    .filter((row) => row.status === 'incomplete')
+    .map((row) => {
+      const record = toRecord(row);
+      return { ...record, date: getLocalParts(new Date(record.clockIn), record.timezone).date };
+    });
+
+  const entries = [...allocated, ...incomplete]
+    .filter((entry) => selected.has(entry.id) && entry.date >= from && entry.date <= to);
+
+  const groups = new Map();
+  const totals = emptyTotals();
+
+  entries.forEach((entry) => {
+    const group = GROUPINGS[groupBy](entry);
+    const { start, end } = timesheetCalculator.getPeriod(entry.date, period);
+    const key = `${group.key}|${start}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        label: group.label,
+        group: group.value,
+        periodStart: start,
+        periodEnd: end,
+        totals: emptyTotals()
+      });
+    }
+
+    addEntry(groups.get(key).totals, entry);
+    addEntry(totals, entry);
+  });
+
+  const items = [...groups.values()]
+    .sort((a, b) => a.label.localeCompare(b.label)
+      || a.group.id.localeCompare(b.group.id)
+      || a.periodStart.localeCompare(b.periodStart))
+    .map((item) => ({
+      [groupBy]: item.group,
+      periodStart: item.periodStart,
+      periodEnd: item.periodEnd,
+      ...formatTotals(item.totals)
+    }));
+
+  return {
+    from,
+    to,
+    groupBy,
+    period,
+    thresholds: {
+      dailyHours: appConfig.attendance.dailyOvertimeHours,
+      weeklyHours: appConfig.attendance.weeklyOvertimeHours
+    },
+    totals: formatTotals(totals),
+    rows: items
+  };
+}
+
+module.exports = {
+  getTimesheet
+};
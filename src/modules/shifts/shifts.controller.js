@@ -0,0 +1,242 @@
+/**
+ * Shifts Controller
+ *
+ * Handles HTTP requests for shift, assignment and roster endpoints
+ *
+ * @module modules/shifts/shifts.controller
+ */
+
+const shiftsService = require('./shifts.service');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+
+/**
+ * List shifts
+ * GET /api/shifts
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getShifts = asyncHandler(async (req, res) => {
+  const {
+    facilityId,
+    isActive,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const result = await shiftsService.getShifts(
+    {
+      facilityId,
+      isActive: isActive === undefined ? undefined : isActive === 'true'
+    },
+    parseInt(page, 10),
+    parseInt(limit, 10),
+    req.dataScope
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.shifts,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get shift by ID
+ * GET /api/shifts/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getShiftById = asyncHandler(async (req, res) => {
+  const shift = await shiftsService.getShiftById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: shift
+  });
+});
+
+/**
+ * Create shift
+ * POST /api/shifts
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createShift = asyncHandler(async (req, res) => {
+  const {
+    name,
+    facilityId,
+    startTime,
+    endTime,
+    daysOfWeek,
+    graceMinutes
+  } = req.body;
+
+  const shift = await shiftsService.createShift(req.user, req.dataScope, {
+    name,
+    facilityId,
+    startTime,
+    endTime,
+    daysOfWeek,
+    graceMinutes
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shift created',
+    data: shift
+  });
+});
+
+/**
+ * Update shift
+ * PUT /api/shifts/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateShift = asyncHandler(async (req, res) => {
+  const {
+    name,
+    startTime,
+    endTime,
+    daysOfWeek,
+    graceMinutes,
+    isActive
+  } = req.body;
+
+  const shift = await shiftsService.updateShift(req.user, req.dataScope, req.params.id, {
+    name,
+    startTime,
+    endTime,
+    daysOfWeek,
+    graceMinutes,
+    isActive
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Shift updated',
+    data: shift
+  });
+});
+
+/**
+ * Deactivate shift
+ * DELETE /api/shifts/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deactivateShift = asyncHandler(async (req, res) => {
+  const shift = await shiftsService.deactivateShift(req.user, req.dataScope, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shift deactivated',
+    data: shift
+  });
+});
+
+/**
+ * List assignments of a shift
+ * GET /api/shifts/:id/assignments
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAssignments = asyncHandler(async (req, res) => {
+  const assignments = await shiftsService.getAssignments(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: assignments
+  });
+});
+
+/**
+ * Assign shift to a user or facility
+ * POST /api/shifts/:id/assignments
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const assignShift = asyncHandler(async (req, res) => {
+  const {
+    userId,
+    facilityId,
+    effectiveFrom,
+    effectiveTo
+  } = req.body;
+
+  const assignment = await shiftsService.assignShift(req.user, req.dataScope, req.params.id, {
+    userId,
+    facilityId,
+    effectiveFrom,
+    effectiveTo
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shift assigned',
+    data: assignment
+  });
+});
+
+/**
+ * Remove a shift assignment
+ * DELETE /api/shifts/assignments/:assignmentId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeAssignment = asyncHandler(async (req, res) => {
+  await shiftsService.removeAssignment(req.user, req.dataScope, req.params.assignmentId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Shift assignment removed'
+  });
+});
+
+/**
+ * Get the roster of the current user's team
+ * GET /api/shifts/roster
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRoster = asyncHandler(async (req, res) => {
+  const {
+    startDate,
+    endDate,
+    facilityId,
+    supervisorId
+  } = req.query;
+
+  const roster = await shiftsService.getRoster(req.user, {
+    startDate,
+    endDate,
+    facilityId,
+    supervisorId
+  });
+
+  res.status(200).json({
+    success: true,
+    data: roster
+  });
+});
+
+module.exports = {
+  getShifts,
+  getShiftById,
+  createShift,
+  updateShift,
+  deactivateShift,
+  getAssignments,
+  assignShift,
+  removeAssignment,
+  getRoster
+};
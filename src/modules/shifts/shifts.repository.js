@@ -0,0 +1,400 @@
+/**
+ * Shifts Repository
+ *
+ * Database queries for shift templates and their assignments
+ *
+ * @module modules/shifts/shifts.repository
+ */
+
+const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
+
+/**
+ * Columns selected for a shift with its facility
+ */
+const SELECT_SHIFT = `SELECT
+      s.*, f.name AS facility_name
+    FROM shifts s
+    LEFT JOIN facilities f ON s.facility_id = f.id
+    LEFT JOIN councils c ON f.council_id = c.id`;
+
+/**
+ * Columns selected for an assignment with its shift and target
+ * Dates are selected as text to keep them as calendar dates
+ */
+const SELECT_ASSIGNMENT = `SELECT
+      sa.id, sa.shift_id, sa.user_id, sa.facility_id, sa.created_by, sa.created_at,
+      sa.effective_from::text AS effective_from, sa.effective_to::text AS effective_to,
+      s.name AS shift_name,
+      u.first_name AS user_first_name, u.last_name AS user_last_name,
+      f.name AS facility_name
+    FROM shift_assignments sa
+    INNER JOIN shifts s ON sa.shift_id = s.id
+    LEFT JOIN users u ON sa.user_id = u.id
+    LEFT JOIN facilities f ON sa.facility_id = f.id`;
+
+/**
+ * Format shift row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted shift
+ */
+function formatShift(row) {
+  const startTime = row.start_time.slice(0, 5);
+  const endTime = row.end_time.slice(0, 5);
+
+  return {
+    id: row.id,
+    name: row.name,
+    facilityId: row.facility_id,
+    facilityName: row.facility_name || null,
+    startTime,
+    endTime,
+    overnight: endTime <= startTime,
+    daysOfWeek: row.days_of_week.map(Number),
+    graceMinutes: row.grace_minutes,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Format assignment row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted assignment
+ */
+function formatAssignment(row) {
+  return {
+    id: row.id,
+    shiftId: row.shift_id,
+    shiftName: row.shift_name,
+    userId: row.user_id,
+    userName: row.user_id ? `${row.user_first_name} ${row.user_last_name}` : null,
+    facilityId: row.facility_id,
+    facilityName: row.facility_id ? row.facility_name : null,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Find shift by ID
+ *
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object|null>} Shift or null
+ */
+async function findById(shiftId) {
+  const result = await db.query(
+    `${SELECT_SHIFT}
+    WHERE s.id = $1`,
+    [shiftId]
+  );
+
+  return result.rows.length > 0 ? formatShift(result.rows[0]) : null;
+}
+
+/**
+ * Build the WHERE clause shared by findAll and count
+ *
+ * Global shifts (no facility) are visible in every scope.
+ *
+ * @param {Object} filters - Query filters ({ facilityId, isActive })
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Object} WHERE clause and parameters
+ */
+function buildFilters(filters = {}, scope = null) {
+  const params = [];
+  const conditions = [];
+
+  const scopeConditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 's.facility_id'
+  }, params);
+
+  if (scopeConditions.length > 0) {
+    conditions.push(`(s.facility_id IS NULL OR (${scopeConditions.join(' AND ')}))`);
+  }
+
+  if (filters.facilityId) {
+    params.push(filters.facilityId);
+    conditions.push(`(s.facility_id = $${params.length} OR s.facility_id IS NULL)`);
+  }
+
+  if (filters.isActive !== undefined) {
+    params.push(filters.isActive);
+    conditions.push(`s.is_active = $${params.length}`);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find shifts with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Shifts
+ */
+async function findAll(filters = {}, limit = 50, offset = 0, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  params.push(limit, offset);
+
+  const result = await db.query(
+    `${SELECT_SHIFT}
+    ${whereClause}
+    ORDER BY s.start_time, s.name
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return result.rows.map((row) => formatShift(row));
+}
+
+/**
+ * Count shifts with filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<number>} Count
+ */
+async function count(filters = {}, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
+
+  const result = await db.query(
+    `SELECT COUNT(*)
+    FROM shifts s
+    LEFT JOIN facilities f ON s.facility_id = f.id
+    LEFT JOIN councils c ON f.council_id = c.id
+    ${whereClause}`,
+    params
+  );
+
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Create shift
+ *
+ * @param {Object} shiftData - Shift data
+ * @returns {Promise<Object>} Created shift
+ */
+async function create(shiftData) {
+  const result = await db.query(
+    `INSERT INTO shifts (
+      name, facility_id, start_time, end_time, days_of_week, grace_minutes, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id`,
+    [
+      shiftData.name,
+      shiftData.facilityId || null,
+      shiftData.startTime,
+      shiftData.endTime,
+      shiftData.daysOfWeek,
+      shiftData.graceMinutes,
+      shiftData.createdBy
+    ]
+  );
+
+  return findById(result.rows[0].id);
+}
+
+/**
+ * Update shift
+ *
+ * @param {string} shiftId - Shift ID
+ * @param {Object} updates - Fields to update (column names)
+ * @returns {Promise<Object>} Updated shift
+ */
+async function update(shiftId, updates) {
+  const fields = [];
+  const params = [];
+
+  const allowedFields = [
+    'name', 'start_time', 'end_time', 'days_of_week', 'grace_minutes', 'is_active'
+  ];
+
+  Object.keys(updates).forEach((key) => {
+    if (allowedFields.includes(key) && updates[key] !== undefined) {
+      params.push(updates[key]);
+      fields.push(`${key} = $${params.length}`);
+    }
+  });
+
+  if (fields.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+
+  params.push(shiftId);
+
+  await db.query(
+    `UPDATE shifts
+     SET ${fields.join(', ')}
+     WHERE id = $${params.length}`,
+    params
+  );
+
+  return findById(shiftId);
+}
+
+/**
+ * Find assignments of a shift
+ *
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Array>} Assignments
+ */
+async function findAssignments(shiftId) {
+  const result = await db.query(
+    `${SELECT_ASSIGNMENT}
+    WHERE sa.shift_id = $1
+    ORDER BY sa.effective_from DESC, sa.created_at DESC`,
+    [shiftId]
+  );
+
+  return result.rows.map((row) => formatAssignment(row));
+}
+
+/**
+ * Find assignment by ID
+ *
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<Object|null>} Assignment or null
+ */
+async function findAssignmentById(assignmentId) {
+  const result = await db.query(
+    `${SELECT_ASSIGNMENT}
+    WHERE sa.id = $1`,
+    [assignmentId]
+  );
+
+  return result.rows.length > 0 ? formatAssignment(result.rows[0]) : null;
+}
+
+/**
+ * Create assignment
+ *
+ * @param {Object} assignmentData - Assignment data
+ * @returns {Promise<Object>} Created assignment
+ */
+async function createAssignment(assignmentData) {
+  const result = await db.query(
+    `INSERT INTO shift_assignments (
+      shift_id, user_id, facility_id, effective_from, effective_to, created_by
+    ) VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6)
+    RETURNING id`,
+    [
+      assignmentData.shiftId,
+      assignmentData.userId || null,
+      assignmentData.facilityId || null,
+      assignmentData.effectiveFrom || null,
+      assignmentData.effectiveTo || null,
+      assignmentData.createdBy
+    ]
+  );
+
+  return findAssignmentById(result.rows[0].id);
+}
+
+/**
+ * Delete assignment
+ *
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+async function deleteAssignment(assignmentId) {
+  const result = await db.query(
+    'DELETE FROM shift_assignments WHERE id = $1',
+    [assignmentId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Find the active shifts assigned to a user around a date
+ *
+ * Assignments effective on the day before, of or after `date` are included
+ * so overnight shifts can be matched. The user's own assignments take
+ * precedence; facility assignments are only used when the user has none.
+ *
+ * @param {string} userId - User ID
+ * @param {string} facilityId - Facility the user works at
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Shifts
+ */
+async function findUserShifts(userId, facilityId, date) {
+  const result = await db.query(
+    `WITH assigned AS (
+      SELECT s.*, (sa.user_id IS NOT NULL) AS user_assigned
+      FROM shift_assignments sa
+      INNER JOIN shifts s ON sa.shift_id = s.id
+      WHERE s.is_active = true
+        AND (sa.user_id = $1 OR sa.facility_id = $2)
+        AND sa.effective_from <= $3::date + 1
+        AND (sa.effective_to IS NULL OR sa.effective_to >= $3::date - 1)
+    )
+    SELECT DISTINCT ON (id) *
+    FROM assigned
+    WHERE user_assigned OR NOT EXISTS (SELECT 1 FROM assigned WHERE user_assigned)
+    ORDER BY id`,
+    [userId, facilityId || null, date]
+  );
+
+  return result.rows.map((row) => formatShift(row));
+}
+
+/**
+ * Find the active shift assignments of users and facilities overlapping a date range
+ *
+ * @param {Array<string>} userIds - User IDs
+ * @param {Array<string>} facilityIds - Facility IDs
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Assignments, each with its formatted shift
+ */
+async function findRosterAssignments(userIds, facilityIds, startDate, endDate) {
+  const result = await db.query(
+    `SELECT
+      sa.user_id AS assignment_user_id, sa.facility_id AS assignment_facility_id,
+      sa.effective_from::text AS effective_from, sa.effective_to::text AS effective_to,
+      s.*
+    FROM shift_assignments sa
+    INNER JOIN shifts s ON sa.shift_id = s.id
+    WHERE s.is_active = true
+      AND (sa.user_id = ANY($1::uuid[]) OR sa.facility_id = ANY($2::uuid[]))
+      AND sa.effective_from <= $4::date
+      AND (sa.effective_to IS NULL OR sa.effective_to >= $3::date)`,
+    [userIds, facilityIds, startDate, endDate]
+  );
+
+  return result.rows.map((row) => ({
+    userId: row.assignment_user_id,
+    facilityId: row.assignment_facility_id,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    shift: formatShift(row)
+  }));
+}
+
+module.exports = {
+  findById,
+  findAll,
+  count,
+  create,
+  update,
+  findAssignments,
+  findAssignmentById,
+  createAssignment,
+  deleteAssignment,
+  findUserShifts,
+  findRosterAssignments
+};
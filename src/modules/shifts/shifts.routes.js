@@ -0,0 +1,137 @@
+/**
+ * Shifts Routes
+ *
+ * Route definitions for shift, assignment and roster endpoints
+ *
+ * @module modules/shifts/shifts.routes
+ */
+
+const express = require('express');
+const shiftsController = require('./shifts.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { adminOrSupervisor } = require('../../middleware/roleAuth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
+const {
+  validateShift,
+  validateShiftAssignment,
+  validateRosterQuery,
+  validateUuidParam
+} = require('../../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/shifts/roster
+ * @desc    Roster of the current user's team for a date range
+ * @access  Private/Supervisor
+ */
+router.get(
+  '/roster',
+  adminOrSupervisor,
+  validateRosterQuery,
+  shiftsController.getRoster
+);
+
+/**
+ * @route   DELETE /api/shifts/assignments/:assignmentId
+ * @desc    Remove a shift assignment
+ * @access  Private/Supervisor
+ */
+router.delete(
+  '/assignments/:assignmentId',
+  adminOrSupervisor,
+  validateUuidParam('assignmentId'),
+  attachDataScope,
+  shiftsController.removeAssignment
+);
+
+/**
+ * @route   GET /api/shifts
+ * @desc    List shifts in the caller's data scope
+ * @access  Private
+ */
+router.get(
+  '/',
+  attachDataScope,
+  shiftsController.getShifts
+);
+
+/**
+ * @route   POST /api/shifts
+ * @desc    Create shift
+ * @access  Private/Supervisor
+ */
+router.post(
+  '/',
+  adminOrSupervisor,
+  validateShift(),
+  attachDataScope,
+  shiftsController.createShift
+);
+
+/**
+ * @route   GET /api/shifts/:id
+ * @desc    Get shift by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  validateUuidParam('id'),
+  shiftsController.getShiftById
+);
+
+/**
+ * @route   PUT /api/shifts/:id
+ * @desc    Update shift
+ * @access  Private/Supervisor
+ */
+router.put(
+  '/:id',
+  adminOrSupervisor,
+  validateShift(true),
+  attachDataScope,
+  shiftsController.updateShift
+);
+
+/**
+ * @route   DELETE /api/shifts/:id
+ * @desc    Deactivate shift
+ * @access  Private/Supervisor
+ */
+router.delete(
+  '/:id',
+  adminOrSupervisor,
+  validateUuidParam('id'),
+  attachDataScope,
+  shiftsController.deactivateShift
+);
+
+/**
+ * @route   GET /api/shifts/:id/assignments
+ * @desc    List assignments of a shift
+ * @access  Private/Supervisor
+ */
+router.get(
+  '/:id/assignments',
+  adminOrSupervisor,
+  validateUuidParam('id'),
+  shiftsController.getAssignments
+);
+
+/**
+ * @route   POST /api/shifts/:id/assignments
+ * @desc    Assign shift to a user or to everyone at a facility
+ * @access  Private/Supervisor
+ */
+router.post(
+  '/:id/assignments',
+  adminOrSupervisor,
+  validateShiftAssignment,
+  attachDataScope,
+  shiftsController.assignShift
+);
+
+module.exports = router;
@@ -0,0 +1,581 @@
+/**
+ * Shifts Service
+ *
+ * Shift templates, their assignment to users and facilities, the roster
+ * of a supervisor's team and matching of clock events to shifts.
+ *
+ * Admins manage all shifts. Supervisors and backstoppers manage shifts of
+ * facilities in their data scope and assign them to people in their
+ * reporting line.
+ *
+ * @module modules/shifts/shifts.service
+ */
+
+const shiftsRepository = require('./shifts.repository');
+const usersRepository = require('../users/users.repository');
+const attendanceRepository = require('../attendance/attendance.repository');
+const holidaysRepository = require('../holidays/holidays.repository');
+const holidaysService = require('../holidays/holidays.service');
+const db = require('../../config/database');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const { buildScopeConditions } = require('../../utils/dataScope');
+const shiftMatcher = require('../../utils/shiftMatcher');
+const logger = require('../../utils/logger');
+
+/**
+ * Check whether a facility is inside a data scope
+ *
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @param {string} facilityId - Facility ID
+ * @returns {Promise<boolean>} True if inside the scope
+ */
+async function isFacilityInScope(scope, facilityId) {
+  const params = [facilityId];
+  const conditions = ['f.id = $1', ...buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'f.id'
+  }, params)];
+
+  const result = await db.query(
+    `SELECT 1 FROM facilities f
+     INNER JOIN councils c ON f.council_id = c.id
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Ensure the caller may manage shifts of a facility
+ *
+ * Global shifts (no facility) are managed by admins only.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {string|null} facilityId - Facility of the shift
+ * @throws {AppError} If not allowed
+ */
+async function assertCanManageFacility(user, scope, facilityId) {
+  if (user.role === 'admin') {
+    return;
+  }
+
+  if (!facilityId) {
+    throw new AppError('Only admins can manage shifts for all facilities', 403);
+  }
+
+  if (!(await isFacilityInScope(scope, facilityId))) {
+    throw new AppError('Facility is outside your area', 403);
+  }
+}
+
+/**
+ * Get shift by ID
+ *
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Shift
+ */
+async function getShiftById(shiftId) {
+  const shift = await shiftsRepository.findById(shiftId);
+
+  if (!shift) {
+    throw new AppError('Shift not found', 404);
+  }
+
+  return shift;
+}
+
+/**
+ * List shifts
+ *
+ * @param {Object} filters - Query filters ({ facilityId, isActive })
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Object>} Shifts and pagination
+ */
+async function getShifts(filters = {}, page = 1, limit = 50, scope = null) {
+  const offset = (page - 1) * limit;
+
+  const [shifts, total] = await Promise.all([
+    shiftsRepository.findAll(filters, limit, offset, scope),
+    shiftsRepository.count(filters, scope)
+  ]);
+
+  return {
+    shifts,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Create shift
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {Object} shiftData - Shift data
+ * @returns {Promise<Object>} Created shift
+ */
+async function createShift(user, scope, shiftData) {
+  await assertCanManageFacility(user, scope, shiftData.facilityId);
+
+  const shift = await shiftsRepository.create({
+    name: shiftData.name,
+    facilityId: shiftData.facilityId,
+    startTime: shiftData.startTime,
+    endTime: shiftData.endTime,
+    daysOfWeek: shiftData.daysOfWeek || [1, 2, 3, 4, 5],
+    graceMinutes: shiftData.graceMinutes === undefined ? 15 : shiftData.graceMinutes,
+    createdBy: user.id
+  });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description)
+     VALUES ($1, 'SHIFT_CREATED', 'shift', $2, 'Shift created')`,
+    [user.id, shift.id]
+  );
+
+  logger.info('Shift created', { shiftId: shift.id, userId: user.id });
+
+  return shift;
+}
+
+/**
+ * Update shift
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {string} shiftId - Shift ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated shift
+ */
+async function updateShift(user, scope, shiftId, updates) {
+  const shift = await getShiftById(shiftId);
+  await assertCanManageFacility(user, scope, shift.facilityId);
+
+  const startTime = updates.startTime || shift.startTime;
+  const endTime = updates.endTime || shift.endTime;
+
+  if (startTime === endTime) {
+    throw new AppError('Shift start and end time must differ', 400);
+  }
+
+  const updated = await shiftsRepository.update(shiftId, {
+    name: updates.name,
+    start_time: updates.startTime,
+    end_time: updates.endTime,
+    days_of_week: updates.daysOfWeek,
+    grace_minutes: updates.graceMinutes,
+    is_active: updates.isActive
+  });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, metadata)
+     VALUES ($1, 'SHIFT_UPDATED', 'shift', $2, 'Shift updated', $3)`,
+    [user.id, shiftId, JSON.stringify({ fields: Object.keys(updates) })]
+  );
+
+  return updated;
+}
+
+/**
+ * Deactivate shift
+ *
+ * Existing attendance keeps its matched shift; the shift is no longer
+ * matched or shown in rosters.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Object>} Deactivated shift
+ */
+async function deactivateShift(user, scope, shiftId) {
+  const shift = await getShiftById(shiftId);
+  await assertCanManageFacility(user, scope, shift.facilityId);
+
+  const updated = await shiftsRepository.update(shiftId, { is_active: false });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description)
+     VALUES ($1, 'SHIFT_DEACTIVATED', 'shift', $2, 'Shift deactivated')`,
+    [user.id, shiftId]
+  );
+
+  return updated;
+}
+
+/**
+ * Ensure the caller may manage an assignment target
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {Object} target - Assignment target ({ userId, facilityId })
+ * @throws {AppError} If not allowed
+ */
+async function assertCanManageTarget(user, scope, target) {
+  if (user.role === 'admin') {
+    return;
+  }
+
+  if (target.userId) {
+    if (!(await usersRepository.isInReportingLine(user.id, target.userId))) {
+      throw new AppError('User is not in your reporting line', 403);
+    }
+    return;
+  }
+
+  await assertCanManageFacility(user, scope, target.facilityId);
+}
+
+/**
+ * Get assignments of a shift
+ *
+ * @param {string} shiftId - Shift ID
+ * @returns {Promise<Array>} Assignments
+ */
+async function getAssignments(shiftId) {
+  await getShiftById(shiftId);
+  return shiftsRepository.findAssignments(shiftId);
+}
+
+/**
+ * Assign a shift to a user or to everyone at a facility
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {string} shiftId - Shift ID
+ * @param {Object} data - Assignment ({ userId | facilityId, effectiveFrom, effectiveTo })
+ * @returns {Promise<Object>} Created assignment
+ */
+async function assignShift(user, scope, shiftId, data) {
+  const shift = await getShiftById(shiftId);
+
+  if (!shift.isActive) {
+    throw new AppError('Shift is inactive', 400);
+  }
+
+  if (Boolean(data.userId) === Boolean(data.facilityId)) {
+    throw new AppError('Assign the shift to either a user or a facility', 400);
+  }
+
+  if (data.facilityId && shift.facilityId && data.facilityId !== shift.facilityId) {
+    throw new AppError('Shift belongs to another facility', 400);
+  }
+
+  await assertCanManageTarget(user, scope, data);
+
+  const assignment = await shiftsRepository.createAssignment({
+    shiftId,
+    userId: data.userId,
+    facilityId: data.facilityId,
+    effectiveFrom: data.effectiveFrom,
+    effectiveTo: data.effectiveTo,
+    createdBy: user.id
+  });
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, metadata)
+     VALUES ($1, 'SHIFT_ASSIGNED', 'shift', $2, 'Shift assigned', $3)`,
+    [user.id, shiftId, JSON.stringify({
+      assignmentId: assignment.id,
+      userId: data.userId || null,
+      facilityId: data.facilityId || null
+    })]
+  );
+
+  logger.info('Shift assigned', { shiftId, assignmentId: assignment.id, userId: user.id });
+
+  return assignment;
+}
+
+/**
+ * Remove a shift assignment
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} scope - Caller data scope
+ * @param {string} assignmentId - Assignment ID
+ * @returns {Promise<void>}
+ */
+async function removeAssignment(user, scope, assignmentId) {
+  const assignment = await shiftsRepository.findAssignmentById(assignmentId);
+
+  if (!assignment) {
+    throw new AppError('Shift assignment not found', 404);
+  }
+
+  await assertCanManageTarget(user, scope, assignment);
+  await shiftsRepository.deleteAssignment(assignmentId);
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, metadata)
+     VALUES ($1, 'SHIFT_UNASSIGNED', 'shift', $2, 'Shift assignment removed', $3)`,
+    [user.id, assignment.shiftId, JSON.stringify({ assignmentId })]
+  );
+}
+
+/**
+ * Match a clock-in to the user's shifts
+ *
+ * Arrivals on a holiday observed at the facility are classified `holiday`
+ * instead of on time, early or late.
+ *
+ * @param {string} userId - User ID
+ * @param {string} facilityId - Facility clocked in at
+ * @param {Date} time - Clock-in time
+ * @returns {Promise<Object|null>} Shift details stored with the attendance record, or null
+ */
+async function matchClockIn(userId, facilityId, time) {
+  const { timezone } = appConfig.attendance;
+  const localDate = shiftMatcher.getLocalParts(time, timezone).date;
+
+  const shifts = await shiftsRepository.findUserShifts(userId, facilityId, localDate);
+  const occurrence = shiftMatcher.matchShift(shifts, time, { timezone });
+
+  if (!occurrence) {
+    return null;
+  }
+
+  const holiday = await holidaysService.findFacilityHoliday(facilityId, occurrence.date);
+  const arrival = shiftMatcher.classifyTiming(occurrence.start, time, occurrence.shift.graceMinutes);
+
+  return {
+    shiftId: occurrence.shift.id,
+    name: occurrence.shift.name,
+    date: occurrence.date,
+    scheduledStart: occurrence.start.toISOString(),
+    scheduledEnd: occurrence.end.toISOString(),
+    graceMinutes: occurrence.shift.graceMinutes,
+    arrival: holiday ? { status: 'holiday', minutes: arrival.minutes } : arrival,
+    holiday: holiday ? { id: holiday.id, name: holiday.name } : null
+  };
+}
+
+/**
+ * Classify a clock-out against the shift matched at clock-in
+ *
+ * @param {Object} shift - Shift details from matchClockIn
+ * @param {Date} time - Clock-out time
+ * @returns {Object} Shift details with the departure classification added
+ */
+function classifyClockOut(shift, time) {
+  return {
+    ...shift,
+    departure: shiftMatcher.classifyTiming(shift.scheduledEnd, time, shift.graceMinutes)
+  };
+}
+
+/**
+ * Get the shifts that apply to a member on a date
+ *
+ * @param {Array} assignments - Roster assignments
+ * @param {Object} member - Team member row
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Array} Shifts
+ */
+function getMemberShifts(assignments, member, date) {
+  const active = assignments.filter((assignment) => assignment.effectiveFrom <= date
+    && (!assignment.effectiveTo || assignment.effectiveTo >= date));
+
+  const own = active.filter((assignment) => assignment.userId === member.id);
+  const applicable = own.length > 0
+    ? own
+    : active.filter((assignment) => assignment.facilityId && assignment.facilityId === member.facility_id);
+
+  return applicable.map((assignment) => assignment.shift);
+}
+
+/**
+ * Get the attendance records of a member that count towards a date
+ *
+ * Records matched to a shift count on the shift's date, others on their
+ * local clock-in date.
+ *
+ * @param {Array} records - Attendance records of the member
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {Array} Records of that day
+ */
+function getDayRecords(records, date, timezone) {
+  return records.filter((record) => (record.shift
+    ? record.shift.date === date
+    : shiftMatcher.getLocalParts(new Date(record.clockIn), timezone).date === date));
+}
+
+/**
+ * Build one roster day of a team member
+ *
+ * @param {Object} params - Day inputs
+ * @returns {Object} Roster day
+ */
+function buildRosterDay({
+  date, shifts, records, holiday, timezone, now
+}) {
+  const occurrences = shiftMatcher.getOccurrences(shifts, date, timezone);
+  const [first] = getDayRecords(records, date, timezone);
+
+  let status;
+  if (occurrences.length === 0) {
+    status = first ? 'unscheduled' : 'off';
+  } else if (first) {
+    status = 'present';
+  } else if (holiday) {
+    status = 'holiday';
+  } else {
+    const [next] = occurrences;
+    const lateAfter = next.start.getTime() + next.shift.graceMinutes * 60 * 1000;
+    status = now.getTime() > lateAfter ? 'absent' : 'scheduled';
+  }
+
+  let arrival = null;
+  if (first && occurrences.length > 0) {
+    arrival = first.shift
+      ? first.shift.arrival
+      : shiftMatcher.classifyTiming(occurrences[0].start, first.clockIn, occurrences[0].shift.graceMinutes);
+
+    if (holiday && arrival.status !== 'holiday') {
+      arrival = { status: 'holiday', minutes: arrival.minutes };
+    }
+  }
+
+  return {
+    date,
+    status,
+    holiday: holiday ? { id: holiday.id, name: holiday.name } : null,
+    shifts: occurrences.map((occurrence) => ({
+      shiftId: occurrence.shift.id,
+      name: occurrence.shift.name,
+      scheduledStart: occurrence.start,
+      scheduledEnd: occurrence.end
+    })),
+    attendance: first ? {
+      attendanceId: first.id,
+      clockIn: first.clockIn,
+      clockOut: first.clockOut,
+      status: first.status,
+      arrival
+    } : null
+  };
+}
+
+/**
+ * Get the roster of a supervisor's team for a date range
+ *
+ * Each member gets one entry per day with the shifts they are scheduled for
+ * and their attendance: `present`, `absent` (shift started more than its
+ * grace period ago without a clock-in), `scheduled` (shift not started yet),
+ * `holiday` (scheduled on a holiday of the member's region, no clock-in),
+ * `off` or `unscheduled` (clocked in without a shift).
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} filters - Filters ({ startDate, endDate, facilityId, supervisorId })
+ * @returns {Promise<Object>} Roster
+ */
+async function getRoster(user, filters = {}) {
+  const { timezone } = appConfig.attendance;
+  const now = new Date();
+  const startDate = filters.startDate || shiftMatcher.getLocalParts(now, timezone).date;
+  const endDate = filters.endDate || shiftMatcher.addDays(startDate, 6);
+
+  if (endDate < startDate) {
+    throw new AppError('End date must not be before start date', 400);
+  }
+
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = shiftMatcher.addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  if (dates.length > 31) {
+    throw new AppError('Roster range cannot exceed 31 days', 400);
+  }
+
+  const supervisorId = user.role === 'admin' && filters.supervisorId ? filters.supervisorId : user.id;
+  const members = await usersRepository.findTeamMembers(supervisorId, {
+    recursive: user.role === 'backstopper' || user.role === 'admin',
+    facilityId: filters.facilityId
+  });
+
+  const userIds = members.map((member) => member.id);
+  const facilityIds = [...new Set(members.map((member) => member.facility_id).filter(Boolean))];
+  const regionIds = [...new Set(members.map((member) => member.region_id).filter(Boolean))];
+
+  // Pad the attendance window by a day on each side for overnight shifts and timezone offsets
+  const [assignments, records, holidays] = await Promise.all([
+    shiftsRepository.findRosterAssignments(userIds, facilityIds, startDate, endDate),
+    attendanceRepository.findByUsersBetween(
+      userIds,
+      new Date(`${shiftMatcher.addDays(startDate, -1)}T00:00:00Z`),
+      new Date(`${shiftMatcher.addDays(endDate, 2)}T00:00:00Z`)
+    ),
+    holidaysRepository.findBetween(startDate, endDate, regionIds)
+  ]);
+
+  const findHoliday = holidaysService.createHolidayLookup(holidays);
+
+  const summary = {
+    present: 0, absent: 0, scheduled: 0, holiday: 0, off: 0, unscheduled: 0, late: 0
+  };
+
+  const roster = members.map((member) => {
+    const memberRecords = records.filter((record) => record.userId === member.id);
+
+    const days = dates.map((date) => {
+      const day = buildRosterDay({
+        date,
+        shifts: getMemberShifts(assignments, member, date),
+        records: memberRecords,
+        holiday: findHoliday(date, member.region_id),
+        timezone,
+        now
+      });
+
+      summary[day.status] += 1;
+      if (day.attendance && day.attendance.arrival && day.attendance.arrival.status === 'late') {
+        summary.late += 1;
+      }
+
+      return day;
+    });
+
+    return {
+      userId: member.id,
+      name: `${member.first_name} ${member.last_name}`,
+      employeeId: member.employee_id,
+      role: member.role,
+      facility: member.facility_id ? { id: member.facility_id, name: member.facility_name } : null,
+      days
+    };
+  });
+
+  return {
+    startDate,
+    endDate,
+    timezone,
+    summary,
+    members: roster
+  };
+}
+
+module.exports = {
+  getShiftById,
+  getShifts,
+  createShift,
+  updateShift,
+  deactivateShift,
+  getAssignments,
+  assignShift,
+  removeAssignment,
+  matchClockIn,
+  classifyClockOut,
+  getMemberShifts,
+  getDayRecords,
+  getRoster
+};
@@ -0,0 +1,622 @@
+/**
+ * User Import Service
+ *
+ * Creates users in bulk from a CSV/Excel file. Rows name their facility by
+ * code and their supervisor by email or employee ID, either of an existing
+ * user or of another row in the file. Every created user gets a generated
+ * temporary password that must be changed at first login. The passwords are
+ * kept encrypted with the import until the admin who committed it downloads
+ * the credentials report, which can be done only once.
+ *
+ * @module modules/users/import.service
+ */
+
+const usersRepository = require('./users.repository');
+const passwordService = require('../auth/password.service');
+const jobsService = require('../jobs/jobs.service');
+const db = require('../../config/database');
+const appConfig = require('../../config/app');
+const authConfig = require('../../config/auth');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const validators = require('../../utils/validators');
+const columnMapping = require('../../utils/columnMapping');
+const { encrypt, decrypt } = require('../../utils/encryption');
+const spreadsheet = require('../../utils/spreadsheet');
+const { getLocalParts } = require('../../utils/shiftMatcher');
+const logger = require('../../utils/logger');
+
+/**
+ * Roles that can be imported; admins are only created one at a time
+ */
+const IMPORT_ROLES = ['tester', 'data_clerk', 'focal', 'ddo', 'supervisor', 'backstopper'];
+
+/**
+ * Get a cell value as trimmed text
+ *
+ * @param {*} value - Cell value (spreadsheet cells may be numbers)
+ * @returns {string} Trimmed text, empty for missing cells
+ */
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Validate and normalize user data
+ *
+ * @param {Object} row - User data keyed by import field (see utils/columnMapping)
+ * @returns {Object} Validation result ({ isValid, errors, data })
+ */
+function validateUserRow(row) {
+  const errors = [];
+  const email = cellText(row.email).toLowerCase();
+  const firstName = cellText(row.firstName);
+  const lastName = cellText(row.lastName);
+  const role = cellText(row.role).toLowerCase();
+  const phone = cellText(row.phone);
+  const employeeId = cellText(row.employeeId);
+
+  if (!email) {
+    errors.push('Email is required');
+  } else if (!validators.isValidEmail(email)) {
+    errors.push(`Invalid email: ${email}`);
+  }
+
+  if (!firstName || firstName.length > 100) {
+    errors.push('First name is required and must be at most 100 characters');
+  }
+
+  if (!lastName || lastName.length > 100) {
+    errors.push('Last name is required and must be at most 100 characters');
+  }
+
+  if (!role) {
+    errors.push('Role is required');
+  } else if (role === 'admin') {
+    errors.push('Admins cannot be imported');
+  } else if (!IMPORT_ROLES.includes(role)) {
+    errors.push(`Invalid role: ${role}. Use ${IMPORT_ROLES.join(', ')}`);
+  }
+
+  if (phone && !validators.isValidPhone(phone)) {
+    errors.push(`Invalid phone number: ${phone}`);
+  }
+
+  if (employeeId.length > 100) {
+    errors.push('Employee ID must be at most 100 characters');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    data: {
+      email,
+      firstName,
+      lastName,
+      role,
+      phone: phone || null,
+      employeeId: employeeId || null,
+      facilityCode: cellText(row.facilityCode) || null,
+      supervisor: cellText(row.supervisor) || null
+    }
+  };
+}
+
+/**
+ * Check whether a supervisor reference is an email
+ *
+ * @param {string} reference - Supervisor email or employee ID
+ * @returns {boolean} True for an email
+ */
+function isEmailReference(reference) {
+  return reference.includes('@');
+}
+
+/**
+ * Resolve the facility of a row
+ *
+ * @param {Object} user - Row data
+ * @param {Map} facilities - Facilities by code
+ * @returns {string|null} Error, or null once facilityId is set
+ */
+function resolveFacility(user, facilities) {
+  if (!user.facilityCode) {
+    return null;
+  }
+
+  const facility = facilities.get(user.facilityCode);
+
+  if (!facility) {
+    return `Facility not found: ${user.facilityCode}`;
+  }
+
+  if (facility.status === 'inactive') {
+    return `Facility is inactive: ${user.facilityCode}`;
+  }
+
+  Object.assign(user, { facilityId: facility.id });
+  return null;
+}
+
+/**
+ * Resolve the supervisor of a row
+ *
+ * An existing user takes precedence over a row of the file with the same
+ * email or employee ID.
+ *
+ * @param {Object} user - Row data
+ * @param {Object} existing - Existing users ({ byEmail, byEmployeeId } maps)
+ * @param {Object} inFile - Rows of the file ({ byEmail, byEmployeeId } maps)
+ * @returns {string|null} Error, or null once supervisorId or supervisorRow is set
+ */
+function resolveSupervisor(user, existing, inFile) {
+  const reference = user.supervisor;
+
+  if (!reference) {
+    return null;
+  }
+
+  const key = isEmailReference(reference) ? reference.toLowerCase() : reference;
+  const lookup = isEmailReference(reference) ? 'byEmail' : 'byEmployeeId';
+  const stored = existing[lookup].get(key);
+
+  if (stored) {
+    if (stored.status !== 'active') {
+      return `Supervisor is not active: ${reference}`;
+    }
+
+    Object.assign(user, { supervisorId: stored.id });
+    return null;
+  }
+
+  const row = inFile[lookup].get(key);
+
+  if (!row) {
+    return `Supervisor not found: ${reference}`;
+  }
+
+  if (row.row === user.row) {
+    return 'A user cannot be their own supervisor';
+  }
+
+  Object.assign(user, { supervisorRow: row.row });
+  return null;
+}
+
+/**
+ * Validate import rows and resolve their facilities and supervisors
+ *
+ * Emails and employee IDs must be new and unique within the file. A row is
+ * also rejected when the row of its supervisor is rejected.
+ *
+ * @param {Array} records - Parsed file rows
+ * @param {Object} aliases - Headers by import field (see utils/columnMapping)
+ * @returns {Promise<Object>} { results, users }
+ */
+async function validateImport(records, aliases) {
+  const rejected = new Map();
+  const reject = (row, errors) => {
+    rejected.set(row, [...(rejected.get(row) || []), ...errors]);
+  };
+
+  const inFile = { byEmail: new Map(), byEmployeeId: new Map() };
+  const candidates = [];
+
+  records.forEach((record, i) => {
+    const row = i + 1;
+    const validation = validateUserRow(columnMapping.applyMapping(record, aliases));
+    const { email, employeeId } = validation.data;
+
+    if (email && inFile.byEmail.has(email)) {
+      validation.errors.push(`Duplicate email in file: ${email}`);
+    }
+
+    if (employeeId && inFile.byEmployeeId.has(employeeId)) {
+      validation.errors.push(`Duplicate employee ID in file: ${employeeId}`);
+    }
+
+    if (validation.errors.length > 0) {
+      reject(row, validation.errors);
+      return;
+    }
+
+    const user = { row, ...validation.data };
+    inFile.byEmail.set(email, user);
+    if (employeeId) {
+      inFile.byEmployeeId.set(employeeId, user);
+    }
+    candidates.push(user);
+  });
+
+  const references = candidates.filter((user) => user.supervisor).map((user) => user.supervisor);
+  const [storedUsers, facilityRows] = await Promise.all([
+    usersRepository.findByEmailsOrEmployeeIds(
+      [
+        ...candidates.map((user) => user.email),
+        ...references.filter(isEmailReference).map((reference) => reference.toLowerCase())
+      ],
+      [
+        ...candidates.filter((user) => user.employeeId).map((user) => user.employeeId),
+        ...references.filter((reference) => !isEmailReference(reference))
+      ]
+    ),
+    usersRepository.findFacilitiesByCode([
+      ...new Set(candidates.filter((user) => user.facilityCode).map((user) => user.facilityCode))
+    ])
+  ]);
+
+  const existing = {
+    byEmail: new Map(storedUsers.map((stored) => [stored.email.toLowerCase(), stored])),
+    byEmployeeId: new Map(storedUsers.filter((stored) => stored.employee_id)
+      .map((stored) => [stored.employee_id, stored]))
+  };
+  const facilities = new Map(facilityRows.map((facility) => [facility.code, facility]));
+
+  candidates.forEach((user) => {
+    const errors = [
+      existing.byEmail.has(user.email) ? `Email already registered: ${user.email}` : null,
+      user.employeeId && existing.byEmployeeId.has(user.employeeId)
+        ? `Employee ID already in use: ${user.employeeId}`
+        : null,
+      resolveFacility(user, facilities),
+      resolveSupervisor(user, existing, inFile)
+    ].filter(Boolean);
+
+    if (errors.length > 0) {
+      reject(user.row, errors);
+    }
+  });
+
+  // Rejecting a supervisor's row rejects the rows it supervises, and so on down the line
+  const rejectSupervised = () => {
+    const orphaned = candidates.filter((user) => user.supervisorRow
+      && !rejected.has(user.row) && rejected.has(user.supervisorRow));
+
+    orphaned.forEach((user) => reject(user.row, [`Supervisor on row ${user.supervisorRow} was rejected`]));
+
+    if (orphaned.length > 0) {
+      rejectSupervised();
+    }
+  };
+  rejectSupervised();
+
+  const users = candidates.filter((user) => !rejected.has(user.row));
+
+  const errors = [...rejected.keys()].sort((a, b) => a - b).map((row) => ({
+    row,
+    errors: rejected.get(row),
+    data: records[row - 1]
+  }));
+
+  return {
+    results: {
+      total: records.length,
+      successful: users.length,
+      failed: errors.length,
+      errors
+    },
+    users
+  };
+}
+
+/**
+ * Parse an import file
+ *
+ * @param {string} filePath - Path to import file
+ * @param {string} mimeType - File MIME type
+ * @param {string|null} sheetName - Excel sheet to read
+ * @returns {Promise<Array>} Parsed records
+ * @throws {AppError} If the sheet is not in the file
+ */
+async function parseImportFile(filePath, mimeType, sheetName) {
+  try {
+    return await spreadsheet.parseFile(filePath, mimeType, { sheetName });
+  } catch (error) {
+    if (error.code === 'SHEET_NOT_FOUND') {
+      throw new AppError(error.message, 400);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Create users with temporary passwords and save their credentials
+ *
+ * @param {Array} users - Validated users ({ row, ...user data })
+ * @param {Object} record - Import to save (see usersRepository.applyImport)
+ * @param {Function} onProgress - Async (processed, total) callback
+ * @returns {Promise<Object>} { importId, createdIds }
+ * @throws {AppError} If an email or employee ID was taken since validation
+ */
+async function writeUsers(users, record, onProgress) {
+  const accounts = await users.reduce(async (previous, user, i) => {
+    const list = await previous;
+    await onProgress(i, users.length);
+
+    const temporaryPassword = passwordService.generateTemporaryPassword();
+    list.push({ ...user, temporaryPassword, passwordHash: await passwordService.hashPassword(temporaryPassword) });
+    return list;
+  }, Promise.resolve([]));
+
+  const credentials = accounts.map((account) => ({
+    row: account.row,
+    email: account.email,
+    employeeId: account.employeeId,
+    firstName: account.firstName,
+    lastName: account.lastName,
+    temporaryPassword: account.temporaryPassword
+  }));
+
+  try {
+    return await usersRepository.applyImport(
+      accounts,
+      { ...record, credentials: encrypt(JSON.stringify(credentials), authConfig.userImport.credentialsKey) },
+      {
+        effectiveFrom: getLocalParts(new Date(), appConfig.attendance.timezone).date,
+        recordHistory: authConfig.password.historySize > 0
+      }
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new AppError('An email or employee ID in the import was registered meanwhile; import the file again', 409);
+    }
+
+    logger.error('User import write failed', { error: error.message });
+    throw new AppError('Failed to import users', 500);
+  }
+}
+
+/**
+ * Describe the users created by an import
+ *
+ * @param {string|null} importId - Import ID
+ * @param {Array<string>} createdIds - IDs of the created users
+ * @returns {Object} Created users and where to download their credentials
+ */
+function reportCreated(importId, createdIds) {
+  return {
+    importId,
+    created: { count: createdIds.length, ids: createdIds },
+    credentialsUrl: createdIds.length > 0 ? `/api/users/import/${importId}/credentials` : null
+  };
+}
+
+/**
+ * Save a dry-run import and describe what committing it would do
+ *
+ * @param {Object} results - Validation results ({ total, failed, errors })
+ * @param {Array} users - Validated users
+ * @param {Object} options - Import options ({ fileName, importedBy })
+ * @returns {Promise<Object>} Preview with the ID to commit
+ */
+async function previewImport(results, users, options) {
+  const rows = [
+    ...users.map(({ row, ...data }) => ({ row, action: 'create', data })),
+    ...results.errors.map((error) => ({
+      row: error.row,
+      action: 'reject',
+      errors: error.errors,
+      data: error.data
+    }))
+  ].sort((a, b) => a.row - b.row);
+
+  const summary = {
+    total: results.total,
+    toCreate: users.length,
+    rejected: results.failed
+  };
+
+  const preview = await usersRepository.createImport({
+    fileName: options.fileName,
+    users,
+    summary,
+    createdBy: options.importedBy
+  });
+
+  logger.info('User import previewed', { importId: preview.id, ...summary });
+
+  return {
+    importId: preview.id,
+    dryRun: true,
+    ...summary,
+    rows
+  };
+}
+
+/**
+ * Queue a user import from an uploaded CSV/Excel file
+ *
+ * @param {Object} file - Uploaded file (multer)
+ * @param {Object} admin - Admin importing
+ * @param {Object} options - Options ({ dryRun, sheetName })
+ * @returns {Promise<Object>} Queued job (see GET /api/jobs/:id)
+ */
+async function queueImport(file, admin, options = {}) {
+  return jobsService.enqueueImport('user-import', file, admin, {
+    dryRun: Boolean(options.dryRun),
+    sheetName: options.sheetName || null,
+    importedBy: admin.id
+  });
+}
+
+/**
+ * Import users from CSV/Excel file
+ *
+ * Runs as a background job (see queueImport); the job removes the file.
+ * Excel files are read from `sheetName`, or the first sheet. With `dryRun`,
+ * nothing is written: the validated rows are saved as a preview that can be
+ * committed by ID (see queueCommit). The report never holds passwords, only
+ * the URL of the credentials report.
+ *
+ * @param {string} filePath - Path to import file
+ * @param {string} mimeType - File MIME type
+ * @param {Object} options - Options ({ dryRun, sheetName, importedBy, fileName, onProgress })
+ * @returns {Promise<Object>} Import report, or the preview for a dry run
+ */
+async function importUsers(filePath, mimeType, options = {}) {
+  if (!spreadsheet.isSupported(mimeType)) {
+    throw new AppError('Unsupported file format', 400);
+  }
+
+  const records = await parseImportFile(filePath, mimeType, options.sheetName);
+  const aliases = columnMapping.buildAliases(columnMapping.USER_FIELDS);
+  const onProgress = options.onProgress || (async () => {});
+
+  logger.info('Parsed user import file', { recordCount: records.length });
+
+  await onProgress(0, records.length);
+  const { results, users } = await validateImport(records, aliases);
+
+  if (options.dryRun) {
+    const preview = await previewImport(results, users, options);
+    await onProgress(records.length, records.length);
+    return preview;
+  }
+
+  const { importId, createdIds } = users.length > 0
+    ? await writeUsers(users, {
+      fileName: options.fileName,
+      users,
+      summary: { total: results.total, toCreate: users.length, rejected: results.failed },
+      createdBy: options.importedBy,
+      committedBy: options.importedBy
+    }, onProgress)
+    : { importId: null, createdIds: [] };
+  await onProgress(records.length, records.length);
+
+  logger.info('Users imported successfully', { importId, created: createdIds.length, failed: results.failed });
+
+  return {
+    ...reportCreated(importId, createdIds),
+    total: results.total,
+    successful: results.successful,
+    failed: results.failed,
+    errors: results.errors
+  };
+}
+
+/**
+ * Queue the commit of a previewed user import
+ *
+ * @param {string} importId - Import ID (from the dry-run result)
+ * @param {Object} admin - Admin committing
+ * @returns {Promise<Object>} Queued job (see GET /api/jobs/:id)
+ * @throws {AppError} If the import does not exist or is no longer a preview
+ */
+async function queueCommit(importId, admin) {
+  const claimed = await usersRepository.claimImport(importId, admin.id);
+
+  if (!claimed) {
+    const preview = await usersRepository.findImportById(importId);
+
+    if (!preview) {
+      throw new AppError('User import not found', 404);
+    }
+
+    throw new AppError(
+      preview.status === 'committed'
+        ? 'User import has already been committed'
+        : 'User import is already being committed',
+      409
+    );
+  }
+
+  try {
+    return await jobsService.enqueue('user-import-commit', { importId }, admin);
+  } catch (error) {
+    await usersRepository.releaseImport(importId);
+    throw error;
+  }
+}
+
+/**
+ * Create the users of a previewed import
+ *
+ * Runs as a background job (see queueCommit). The users are written in one
+ * transaction; if an email or employee ID was registered since the dry run,
+ * nothing is written.
+ *
+ * @param {string} importId - Import ID
+ * @param {Object} options - Options ({ onProgress(processed, total) })
+ * @returns {Promise<Object>} Import report
+ */
+async function commitImport(importId, options = {}) {
+  const preview = await usersRepository.findImportById(importId);
+
+  if (!preview || preview.status !== 'committing') {
+    throw new AppError('User import is not queued for commit', 409);
+  }
+
+  const onProgress = options.onProgress || (async () => {});
+  const { users } = preview;
+
+  const { createdIds } = await writeUsers(users, { importId, committedBy: preview.committedBy }, onProgress);
+  await onProgress(users.length, users.length);
+
+  logger.info('User import committed', { importId, created: createdIds.length });
+
+  return {
+    ...reportCreated(importId, createdIds),
+    total: preview.summary.total,
+    successful: users.length,
+    failed: preview.summary.rejected
+  };
+}
+
+/**
+ * Make a previewed import committable again after its commit failed
+ *
+ * @param {string} importId - Import ID
+ */
+async function releaseImport(importId) {
+  await usersRepository.releaseImport(importId);
+}
+
+/**
+ * Take the credentials report of a committed import
+ *
+ * Only the admin who committed the import can take the report, and only
+ * once: the stored passwords are deleted as they are returned.
+ *
+ * @param {string} importId - Import ID
+ * @param {Object} admin - Admin downloading
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Array>} Credentials ({ row, email, employeeId, firstName, lastName, temporaryPassword })
+ * @throws {AppError} If the import is not found, not committed or already downloaded
+ */
+async function takeCredentials(importId, admin, client = {}) {
+  const payload = await usersRepository.takeCredentials(importId, admin.id);
+
+  if (!payload) {
+    const imported = await usersRepository.findImportById(importId);
+
+    if (!imported || imported.committedBy !== admin.id) {
+      throw new AppError('User import not found', 404);
+    }
+
+    if (imported.credentialsDownloadedAt) {
+      throw new AppError('Credentials of this import have already been downloaded', 410);
+    }
+
+    throw new AppError('User import has not been committed', 409);
+  }
+
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address)
+     VALUES ($1, 'USER_IMPORT_CREDENTIALS_DOWNLOADED', 'user_import', $2, $3, $4)`,
+    [admin.id, importId, 'Credentials report of user import downloaded', client.ipAddress || null]
+  );
+
+  logger.info('User import credentials downloaded', { importId, userId: admin.id });
+
+  return JSON.parse(decrypt(payload, authConfig.userImport.credentialsKey));
+}
+
+module.exports = {
+  queueImport,
+  importUsers,
+  queueCommit,
+  commitImport,
+  releaseImport,
+  takeCredentials
+};
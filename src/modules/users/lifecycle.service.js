@@ -0,0 +1,323 @@
+/**
+ * User Lifecycle Service
+ *
+ * Suspends and reactivates users, and transfers them to another facility
+ * and/or supervisor from an effective date. Every transfer is kept in
+ * user_assignments; users.facility_id and users.supervisor_id hold the
+ * assignment in effect today. Transfers dated in the future are applied by
+ * a scheduled job once they take effect; backdated transfers rebuild the
+ * frozen register days they cover.
+ *
+ * @module modules/users/lifecycle.service
+ */
+
+const usersRepository = require('./users.repository');
+const facilitiesRepository = require('../facilities/facilities.repository');
+const registerService = require('../attendance/register.service');
+const tokenService = require('../auth/token.service');
+const db = require('../../config/database');
+const appConfig = require('../../config/app');
+const { AppError } = require('../../middleware/errorHandler.middleware');
+const { listDates } = require('../../utils/leaveCalculator');
+const { addDays, getLocalParts } = require('../../utils/shiftMatcher');
+const logger = require('../../utils/logger');
+
+/**
+ * Furthest a transfer can be backdated, in days
+ */
+const MAX_BACKDATE_DAYS = 366;
+
+/**
+ * Get today's date in the attendance timezone
+ *
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getToday() {
+  return getLocalParts(new Date(), appConfig.attendance.timezone).date;
+}
+
+/**
+ * Get a user or fail
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User
+ * @throws {AppError} If the user does not exist
+ */
+async function getUser(userId) {
+  const user = await usersRepository.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+}
+
+/**
+ * Log a user lifecycle change
+ *
+ * @param {Object} admin - Admin making the change
+ * @param {string} userId - User ID
+ * @param {string} action - Activity action (e.g. 'USER_SUSPENDED')
+ * @param {string} description - Activity description
+ * @param {Object} metadata - Activity metadata
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<void>}
+ */
+async function logUserActivity(admin, userId, action, description, metadata, client = {}) {
+  await db.query(
+    `INSERT INTO activities (user_id, action, entity_type, entity_id, description, ip_address, metadata)
+     VALUES ($1, $2, 'user', $3, $4, $5, $6)`,
+    [admin.id, action, userId, description, client.ipAddress || null, JSON.stringify(metadata)]
+  );
+}
+
+/**
+ * Suspend an active user
+ *
+ * The user's sessions are revoked, and the authentication middleware
+ * rejects their access tokens from now on.
+ *
+ * @param {Object} admin - Admin suspending
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason for the suspension
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Object>} Updated user
+ * @throws {AppError} If the user does not exist, is the admin or is not active
+ */
+async function suspendUser(admin, userId, reason, client = {}) {
+  if (userId === admin.id) {
+    throw new AppError('You cannot suspend your own account', 400);
+  }
+
+  const user = await getUser(userId);
+  const previous = await usersRepository.updateStatus(userId, 'suspended', reason, ['active']);
+
+  if (!previous) {
+    throw new AppError(
+      user.status === 'suspended'
+        ? 'User is already suspended'
+        : `Only active users can be suspended; user is ${user.status}`,
+      409
+    );
+  }
+
+  const revoked = await tokenService.revokeAllForUser(userId, 'user_suspended');
+
+  await logUserActivity(
+    admin,
+    userId,
+    'USER_SUSPENDED',
+    'User suspended',
+    { from: previous, reason, revokedSessions: revoked },
+    client
+  );
+
+  logger.info('User suspended', { userId, adminId: admin.id, revoked });
+
+  return usersRepository.findById(userId);
+}
+
+/**
+ * Reactivate a suspended or inactive user
+ *
+ * @param {Object} admin - Admin reactivating
+ * @param {string} userId - User ID
+ * @param {string|null} reason - Reason for the reactivation
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Object>} Updated user
+ * @throws {AppError} If the user does not exist or is already active
+ */
+async function reactivateUser(admin, userId, reason, client = {}) {
+  await getUser(userId);
+  const previous = await usersRepository.updateStatus(userId, 'active', reason, ['suspended', 'inactive']);
+
+  if (!previous) {
+    throw new AppError('User is already active', 409);
+  }
+
+  await logUserActivity(
+    admin,
+    userId,
+    'USER_REACTIVATED',
+    `User reactivated (was ${previous})`,
+    { from: previous, reason: reason || null },
+    client
+  );
+
+  logger.info('User reactivated', { userId, adminId: admin.id, from: previous });
+
+  return usersRepository.findById(userId);
+}
+
+/**
+ * Check the facility and supervisor a user is transferred to
+ *
+ * @param {string} userId - User ID
+ * @param {Object} target - Facility and supervisor ({ facilityId, supervisorId }), null to clear
+ * @throws {AppError} If the facility is unknown or inactive, or the supervisor cannot supervise the user
+ */
+async function assertTransferTarget(userId, target) {
+  if (target.facilityId) {
+    const facility = await facilitiesRepository.findById(target.facilityId);
+
+    if (!facility) {
+      throw new AppError('Facility not found', 400);
+    }
+
+    if (facility.status === 'inactive') {
+      throw new AppError('Facility is inactive', 400);
+    }
+  }
+
+  if (target.supervisorId) {
+    if (target.supervisorId === userId) {
+      throw new AppError('A user cannot be their own supervisor', 400);
+    }
+
+    const supervisor = await usersRepository.findById(target.supervisorId);
+
+    if (!supervisor || supervisor.status !== 'active') {
+      throw new AppError('Supervisor not found or not active', 400);
+    }
+
+    if (await usersRepository.isInReportingLine(userId, target.supervisorId)) {
+      throw new AppError('Supervisor reports to this user', 400);
+    }
+  }
+}
+
+/**
+ * Transfer a user to another facility and/or supervisor
+ *
+ * The transfer takes effect on `effectiveDate` (default today, in the
+ * attendance timezone). It must not be earlier than the start of the user's
+ * latest assignment; on that same day it replaces the latest assignment.
+ *
+ * @param {Object} admin - Admin transferring
+ * @param {string} userId - User ID
+ * @param {Object} data - Transfer ({ facilityId, supervisorId, effectiveDate, reason }); an omitted
+ *   facility or supervisor is kept, null clears it
+ * @param {Object} client - Client info ({ ipAddress })
+ * @returns {Promise<Object>} { user, assignment }
+ * @throws {AppError} If the user or target is invalid, nothing changes or the date conflicts
+ */
+async function transferUser(admin, userId, data, client = {}) {
+  const user = await getUser(userId);
+  const today = getToday();
+  const effectiveDate = data.effectiveDate || today;
+
+  if (effectiveDate < addDays(today, -MAX_BACKDATE_DAYS)) {
+    throw new AppError(`Transfers can be backdated by at most ${MAX_BACKDATE_DAYS} days`, 400);
+  }
+
+  const current = await usersRepository.findOpenAssignment(userId);
+  const tooEarly = () => new AppError(
+    `Transfer must take effect on or after ${current.effective_from}, when the latest assignment starts`,
+    409
+  );
+
+  if (current && effectiveDate < current.effective_from) {
+    throw tooEarly();
+  }
+
+  const from = current
+    ? { facilityId: current.facility_id, supervisorId: current.supervisor_id }
+    : {
+      facilityId: user.facility ? user.facility.id : null,
+      supervisorId: user.supervisor ? user.supervisor.id : null
+    };
+  const to = {
+    facilityId: data.facilityId !== undefined ? data.facilityId : from.facilityId,
+    supervisorId: data.supervisorId !== undefined ? data.supervisorId : from.supervisorId
+  };
+
+  if (to.facilityId === from.facilityId && to.supervisorId === from.supervisorId) {
+    throw new AppError('Transfer does not change the facility or supervisor', 400);
+  }
+
+  await assertTransferTarget(userId, to);
+
+  const assignment = await usersRepository.applyTransfer(userId, {
+    ...to,
+    effectiveFrom: effectiveDate,
+    reason: data.reason,
+    createdBy: admin.id
+  }, effectiveDate <= today);
+
+  if (!assignment) {
+    throw tooEarly();
+  }
+
+  await logUserActivity(
+    admin,
+    userId,
+    'USER_TRANSFERRED',
+    `User transferred effective ${effectiveDate}`,
+    {
+      from,
+      to,
+      effectiveDate,
+      reason: data.reason || null
+    },
+    client
+  );
+
+  logger.info('User transferred', {
+    userId,
+    adminId: admin.id,
+    effectiveDate,
+    ...to
+  });
+
+  // Frozen register days from the effective date list the user under the new facility
+  if (effectiveDate < today) {
+    await registerService.refreshDays(userId, listDates(effectiveDate, addDays(today, -1)));
+  }
+
+  const [updated, history] = await Promise.all([
+    usersRepository.findById(userId),
+    usersRepository.findAssignments(userId)
+  ]);
+
+  return {
+    user: updated,
+    assignment: history.find((entry) => entry.id === assignment.id)
+  };
+}
+
+/**
+ * Get the facility and supervisor history of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Assignments, latest first
+ * @throws {AppError} If the user does not exist
+ */
+async function getAssignments(userId) {
+  await getUser(userId);
+  return usersRepository.findAssignments(userId);
+}
+
+/**
+ * Move users whose transfer takes effect today (scheduled job)
+ *
+ * @returns {Promise<Object>} Result ({ date, applied })
+ */
+async function applyDueTransfers() {
+  const date = getToday();
+  const userIds = await usersRepository.applyDueAssignments(date);
+
+  if (userIds.length > 0) {
+    logger.info('User transfers applied', { date, userIds });
+  }
+
+  return { date, applied: userIds.length };
+}
+
+module.exports = {
+  suspendUser,
+  reactivateUser,
+  transferUser,
+  getAssignments,
+  applyDueTransfers
+};
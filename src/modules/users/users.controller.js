@@ -7,6 +7,9 @@
  */
 
 const usersService = require('./users.service');
+const importService = require('./import.service');
+const lifecycleService = require('./lifecycle.service');
+const { CONTENT_TYPES, createCsvWriter } = require('../../utils/exportWriter');
 const { asyncHandler } = require('../../middleware/errorHandler.middleware');
 
 /**
@@ -70,7 +73,8 @@ const getAllUsers = asyncHandler(async (req, res) => {
   const result = await usersService.getAllUsers(
     filters,
     parseInt(page, 10),
-    parseInt(limit, 10)
+    parseInt(limit, 10),
+    req.dataScope
   );
 
   res.status(200).json({
@@ -114,10 +118,171 @@ const deleteUser = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Queue a user import from CSV/Excel
+ * POST /api/users/import
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importUsers = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+  }
+
+  const dryRun = req.query.dryRun === 'true';
+  const job = await importService.queueImport(req.file, req.user, {
+    dryRun,
+    sheetName: req.query.sheet
+  });
+
+  res.location(`/api/jobs/${job.id}`);
+  res.status(202).json({
+    success: true,
+    message: dryRun ? 'Users import preview queued' : 'Users import queued',
+    data: job
+  });
+});
+
+/**
+ * Queue the commit of a previewed user import
+ * POST /api/users/import/:id/commit
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const commitImport = asyncHandler(async (req, res) => {
+  const job = await importService.queueCommit(req.params.id, req.user);
+
+  res.location(`/api/jobs/${job.id}`);
+  res.status(202).json({
+    success: true,
+    message: 'Users import commit queued',
+    data: job
+  });
+});
+
+/**
+ * Download the temporary passwords of an import as CSV (once)
+ * GET /api/users/import/:id/credentials
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const downloadImportCredentials = asyncHandler(async (req, res) => {
+  const credentials = await importService.takeCredentials(req.params.id, req.user, { ipAddress: req.ip });
+
+  res.setHeader('Content-Type', CONTENT_TYPES.csv);
+  res.setHeader('Content-Disposition', `attachment; filename="user-import-${req.params.id}-credentials.csv"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const writer = createCsvWriter(res);
+  await writer.writeRow(['Row', 'Email', 'Employee ID', 'First Name', 'Last Name', 'Temporary Password']);
+  await credentials.reduce(async (previous, entry) => {
+    await previous;
+    await writer.writeRow([
+      entry.row,
+      entry.email,
+      entry.employeeId,
+      entry.firstName,
+      entry.lastName,
+      entry.temporaryPassword
+    ]);
+  }, Promise.resolve());
+  await writer.end();
+  res.end();
+});
+
+/**
+ * Suspend user
+ * POST /api/users/:id/suspend
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+  const user = await lifecycleService.suspendUser(req.user, req.params.id, req.body.reason, {
+    ipAddress: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User suspended successfully',
+    data: user
+  });
+});
+
+/**
+ * Reactivate user
+ * POST /api/users/:id/reactivate
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await lifecycleService.reactivateUser(req.user, req.params.id, req.body.reason, {
+    ipAddress: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated successfully',
+    data: user
+  });
+});
+
+/**
+ * Transfer user to another facility and/or supervisor
+ * POST /api/users/:id/transfer
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const transferUser = asyncHandler(async (req, res) => {
+  const {
+    facilityId, supervisorId, effectiveDate, reason
+  } = req.body;
+  const result = await lifecycleService.transferUser(req.user, req.params.id, {
+    facilityId, supervisorId, effectiveDate, reason
+  }, { ipAddress: req.ip });
+
+  res.status(200).json({
+    success: true,
+    message: 'User transferred successfully',
+    data: result
+  });
+});
+
+/**
+ * Get facility and supervisor history of a user
+ * GET /api/users/:id/assignments
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserAssignments = asyncHandler(async (req, res) => {
+  const assignments = await lifecycleService.getAssignments(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: assignments
+  });
+});
+
 module.exports = {
   getMe,
   getUserById,
   getAllUsers,
   updateUser,
-  deleteUser
+  deleteUser,
+  importUsers,
+  commitImport,
+  downloadImportCredentials,
+  suspendUser,
+  reactivateUser,
+  transferUser,
+  getUserAssignments
 };
@@ -7,6 +7,7 @@
  */
 
 const db = require('../../config/database');
+const { buildScopeConditions } = require('../../utils/dataScope');
 
 /**
  * Find user by ID with full hierarchy
@@ -18,6 +19,7 @@ async function findById(userId) {
   const result = await db.query(
     `SELECT 
       u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.status,
+      u.status_reason, u.status_changed_at,
       u.employee_id, u.date_of_birth, u.hire_date, u.avatar_url,
       u.facility_id, u.supervisor_id, u.last_login_at, u.created_at, u.updated_at,
       f.id as facility_id, f.name as facility_name, f.code as facility_code,
@@ -60,45 +62,64 @@ async function findByEmail(email) {
 }
 
 /**
- * Find all users with optional filters
- * 
+ * Build the WHERE clause shared by findAll and count
+ *
  * @param {Object} filters - Query filters
- * @param {number} limit - Result limit
- * @param {number} offset - Result offset
- * @returns {Promise<Array>} Array of users
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Object} WHERE clause and parameters
  */
-async function findAll(filters = {}, limit = 50, offset = 0) {
-  const conditions = [];
+function buildFilters(filters = {}, scope = null) {
   const params = [];
-  let paramIndex = 1;
+  const conditions = buildScopeConditions(scope, {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'u.facility_id',
+    userId: 'u.id'
+  }, params);
 
   if (filters.role) {
-    conditions.push(`u.role = $${paramIndex++}`);
     params.push(filters.role);
+    conditions.push(`u.role = $${params.length}`);
   }
 
   if (filters.status) {
-    conditions.push(`u.status = $${paramIndex++}`);
     params.push(filters.status);
+    conditions.push(`u.status = $${params.length}`);
   }
 
   if (filters.facilityId) {
-    conditions.push(`u.facility_id = $${paramIndex++}`);
     params.push(filters.facilityId);
+    conditions.push(`u.facility_id = $${params.length}`);
   }
 
   if (filters.supervisorId) {
-    conditions.push(`u.supervisor_id = $${paramIndex++}`);
     params.push(filters.supervisorId);
+    conditions.push(`u.supervisor_id = $${params.length}`);
   }
 
   if (filters.search) {
-    conditions.push(`(u.first_name ILIKE $${paramIndex} OR u.last_name ILIKE $${paramIndex} OR u.email ILIKE $${paramIndex})`);
     params.push(`%${filters.search}%`);
-    paramIndex++;
+    const placeholder = `$${params.length}`;
+    conditions.push(`(u.first_name ILIKE ${placeholder} OR u.last_name ILIKE ${placeholder} OR u.email ILIKE ${placeholder})`);
   }
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Find all users with optional filters
+ * 
+ * @param {Object} filters - Query filters
+ * @param {number} limit - Result limit
+ * @param {number} offset - Result offset
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
+ * @returns {Promise<Array>} Array of users
+ */
+async function findAll(filters = {}, limit = 50, offset = 0, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
 
   params.push(limit, offset);
 
@@ -115,7 +136,7 @@ async function findAll(filters = {}, limit = 50, offset = 0) {
     LEFT JOIN regions r ON c.region_id = r.id
     ${whereClause}
     ORDER BY u.created_at DESC
-    LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
     params
   );
 
@@ -126,36 +147,88 @@ async function findAll(filters = {}, limit = 50, offset = 0) {
  * Count users with filters
  * 
  * @param {Object} filters - Query filters
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
  * @returns {Promise<number>} User count
  */
-async function count(filters = {}) {
-  const conditions = [];
-  const params = [];
-  let paramIndex = 1;
+async function count(filters = {}, scope = null) {
+  const { whereClause, params } = buildFilters(filters, scope);
 
-  if (filters.role) {
-    conditions.push(`role = $${paramIndex++}`);
-    params.push(filters.role);
-  }
+  const result = await db.query(
+    `SELECT COUNT(*)
+    FROM users u
+    LEFT JOIN facilities f ON u.facility_id = f.id
+    LEFT JOIN councils c ON f.council_id = c.id
+    ${whereClause}`,
+    params
+  );
 
-  if (filters.status) {
-    conditions.push(`status = $${paramIndex++}`);
-    params.push(filters.status);
-  }
+  return parseInt(result.rows[0].count, 10);
+}
 
-  if (filters.facilityId) {
-    conditions.push(`facility_id = $${paramIndex++}`);
-    params.push(filters.facilityId);
-  }
+/**
+ * Check whether a user is below a supervisor in the reporting line
+ *
+ * Follows users.supervisor_id upwards from the user, so indirect reports
+ * (the supervisor's reports' reports) also match.
+ *
+ * @param {string} supervisorId - Supervisor user ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the supervisor is above the user
+ */
+async function isInReportingLine(supervisorId, userId) {
+  const result = await db.query(
+    `WITH RECURSIVE chain AS (
+      SELECT supervisor_id FROM users WHERE id = $2
+      UNION
+      SELECT u.supervisor_id FROM users u
+      INNER JOIN chain ON u.id = chain.supervisor_id
+    )
+    SELECT 1 FROM chain WHERE supervisor_id = $1 LIMIT 1`,
+    [supervisorId, userId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Find the active members of a supervisor's team
+ *
+ * @param {string} supervisorId - Supervisor user ID
+ * @param {Object} options - Options
+ * @param {boolean} options.recursive - Include indirect reports
+ * @param {string} options.facilityId - Only members assigned to this facility
+ * @returns {Promise<Array>} Team member rows (id, names, employee_id, role, facility)
+ */
+async function findTeamMembers(supervisorId, options = {}) {
+  const params = [supervisorId, Boolean(options.recursive)];
+  const conditions = ["u.status = 'active'"];
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  if (options.facilityId) {
+    params.push(options.facilityId);
+    conditions.push(`u.facility_id = $${params.length}`);
+  }
 
   const result = await db.query(
-    `SELECT COUNT(*) FROM users ${whereClause}`,
+    `WITH RECURSIVE team AS (
+      SELECT id FROM users WHERE supervisor_id = $1
+      UNION
+      SELECT u.id FROM users u
+      INNER JOIN team t ON u.supervisor_id = t.id
+      WHERE $2::boolean
+    )
+    SELECT
+      u.id, u.first_name, u.last_name, u.employee_id, u.role,
+      u.supervisor_id, u.facility_id, f.name AS facility_name, c.region_id
+    FROM team t
+    INNER JOIN users u ON u.id = t.id
+    LEFT JOIN facilities f ON f.id = u.facility_id
+    LEFT JOIN councils c ON c.id = f.council_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY u.last_name, u.first_name`,
     params
   );
 
-  return parseInt(result.rows[0].count, 10);
+  return result.rows;
 }
 
 /**
@@ -208,13 +281,483 @@ async function update(userId, updates) {
  */
 async function deleteUser(userId) {
   const result = await db.query(
-    `UPDATE users SET status = 'inactive' WHERE id = $1`,
+    `UPDATE users SET status = 'inactive', status_changed_at = CURRENT_TIMESTAMP WHERE id = $1`,
     [userId]
   );
 
   return result.rowCount > 0;
 }
 
+/**
+ * Change user status
+ *
+ * @param {string} userId - User ID
+ * @param {string} status - New status
+ * @param {string|null} reason - Reason for the change
+ * @param {Array<string>} fromStatuses - Statuses the change is allowed from
+ * @returns {Promise<string|null>} Previous status, or null if the user does
+ *   not exist or is not in one of fromStatuses
+ */
+async function updateStatus(userId, status, reason, fromStatuses) {
+  const result = await db.query(
+    `UPDATE users u
+     SET status = $2, status_reason = $3, status_changed_at = CURRENT_TIMESTAMP
+     FROM (SELECT id, status FROM users WHERE id = $1 FOR UPDATE) previous
+     WHERE u.id = previous.id AND previous.status = ANY($4::text[])
+     RETURNING previous.status AS previous_status`,
+    [userId, status, reason || null, fromStatuses]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].previous_status : null;
+}
+
+/**
+ * Assignment columns, with dates as YYYY-MM-DD text
+ */
+const ASSIGNMENT_COLUMNS = `id, user_id, facility_id, supervisor_id,
+  effective_from::text AS effective_from, effective_to::text AS effective_to,
+  reason, created_by, created_at`;
+
+/**
+ * Format user assignment row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted assignment
+ */
+function formatAssignment(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    facility: row.facility_id ? {
+      id: row.facility_id,
+      name: row.facility_name,
+      code: row.facility_code
+    } : null,
+    supervisor: row.supervisor_id ? {
+      id: row.supervisor_id,
+      firstName: row.supervisor_first_name,
+      lastName: row.supervisor_last_name
+    } : null,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    reason: row.reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Find the facility and supervisor history of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Assignments, latest first
+ */
+async function findAssignments(userId) {
+  const result = await db.query(
+    `SELECT
+      ua.id, ua.user_id, ua.facility_id, ua.supervisor_id,
+      ua.effective_from::text AS effective_from, ua.effective_to::text AS effective_to,
+      ua.reason, ua.created_by, ua.created_at,
+      f.name AS facility_name, f.code AS facility_code,
+      s.first_name AS supervisor_first_name, s.last_name AS supervisor_last_name
+    FROM user_assignments ua
+    LEFT JOIN facilities f ON ua.facility_id = f.id
+    LEFT JOIN users s ON ua.supervisor_id = s.id
+    WHERE ua.user_id = $1
+    ORDER BY ua.effective_from DESC`,
+    [userId]
+  );
+
+  return result.rows.map(formatAssignment);
+}
+
+/**
+ * Find the open-ended (current or upcoming) assignment of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Assignment row or null
+ */
+async function findOpenAssignment(userId) {
+  const result = await db.query(
+    `SELECT ${ASSIGNMENT_COLUMNS} FROM user_assignments WHERE user_id = $1 AND effective_to IS NULL`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Write a transfer in one transaction
+ *
+ * The open assignment ends the day before the transfer takes effect; a
+ * transfer taking effect on the day the open assignment starts replaces it.
+ * With `applyNow`, the user's facility and supervisor change right away.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} assignment - New assignment ({ facilityId, supervisorId, effectiveFrom, reason, createdBy })
+ * @param {boolean} applyNow - True if the transfer takes effect today or earlier
+ * @returns {Promise<Object|null>} Assignment row, or null if the open
+ *   assignment starts after the effective date
+ */
+async function applyTransfer(userId, assignment, applyNow) {
+  return db.transaction(async (client) => {
+    const open = await client.query(
+      `SELECT ${ASSIGNMENT_COLUMNS} FROM user_assignments
+       WHERE user_id = $1 AND effective_to IS NULL
+       FOR UPDATE`,
+      [userId]
+    );
+    const current = open.rows[0];
+
+    if (current && current.effective_from > assignment.effectiveFrom) {
+      return null;
+    }
+
+    const values = [
+      assignment.facilityId,
+      assignment.supervisorId,
+      assignment.reason || null,
+      assignment.createdBy
+    ];
+    let result;
+
+    if (current && current.effective_from === assignment.effectiveFrom) {
+      result = await client.query(
+        `UPDATE user_assignments
+         SET facility_id = $2, supervisor_id = $3, reason = $4, created_by = $5
+         WHERE id = $1
+         RETURNING ${ASSIGNMENT_COLUMNS}`,
+        [current.id, ...values]
+      );
+    } else {
+      if (current) {
+        await client.query(
+          'UPDATE user_assignments SET effective_to = $2::date - 1 WHERE id = $1',
+          [current.id, assignment.effectiveFrom]
+        );
+      }
+
+      result = await client.query(
+        `INSERT INTO user_assignments (user_id, facility_id, supervisor_id, reason, created_by, effective_from)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${ASSIGNMENT_COLUMNS}`,
+        [userId, ...values, assignment.effectiveFrom]
+      );
+    }
+
+    if (applyNow) {
+      await client.query(
+        'UPDATE users SET facility_id = $2, supervisor_id = $3 WHERE id = $1',
+        [userId, assignment.facilityId, assignment.supervisorId]
+      );
+    }
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Give users the facility and supervisor of the assignment in effect on a day
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>} IDs of the users that changed
+ */
+async function applyDueAssignments(date) {
+  const result = await db.query(
+    `UPDATE users u
+     SET facility_id = ua.facility_id, supervisor_id = ua.supervisor_id
+     FROM user_assignments ua
+     WHERE ua.user_id = u.id
+       AND ua.effective_from <= $1 AND (ua.effective_to IS NULL OR ua.effective_to >= $1)
+       AND (u.facility_id IS DISTINCT FROM ua.facility_id OR u.supervisor_id IS DISTINCT FROM ua.supervisor_id)
+     RETURNING u.id`,
+    [date]
+  );
+
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Find users holding any of the given emails or employee IDs
+ *
+ * @param {Array<string>} emails - Lowercase emails
+ * @param {Array<string>} employeeIds - Employee IDs
+ * @returns {Promise<Array>} Users ({ id, email, employee_id, status })
+ */
+async function findByEmailsOrEmployeeIds(emails, employeeIds) {
+  if (emails.length === 0 && employeeIds.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    `SELECT id, email, employee_id, status
+     FROM users
+     WHERE LOWER(email) = ANY($1::text[]) OR employee_id = ANY($2::text[])`,
+    [emails, employeeIds]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find facilities by code
+ *
+ * @param {Array<string>} codes - Facility codes
+ * @returns {Promise<Array>} Facilities ({ id, code, status })
+ */
+async function findFacilitiesByCode(codes) {
+  if (codes.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(
+    'SELECT id, code, status FROM facilities WHERE code = ANY($1::text[])',
+    [codes]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Insert an imported user
+ *
+ * @param {Object} client - Database client
+ * @param {Object} user - User data with passwordHash
+ * @returns {Promise<string>} User ID
+ */
+async function insertImportedUser(client, user) {
+  const result = await client.query(
+    `INSERT INTO users (
+      email, password_hash, first_name, last_name, role, facility_id,
+      supervisor_id, phone, employee_id, status, must_change_password, password_changed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'active', true, CURRENT_TIMESTAMP)
+    RETURNING id`,
+    [
+      user.email,
+      user.passwordHash,
+      user.firstName,
+      user.lastName,
+      user.role,
+      user.facilityId || null,
+      user.supervisorId || null,
+      user.phone || null,
+      user.employeeId || null
+    ]
+  );
+
+  return result.rows[0].id;
+}
+
+/**
+ * Write imported users in one transaction
+ *
+ * Users whose supervisor is another row of the file get their supervisor
+ * once all users exist. The import is saved with the encrypted credentials:
+ * a previewed import (`importId`) is marked committed, otherwise a committed
+ * import is created.
+ *
+ * @param {Array} users - Users ({ row, ...user data, passwordHash, supervisorRow })
+ * @param {Object} record - Import ({ importId } or { fileName, users, summary, createdBy }, with credentials)
+ * @param {Object} options - Options ({ effectiveFrom: first day of the users' assignments (YYYY-MM-DD),
+ *   recordHistory: also store the hashes in password_history })
+ * @returns {Promise<Object>} { importId, createdIds } with the IDs in the order of users
+ */
+async function applyImport(users, record, options = {}) {
+  return db.transaction(async (client) => {
+    const createdIds = await users.reduce(async (previous, user) => {
+      const ids = await previous;
+      ids.push(await insertImportedUser(client, user));
+      return ids;
+    }, Promise.resolve([]));
+
+    const idByRow = new Map(users.map((user, i) => [user.row, createdIds[i]]));
+    const supervised = users
+      .map((user, i) => ({ id: createdIds[i], supervisorId: idByRow.get(user.supervisorRow) }))
+      .filter((entry) => entry.supervisorId);
+
+    if (supervised.length > 0) {
+      await client.query(
+        `UPDATE users AS u SET supervisor_id = s.supervisor_id
+         FROM unnest($1::uuid[], $2::uuid[]) AS s(id, supervisor_id)
+         WHERE u.id = s.id`,
+        [supervised.map((entry) => entry.id), supervised.map((entry) => entry.supervisorId)]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO user_assignments (user_id, facility_id, supervisor_id, effective_from, created_by)
+       SELECT id, facility_id, supervisor_id, $2, $3 FROM users WHERE id = ANY($1::uuid[])`,
+      [createdIds, options.effectiveFrom, record.committedBy]
+    );
+
+    if (options.recordHistory && createdIds.length > 0) {
+      await client.query(
+        `INSERT INTO password_history (user_id, password_hash)
+         SELECT * FROM unnest($1::uuid[], $2::text[])`,
+        [createdIds, users.map((user) => user.passwordHash)]
+      );
+    }
+
+    let { importId } = record;
+
+    if (importId) {
+      await client.query(
+        `UPDATE user_imports
+         SET status = 'committed', committed_at = CURRENT_TIMESTAMP, credentials = $2
+         WHERE id = $1`,
+        [importId, record.credentials]
+      );
+    } else {
+      const result = await client.query(
+        `INSERT INTO user_imports (
+          status, file_name, users, summary, credentials, created_by, committed_by, committed_at
+        ) VALUES ('committed', $1, $2, $3, $4, $5, $5, CURRENT_TIMESTAMP)
+        RETURNING id`,
+        [
+          record.fileName || null,
+          JSON.stringify(record.users),
+          JSON.stringify(record.summary),
+          record.credentials,
+          record.createdBy
+        ]
+      );
+      importId = result.rows[0].id;
+    }
+
+    if (createdIds.length > 0) {
+      await client.query(
+        `INSERT INTO activities (user_id, action, entity_type, entity_id, description, metadata)
+         SELECT $1, 'USER_IMPORTED', 'user', id, 'User created by bulk import', $2
+         FROM unnest($3::uuid[]) AS id`,
+        [record.committedBy, JSON.stringify({ importId }), createdIds]
+      );
+    }
+
+    return { importId, createdIds };
+  });
+}
+
+/**
+ * Format user import row
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Formatted import
+ */
+function formatImport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileName: row.file_name,
+    users: row.users,
+    summary: row.summary,
+    credentialsAvailable: Boolean(row.credentials),
+    credentialsDownloadedAt: row.credentials_downloaded_at,
+    createdBy: row.created_by,
+    committedBy: row.committed_by,
+    committedAt: row.committed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Save a previewed user import
+ *
+ * @param {Object} data - Import data ({ fileName, users, summary, createdBy })
+ * @returns {Promise<Object>} Created import
+ */
+async function createImport(data) {
+  const result = await db.query(
+    `INSERT INTO user_imports (file_name, users, summary, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [
+      data.fileName || null,
+      JSON.stringify(data.users),
+      JSON.stringify(data.summary),
+      data.createdBy
+    ]
+  );
+
+  return formatImport(result.rows[0]);
+}
+
+/**
+ * Find user import by ID
+ *
+ * @param {string} importId - Import ID
+ * @returns {Promise<Object|null>} Import or null
+ */
+async function findImportById(importId) {
+  const result = await db.query(
+    'SELECT * FROM user_imports WHERE id = $1',
+    [importId]
+  );
+
+  return result.rows.length > 0 ? formatImport(result.rows[0]) : null;
+}
+
+/**
+ * Mark a previewed import as being committed
+ *
+ * Only one commit can claim an import.
+ *
+ * @param {string} importId - Import ID
+ * @param {string} userId - User committing
+ * @returns {Promise<boolean>} False if the import is not in the previewed state
+ */
+async function claimImport(importId, userId) {
+  const result = await db.query(
+    `UPDATE user_imports
+     SET status = 'committing', committed_by = $2
+     WHERE id = $1 AND status = 'previewed'`,
+    [importId, userId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Return an import whose commit failed to the previewed state
+ *
+ * @param {string} importId - Import ID
+ */
+async function releaseImport(importId) {
+  await db.query(
+    `UPDATE user_imports
+     SET status = 'previewed', committed_by = NULL
+     WHERE id = $1 AND status = 'committing'`,
+    [importId]
+  );
+}
+
+/**
+ * Take the credentials of a committed import
+ *
+ * The stored credentials are cleared in the same statement, so they can be
+ * taken only once.
+ *
+ * @param {string} importId - Import ID
+ * @param {string} userId - User who committed the import
+ * @returns {Promise<string|null>} Encrypted credentials, or null if not available to the user
+ */
+async function takeCredentials(importId, userId) {
+  const result = await db.query(
+    `UPDATE user_imports AS ui
+     SET credentials = NULL, credentials_downloaded_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT id, credentials FROM user_imports
+       WHERE id = $1 AND committed_by = $2 AND credentials IS NOT NULL
+       FOR UPDATE
+     ) AS taken
+     WHERE ui.id = taken.id
+     RETURNING taken.credentials`,
+    [importId, userId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].credentials : null;
+}
+
 /**
  * Format user object with hierarchy
  * 
@@ -230,6 +773,8 @@ function formatUser(row) {
     phone: row.phone,
     role: row.role,
     status: row.status,
+    statusReason: row.status_reason,
+    statusChangedAt: row.status_changed_at,
     employeeId: row.employee_id,
     dateOfBirth: row.date_of_birth,
     hireDate: row.hire_date,
@@ -291,6 +836,21 @@ module.exports = {
   findByEmail,
   findAll,
   count,
+  isInReportingLine,
+  findTeamMembers,
   update,
-  deleteUser
+  deleteUser,
+  updateStatus,
+  findAssignments,
+  findOpenAssignment,
+  applyTransfer,
+  applyDueAssignments,
+  findByEmailsOrEmployeeIds,
+  findFacilitiesByCode,
+  applyImport,
+  createImport,
+  findImportById,
+  claimImport,
+  releaseImport,
+  takeCredentials
 };
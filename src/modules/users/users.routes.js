@@ -9,17 +9,27 @@
 const express = require('express');
 const usersController = require('./users.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
+const { attachDataScope } = require('../../middleware/dataScope.middleware');
 const {
+  adminOnly,
   authorize,
   authorizeSelfOrAdmin
 } = require('../../middleware/roleAuth.middleware');
+const { uploadLimiter } = require('../../middleware/rateLimiter.middleware');
+const { createImportUpload } = require('../../middleware/upload.middleware');
 const {
   validateUserUpdate,
+  validateUserImportQuery,
+  validateUserSuspension,
+  validateUserReactivation,
+  validateUserTransfer,
   validateUuidParam
 } = require('../../middleware/validation.middleware');
 
 const router = express.Router();
 
+const upload = createImportUpload('user-import');
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -32,15 +42,56 @@ router.get('/me', usersController.getMe);
 
 /**
  * @route   GET /api/users
- * @desc    Get all users with filters (admin, supervisor, backstopper)
+ * @desc    Get users in the caller's data scope (admin, supervisor, backstopper)
  * @access  Private
  */
 router.get(
   '/',
   authorize('admin', 'supervisor', 'backstopper'),
+  attachDataScope,
   usersController.getAllUsers
 );
 
+/**
+ * @route   POST /api/users/import
+ * @desc    Queue a user import from CSV/Excel, or a dry run with ?dryRun=true;
+ *          ?sheet= picks the Excel sheet (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/import',
+  adminOnly,
+  uploadLimiter,
+  validateUserImportQuery,
+  upload.single('file'),
+  usersController.importUsers
+);
+
+/**
+ * @route   POST /api/users/import/:id/commit
+ * @desc    Queue the commit of a dry-run import (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/import/:id/commit',
+  adminOnly,
+  validateUuidParam('id'),
+  usersController.commitImport
+);
+
+/**
+ * @route   GET /api/users/import/:id/credentials
+ * @desc    Download the temporary passwords of a committed import as CSV, once
+ *          (admin who committed the import)
+ * @access  Private/Admin
+ */
+router.get(
+  '/import/:id/credentials',
+  adminOnly,
+  validateUuidParam('id'),
+  usersController.downloadImportCredentials
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -76,4 +127,53 @@ router.delete(
   usersController.deleteUser
 );
 
+/**
+ * @route   POST /api/users/:id/suspend
+ * @desc    Suspend an active user and revoke their sessions (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/:id/suspend',
+  adminOnly,
+  validateUserSuspension,
+  usersController.suspendUser
+);
+
+/**
+ * @route   POST /api/users/:id/reactivate
+ * @desc    Reactivate a suspended or inactive user (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/:id/reactivate',
+  adminOnly,
+  validateUserReactivation,
+  usersController.reactivateUser
+);
+
+/**
+ * @route   POST /api/users/:id/transfer
+ * @desc    Transfer a user to another facility and/or supervisor from an
+ *          effective date (admin only)
+ * @access  Private/Admin
+ */
+router.post(
+  '/:id/transfer',
+  adminOnly,
+  validateUserTransfer,
+  usersController.transferUser
+);
+
+/**
+ * @route   GET /api/users/:id/assignments
+ * @desc    Get the facility and supervisor history of a user
+ * @access  Private (self or admin)
+ */
+router.get(
+  '/:id/assignments',
+  validateUuidParam('id'),
+  authorizeSelfOrAdmin('id'),
+  usersController.getUserAssignments
+);
+
 module.exports = router;
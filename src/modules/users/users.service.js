@@ -32,14 +32,15 @@ async function getUserById(userId) {
  * @param {Object} filters - Query filters
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} scope - Caller data scope (see utils/dataScope)
  * @returns {Promise<Object>} Users and pagination info
  */
-async function getAllUsers(filters = {}, page = 1, limit = 50) {
+async function getAllUsers(filters = {}, page = 1, limit = 50, scope = null) {
   const offset = (page - 1) * limit;
   
   const [users, total] = await Promise.all([
-    usersRepository.findAll(filters, limit, offset),
-    usersRepository.count(filters)
+    usersRepository.findAll(filters, limit, offset, scope),
+    usersRepository.count(filters, scope)
   ]);
   
   return {
@@ -67,6 +68,15 @@ async function updateUser(userId, updates) {
     throw new AppError('User not found', 404);
   }
 
+  // Status and assignment changes keep their own history
+  const has = (...keys) => keys.some((key) => updates[key] !== undefined);
+  if (has('status')) {
+    throw new AppError('Use the suspend and reactivate endpoints to change a user\'s status', 400);
+  }
+  if (has('facility_id', 'facilityId', 'supervisor_id', 'supervisorId')) {
+    throw new AppError('Use the transfer endpoint to change a user\'s facility or supervisor', 400);
+  }
+
   // Check if email is being changed and is unique
   if (updates.email && updates.email !== existingUser.email) {
     const emailExists = await usersRepository.findByEmail(updates.email);
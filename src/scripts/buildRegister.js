@@ -0,0 +1,57 @@
+/**
+ * Build Attendance Register Script
+ *
+ * Builds and freezes the attendance register of a past day, e.g. to backfill
+ * days before the nightly job was enabled. Days already frozen are left as is.
+ *
+ * Usage:
+ *   node src/scripts/buildRegister.js <YYYY-MM-DD>
+ */
+
+require('dotenv').config();
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const registerService = require('../modules/attendance/register.service');
+
+/**
+ * Build the register of a day
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Build result
+ */
+async function buildRegister(date) {
+  try {
+    logger.info('Building attendance register', { date });
+
+    return await registerService.buildRegister(date);
+  } catch (error) {
+    logger.error('Building attendance register failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  } finally {
+    await db.close();
+  }
+}
+
+// Get date from command line
+const date = process.argv[2];
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+  console.error('Usage: node src/scripts/buildRegister.js <YYYY-MM-DD>');
+  process.exit(1);
+}
+
+// Run build
+buildRegister(date)
+  .then((result) => {
+    console.log(result.frozen
+      ? `Register for ${result.date} frozen with ${result.entries} entries`
+      : `Register for ${result.date} was already frozen`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Building attendance register failed:', error.message);
+    process.exit(1);
+  });
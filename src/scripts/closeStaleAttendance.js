@@ -0,0 +1,57 @@
+/**
+ * Close Stale Attendance Script
+ *
+ * Runs the stale attendance job once: open records older than the maximum
+ * shift length are closed as incomplete and supervisors are notified
+ *
+ * Usage:
+ *   node src/scripts/closeStaleAttendance.js [maxShiftHours]
+ */
+
+require('dotenv').config();
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const attendanceService = require('../modules/attendance/attendance.service');
+
+/**
+ * Close stale attendance records
+ *
+ * @param {number} maxShiftHours - Optional override of MAX_SHIFT_HOURS
+ * @returns {Promise<Object>} Run summary
+ */
+async function closeStaleAttendance(maxShiftHours) {
+  try {
+    logger.info('Closing stale attendance records');
+
+    return await attendanceService.closeStaleAttendance(
+      maxShiftHours ? { maxShiftHours } : {}
+    );
+  } catch (error) {
+    logger.error('Closing stale attendance records failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  } finally {
+    await db.close();
+  }
+}
+
+// Get optional maximum shift length from command line
+const maxShiftHours = process.argv[2] ? parseInt(process.argv[2], 10) : null;
+
+if (process.argv[2] && !(maxShiftHours > 0)) {
+  console.error('Invalid maximum shift length. Use a positive number of hours');
+  process.exit(1);
+}
+
+// Run job
+closeStaleAttendance(maxShiftHours)
+  .then((summary) => {
+    console.log(`Closed ${summary.closed} record(s), notified ${summary.notified} supervisor(s)`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Closing stale attendance records failed:', error.message);
+    process.exit(1);
+  });
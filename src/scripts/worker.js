@@ -0,0 +1,43 @@
+/**
+ * Job Queue Worker Script
+ *
+ * Runs queued background jobs (imports) outside the API server, e.g. on a
+ * dedicated instance. Set QUEUE_WORKER_ENABLED=false on the API servers to
+ * run jobs here only. Uploaded files must be reachable under UPLOAD_DIR.
+ *
+ * Usage:
+ *   node src/scripts/worker.js
+ */
+
+require('dotenv').config();
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const jobs = require('../jobs');
+
+/**
+ * Stop the worker once running jobs have finished, then exit
+ *
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  logger.info(`${signal} signal received: stopping job worker`);
+
+  try {
+    await jobs.stopWorker();
+    await db.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error while stopping job worker', { error: error.message });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+try {
+  jobs.startWorker();
+} catch (error) {
+  console.error('Starting job worker failed:', error.message);
+  process.exit(1);
+}
@@ -15,12 +15,21 @@ const db = require('./config/database');
 const logger = require('./utils/logger');
 const { notFound, errorHandler } = require('./middleware/errorHandler.middleware');
 const { apiLimiter } = require('./middleware/rateLimiter.middleware');
+const jobs = require('./jobs');
 
 // Import routes
 const authRoutes = require('./modules/auth/auth.routes');
 const usersRoutes = require('./modules/users/users.routes');
+const regionsRoutes = require('./modules/regions/regions.routes');
+const councilsRoutes = require('./modules/councils/councils.routes');
 const facilitiesRoutes = require('./modules/facilities/facilities.routes');
 const attendanceRoutes = require('./modules/attendance/attendance.routes');
+const correctionsRoutes = require('./modules/corrections/corrections.routes');
+const shiftsRoutes = require('./modules/shifts/shifts.routes');
+const leaveRoutes = require('./modules/leave/leave.routes');
+const holidaysRoutes = require('./modules/holidays/holidays.routes');
+const reportsRoutes = require('./modules/reports/reports.routes');
+const jobsRoutes = require('./modules/jobs/jobs.routes');
 
 // Create Express app
 const app = express();
@@ -69,8 +78,16 @@ app.get('/health', async (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/regions', regionsRoutes);
+app.use('/api/councils', councilsRoutes);
 app.use('/api/facilities', facilitiesRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/corrections', correctionsRoutes);
+app.use('/api/shifts', shiftsRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/holidays', holidaysRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // Apply rate limiting to all API routes
 app.use('/api', apiLimiter);
@@ -86,8 +103,16 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       users: '/api/users',
+      regions: '/api/regions',
+      councils: '/api/councils',
       facilities: '/api/facilities',
-      attendance: '/api/attendance'
+      attendance: '/api/attendance',
+      corrections: '/api/corrections',
+      shifts: '/api/shifts',
+      leave: '/api/leave',
+      holidays: '/api/holidays',
+      reports: '/api/reports',
+      jobs: '/api/jobs'
     }
   });
 });
@@ -115,16 +140,28 @@ const server = app.listen(appConfig.app.port, appConfig.app.host, () => {
 ║  Health Check: http://localhost:${appConfig.app.port}/health${' '.repeat(15)}║
 ╚═══════════════════════════════════════════════════════╝
   `);
+
+  if (appConfig.jobs.enabled) {
+    jobs.startJobs();
+  }
+
+  if (appConfig.queue.workerEnabled) {
+    jobs.startWorker();
+  }
 });
 
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} signal received: closing HTTP server`);
+
+  jobs.stopJobs();
   
   server.close(async () => {
     logger.info('HTTP server closed');
     
     try {
+      // Let running background jobs finish before closing the pool
+      await jobs.stopWorker();
       await db.close();
       logger.info('Database connection closed');
       process.exit(0);
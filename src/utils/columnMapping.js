@@ -0,0 +1,134 @@
+/**
+ * Column Mapping Utility Module
+ *
+ * Maps spreadsheet rows with partner-specific headers onto the fields an
+ * import expects. Headers are compared case-insensitively, ignoring spaces,
+ * dashes and underscores, so "Facility Code", "facility_code" and
+ * "FacilityCode" are the same header.
+ *
+ * @module utils/columnMapping
+ */
+
+/**
+ * Headers accepted for each facility import field when no profile says otherwise
+ */
+const FACILITY_FIELDS = {
+  name: ['name', 'facility_name'],
+  code: ['code', 'facility_code'],
+  type: ['type', 'facility_type'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lon', 'lng'],
+  address: ['address'],
+  contactPhone: ['contact_phone', 'phone'],
+  contactEmail: ['contact_email', 'email'],
+  timezone: ['timezone'],
+  councilName: ['council_name', 'council'],
+  councilId: ['council_id']
+};
+
+/**
+ * Headers accepted for each user import field
+ */
+const USER_FIELDS = {
+  email: ['email', 'email_address'],
+  firstName: ['first_name', 'given_name'],
+  lastName: ['last_name', 'surname', 'family_name'],
+  role: ['role'],
+  phone: ['phone', 'phone_number'],
+  employeeId: ['employee_id', 'staff_id'],
+  facilityCode: ['facility_code', 'facility'],
+  supervisor: ['supervisor', 'supervisor_email', 'supervisor_employee_id']
+};
+
+/**
+ * Normalize a header for comparison
+ *
+ * @param {string} header - Header
+ * @returns {string} Lowercase header without spaces, dashes and underscores
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Check a mapping of fields to headers
+ *
+ * @param {Object} mapping - Headers by field ({ field: 'Header' | ['Header', ...] })
+ * @param {Object} fields - Supported fields (e.g. FACILITY_FIELDS)
+ * @returns {Array<string>} Errors, empty if the mapping is valid
+ */
+function validateMapping(mapping, fields) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Columns must map fields to headers'];
+  }
+
+  return Object.keys(mapping).reduce((errors, field) => {
+    const headers = [].concat(mapping[field]);
+
+    if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+      errors.push(`Unknown field: ${field}. Use ${Object.keys(fields).join(', ')}`);
+    } else if (headers.length === 0
+      || !headers.every((header) => typeof header === 'string' && header.trim())) {
+      errors.push(`Headers of ${field} must be non-empty text`);
+    }
+
+    return errors;
+  }, []);
+}
+
+/**
+ * Get the headers to look for per field
+ *
+ * Headers from the mapping come first; the default headers of a field are
+ * still accepted after them.
+ *
+ * @param {Object} fields - Default headers by field
+ * @param {Object|null} mapping - Headers by field from a profile
+ * @returns {Object} Normalized headers by field
+ */
+function buildAliases(fields, mapping = null) {
+  return Object.keys(fields).reduce((aliases, field) => {
+    const headers = [...(mapping && mapping[field] ? [].concat(mapping[field]) : []), ...fields[field]];
+
+    return { ...aliases, [field]: [...new Set(headers.map(normalizeHeader))] };
+  }, {});
+}
+
+/**
+ * Map a row keyed by file headers onto fields
+ *
+ * Each field takes the value of the first of its headers with a non-empty
+ * cell.
+ *
+ * @param {Object} row - Row keyed by file header
+ * @param {Object} aliases - Normalized headers by field (see buildAliases)
+ * @returns {Object} Row keyed by field (missing fields are undefined)
+ */
+function applyMapping(row, aliases) {
+  const cells = Object.keys(row).reduce((byHeader, header) => {
+    const key = normalizeHeader(header);
+    const value = row[header];
+
+    if (!Object.prototype.hasOwnProperty.call(byHeader, key) || byHeader[key] === '') {
+      return { ...byHeader, [key]: value };
+    }
+
+    return byHeader;
+  }, {});
+
+  return Object.keys(aliases).reduce((mapped, field) => {
+    const header = aliases[field].find((alias) => cells[alias] !== undefined
+      && cells[alias] !== null && String(cells[alias]).trim() !== '');
+
+    return { ...mapped, [field]: header !== undefined ? cells[header] : undefined };
+  }, {});
+}
+
+module.exports = {
+  FACILITY_FIELDS,
+  USER_FIELDS,
+  normalizeHeader,
+  validateMapping,
+  buildAliases,
+  applyMapping
+};
@@ -0,0 +1,135 @@
+/**
+ * Data Scope Utility Module
+ *
+ * Row-level scoping of list queries based on the caller's role and position
+ * in the region > council > facility hierarchy or reporting line
+ *
+ * @module utils/dataScope
+ */
+
+/**
+ * Scope levels, from widest to narrowest
+ * - national: no restriction
+ * - region: rows in the caller's region
+ * - council: rows in the caller's council
+ * - facility: rows at the caller's facility
+ * - reporting_line: the caller and everyone below them (users.supervisor_id)
+ * - self: only the caller's own rows
+ */
+const SCOPE_LEVELS = ['national', 'region', 'council', 'facility', 'reporting_line', 'self'];
+
+/**
+ * Scope level per role
+ */
+const ROLE_SCOPE_LEVELS = {
+  admin: 'national',
+  backstopper: 'region',
+  ddo: 'council',
+  supervisor: 'reporting_line',
+  focal: 'facility',
+  data_clerk: 'facility',
+  tester: 'self'
+};
+
+/**
+ * Recursive subquery selecting a user and everyone below them
+ *
+ * @param {string} placeholder - Parameter placeholder holding the root user ID
+ * @returns {string} SQL subquery returning user IDs
+ */
+function reportingLineSubquery(placeholder) {
+  return `WITH RECURSIVE reporting_line AS (
+      SELECT id FROM users WHERE id = ${placeholder}
+      UNION
+      SELECT sub.id FROM users sub
+      INNER JOIN reporting_line rl ON sub.supervisor_id = rl.id
+    )
+    SELECT id FROM reporting_line`;
+}
+
+/**
+ * Resolve the data scope of an authenticated user
+ *
+ * Users whose hierarchy anchor is missing (e.g. a council-level user without
+ * a facility) fall back to their own rows.
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} Scope ({ level, userId, regionId, councilId, facilityId })
+ */
+function resolveScope(user) {
+  const scope = {
+    level: ROLE_SCOPE_LEVELS[user.role] || 'self',
+    userId: user.id,
+    regionId: user.region ? user.region.id : null,
+    councilId: user.council ? user.council.id : null,
+    facilityId: user.facilityId || null
+  };
+
+  const anchors = {
+    region: scope.regionId,
+    council: scope.councilId,
+    facility: scope.facilityId
+  };
+
+  if (scope.level in anchors && !anchors[scope.level]) {
+    scope.level = 'self';
+  }
+
+  return scope;
+}
+
+/**
+ * Build SQL conditions restricting a query to a scope
+ *
+ * `columns` maps the hierarchy to the columns of the query being scoped.
+ * Queries without a user column (e.g. facilities) scope the reporting line
+ * to the facilities its members are assigned to.
+ *
+ * @param {Object} scope - Scope from resolveScope (null means unrestricted)
+ * @param {Object} columns - Column names ({ regionId, councilId, facilityId, userId })
+ * @param {Array} params - Query parameters; scope values are appended
+ * @returns {Array<string>} SQL conditions to AND into the WHERE clause
+ */
+function buildScopeConditions(scope, columns, params) {
+  if (!scope || scope.level === 'national') {
+    return [];
+  }
+
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  switch (scope.level) {
+    case 'region':
+      return [`${columns.regionId} = ${addParam(scope.regionId)}`];
+    case 'council':
+      return [`${columns.councilId} = ${addParam(scope.councilId)}`];
+    case 'facility':
+      return [`${columns.facilityId} = ${addParam(scope.facilityId)}`];
+    case 'reporting_line': {
+      const subquery = reportingLineSubquery(addParam(scope.userId));
+
+      if (columns.userId) {
+        return [`${columns.userId} IN (${subquery})`];
+      }
+
+      return [`${columns.facilityId} IN (
+        SELECT facility_id FROM users WHERE id IN (${subquery})
+      )`];
+    }
+    default:
+      if (columns.userId) {
+        return [`${columns.userId} = ${addParam(scope.userId)}`];
+      }
+
+      return [`${columns.facilityId} = ${addParam(scope.facilityId)}`];
+  }
+}
+
+module.exports = {
+  SCOPE_LEVELS,
+  ROLE_SCOPE_LEVELS,
+  resolveScope,
+  buildScopeConditions
+};
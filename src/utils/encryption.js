@@ -0,0 +1,68 @@
+/**
+ * Encryption Utility Module
+ *
+ * Symmetric encryption (AES-256-GCM) for secrets stored at rest
+ *
+ * @module utils/encryption
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+/**
+ * Derive a 256-bit key from a configured secret
+ *
+ * @param {string} secret - Configured key material
+ * @returns {Buffer} Encryption key
+ */
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+/**
+ * Encrypt a string
+ *
+ * @param {string} plaintext - Value to encrypt
+ * @param {string} secret - Key material
+ * @returns {string} Payload formatted as iv:authTag:ciphertext (base64)
+ */
+function encrypt(plaintext, secret) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a payload produced by encrypt()
+ *
+ * @param {string} payload - iv:authTag:ciphertext payload
+ * @param {string} secret - Key material
+ * @returns {string} Decrypted value
+ * @throws {Error} If the payload is malformed or was tampered with
+ */
+function decrypt(payload, secret) {
+  const parts = String(payload).split(':');
+
+  if (parts.length !== 3) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  const [iv, authTag, ciphertext] = parts.map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
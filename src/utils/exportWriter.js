@@ -0,0 +1,367 @@
+/**
+ * Export Writer Utility Module
+ *
+ * Streams tabular data as CSV or XLSX to a writable stream (e.g. an HTTP
+ * response) row by row, waiting for the stream to drain, so large exports
+ * are never held in memory.
+ *
+ * The XLSX writer produces a single-sheet workbook with inline strings and
+ * no styles. Its ZIP container is written with data descriptors (sizes
+ * follow each entry) and without ZIP64, so a sheet must stay below 4 GB.
+ *
+ * @module utils/exportWriter
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Size of the buffered sheet XML compressed and written at once
+ */
+const XLSX_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Content types per export format
+ */
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ *
+ * Resolves as well when the stream closes (e.g. the client went away);
+ * callers check `output.destroyed` to stop.
+ *
+ * @param {Object} output - Writable stream
+ * @param {Buffer|string} chunk - Data
+ * @returns {Promise<void>}
+ */
+function writeChunk(output, chunk) {
+  if (output.destroyed || output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      output.removeListener('drain', done);
+      output.removeListener('close', done);
+      resolve();
+    };
+    output.once('drain', done);
+    output.once('close', done);
+  });
+}
+
+/**
+ * Format a CSV field
+ *
+ * Text starting with = + - or @ is prefixed with a quote so spreadsheet
+ * applications do not run it as a formula.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a CSV writer
+ *
+ * @param {Object} output - Writable stream
+ * @returns {Object} Writer ({ writeRow(values), end() })
+ */
+function createCsvWriter(output) {
+  // Byte order mark so Excel reads the file as UTF-8
+  let prefix = '﻿';
+
+  return {
+    async writeRow(values) {
+      const line = `${prefix}${values.map((value) => formatCsvField(value)).join(',')}\r\n`;
+      prefix = '';
+      await writeChunk(output, line);
+    },
+
+    async end() {
+      if (prefix) {
+        await writeChunk(output, prefix);
+      }
+    }
+  };
+}
+
+/**
+ * Escape text for XML, dropping characters XML cannot hold
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/[^\t\n\r\u0020-\uFFFD]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the spreadsheet column name of a zero-based index (0 = A, 26 = AA)
+ *
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function columnName(index) {
+  const letter = String.fromCharCode(65 + (index % 26));
+  return index < 26 ? letter : `${columnName(Math.floor(index / 26) - 1)}${letter}`;
+}
+
+/**
+ * Build the XML of a sheet row
+ *
+ * @param {Array} values - Cell values; numbers stay numeric, null leaves the cell empty
+ * @param {number} rowNumber - One-based row number
+ * @returns {string} Row XML
+ */
+function buildRowXml(values, rowNumber) {
+  const cells = values.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+  });
+
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+/**
+ * Static parts of the workbook
+ *
+ * @param {string} sheetName - Sheet name
+ * @returns {Array} Entries ({ name, content })
+ */
+function getWorkbookParts(sheetName) {
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const officeRel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+  return [
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" '
+        + 'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${officeRel}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+        + `xmlns:r="${officeRel}"><sheets>`
+        + `<sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/>`
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${officeRel}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + '</Relationships>'
+    }
+  ];
+}
+
+/**
+ * Get the MS-DOS time and date of a moment, as stored in ZIP headers
+ *
+ * @param {Date} time - Moment
+ * @returns {Object} { time, date }
+ */
+function toDosDateTime(time) {
+  return {
+    time: time.getHours() * 2048 + time.getMinutes() * 32 + Math.floor(time.getSeconds() / 2),
+    date: (time.getFullYear() - 1980) * 512 + (time.getMonth() + 1) * 32 + time.getDate()
+  };
+}
+
+/**
+ * Create an XLSX writer
+ *
+ * @param {Object} output - Writable stream
+ * @param {Object} options - Options ({ sheetName })
+ * @returns {Object} Writer ({ writeRow(values), end() })
+ */
+function createXlsxWriter(output, options = {}) {
+  const modified = toDosDateTime(new Date());
+  const entries = [];
+  let offset = 0;
+  let entry = null;
+  let pending = '';
+  let rowNumber = 0;
+  let started = false;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    await writeChunk(output, buffer);
+  };
+
+  const beginEntry = async (name) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    // Bit 3: sizes in data descriptor, bit 11: UTF-8 name
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(modified.time, 10);
+    header.writeUInt16LE(modified.date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    entry = {
+      name: nameBuffer, offset, crc: 0, size: 0, compressedSize: 0
+    };
+    await write(Buffer.concat([header, nameBuffer]));
+  };
+
+  // Each chunk is compressed on its own and sync-flushed, so the pieces form one deflate stream
+  const writeData = async (text, final = false) => {
+    const data = Buffer.from(text, 'utf8');
+    const compressed = zlib.deflateRawSync(data, {
+      finishFlush: final ? zlib.constants.Z_FINISH : zlib.constants.Z_SYNC_FLUSH
+    });
+
+    entry.crc = zlib.crc32(data, entry.crc);
+    entry.size += data.length;
+    entry.compressedSize += compressed.length;
+    await write(compressed);
+  };
+
+  const endEntry = async () => {
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await write(descriptor);
+    entries.push(entry);
+    entry = null;
+  };
+
+  const start = async () => {
+    started = true;
+
+    await getWorkbookParts(options.sheetName || 'Sheet1').reduce(async (previous, part) => {
+      await previous;
+      await beginEntry(part.name);
+      await writeData(part.content, true);
+      await endEntry();
+    }, Promise.resolve());
+
+    await beginEntry('xl/worksheets/sheet1.xml');
+    pending = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+  };
+
+  const writeCentralDirectory = async () => {
+    const centralStart = offset;
+
+    const records = entries.map((item) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(modified.time, 12);
+      record.writeUInt16LE(modified.date, 14);
+      record.writeUInt32LE(item.crc, 16);
+      record.writeUInt32LE(item.compressedSize, 20);
+      record.writeUInt32LE(item.size, 24);
+      record.writeUInt16LE(item.name.length, 28);
+      record.writeUInt32LE(item.offset, 42);
+      return Buffer.concat([record, item.name]);
+    });
+
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(centralStart, 16);
+
+    await write(Buffer.concat([directory, end]));
+  };
+
+  return {
+    async writeRow(values) {
+      if (!started) {
+        await start();
+      }
+
+      rowNumber += 1;
+      pending += buildRowXml(values, rowNumber);
+
+      if (pending.length >= XLSX_CHUNK_SIZE) {
+        const text = pending;
+        pending = '';
+        await writeData(text);
+      }
+    },
+
+    async end() {
+      if (!started) {
+        await start();
+      }
+
+      await writeData(`${pending}</sheetData></worksheet>`, true);
+      pending = '';
+      await endEntry();
+      await writeCentralDirectory();
+    }
+  };
+}
+
+/**
+ * Create a writer for an export format
+ *
+ * @param {string} format - csv or xlsx
+ * @param {Object} output - Writable stream
+ * @param {Object} options - Options ({ sheetName } for XLSX)
+ * @returns {Object} Writer ({ writeRow(values), end() })
+ */
+function createWriter(format, output, options = {}) {
+  return format === 'xlsx' ? createXlsxWriter(output, options) : createCsvWriter(output);
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  formatCsvField,
+  createCsvWriter,
+  createXlsxWriter,
+  createWriter
+};
@@ -0,0 +1,167 @@
+/**
+ * Geolocation Utility Module
+ *
+ * Distance calculations and geofence evaluation for GPS positions
+ *
+ * @module utils/geo
+ */
+
+/**
+ * Mean Earth radius in meters
+ */
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Supported geofence policies
+ * - reject: refuse the clock event when outside the radius
+ * - flag: accept the clock event but mark it for review
+ * - ignore: do not check the position at all
+ */
+const GEOFENCE_POLICIES = ['reject', 'flag', 'ignore'];
+
+/**
+ * Convert degrees to radians
+ *
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Calculate great-circle distance between two points using the haversine formula
+ *
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Get the latitude/longitude box around a point
+ *
+ * Every point within the radius lies inside the box, so it can prefilter a
+ * distance search on plain latitude/longitude columns. Near the poles the box
+ * spans all longitudes. A box crossing the antimeridian has minLongitude
+ * greater than maxLongitude.
+ *
+ * @param {number} latitude - Latitude of the center
+ * @param {number} longitude - Longitude of the center
+ * @param {number} radiusMeters - Radius in meters
+ * @returns {Object} Box ({ minLatitude, maxLatitude, minLongitude, maxLongitude })
+ */
+function boundingBox(latitude, longitude, radiusMeters) {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const minLatitude = latitude - latDelta;
+  const maxLatitude = latitude + latDelta;
+
+  if (minLatitude <= -90 || maxLatitude >= 90) {
+    return {
+      minLatitude: Math.max(minLatitude, -90),
+      maxLatitude: Math.min(maxLatitude, 90),
+      minLongitude: -180,
+      maxLongitude: 180
+    };
+  }
+
+  // Widest longitude span within the radius, reached at the tangent latitude
+  const lonDelta = Math.asin(Math.sin(radiusMeters / EARTH_RADIUS_METERS) / Math.cos(toRadians(latitude)))
+    * (180 / Math.PI);
+
+  if (lonDelta >= 180 || Number.isNaN(lonDelta)) {
+    return {
+      minLatitude,
+      maxLatitude,
+      minLongitude: -180,
+      maxLongitude: 180
+    };
+  }
+
+  const wrap = (value) => ((((value + 180) % 360) + 360) % 360) - 180;
+
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: longitude - lonDelta < -180 ? wrap(longitude - lonDelta) : longitude - lonDelta,
+    maxLongitude: longitude + lonDelta > 180 ? wrap(longitude + lonDelta) : longitude + lonDelta
+  };
+}
+
+/**
+ * Check whether a value is a usable coordinate number
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a finite number
+ */
+function hasCoordinate(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+/**
+ * Evaluate a GPS position against a facility geofence
+ *
+ * @param {Object} position - Reported position ({ latitude, longitude })
+ * @param {Object} facility - Facility ({ latitude, longitude, geofenceRadius, geofencePolicy })
+ * @param {Object} defaults - Fallback settings ({ radius, policy })
+ * @returns {Object} Evaluation result
+ */
+function evaluateGeofence(position, facility, defaults = {}) {
+  const policy = facility.geofencePolicy || defaults.policy || 'flag';
+  const radiusMeters = Number(facility.geofenceRadius || defaults.radius);
+
+  if (policy === 'ignore') {
+    return { checked: false, policy, reason: 'policy_ignore' };
+  }
+
+  if (!hasCoordinate(facility.latitude) || !hasCoordinate(facility.longitude)) {
+    return { checked: false, policy, reason: 'facility_without_coordinates' };
+  }
+
+  if (!position || !hasCoordinate(position.latitude) || !hasCoordinate(position.longitude)) {
+    return {
+      checked: true,
+      withinRadius: false,
+      distanceMeters: null,
+      radiusMeters,
+      policy,
+      reason: 'missing_location'
+    };
+  }
+
+  const distanceMeters = Math.round(haversineDistance(
+    Number(position.latitude),
+    Number(position.longitude),
+    Number(facility.latitude),
+    Number(facility.longitude)
+  ));
+
+  const withinRadius = distanceMeters <= radiusMeters;
+
+  return {
+    checked: true,
+    withinRadius,
+    distanceMeters,
+    radiusMeters,
+    policy,
+    reason: withinRadius ? null : 'outside_radius'
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  GEOFENCE_POLICIES,
+  haversineDistance,
+  boundingBox,
+  evaluateGeofence
+};
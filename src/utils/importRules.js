@@ -0,0 +1,123 @@
+/**
+ * Import Update Rules Utility Module
+ *
+ * Decides which columns of an existing record an imported row may change.
+ * Each column has one rule:
+ * - overwrite: the file value replaces the stored one, also when empty
+ * - if_provided: the file value replaces the stored one unless the cell is empty
+ * - fill_empty: the file value is only used when nothing is stored yet
+ * - keep: the column is never changed by an import
+ *
+ * @module utils/importRules
+ */
+
+/**
+ * Supported update rules
+ */
+const UPDATE_RULES = ['overwrite', 'if_provided', 'fill_empty', 'keep'];
+
+/**
+ * Check whether a value counts as empty
+ *
+ * @param {*} value - Value
+ * @returns {boolean} True for null, undefined, blank strings and arrays of empty values
+ */
+function isEmpty(value) {
+  if (Array.isArray(value)) {
+    return value.every(isEmpty);
+  }
+
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Compare a stored and an imported value
+ *
+ * Numbers (and numeric strings from DECIMAL columns) are compared as
+ * numbers, arrays element by element, everything else as trimmed text.
+ *
+ * @param {*} a - Stored value
+ * @param {*} b - Imported value
+ * @returns {boolean} True if the values are the same
+ */
+function isSameValue(a, b) {
+  if (isEmpty(a) || isEmpty(b)) {
+    return isEmpty(a) && isEmpty(b);
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+      && a.every((value, i) => isSameValue(value, b[i]));
+  }
+
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Math.abs(Number(a) - Number(b)) < 1e-8;
+  }
+
+  return String(a).trim() === String(b).trim();
+}
+
+/**
+ * Parse update rules given as "column:rule,column:rule"
+ *
+ * @param {string|Object|null} value - Rules as text or { column: rule }
+ * @param {Object} defaults - Rule of every supported column ({ column: rule })
+ * @returns {Object} { rules, errors } with the defaults overridden by value
+ */
+function parseUpdateRules(value, defaults) {
+  const rules = { ...defaults };
+  const errors = [];
+
+  if (isEmpty(value)) {
+    return { rules, errors };
+  }
+
+  const entries = typeof value === 'string'
+    ? value.split(',').filter((entry) => entry.trim()).map((entry) => entry.split(':').map((part) => part.trim()))
+    : Object.entries(value);
+
+  entries.forEach(([column, rule]) => {
+    if (!Object.prototype.hasOwnProperty.call(defaults, column)) {
+      errors.push(`Unknown column in update rules: ${column}`);
+    } else if (!UPDATE_RULES.includes(rule)) {
+      errors.push(`Invalid update rule for ${column}: ${rule}. Use ${UPDATE_RULES.join(', ')}`);
+    } else {
+      rules[column] = rule;
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Work out the changes an imported row makes to an existing record
+ *
+ * @param {Object} existing - Stored values by column
+ * @param {Object} incoming - Imported values by column
+ * @param {Object} rules - Rule by column; columns without a rule are ignored
+ * @returns {Object} Changes by column ({ column: { from, to } }), empty if unchanged
+ */
+function planChanges(existing, incoming, rules) {
+  return Object.keys(rules).reduce((changes, column) => {
+    const rule = rules[column];
+    const from = existing[column];
+    const to = incoming[column];
+
+    if (rule === 'keep'
+      || (rule === 'if_provided' && isEmpty(to))
+      || (rule === 'fill_empty' && !isEmpty(from))
+      || isSameValue(from, to)) {
+      return changes;
+    }
+
+    return { ...changes, [column]: { from, to } };
+  }, {});
+}
+
+module.exports = {
+  UPDATE_RULES,
+  isEmpty,
+  isSameValue,
+  parseUpdateRules,
+  planChanges
+};
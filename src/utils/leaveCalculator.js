@@ -0,0 +1,56 @@
+/**
+ * Leave Calculator Utility Module
+ *
+ * Counts the working days a leave request takes from the balance
+ *
+ * @module utils/leaveCalculator
+ */
+
+const { addDays, getDayOfWeek } = require('./shiftMatcher');
+
+/**
+ * Longest leave request accepted, in calendar days
+ */
+const MAX_LEAVE_CALENDAR_DAYS = 366;
+
+/**
+ * List the calendar dates of an inclusive date range
+ *
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+function listDates(startDate, endDate) {
+  const days = Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`))
+    / (24 * 60 * 60 * 1000));
+
+  if (Number.isNaN(days) || days < 0) {
+    return [];
+  }
+
+  return Array.from({ length: Math.min(days, MAX_LEAVE_CALENDAR_DAYS) + 1 }, (_, i) => addDays(startDate, i));
+}
+
+/**
+ * Count the working days between two dates (inclusive)
+ *
+ * @param {string} startDate - First day of leave (YYYY-MM-DD)
+ * @param {string} endDate - Last day of leave (YYYY-MM-DD)
+ * @param {Object} options - Options
+ * @param {Array<number>} options.workingDays - ISO weekdays worked (1 = Monday)
+ * @param {Array<string>} options.excludedDates - Dates not counted (e.g. public holidays)
+ * @returns {number} Working days
+ */
+function countLeaveDays(startDate, endDate, options) {
+  const excluded = new Set(options.excludedDates || []);
+
+  return listDates(startDate, endDate)
+    .filter((date) => options.workingDays.includes(getDayOfWeek(date)) && !excluded.has(date))
+    .length;
+}
+
+module.exports = {
+  MAX_LEAVE_CALENDAR_DAYS,
+  listDates,
+  countLeaveDays
+};
@@ -0,0 +1,85 @@
+/**
+ * Mailer Utility Module
+ *
+ * Sends email through a pluggable transport. Built-in transports:
+ * - console: logs the message (default, for local development)
+ * - file: writes each message as a JSON file to MAIL_FILE_DIR
+ *
+ * Additional transports (SMTP, HTTP APIs, ...) can be added with
+ * registerTransport() and selected with MAIL_TRANSPORT.
+ *
+ * @module utils/mailer
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const appConfig = require('../config/app');
+const logger = require('./logger');
+
+/**
+ * Registered transports by name
+ * Each transport is an async function receiving the full message
+ */
+const transports = {
+  console: async (message) => {
+    logger.info('Email sent (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  },
+
+  file: async (message) => {
+    const dir = appConfig.mail.fileDir;
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${uuidv4()}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+
+    logger.info('Email written to file', {
+      to: message.to,
+      subject: message.subject,
+      file: fileName
+    });
+  }
+};
+
+/**
+ * Register a mail transport
+ *
+ * @param {string} name - Transport name (used by MAIL_TRANSPORT)
+ * @param {Function} send - Async function receiving the message
+ */
+function registerTransport(name, send) {
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+}
+
+/**
+ * Send an email using the configured transport
+ *
+ * @param {Object} message - Message ({ to, subject, text, html })
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  const transportName = appConfig.mail.transport;
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: appConfig.mail.from,
+    ...message,
+    sentAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,207 @@
+/**
+ * Shift Matcher Utility Module
+ *
+ * Matches clock events to scheduled shifts and classifies them as early,
+ * on time or late. Shift times are local wall-clock times in a timezone;
+ * a shift whose end is not after its start runs overnight into the next day.
+ *
+ * @module utils/shiftMatcher
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * How long before its start a clock-in still counts towards a shift
+ */
+const DEFAULT_EARLY_WINDOW_MINUTES = 120;
+
+/**
+ * Parse a time of day
+ *
+ * @param {string} value - Time (HH:MM or HH:MM:SS)
+ * @returns {number} Minutes since midnight
+ * @throws {Error} If the value is not a valid time
+ */
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/.exec(String(value));
+
+  if (!match) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Get the local calendar date, ISO weekday and UTC offset of an instant
+ *
+ * @param {Date} time - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', dayOfWeek: 1 (Mon) - 7 (Sun), offsetMs }
+ */
+function getLocalParts(time, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(time).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const localMs = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  const weekday = new Date(localMs).getUTCDay();
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayOfWeek: weekday === 0 ? 7 : weekday,
+    offsetMs: localMs - Math.floor(time.getTime() / 1000) * 1000
+  };
+}
+
+/**
+ * Add days to a calendar date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the ISO weekday of a calendar date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} 1 (Monday) - 7 (Sunday)
+ */
+function getDayOfWeek(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday === 0 ? 7 : weekday;
+}
+
+/**
+ * Build the occurrence of a shift on a local date
+ *
+ * @param {Object} shift - Shift ({ startTime, endTime, daysOfWeek, graceMinutes })
+ * @param {string} date - Local date the shift starts on (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {Object|null} { shift, date, start, end } or null if the shift does not run that day
+ */
+function getOccurrence(shift, date, timezone) {
+  if (!shift.daysOfWeek.includes(getDayOfWeek(date))) {
+    return null;
+  }
+
+  const startMinutes = parseTimeOfDay(shift.startTime);
+  const endMinutes = parseTimeOfDay(shift.endTime);
+  const midnightLocalMs = Date.parse(`${date}T00:00:00Z`);
+
+  // Offset at midday avoids picking the wrong side of a DST change at midnight
+  const { offsetMs } = getLocalParts(new Date(midnightLocalMs + DAY_MS / 2), timezone);
+
+  const startLocalMs = midnightLocalMs + startMinutes * MINUTE_MS;
+  const endLocalMs = midnightLocalMs + endMinutes * MINUTE_MS + (endMinutes <= startMinutes ? DAY_MS : 0);
+
+  return {
+    shift,
+    date,
+    start: new Date(startLocalMs - offsetMs),
+    end: new Date(endLocalMs - offsetMs)
+  };
+}
+
+/**
+ * Get the occurrences of shifts on a local date, ordered by start
+ *
+ * @param {Array<Object>} shifts - Shifts
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} timezone - IANA timezone
+ * @returns {Array<Object>} Occurrences ({ shift, date, start, end })
+ */
+function getOccurrences(shifts, date, timezone) {
+  return shifts
+    .map((shift) => getOccurrence(shift, date, timezone))
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the shift occurrence a clock-in belongs to
+ *
+ * Candidates are occurrences starting on the local day before, of or after
+ * the clock-in (covering overnight shifts) that the clock-in falls into,
+ * counting from `earlyWindowMinutes` before the start until the end. The
+ * candidate starting closest to the clock-in wins.
+ *
+ * @param {Array<Object>} shifts - Shifts the user is assigned to
+ * @param {Date} time - Clock-in time
+ * @param {Object} options - Options ({ timezone, earlyWindowMinutes })
+ * @returns {Object|null} Matching occurrence ({ shift, date, start, end }) or null
+ */
+function matchShift(shifts, time, options) {
+  const earlyWindowMs = (options.earlyWindowMinutes === undefined
+    ? DEFAULT_EARLY_WINDOW_MINUTES
+    : options.earlyWindowMinutes) * MINUTE_MS;
+  const localDate = getLocalParts(time, options.timezone).date;
+
+  const candidates = [-1, 0, 1]
+    .flatMap((days) => getOccurrences(shifts, addDays(localDate, days), options.timezone))
+    .filter((occurrence) => time >= occurrence.start - earlyWindowMs && time < occurrence.end);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return candidates.reduce((best, occurrence) => (
+    Math.abs(time - occurrence.start) < Math.abs(time - best.start) ? occurrence : best
+  ));
+}
+
+/**
+ * Classify a clock event against its scheduled time
+ *
+ * Events within `graceMinutes` either side of the scheduled time are on time.
+ *
+ * @param {Date} scheduled - Scheduled time (shift start or end)
+ * @param {Date} actual - Clock event time
+ * @param {number} graceMinutes - Tolerance in minutes
+ * @returns {Object} { status: 'early' | 'on_time' | 'late', minutes } (minutes > 0 when after schedule)
+ */
+function classifyTiming(scheduled, actual, graceMinutes) {
+  const minutes = Math.round((new Date(actual) - new Date(scheduled)) / MINUTE_MS);
+
+  let status = 'on_time';
+  if (minutes > graceMinutes) {
+    status = 'late';
+  } else if (minutes < -graceMinutes) {
+    status = 'early';
+  }
+
+  return { status, minutes };
+}
+
+module.exports = {
+  DEFAULT_EARLY_WINDOW_MINUTES,
+  parseTimeOfDay,
+  getLocalParts,
+  addDays,
+  getDayOfWeek,
+  getOccurrences,
+  matchShift,
+  classifyTiming
+};
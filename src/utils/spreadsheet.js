@@ -0,0 +1,110 @@
+/**
+ * Spreadsheet Utility Module
+ *
+ * Reads rows from uploaded CSV and Excel files
+ *
+ * @module utils/spreadsheet
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const xlsx = require('xlsx');
+const logger = require('./logger');
+
+/**
+ * MIME types parsed as CSV
+ */
+const CSV_TYPES = ['text/csv', 'application/vnd.ms-excel'];
+
+/**
+ * MIME types parsed as Excel workbooks
+ */
+const EXCEL_TYPES = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+
+/**
+ * Check whether a file type can be parsed
+ *
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} True if supported
+ */
+function isSupported(mimeType) {
+  return CSV_TYPES.includes(mimeType) || EXCEL_TYPES.includes(mimeType);
+}
+
+/**
+ * Parse CSV file
+ *
+ * @param {string} filePath - Path to CSV file
+ * @returns {Promise<Array>} Parsed records
+ */
+async function parseCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    const stream = fs.createReadStream(filePath);
+
+    stream
+      .pipe(csv())
+      .on('data', (data) => results.push(data))
+      .on('end', () => resolve(results))
+      .on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Parse Excel file
+ *
+ * Reads the named sheet, or the first sheet without a name. An unknown sheet
+ * name throws an error with code SHEET_NOT_FOUND.
+ *
+ * @param {string} filePath - Path to Excel file
+ * @param {string|null} sheetName - Sheet to read
+ * @returns {Promise<Array>} Parsed records
+ */
+async function parseExcel(filePath, sheetName = null) {
+  const workbook = xlsx.readFile(filePath);
+  const name = sheetName
+    ? workbook.SheetNames.find((sheet) => sheet.trim().toLowerCase() === sheetName.trim().toLowerCase())
+    : workbook.SheetNames[0];
+
+  if (!name) {
+    const error = new Error(`Sheet not found: ${sheetName}. Sheets in file: ${workbook.SheetNames.join(', ')}`);
+    error.code = 'SHEET_NOT_FOUND';
+    throw error;
+  }
+
+  return xlsx.utils.sheet_to_json(workbook.Sheets[name]);
+}
+
+/**
+ * Parse an uploaded CSV or Excel file into row objects keyed by header
+ *
+ * @param {string} filePath - Path to the file
+ * @param {string} mimeType - File MIME type (see isSupported)
+ * @param {Object} options - Options ({ sheetName } for Excel files)
+ * @returns {Promise<Array>} Parsed records
+ */
+async function parseFile(filePath, mimeType, options = {}) {
+  return CSV_TYPES.includes(mimeType) ? parseCSV(filePath) : parseExcel(filePath, options.sheetName);
+}
+
+/**
+ * Delete an uploaded file, logging instead of failing
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<void>}
+ */
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    logger.warn('Failed to delete uploaded file', { filePath });
+  }
+}
+
+module.exports = {
+  isSupported,
+  parseCSV,
+  parseExcel,
+  parseFile,
+  removeFile
+};
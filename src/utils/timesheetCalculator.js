@@ -0,0 +1,118 @@
+/**
+ * Timesheet Calculator Utility Module
+ *
+ * Turns closed attendance records into worked minutes per local day and
+ * splits them into regular and overtime
+ *
+ * @module utils/timesheetCalculator
+ */
+
+const { getLocalParts, addDays, getDayOfWeek } = require('./shiftMatcher');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get the Monday of the ISO week containing a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Week start (YYYY-MM-DD)
+ */
+function getWeekStart(date) {
+  return addDays(date, 1 - getDayOfWeek(date));
+}
+
+/**
+ * Get the first and last day of the period containing a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} period - day, week or month
+ * @returns {Object} { start, end } (YYYY-MM-DD)
+ */
+function getPeriod(date, period) {
+  if (period === 'week') {
+    const start = getWeekStart(date);
+    return { start, end: addDays(start, 6) };
+  }
+
+  if (period === 'month') {
+    const start = `${date.slice(0, 7)}-01`;
+    const nextMonth = new Date(Date.parse(`${start}T00:00:00Z`));
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    return { start, end: addDays(nextMonth.toISOString().slice(0, 10), -1) };
+  }
+
+  return { start: date, end: date };
+}
+
+/**
+ * Convert minutes to hours rounded to two decimals
+ *
+ * @param {number} minutes - Minutes
+ * @returns {number} Hours
+ */
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+/**
+ * Split closed attendance records into regular and overtime minutes
+ *
+ * A record counts towards the local day its clock-in falls on, in the
+ * record's timezone, so a night shift crossing midnight stays on the day it
+ * started. Per user, records are consumed in clock-in order: minutes beyond
+ * `dailyOvertimeHours` worked that day, or beyond `weeklyOvertimeHours` of
+ * regular time in the ISO week (Monday to Sunday), are overtime. A threshold
+ * of 0 disables it.
+ *
+ * @param {Array} records - Records ({ userId, clockIn, clockOut, timezone, ... })
+ * @param {Object} options - Thresholds
+ * @param {number} options.dailyOvertimeHours - Regular hours per day
+ * @param {number} options.weeklyOvertimeHours - Regular hours per week
+ * @returns {Array} Records with { date, workedMinutes, regularMinutes, overtimeMinutes } added
+ */
+function allocateOvertime(records, options) {
+  const dailyLimit = options.dailyOvertimeHours > 0 ? options.dailyOvertimeHours * 60 : Infinity;
+  const weeklyLimit = options.weeklyOvertimeHours > 0 ? options.weeklyOvertimeHours * 60 : Infinity;
+
+  const dayWorked = new Map();
+  const weekRegular = new Map();
+
+  const sorted = [...records].sort((a, b) => (a.userId === b.userId
+    ? new Date(a.clockIn) - new Date(b.clockIn)
+    : String(a.userId).localeCompare(String(b.userId))));
+
+  return sorted.map((record) => {
+    const clockIn = new Date(record.clockIn);
+    const { date } = getLocalParts(clockIn, record.timezone);
+    const workedMinutes = Math.max(0, Math.round((new Date(record.clockOut) - clockIn) / MINUTE_MS));
+
+    const dayKey = `${record.userId}|${date}`;
+    const weekKey = `${record.userId}|${getWeekStart(date)}`;
+    const workedToday = dayWorked.get(dayKey) || 0;
+    const regularThisWeek = weekRegular.get(weekKey) || 0;
+
+    const regularMinutes = Math.min(
+      workedMinutes,
+      Math.max(0, dailyLimit - workedToday),
+      Math.max(0, weeklyLimit - regularThisWeek)
+    );
+
+    dayWorked.set(dayKey, workedToday + workedMinutes);
+    weekRegular.set(weekKey, regularThisWeek + regularMinutes);
+
+    return {
+      ...record,
+      date,
+      workedMinutes,
+      regularMinutes,
+      overtimeMinutes: workedMinutes - regularMinutes
+    };
+  });
+}
+
+module.exports = {
+  getWeekStart,
+  getPeriod,
+  toHours,
+  allocateOvertime
+};
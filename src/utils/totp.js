@@ -0,0 +1,188 @@
+/**
+ * TOTP Utility Module
+ *
+ * Time-based one-time passwords (RFC 6238) compatible with common
+ * authenticator apps (Google Authenticator, Authy, Microsoft Authenticator)
+ *
+ * @module utils/totp
+ */
+
+const crypto = require('crypto');
+
+/**
+ * RFC 4648 base32 alphabet
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Default TOTP parameters (the values authenticator apps assume)
+ */
+const DEFAULTS = {
+  digits: 6,
+  period: 30,
+  algorithm: 'sha1'
+};
+
+/**
+ * Encode a buffer as base32 (no padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  const bits = Array.from(buffer, (byte) => byte.toString(2).padStart(8, '0')).join('');
+  let output = '';
+
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+
+  const bits = Array.from(cleaned, (char) => {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    return index.toString(2).padStart(5, '0');
+  }).join('');
+
+  // Trailing bits that do not form a full byte are padding
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 secret
+ *
+ * @param {number} size - Secret size in bytes (20 bytes = 160 bits, as recommended for SHA-1)
+ * @returns {string} Base32 secret
+ */
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+/**
+ * Generate the HOTP code for a counter value (RFC 4226)
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @param {Object} options - Options ({ digits, algorithm })
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(secret, counter, options = {}) {
+  const { digits, algorithm } = { ...DEFAULTS, ...options };
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation: low 4 bits of the last byte select a 31-bit window
+  const offset = hmac[hmac.length - 1] % 16;
+  const binary = hmac.readUInt32BE(offset) % (2 ** 31);
+
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ *
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} period - Step length in seconds
+ * @returns {number} Time step counter
+ */
+function getCounter(time = Date.now(), period = DEFAULTS.period) {
+  return Math.floor(time / 1000 / period);
+}
+
+/**
+ * Generate the TOTP code for a point in time
+ *
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - Options ({ time, digits, period, algorithm })
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(secret, options = {}) {
+  const { period } = { ...DEFAULTS, ...options };
+  return generateHotp(secret, getCounter(options.time, period), options);
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ *
+ * Returns the matching time step so callers can reject reuse of a code
+ * (only accept counters greater than the last one used).
+ *
+ * @param {string} token - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - Options ({ time, window, digits, period, algorithm })
+ * @returns {number|null} Matching time step, or null if invalid
+ */
+function verifyTotp(token, secret, options = {}) {
+  const { digits, period } = { ...DEFAULTS, ...options };
+  const window = options.window === undefined ? 1 : options.window;
+  const code = String(token || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const current = getCounter(options.time, period);
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const counter = current + offset;
+    const expected = generateHotp(secret, counter, options);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI rendered as a QR code by clients
+ *
+ * @param {Object} params - URI parameters ({ secret, accountName, issuer })
+ * @returns {string} Provisioning URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: DEFAULTS.algorithm.toUpperCase(),
+    digits: String(DEFAULTS.digits),
+    period: String(DEFAULTS.period)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -101,6 +101,36 @@ function isValidFacilityStatus(status) {
   return validStatuses.includes(status);
 }
 
+/**
+ * Validate facility geofence policy
+ *
+ * @param {string} policy - Geofence policy to validate
+ * @returns {boolean} True if valid policy
+ */
+function isValidGeofencePolicy(policy) {
+  const validPolicies = ['reject', 'flag', 'ignore'];
+  return validPolicies.includes(policy);
+}
+
+/**
+ * Validate IANA timezone name
+ *
+ * @param {string} timezone - Timezone to validate (e.g. Africa/Kigali)
+ * @returns {boolean} True if the runtime knows the timezone
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone }).format();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Validate attendance status
  * 
@@ -165,6 +195,8 @@ module.exports = {
   isValidRole,
   isValidUserStatus,
   isValidFacilityStatus,
+  isValidGeofencePolicy,
+  isValidTimezone,
   isValidAttendanceStatus,
   isValidConflictStrategy,
   isValidUUID,
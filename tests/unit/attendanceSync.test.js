@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for Offline Attendance Sync
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/attendance/attendance.repository');
+jest.mock('../../src/modules/attendance/register.service');
+jest.mock('../../src/modules/leave/leave.service');
+jest.mock('../../src/modules/shifts/shifts.service');
+
+const db = require('../../src/config/database');
+const attendanceRepository = require('../../src/modules/attendance/attendance.repository');
+const registerService = require('../../src/modules/attendance/register.service');
+const leaveService = require('../../src/modules/leave/leave.service');
+const shiftsService = require('../../src/modules/shifts/shifts.service');
+const attendanceService = require('../../src/modules/attendance/attendance.service');
+
+describe('Offline Attendance Sync', () => {
+  const facility = {
+    id: '11111111-1111-4111-8111-111111111111',
+    latitude: '-1.95360000',
+    longitude: '30.06060000',
+    geofence_radius: 100,
+    geofence_policy: 'reject',
+    status: 'active'
+  };
+  const shift = { shiftId: 's1', arrival: { status: 'late', minutes: 20 } };
+
+  const offlineRecord = (overrides = {}) => ({
+    facilityId: facility.id,
+    clockIn: '2024-07-10T08:20:00Z',
+    clockInLatitude: -1.9536,
+    clockInLongitude: 30.0606,
+    deviceId: 'device-1',
+    device_id: 'device-1',
+    clientTimestamp: '2024-07-10T08:20:00Z',
+    client_timestamp: '2024-07-10T08:20:00Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockImplementation(async (sql) => (sql.includes('FROM facilities')
+      ? { rows: [facility] }
+      : { rows: [] }));
+    attendanceRepository.create.mockResolvedValue({ id: 'a1' });
+    leaveService.checkClockIn.mockResolvedValue(null);
+    shiftsService.matchClockIn.mockResolvedValue(shift);
+  });
+
+  it('should build metadata on the server with the matched shift', async () => {
+    const result = await attendanceService.syncOfflineRecords('u1', [
+      offlineRecord({ metadata: { geofence: { flagged: false }, forged: true } })
+    ]);
+
+    expect(result.synced).toBe(1);
+    expect(registerService.assertEditable).toHaveBeenCalledWith(new Date('2024-07-10T08:20:00Z'));
+    expect(leaveService.checkClockIn).toHaveBeenCalledWith('u1', new Date('2024-07-10T08:20:00Z'), undefined);
+    expect(attendanceRepository.create.mock.calls[0][0].metadata).toEqual({ shift });
+  });
+
+  it('should apply the facility geofence policy', async () => {
+    const result = await attendanceService.syncOfflineRecords('u1', [
+      offlineRecord({ clockInLatitude: -1.97, clockInLongitude: 30.1 })
+    ]);
+
+    expect(result.errors).toBe(1);
+    expect(attendanceRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse clock-ins during approved leave', async () => {
+    leaveService.checkClockIn.mockRejectedValue(new Error('You are on approved annual leave'));
+
+    const result = await attendanceService.syncOfflineRecords('u1', [offlineRecord()]);
+
+    expect(result.errors).toBe(1);
+    expect(attendanceRepository.create).not.toHaveBeenCalled();
+  });
+});
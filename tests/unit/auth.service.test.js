@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for Auth Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/auth/token.service');
+jest.mock('../../src/modules/auth/lockout.service');
+jest.mock('../../src/utils/mailer');
+
+const jwt = require('jsonwebtoken');
+const db = require('../../src/config/database');
+const tokenService = require('../../src/modules/auth/token.service');
+const passwordService = require('../../src/modules/auth/password.service');
+const lockoutService = require('../../src/modules/auth/lockout.service');
+const mailer = require('../../src/utils/mailer');
+const authService = require('../../src/modules/auth/auth.service');
+
+describe('Auth Service', () => {
+  const stored = { id: 't1', user_id: 'u1', family_id: 'family-1' };
+  const user = {
+    id: 'u1',
+    email: 'alice@example.com',
+    role: 'tester',
+    status: 'active',
+    password_changed_at: new Date(),
+    must_change_password: false,
+    two_factor_enabled: false
+  };
+
+  const mockUser = (overrides = {}) => {
+    db.query.mockResolvedValue({ rows: [{ ...user, ...overrides }] });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    tokenService.findValidRefreshToken.mockResolvedValue(stored);
+    tokenService.rotateRefreshToken.mockResolvedValue('next-refresh-token');
+  });
+
+  describe('refreshAccessToken', () => {
+    it('should rotate the refresh token of a user in good standing', async () => {
+      mockUser();
+
+      const tokens = await authService.refreshAccessToken('refresh-token');
+
+      expect(tokens.refreshToken).toBe('next-refresh-token');
+      expect(jwt.decode(tokens.accessToken).scope).toBeUndefined();
+      expect(tokenService.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('should only issue a password change token once the password has expired', async () => {
+      mockUser({ password_changed_at: new Date('2000-01-01') });
+
+      const tokens = await authService.refreshAccessToken('refresh-token');
+
+      expect(tokens).toMatchObject({ passwordChangeRequired: true, reason: 'expired', scope: 'password_change' });
+      expect(tokens.refreshToken).toBeUndefined();
+      expect(jwt.decode(tokens.accessToken).scope).toBe('password_change');
+      expect(tokenService.rotateRefreshToken).not.toHaveBeenCalled();
+      expect(tokenService.revokeFamily).toHaveBeenCalledWith('family-1', 'password_change_required');
+    });
+
+    it('should keep imported users on a password change token', async () => {
+      mockUser({ must_change_password: true });
+
+      await expect(authService.refreshAccessToken('refresh-token'))
+        .resolves.toMatchObject({ reason: 'reset_required', scope: 'password_change' });
+    });
+
+    it('should only issue a setup token while mandatory two-factor is not enrolled', async () => {
+      mockUser({ role: 'supervisor' });
+
+      const tokens = await authService.refreshAccessToken('refresh-token');
+
+      expect(tokens).toMatchObject({ twoFactorSetupRequired: true, scope: 'two_factor_setup' });
+      expect(tokenService.revokeFamily).toHaveBeenCalledWith('family-1', 'two_factor_setup_required');
+    });
+
+    it('should revoke the session of an inactive user', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(authService.refreshAccessToken('refresh-token')).rejects.toMatchObject({ statusCode: 401 });
+      expect(tokenService.revokeFamily).toHaveBeenCalledWith('family-1', 'user_inactive');
+    });
+  });
+
+  describe('requestPasswordReset', () => {
+    const trx = { query: jest.fn() };
+
+    beforeEach(() => {
+      db.transaction.mockImplementation((callback) => callback(trx));
+      trx.query.mockResolvedValue({ rows: [] });
+      tokenService.hashToken.mockImplementation((token) => `hash:${token}`);
+    });
+
+    it('should store the hash of a single-use token and email the token', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 'u1', email: 'alice@example.com', first_name: 'Alice' }] });
+
+      await authService.requestPasswordReset('Alice@Example.com', { ipAddress: '10.0.0.1' });
+
+      const [invalidate, insert] = trx.query.mock.calls;
+      const [message] = mailer.sendMail.mock.calls[0];
+      const token = message.text.match(/token=([0-9a-f]{64})/)[1];
+
+      expect(db.query.mock.calls[0][1]).toEqual(['alice@example.com']);
+      expect(invalidate[0]).toContain('used_at IS NULL');
+      expect(invalidate[1]).toEqual(['u1']);
+      expect(insert[1]).toEqual(['u1', `hash:${token}`, 60, '10.0.0.1']);
+      expect(message.to).toBe('alice@example.com');
+    });
+
+    it('should not reveal unknown or inactive emails', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(authService.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+      expect(db.transaction).not.toHaveBeenCalled();
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    const trx = { query: jest.fn() };
+
+    beforeEach(() => {
+      db.transaction.mockImplementation((callback) => callback(trx));
+      db.query.mockResolvedValue({ rows: [] });
+      trx.query.mockResolvedValue({ rows: [] });
+      tokenService.hashToken.mockImplementation((token) => `hash:${token}`);
+      jest.spyOn(passwordService, 'hashPassword').mockResolvedValue('new-hash');
+    });
+
+    it('should consume the token, set the password and revoke every session', async () => {
+      trx.query.mockResolvedValueOnce({ rows: [{ user_id: 'u1' }] });
+
+      await authService.resetPassword('reset-token', 'N3w!Password#2024');
+
+      const [consume] = trx.query.mock.calls;
+      const update = trx.query.mock.calls.find(([sql]) => sql.includes('SET password_hash'));
+
+      expect(consume[1]).toEqual(['hash:reset-token']);
+      expect(update[1]).toEqual(['new-hash', 'u1']);
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith('u1', 'password_reset');
+      expect(lockoutService.resetFailedAttempts).toHaveBeenCalledWith('u1');
+    });
+
+    it('should keep sessions when the new password is rejected', async () => {
+      trx.query.mockResolvedValueOnce({ rows: [{ user_id: 'u1' }] });
+
+      await expect(authService.resetPassword('reset-token', 'weak')).rejects.toMatchObject({ statusCode: 400 });
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit Tests for Column Mapping
+ */
+
+const columnMapping = require('../../src/utils/columnMapping');
+
+describe('Column Mapping', () => {
+  const fields = {
+    code: ['code', 'facility_code'],
+    latitude: ['latitude', 'lat'],
+    councilName: ['council_name']
+  };
+
+  describe('normalizeHeader', () => {
+    it('should ignore case, spaces, dashes and underscores', () => {
+      expect(columnMapping.normalizeHeader('Facility Code')).toBe('facilitycode');
+      expect(columnMapping.normalizeHeader('facility_code')).toBe('facilitycode');
+      expect(columnMapping.normalizeHeader('FACILITY-CODE')).toBe('facilitycode');
+    });
+  });
+
+  describe('validateMapping', () => {
+    it('should accept a header or a list of headers per field', () => {
+      expect(columnMapping.validateMapping({ code: 'MFL Code', latitude: ['Y', 'GPS Lat'] }, fields)).toEqual([]);
+    });
+
+    it('should report unknown fields and empty headers', () => {
+      const errors = columnMapping.validateMapping({ region: 'Region', code: [], latitude: [' '] }, fields);
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('region');
+      expect(columnMapping.validateMapping(['code'], fields)).toHaveLength(1);
+    });
+  });
+
+  describe('applyMapping', () => {
+    it('should map default headers without a profile', () => {
+      const aliases = columnMapping.buildAliases(fields);
+
+      expect(columnMapping.applyMapping({ 'Facility Code': 'F-1', Lat: -1.95, councilName: 'Gasabo' }, aliases))
+        .toEqual({ code: 'F-1', latitude: -1.95, councilName: 'Gasabo' });
+    });
+
+    it('should prefer profile headers and fall back to the defaults', () => {
+      const aliases = columnMapping.buildAliases(fields, { code: 'MFL Code', latitude: ['Y'] });
+      const row = {
+        'MFL Code': '',
+        code: 'F-2',
+        Y: '-2.1',
+        latitude: '-1.9'
+      };
+
+      expect(columnMapping.applyMapping(row, aliases))
+        .toEqual({ code: 'F-2', latitude: '-2.1', councilName: undefined });
+    });
+  });
+});
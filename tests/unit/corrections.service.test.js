@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Corrections Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/corrections/corrections.repository');
+jest.mock('../../src/modules/attendance/attendance.repository');
+jest.mock('../../src/modules/attendance/register.service');
+jest.mock('../../src/modules/users/users.repository');
+
+const db = require('../../src/config/database');
+const correctionsRepository = require('../../src/modules/corrections/corrections.repository');
+const attendanceRepository = require('../../src/modules/attendance/attendance.repository');
+const registerService = require('../../src/modules/attendance/register.service');
+const usersRepository = require('../../src/modules/users/users.repository');
+const correctionsService = require('../../src/modules/corrections/corrections.service');
+
+describe('Corrections Service', () => {
+  const reviewer = { id: 'sup-1', role: 'supervisor' };
+  const trx = { query: jest.fn() };
+
+  const attendance = {
+    id: 'a1',
+    user_id: 'u1',
+    clock_in: new Date('2024-07-10T06:40:00Z'),
+    clock_out: null,
+    status: 'clocked_in'
+  };
+
+  const mockCorrection = (overrides = {}) => {
+    correctionsRepository.findByIdForUpdate.mockResolvedValue({
+      id: 'c1',
+      attendance_id: 'a1',
+      requested_by: 'u1',
+      status: 'pending',
+      proposed_clock_in: new Date('2024-07-10T06:05:00Z'),
+      proposed_clock_out: new Date('2024-07-10T15:00:00Z'),
+      ...overrides
+    });
+  };
+
+  const queriesMatching = (text) => trx.query.mock.calls.filter(([sql]) => sql.includes(text));
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.transaction.mockImplementation((callback) => callback(trx));
+    trx.query.mockImplementation(async (sql) => (sql.includes('FROM attendance')
+      ? { rows: [attendance] }
+      : { rows: [] }));
+    usersRepository.isInReportingLine.mockResolvedValue(true);
+    correctionsRepository.findById.mockResolvedValue({ id: 'c1', status: 'approved' });
+    mockCorrection();
+  });
+
+  describe('approveCorrection', () => {
+    it('should apply the correction and keep the previous values in history', async () => {
+      await correctionsService.approveCorrection(reviewer, 'c1', 'Checked the roster');
+
+      expect(attendanceRepository.insertHistory).toHaveBeenCalledWith({
+        attendanceId: 'a1',
+        changedBy: 'sup-1',
+        changeSource: 'correction',
+        correctionId: 'c1',
+        previousValues: { clockIn: attendance.clock_in, clockOut: null, status: 'clocked_in' },
+        newValues: {
+          clockIn: new Date('2024-07-10T06:05:00Z'),
+          clockOut: new Date('2024-07-10T15:00:00Z'),
+          status: 'clocked_out'
+        }
+      }, trx);
+
+      const [[, params]] = queriesMatching('UPDATE attendance SET');
+      expect(params).toEqual([
+        new Date('2024-07-10T06:05:00Z'), new Date('2024-07-10T15:00:00Z'), 'clocked_out', 'c1', 'a1'
+      ]);
+      expect(correctionsRepository.updateStatus).toHaveBeenCalledWith('c1', {
+        status: 'approved',
+        reviewedBy: 'sup-1',
+        reviewNotes: 'Checked the roster'
+      }, trx);
+    });
+
+    it('should keep the fields the correction does not change', async () => {
+      mockCorrection({ proposed_clock_out: null });
+
+      await correctionsService.approveCorrection(reviewer, 'c1');
+
+      const [[, params]] = queriesMatching('UPDATE attendance SET');
+      expect(params.slice(0, 3)).toEqual([new Date('2024-07-10T06:05:00Z'), null, 'clocked_in']);
+    });
+
+    it('should refresh the register days of the old and new clock-in', async () => {
+      await correctionsService.approveCorrection(reviewer, 'c1');
+
+      expect(registerService.refreshEntries)
+        .toHaveBeenCalledWith('u1', [attendance.clock_in, new Date('2024-07-10T06:05:00Z')], 'c1');
+    });
+
+    it('should keep the approval when the register refresh fails', async () => {
+      registerService.refreshEntries.mockRejectedValue(new Error('Register is frozen'));
+
+      await expect(correctionsService.approveCorrection(reviewer, 'c1')).resolves.toMatchObject({ status: 'approved' });
+    });
+
+    it('should refuse reviewers outside the requester reporting line', async () => {
+      usersRepository.isInReportingLine.mockResolvedValue(false);
+
+      await expect(correctionsService.approveCorrection(reviewer, 'c1')).rejects.toMatchObject({ statusCode: 403 });
+      expect(attendanceRepository.insertHistory).not.toHaveBeenCalled();
+    });
+
+    it('should refuse corrections that are no longer pending', async () => {
+      mockCorrection({ status: 'cancelled' });
+
+      await expect(correctionsService.approveCorrection(reviewer, 'c1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(queriesMatching('UPDATE attendance SET')).toHaveLength(0);
+    });
+
+    it('should refuse a clock-out before the clock-in', async () => {
+      mockCorrection({ proposed_clock_in: null, proposed_clock_out: new Date('2024-07-10T06:00:00Z') });
+
+      await expect(correctionsService.approveCorrection(reviewer, 'c1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(attendanceRepository.insertHistory).not.toHaveBeenCalled();
+      expect(correctionsRepository.updateStatus).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for Data Scope Utilities
+ */
+
+const { resolveScope, buildScopeConditions } = require('../../src/utils/dataScope');
+
+describe('Data Scope Utilities', () => {
+  const user = {
+    id: 'user-1',
+    role: 'backstopper',
+    facilityId: 'facility-1',
+    council: { id: 'council-1' },
+    region: { id: 'region-1' }
+  };
+
+  const columns = {
+    regionId: 'c.region_id',
+    councilId: 'f.council_id',
+    facilityId: 'u.facility_id',
+    userId: 'u.id'
+  };
+
+  describe('resolveScope', () => {
+    it('should map roles to scope levels', () => {
+      expect(resolveScope({ ...user, role: 'admin' }).level).toBe('national');
+      expect(resolveScope(user).level).toBe('region');
+      expect(resolveScope({ ...user, role: 'ddo' }).level).toBe('council');
+      expect(resolveScope({ ...user, role: 'supervisor' }).level).toBe('reporting_line');
+      expect(resolveScope({ ...user, role: 'focal' }).level).toBe('facility');
+    });
+
+    it('should fall back to self when the hierarchy anchor is missing', () => {
+      const scope = resolveScope({
+        ...user,
+        facilityId: null,
+        council: null,
+        region: null
+      });
+
+      expect(scope.level).toBe('self');
+      expect(scope.userId).toBe('user-1');
+    });
+
+    it('should default unknown roles to self', () => {
+      expect(resolveScope({ ...user, role: 'unknown' }).level).toBe('self');
+    });
+  });
+
+  describe('buildScopeConditions', () => {
+    it('should not restrict national scope', () => {
+      const params = [];
+      expect(buildScopeConditions({ level: 'national' }, columns, params)).toEqual([]);
+      expect(buildScopeConditions(null, columns, params)).toEqual([]);
+      expect(params).toEqual([]);
+    });
+
+    it('should restrict region scope using the next parameter index', () => {
+      const params = ['existing'];
+      const conditions = buildScopeConditions(resolveScope(user), columns, params);
+
+      expect(conditions).toEqual(['c.region_id = $2']);
+      expect(params).toEqual(['existing', 'region-1']);
+    });
+
+    it('should restrict reporting line scope to the user subtree', () => {
+      const params = [];
+      const conditions = buildScopeConditions(resolveScope({ ...user, role: 'supervisor' }), columns, params);
+
+      expect(conditions[0]).toMatch(/^u\.id IN \(WITH RECURSIVE reporting_line/);
+      expect(params).toEqual(['user-1']);
+    });
+
+    it('should scope reporting line by facility when there is no user column', () => {
+      const params = [];
+      const conditions = buildScopeConditions(
+        resolveScope({ ...user, role: 'supervisor' }),
+        { regionId: 'c.region_id', councilId: 'f.council_id', facilityId: 'f.id' },
+        params
+      );
+
+      expect(conditions[0]).toMatch(/^f\.id IN \(\s+SELECT facility_id FROM users/);
+    });
+
+    it('should restrict self scope to the user', () => {
+      const params = [];
+      const conditions = buildScopeConditions({ level: 'self', userId: 'user-1' }, columns, params);
+
+      expect(conditions).toEqual(['u.id = $1']);
+      expect(params).toEqual(['user-1']);
+    });
+  });
+});
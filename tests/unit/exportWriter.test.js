@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Export Writer
+ */
+
+const { PassThrough } = require('stream');
+const xlsx = require('xlsx');
+const exportWriter = require('../../src/utils/exportWriter');
+
+/**
+ * Write rows with a writer and collect the output
+ */
+async function collect(createWriter, rows) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+
+  const writer = createWriter(output);
+  await rows.reduce(async (previous, row) => {
+    await previous;
+    await writer.writeRow(row);
+  }, Promise.resolve());
+  await writer.end();
+  output.end();
+
+  return Buffer.concat(chunks);
+}
+
+describe('Export Writer', () => {
+  describe('formatCsvField', () => {
+    it('should quote fields with commas, quotes or line breaks', () => {
+      expect(exportWriter.formatCsvField('Doe, Jane')).toBe('"Doe, Jane"');
+      expect(exportWriter.formatCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(exportWriter.formatCsvField('a\nb')).toBe('"a\nb"');
+    });
+
+    it('should neutralise formulas in text', () => {
+      expect(exportWriter.formatCsvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+      expect(exportWriter.formatCsvField('-1')).toBe("'-1");
+      expect(exportWriter.formatCsvField(-1)).toBe('-1');
+    });
+
+    it('should leave empty values blank', () => {
+      expect(exportWriter.formatCsvField(null)).toBe('');
+      expect(exportWriter.formatCsvField(undefined)).toBe('');
+    });
+  });
+
+  describe('createCsvWriter', () => {
+    it('should write a UTF-8 BOM and CRLF lines', async () => {
+      const buffer = await collect(
+        (output) => exportWriter.createCsvWriter(output),
+        [['Name', 'Hours'], ['Jane', 8.5]]
+      );
+
+      expect(buffer.toString('utf8')).toBe('﻿Name,Hours\r\nJane,8.5\r\n');
+    });
+  });
+
+  describe('createXlsxWriter', () => {
+    it('should write a workbook readable by spreadsheet tools', async () => {
+      const buffer = await collect(
+        (output) => exportWriter.createXlsxWriter(output, { sheetName: 'Attendance' }),
+        [['Name', 'Hours', 'Notes'], ['Jane <Doe> & co', 8.5, null], ['John', 7, 'late\u0001']]
+      );
+
+      const workbook = xlsx.read(buffer, { type: 'buffer' });
+      const sheet = workbook.Sheets.Attendance;
+
+      expect(workbook.SheetNames).toEqual(['Attendance']);
+      expect(sheet.A2.v).toBe('Jane <Doe> & co');
+      expect(sheet.B2.v).toBe(8.5);
+      expect(sheet.C2).toBeUndefined();
+      expect(sheet.C3.v).toBe('late');
+    });
+
+    it('should write sheets larger than one compressed chunk', async () => {
+      const rows = Array.from({ length: 3000 }, (_, i) => [`User ${i}`, i]);
+      const buffer = await collect((output) => exportWriter.createXlsxWriter(output), rows);
+
+      const sheet = xlsx.read(buffer, { type: 'buffer' }).Sheets.Sheet1;
+
+      expect(sheet['!ref']).toBe('A1:B3000');
+      expect(sheet.A3000.v).toBe('User 2999');
+    });
+  });
+});
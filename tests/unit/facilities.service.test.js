@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for Facilities Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/facilities/facilities.repository');
+jest.mock('../../src/modules/jobs/jobs.service');
+jest.mock('../../src/utils/spreadsheet');
+
+const db = require('../../src/config/database');
+const facilitiesRepository = require('../../src/modules/facilities/facilities.repository');
+const jobsService = require('../../src/modules/jobs/jobs.service');
+const spreadsheet = require('../../src/utils/spreadsheet');
+const facilitiesService = require('../../src/modules/facilities/facilities.service');
+
+describe('Facilities Service', () => {
+  const admin = { id: 'admin-1' };
+  const facility = {
+    id: 'f1',
+    name: 'Health Center A',
+    code: 'HC001',
+    latitude: -1.9536,
+    longitude: 30.0606,
+    status: 'active',
+    metadata: {},
+    council: { id: 'c1', name: 'Gasabo' }
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    facilitiesRepository.findById.mockResolvedValue(facility);
+    facilitiesRepository.update.mockResolvedValue(true);
+  });
+
+  describe('updateFacility', () => {
+    it('should only write and log the fields that change', async () => {
+      await facilitiesService.updateFacility(admin, 'f1', {
+        name: 'Health Center A',
+        councilId: 'c2',
+        latitude: -1.9536
+      });
+
+      expect(facilitiesRepository.update).toHaveBeenCalledWith('f1', { council_id: 'c2' });
+      expect(JSON.parse(db.query.mock.calls[0][1][5])).toEqual({
+        changes: { councilId: { from: 'c1', to: 'c2' } }
+      });
+    });
+
+    it('should not write anything without changes', async () => {
+      await facilitiesService.updateFacility(admin, 'f1', { code: 'HC001' });
+
+      expect(facilitiesRepository.update).not.toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject clearing only one coordinate', async () => {
+      await expect(facilitiesService.updateFacility(admin, 'f1', { latitude: null }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should report a taken code as a conflict', async () => {
+      facilitiesRepository.update.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      await expect(facilitiesService.updateFacility(admin, 'f1', { code: 'HC002' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('changeFacilityStatus', () => {
+    it('should log the previous and new status', async () => {
+      facilitiesRepository.updateStatus.mockResolvedValue('active');
+
+      await facilitiesService.changeFacilityStatus(admin, 'f1', 'maintenance', 'Roof repairs');
+
+      expect(facilitiesRepository.updateStatus).toHaveBeenCalledWith('f1', 'maintenance', 'Roof repairs');
+      expect(JSON.parse(db.query.mock.calls[0][1][5])).toEqual({
+        from: 'active',
+        to: 'maintenance',
+        reason: 'Roof repairs'
+      });
+    });
+
+    it('should reject a change to the current status', async () => {
+      facilitiesRepository.updateStatus.mockResolvedValue(null);
+
+      await expect(facilitiesService.changeFacilityStatus(admin, 'f1', 'active'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('facility import preview', () => {
+    const councilId = '22222222-2222-4222-8222-222222222222';
+    const stored = {
+      id: 'f1',
+      code: 'HC001',
+      name: 'Health Center A',
+      council_id: councilId,
+      type: null,
+      latitude: null,
+      longitude: null,
+      address: null,
+      contact_phone: null,
+      contact_email: null,
+      timezone: null
+    };
+    const validRows = [
+      { row: 1, code: 'HC001', name: 'Health Centre A' },
+      { row: 2, code: 'HC002', name: 'Health Center B' }
+    ];
+
+    const previewed = (status) => ({
+      id: 'imp-1',
+      status,
+      facilities: validRows.map((row) => ({ ...row, councilId })),
+      summary: { total: 3, rejected: 1 },
+      options: { updateRules: null, deactivateMissing: false, fileCodes: ['HC001', 'HC002'] }
+    });
+
+    beforeEach(() => {
+      spreadsheet.isSupported.mockReturnValue(true);
+      facilitiesRepository.findImportMatches.mockResolvedValue([stored]);
+      facilitiesRepository.createImport.mockResolvedValue({ id: 'imp-1' });
+      facilitiesRepository.applyImport.mockResolvedValue(['f2']);
+      jobsService.enqueue.mockResolvedValue({ id: 'job-1', status: 'queued' });
+    });
+
+    it('should save a dry run without writing facilities', async () => {
+      spreadsheet.parseFile.mockResolvedValue([
+        { code: 'HC001', name: 'Health Centre A', council_id: councilId },
+        { code: 'HC002', name: 'Health Center B', council_id: councilId },
+        { code: 'HC003', council_id: councilId }
+      ]);
+
+      const preview = await facilitiesService.importFacilities('facilities.csv', 'text/csv', {
+        dryRun: true,
+        fileName: 'facilities.csv',
+        importedBy: 'admin-1'
+      });
+
+      expect(preview).toMatchObject({
+        importId: 'imp-1', dryRun: true, toCreate: 1, toUpdate: 1, rejected: 1
+      });
+      expect(preview.rows.map((row) => [row.row, row.action])).toEqual([[1, 'update'], [2, 'create'], [3, 'reject']]);
+      expect(preview.rows[0].changes).toEqual({ name: { from: 'Health Center A', to: 'Health Centre A' } });
+      expect(facilitiesRepository.createImport.mock.calls[0][0]).toMatchObject({
+        fileName: 'facilities.csv',
+        facilities: [expect.objectContaining({ row: 1 }), expect.objectContaining({ row: 2 })],
+        options: { deactivateMissing: false, fileCodes: ['HC001', 'HC002', 'HC003'] },
+        createdBy: 'admin-1'
+      });
+      expect(facilitiesRepository.applyImport).not.toHaveBeenCalled();
+    });
+
+    it('should claim a previewed import before queueing its commit', async () => {
+      facilitiesRepository.claimImport.mockResolvedValue(true);
+
+      await expect(facilitiesService.queueCommit('imp-1', admin)).resolves.toMatchObject({ id: 'job-1' });
+
+      expect(facilitiesRepository.claimImport).toHaveBeenCalledWith('imp-1', 'admin-1');
+      expect(jobsService.enqueue).toHaveBeenCalledWith('facility-import-commit', { importId: 'imp-1' }, admin);
+    });
+
+    it.each([
+      ['committing', 'Facility import is already being committed'],
+      ['committed', 'Facility import has already been committed']
+    ])('should refuse to commit an import that is %s', async (status, message) => {
+      facilitiesRepository.claimImport.mockResolvedValue(false);
+      facilitiesRepository.findImportById.mockResolvedValue(previewed(status));
+
+      await expect(facilitiesService.queueCommit('imp-1', admin)).rejects.toMatchObject({ statusCode: 409, message });
+      expect(jobsService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown imports', async () => {
+      facilitiesRepository.claimImport.mockResolvedValue(false);
+      facilitiesRepository.findImportById.mockResolvedValue(null);
+
+      await expect(facilitiesService.queueCommit('imp-9', admin)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should return the import to the previewed state when queueing fails', async () => {
+      facilitiesRepository.claimImport.mockResolvedValue(true);
+      jobsService.enqueue.mockRejectedValue(new Error('queue unavailable'));
+
+      await expect(facilitiesService.queueCommit('imp-1', admin)).rejects.toThrow('queue unavailable');
+      expect(facilitiesRepository.releaseImport).toHaveBeenCalledWith('imp-1');
+    });
+
+    it('should write a claimed import and mark it committed', async () => {
+      facilitiesRepository.findImportById.mockResolvedValue(previewed('committing'));
+
+      const report = await facilitiesService.commitImport('imp-1');
+
+      const [plan, importId] = facilitiesRepository.applyImport.mock.calls[0];
+      expect(importId).toBe('imp-1');
+      expect(plan.update.map((entry) => entry.facilityId)).toEqual(['f1']);
+      expect(plan.create.map((entry) => entry.row)).toEqual([2]);
+      expect(report).toMatchObject({
+        importId: 'imp-1', total: 3, successful: 2, failed: 1
+      });
+      expect(report.created).toEqual({ count: 1, ids: ['f2'] });
+    });
+
+    it('should only commit imports claimed for commit', async () => {
+      facilitiesRepository.findImportById.mockResolvedValue(previewed('previewed'));
+
+      await expect(facilitiesService.commitImport('imp-1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(facilitiesRepository.applyImport).not.toHaveBeenCalled();
+    });
+  });
+});
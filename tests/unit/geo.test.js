@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for Geolocation Utilities
+ */
+
+const geo = require('../../src/utils/geo');
+
+describe('Geo Utilities', () => {
+  describe('haversineDistance', () => {
+    it('should return zero for identical points', () => {
+      expect(geo.haversineDistance(-1.9536, 30.0606, -1.9536, 30.0606)).toBe(0);
+    });
+
+    it('should calculate distance between Kigali and Huye', () => {
+      // Kigali (-1.9441, 30.0619) to Huye (-2.5967, 29.7394) is roughly 80km
+      const distance = geo.haversineDistance(-1.9441, 30.0619, -2.5967, 29.7394);
+
+      expect(distance).toBeGreaterThan(79000);
+      expect(distance).toBeLessThan(82000);
+    });
+  });
+
+  describe('boundingBox', () => {
+    it('should contain every point within the radius', () => {
+      const box = geo.boundingBox(-1.9536, 30.0606, 5000);
+      const inside = (lat, lon) => lat >= box.minLatitude && lat <= box.maxLatitude
+        && lon >= box.minLongitude && lon <= box.maxLongitude;
+
+      // Points 4.9km north and east of the center
+      expect(inside(-1.9536 + 0.044, 30.0606)).toBe(true);
+      expect(inside(-1.9536, 30.0606 + 0.044)).toBe(true);
+      expect(geo.haversineDistance(-1.9536, 30.0606, box.maxLatitude, 30.0606)).toBeCloseTo(5000, 0);
+      expect(inside(-1.9536 + 0.05, 30.0606)).toBe(false);
+    });
+
+    it('should wrap around the antimeridian', () => {
+      const box = geo.boundingBox(0, 179.99, 5000);
+
+      expect(box.minLongitude).toBeGreaterThan(box.maxLongitude);
+      expect(box.maxLongitude).toBeCloseTo(-179.965, 3);
+    });
+
+    it('should span all longitudes near the poles', () => {
+      expect(geo.boundingBox(89.99, 10, 5000)).toMatchObject({
+        maxLatitude: 90,
+        minLongitude: -180,
+        maxLongitude: 180
+      });
+    });
+  });
+
+  describe('evaluateGeofence', () => {
+    const facility = {
+      latitude: -1.9536,
+      longitude: 30.0606,
+      geofenceRadius: 100,
+      geofencePolicy: 'reject'
+    };
+
+    it('should accept a position inside the radius', () => {
+      const result = geo.evaluateGeofence({ latitude: -1.9537, longitude: 30.0607 }, facility);
+
+      expect(result.checked).toBe(true);
+      expect(result.withinRadius).toBe(true);
+      expect(result.distanceMeters).toBeLessThan(100);
+    });
+
+    it('should report distance for a position outside the radius', () => {
+      const result = geo.evaluateGeofence({ latitude: -1.9600, longitude: 30.0606 }, facility);
+
+      expect(result.withinRadius).toBe(false);
+      expect(result.reason).toBe('outside_radius');
+      expect(result.distanceMeters).toBeGreaterThan(700);
+      expect(result.policy).toBe('reject');
+    });
+
+    it('should flag a missing position', () => {
+      const result = geo.evaluateGeofence({}, facility);
+
+      expect(result.checked).toBe(true);
+      expect(result.withinRadius).toBe(false);
+      expect(result.reason).toBe('missing_location');
+    });
+
+    it('should skip facilities without coordinates', () => {
+      const result = geo.evaluateGeofence(
+        { latitude: -1.9536, longitude: 30.0606 },
+        { geofencePolicy: 'reject' }
+      );
+
+      expect(result.checked).toBe(false);
+    });
+
+    it('should skip the check when policy is ignore', () => {
+      const result = geo.evaluateGeofence(
+        { latitude: 0, longitude: 0 },
+        { ...facility, geofencePolicy: 'ignore' }
+      );
+
+      expect(result.checked).toBe(false);
+    });
+
+    it('should fall back to default radius and policy', () => {
+      const result = geo.evaluateGeofence(
+        { latitude: -1.9550, longitude: 30.0606 },
+        { latitude: -1.9536, longitude: 30.0606 },
+        { radius: 200, policy: 'flag' }
+      );
+
+      expect(result.radiusMeters).toBe(200);
+      expect(result.policy).toBe('flag');
+      expect(result.withinRadius).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for Holidays Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/holidays/holidays.repository');
+jest.mock('../../src/modules/jobs/jobs.service');
+jest.mock('../../src/utils/spreadsheet');
+
+const holidaysRepository = require('../../src/modules/holidays/holidays.repository');
+const spreadsheet = require('../../src/utils/spreadsheet');
+const holidaysService = require('../../src/modules/holidays/holidays.service');
+const { countLeaveDays } = require('../../src/utils/leaveCalculator');
+
+describe('Holidays Service', () => {
+  const admin = { id: 'admin-1' };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    spreadsheet.isSupported.mockReturnValue(true);
+    holidaysRepository.findRegionIds.mockResolvedValue(new Map([['kigali', 'r1'], ['kgl', 'r1']]));
+    holidaysRepository.bulkUpsert.mockImplementation(async (rows) => ({ created: rows.length, updated: 0 }));
+  });
+
+  describe('importHolidays', () => {
+    const importRows = async (rows) => {
+      spreadsheet.parseFile.mockResolvedValue(rows);
+      return holidaysService.importHolidays('holidays.csv', 'text/csv', admin);
+    };
+
+    it('should import national and regional holidays', async () => {
+      const results = await importRows([
+        { date: '2024-07-04', name: 'Liberation Day' },
+        { date: '2024-07-04', name: 'Kigali Day', region: 'KGL' }
+      ]);
+
+      expect(results).toMatchObject({ successful: 2, failed: 0, created: 2 });
+      expect(holidaysRepository.bulkUpsert).toHaveBeenCalledWith([
+        {
+          date: '2024-07-04', name: 'Liberation Day', regionId: null, createdBy: 'admin-1'
+        },
+        {
+          date: '2024-07-04', name: 'Kigali Day', regionId: 'r1', createdBy: 'admin-1'
+        }
+      ]);
+    });
+
+    it('should report every error of an invalid row', async () => {
+      const results = await importRows([
+        { date: '2024-02-30', name: '', region: 'Atlantis' },
+        { date: '04/07/2024', name: 'x'.repeat(256) }
+      ]);
+
+      expect(results.errors.map(({ row, errors }) => ({ row, errors }))).toEqual([
+        { row: 1, errors: ['Date must be in YYYY-MM-DD format', 'Missing holiday name', 'Region not found: Atlantis'] },
+        { row: 2, errors: ['Date must be in YYYY-MM-DD format', 'Holiday name must be at most 255 characters'] }
+      ]);
+      expect(holidaysRepository.bulkUpsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject a date repeated for the same region in the file', async () => {
+      const results = await importRows([
+        { date: '2024-07-04', name: 'Liberation Day', region: 'Kigali' },
+        { date: '2024-07-04', name: 'Liberation Day', region: 'kgl' }
+      ]);
+
+      expect(results).toMatchObject({ successful: 1, failed: 1 });
+      expect(results.errors[0]).toMatchObject({ row: 2, errors: ['Duplicate date for this region in file'] });
+    });
+
+    it('should refuse unsupported files', async () => {
+      spreadsheet.isSupported.mockReturnValue(false);
+
+      await expect(holidaysService.importHolidays('holidays.pdf', 'application/pdf', admin))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(spreadsheet.parseFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createHolidayLookup', () => {
+    const findHoliday = holidaysService.createHolidayLookup([
+      { id: 'h1', date: '2024-07-04', regionId: null },
+      { id: 'h2', date: '2024-07-04', regionId: 'r1' },
+      { id: 'h3', date: '2024-07-05', regionId: 'r1' }
+    ]);
+
+    it('should prefer the regional holiday over the national one', () => {
+      expect(findHoliday('2024-07-04', 'r1').id).toBe('h2');
+    });
+
+    it('should apply national holidays to every region', () => {
+      expect(findHoliday('2024-07-04', 'r2').id).toBe('h1');
+      expect(findHoliday('2024-07-04', null).id).toBe('h1');
+    });
+
+    it('should not apply a regional holiday to other regions', () => {
+      expect(findHoliday('2024-07-05', 'r1').id).toBe('h3');
+      expect(findHoliday('2024-07-05', 'r2')).toBeNull();
+      expect(findHoliday('2024-07-05', null)).toBeNull();
+    });
+  });
+
+  describe('getUserHolidayDates', () => {
+    it('should exclude the holidays of the user region from working days', async () => {
+      holidaysRepository.findUserRegionId.mockResolvedValue('r1');
+      holidaysRepository.findBetween.mockResolvedValue([{ date: '2024-07-04' }, { date: '2024-07-05' }]);
+
+      const excludedDates = await holidaysService.getUserHolidayDates('u1', '2024-07-01', '2024-07-07');
+
+      expect(holidaysRepository.findBetween).toHaveBeenCalledWith('2024-07-01', '2024-07-07', ['r1']);
+      expect(countLeaveDays('2024-07-01', '2024-07-07', { workingDays: [1, 2, 3, 4, 5], excludedDates })).toBe(3);
+    });
+
+    it('should only look up national holidays for users without a region', async () => {
+      holidaysRepository.findUserRegionId.mockResolvedValue(null);
+      holidaysRepository.findBetween.mockResolvedValue([]);
+
+      await holidaysService.getUserHolidayDates('u1', '2024-07-01', '2024-07-07');
+
+      expect(holidaysRepository.findBetween).toHaveBeenCalledWith('2024-07-01', '2024-07-07', []);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Import Update Rules
+ */
+
+const importRules = require('../../src/utils/importRules');
+
+describe('Import Update Rules', () => {
+  const defaults = { name: 'if_provided', address: 'if_provided', coordinates: 'if_provided' };
+
+  describe('isSameValue', () => {
+    it('should compare DECIMAL strings with numbers', () => {
+      expect(importRules.isSameValue('-1.95360000', -1.9536)).toBe(true);
+      expect(importRules.isSameValue(['-1.95360000', '30.06060000'], [-1.9536, 30.0606])).toBe(true);
+      expect(importRules.isSameValue(['-1.95360000', '30.06060000'], [-1.9536, 30.07])).toBe(false);
+    });
+
+    it('should treat null and blank as the same', () => {
+      expect(importRules.isSameValue(null, '  ')).toBe(true);
+      expect(importRules.isSameValue(null, 'Kigali')).toBe(false);
+    });
+  });
+
+  describe('parseUpdateRules', () => {
+    it('should override defaults from text', () => {
+      const { rules, errors } = importRules.parseUpdateRules('address:keep, name:overwrite', defaults);
+
+      expect(errors).toEqual([]);
+      expect(rules).toEqual({ name: 'overwrite', address: 'keep', coordinates: 'if_provided' });
+    });
+
+    it('should report unknown columns and rules', () => {
+      const { errors } = importRules.parseUpdateRules({ phone: 'keep', name: 'replace' }, defaults);
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('phone');
+      expect(errors[1]).toContain('replace');
+    });
+  });
+
+  describe('planChanges', () => {
+    const existing = { name: 'Health Center A', address: null, coordinates: ['-1.95360000', '30.06060000'] };
+
+    it('should only list columns that change', () => {
+      const changes = importRules.planChanges(
+        existing,
+        { name: 'Health Centre A', address: null, coordinates: [-1.9536, 30.0606] },
+        defaults
+      );
+
+      expect(changes).toEqual({ name: { from: 'Health Center A', to: 'Health Centre A' } });
+    });
+
+    it('should apply each rule', () => {
+      const incoming = { name: '', address: 'Kigali', coordinates: [-2, 30] };
+
+      expect(importRules.planChanges(existing, incoming, {
+        name: 'overwrite',
+        address: 'fill_empty',
+        coordinates: 'keep'
+      })).toEqual({
+        name: { from: 'Health Center A', to: '' },
+        address: { from: null, to: 'Kigali' }
+      });
+
+      expect(importRules.planChanges(existing, incoming, {
+        name: 'if_provided',
+        address: 'keep',
+        coordinates: 'fill_empty'
+      })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for Leave Calculator
+ */
+
+const leaveCalculator = require('../../src/utils/leaveCalculator');
+
+describe('Leave Calculator', () => {
+  const workingDays = [1, 2, 3, 4, 5];
+
+  describe('listDates', () => {
+    it('should list every date of an inclusive range', () => {
+      expect(leaveCalculator.listDates('2024-02-27', '2024-03-01'))
+        .toEqual(['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+    });
+
+    it('should return a single date for a one-day range', () => {
+      expect(leaveCalculator.listDates('2024-01-15', '2024-01-15')).toEqual(['2024-01-15']);
+    });
+
+    it('should return nothing when the range is reversed', () => {
+      expect(leaveCalculator.listDates('2024-01-15', '2024-01-14')).toEqual([]);
+    });
+  });
+
+  describe('countLeaveDays', () => {
+    it('should skip weekends', () => {
+      // Friday 2024-01-12 to Tuesday 2024-01-16
+      expect(leaveCalculator.countLeaveDays('2024-01-12', '2024-01-16', { workingDays })).toBe(3);
+    });
+
+    it('should skip excluded dates', () => {
+      expect(leaveCalculator.countLeaveDays('2024-01-12', '2024-01-16', {
+        workingDays,
+        excludedDates: ['2024-01-15']
+      })).toBe(2);
+    });
+
+    it('should return zero for a leave falling on days off only', () => {
+      expect(leaveCalculator.countLeaveDays('2024-01-13', '2024-01-14', { workingDays })).toBe(0);
+    });
+
+    it('should count every day for a seven-day working week', () => {
+      expect(leaveCalculator.countLeaveDays('2024-01-13', '2024-01-19', {
+        workingDays: [1, 2, 3, 4, 5, 6, 7]
+      })).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit Tests for Account Lockout Service
+ */
+
+const lockoutService = require('../../src/modules/auth/lockout.service');
+
+describe('Lockout Service', () => {
+  const config = {
+    maxAttempts: 5,
+    attemptWindowMinutes: 15,
+    baseDurationMinutes: 15,
+    maxDurationMinutes: 120
+  };
+
+  describe('computeLockoutDuration', () => {
+    it('should use the base duration for the first lockout', () => {
+      expect(lockoutService.computeLockoutDuration(0, config)).toBe(15);
+    });
+
+    it('should double the duration for each consecutive lockout', () => {
+      expect(lockoutService.computeLockoutDuration(1, config)).toBe(30);
+      expect(lockoutService.computeLockoutDuration(2, config)).toBe(60);
+    });
+
+    it('should cap the duration at the maximum', () => {
+      expect(lockoutService.computeLockoutDuration(10, config)).toBe(120);
+    });
+  });
+
+  describe('isLocked', () => {
+    it('should return false when locked_until is not set', () => {
+      expect(lockoutService.isLocked({ locked_until: null })).toBe(false);
+    });
+
+    it('should return true while the lock has not expired', () => {
+      const lockedUntil = new Date(Date.now() + 60000);
+      expect(lockoutService.isLocked({ locked_until: lockedUntil })).toBe(true);
+    });
+
+    it('should unlock automatically once locked_until has passed', () => {
+      const lockedUntil = new Date(Date.now() - 1000);
+      expect(lockoutService.isLocked({ locked_until: lockedUntil })).toBe(false);
+    });
+  });
+
+  describe('lockedError', () => {
+    it('should return a 423 error', () => {
+      const error = lockoutService.lockedError(new Date(Date.now() + 5 * 60000));
+
+      expect(error.statusCode).toBe(423);
+      expect(error.message).toMatch(/5 minute/);
+    });
+  });
+});
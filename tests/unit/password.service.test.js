@@ -72,4 +72,56 @@ describe('Password Service', () => {
       expect(result.errors.length).toBeGreaterThan(0);
     });
   });
+
+  describe('generateTemporaryPassword', () => {
+    it('should generate different passwords that meet the policy', () => {
+      const passwords = Array.from({ length: 20 }, () => passwordService.generateTemporaryPassword());
+
+      passwords.forEach((password) => {
+        expect(password).toHaveLength(12);
+        expect(passwordService.validatePasswordStrength(password).isValid).toBe(true);
+      });
+      expect(new Set(passwords).size).toBe(passwords.length);
+    });
+  });
+});
+
+describe('Password Policy', () => {
+  describe('isPasswordExpired', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    it('should not expire a recently changed password', () => {
+      const changedAt = new Date('2024-05-01T00:00:00Z');
+      expect(passwordService.isPasswordExpired(changedAt, now, 90)).toBe(false);
+    });
+
+    it('should expire a password older than the expiry period', () => {
+      const changedAt = new Date('2024-01-01T00:00:00Z');
+      expect(passwordService.isPasswordExpired(changedAt, now, 90)).toBe(true);
+    });
+
+    it('should treat a password that was never changed as expired', () => {
+      expect(passwordService.isPasswordExpired(null, now, 90)).toBe(true);
+    });
+
+    it('should never expire when expiry is disabled', () => {
+      expect(passwordService.isPasswordExpired(null, now, 0)).toBe(false);
+    });
+  });
+
+  describe('isPasswordReused', () => {
+    it('should detect a password matching a previous hash', async () => {
+      const previous = await passwordService.hashPassword('Old@1234');
+      const reused = await passwordService.isPasswordReused('Old@1234', [previous]);
+
+      expect(reused).toBe(true);
+    });
+
+    it('should accept a password not in the history', async () => {
+      const previous = await passwordService.hashPassword('Old@1234');
+      const reused = await passwordService.isPasswordReused('New@5678', [previous]);
+
+      expect(reused).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for Regions Service
+ */
+
+jest.mock('../../src/modules/regions/regions.repository');
+
+const regionsRepository = require('../../src/modules/regions/regions.repository');
+const regionsService = require('../../src/modules/regions/regions.service');
+
+describe('Regions Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('getTree', () => {
+    it('should nest councils under regions and total their facility counts', async () => {
+      const row = (region, council, total, active) => ({
+        region_id: region.id,
+        region_name: region.name,
+        region_code: null,
+        council_id: council ? council.id : null,
+        council_name: council ? council.name : null,
+        council_code: null,
+        total: String(total),
+        active: String(active),
+        inactive: String(total - active),
+        maintenance: '0'
+      });
+      const kigali = { id: 'r1', name: 'Kigali' };
+
+      regionsRepository.findTree.mockResolvedValue([
+        row(kigali, { id: 'c1', name: 'Gasabo' }, 3, 2),
+        row(kigali, { id: 'c2', name: 'Kicukiro' }, 1, 1),
+        row({ id: 'r2', name: 'North' }, null, 0, 0)
+      ]);
+
+      const tree = await regionsService.getTree();
+
+      expect(tree).toHaveLength(2);
+      expect(tree[0].facilities).toEqual({
+        total: 4,
+        active: 3,
+        inactive: 1,
+        maintenance: 0
+      });
+      expect(tree[0].councils.map((council) => council.name)).toEqual(['Gasabo', 'Kicukiro']);
+      expect(tree[0].councils[0].facilities.total).toBe(3);
+      expect(tree[1]).toMatchObject({ name: 'North', councils: [], facilities: { total: 0 } });
+    });
+  });
+
+  describe('deleteRegion', () => {
+    it('should refuse to delete a region with councils', async () => {
+      regionsRepository.findById.mockResolvedValue({ id: 'r1', name: 'Kigali', councilCount: 2 });
+
+      await expect(regionsService.deleteRegion('r1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(regionsRepository.deleteRegion).not.toHaveBeenCalled();
+    });
+
+    it('should report a council added since the check as a conflict', async () => {
+      regionsRepository.findById.mockResolvedValue({ id: 'r1', name: 'Kigali', councilCount: 0 });
+      const violation = Object.assign(new Error('violates foreign key constraint'), { code: '23503' });
+      regionsRepository.deleteRegion.mockRejectedValue(violation);
+
+      await expect(regionsService.deleteRegion('r1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
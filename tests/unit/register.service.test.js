@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Attendance Register Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/attendance/register.repository');
+jest.mock('../../src/modules/attendance/attendance.repository');
+jest.mock('../../src/modules/shifts/shifts.repository');
+jest.mock('../../src/modules/leave/leave.repository');
+jest.mock('../../src/modules/holidays/holidays.repository');
+
+const registerRepository = require('../../src/modules/attendance/register.repository');
+const attendanceRepository = require('../../src/modules/attendance/attendance.repository');
+const shiftsRepository = require('../../src/modules/shifts/shifts.repository');
+const leaveRepository = require('../../src/modules/leave/leave.repository');
+const holidaysRepository = require('../../src/modules/holidays/holidays.repository');
+const registerService = require('../../src/modules/attendance/register.service');
+
+describe('Attendance Register Service', () => {
+  // Wednesday 2024-07-10; Africa/Kigali is UTC+2, so the default working day starts at 06:00Z
+  const date = '2024-07-10';
+
+  const member = (id, regionId = 'r1') => ({
+    id,
+    first_name: 'Member',
+    last_name: id,
+    employee_id: null,
+    facility_id: 'f1',
+    facility_name: 'Health Center A',
+    region_id: regionId
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-07-11T10:00:00Z') });
+    shiftsRepository.findRosterAssignments.mockResolvedValue([]);
+    attendanceRepository.findByUsersBetween.mockResolvedValue([]);
+    leaveRepository.findApprovedBetween.mockResolvedValue([]);
+    holidaysRepository.findBetween.mockResolvedValue([]);
+    registerRepository.findMembers.mockResolvedValue([]);
+    registerRepository.freezeDay.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('computeEntries', () => {
+    it('should assign present, late, absent, leave and holiday statuses', async () => {
+      registerRepository.findMembers.mockResolvedValue([
+        member('present'), member('late'), member('absent'), member('leave'), member('holiday', 'r2')
+      ]);
+      attendanceRepository.findByUsersBetween.mockResolvedValue([
+        { id: 'a1', userId: 'present', clockIn: '2024-07-10T06:10:00Z' },
+        { id: 'a2', userId: 'late', clockIn: '2024-07-10T06:40:00Z' }
+      ]);
+      leaveRepository.findApprovedBetween.mockResolvedValue([{ id: 'l1', userId: 'leave' }]);
+      holidaysRepository.findBetween.mockResolvedValue([
+        {
+          id: 'h1', name: 'Heroes Day', date, regionId: 'r2'
+        }
+      ]);
+
+      const entries = await registerService.computeEntries(date);
+
+      expect(entries.map((entry) => [entry.userId, entry.status, entry.lateMinutes])).toEqual([
+        ['present', 'present', 0],
+        ['late', 'late', 40],
+        ['absent', 'absent', 0],
+        ['leave', 'on_leave', 0],
+        ['holiday', 'holiday', 0]
+      ]);
+      expect(entries[3].leaveRequestId).toBe('l1');
+      expect(entries[4].holiday).toEqual({ id: 'h1', name: 'Heroes Day' });
+    });
+
+    it('should never mark an arrival on a holiday late', async () => {
+      registerRepository.findMembers.mockResolvedValue([member('u1')]);
+      attendanceRepository.findByUsersBetween.mockResolvedValue([
+        { id: 'a1', userId: 'u1', clockIn: '2024-07-10T09:00:00Z' }
+      ]);
+      holidaysRepository.findBetween.mockResolvedValue([
+        {
+          id: 'h1', name: 'Heroes Day', date, regionId: null
+        }
+      ]);
+
+      const [entry] = await registerService.computeEntries(date);
+
+      expect(entry).toMatchObject({ status: 'present', lateMinutes: 0 });
+    });
+
+    it('should mark days off outside the working days', async () => {
+      registerRepository.findMembers.mockResolvedValue([member('u1')]);
+
+      const [entry] = await registerService.computeEntries('2024-07-07');
+
+      expect(entry.status).toBe('off');
+    });
+  });
+
+  describe('freezePastDays', () => {
+    const afterFreezeTime = new Date('2024-07-11T03:00:00Z');
+
+    it('should wait for the freeze time', async () => {
+      await expect(registerService.freezePastDays(new Date('2024-07-10T23:00:00Z'))).resolves.toEqual([]);
+      expect(registerRepository.findLatestDay).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing once yesterday is frozen', async () => {
+      registerRepository.findLatestDay.mockResolvedValue('2024-07-10');
+
+      await expect(registerService.freezePastDays(afterFreezeTime)).resolves.toEqual([]);
+      expect(registerRepository.freezeDay).not.toHaveBeenCalled();
+    });
+
+    it('should catch up on days missed while down, in order', async () => {
+      registerRepository.findLatestDay.mockResolvedValue('2024-07-07');
+
+      const results = await registerService.freezePastDays(afterFreezeTime);
+
+      expect(results.map((result) => result.date)).toEqual(['2024-07-08', '2024-07-09', '2024-07-10']);
+      expect(registerRepository.freezeDay.mock.calls.map((call) => call[0]))
+        .toEqual(['2024-07-08', '2024-07-09', '2024-07-10']);
+    });
+
+    it('should look back at most the catch-up window', async () => {
+      registerRepository.findLatestDay.mockResolvedValue('2024-05-01');
+
+      const results = await registerService.freezePastDays(afterFreezeTime);
+
+      expect(results).toHaveLength(8);
+      expect(results[0].date).toBe('2024-07-03');
+    });
+
+    it('should only freeze yesterday when no day is frozen yet', async () => {
+      registerRepository.findLatestDay.mockResolvedValue(null);
+
+      const results = await registerService.freezePastDays(afterFreezeTime);
+
+      expect(results.map((result) => result.date)).toEqual(['2024-07-10']);
+    });
+  });
+});
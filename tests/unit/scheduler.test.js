@@ -0,0 +1,73 @@
+/**
+ * Unit Tests for Job Scheduler
+ */
+
+const scheduler = require('../../src/jobs/scheduler');
+
+describe('Job Scheduler', () => {
+  afterEach(() => {
+    scheduler.clear();
+    jest.useRealTimers();
+  });
+
+  describe('registerJob', () => {
+    it('should reject duplicate job names', () => {
+      scheduler.registerJob('job', 1000, async () => {});
+
+      expect(() => scheduler.registerJob('job', 1000, async () => {})).toThrow('already registered');
+    });
+
+    it('should reject a non-positive interval', () => {
+      expect(() => scheduler.registerJob('job', 0, async () => {})).toThrow('positive interval');
+    });
+  });
+
+  describe('runJob', () => {
+    it('should return the task result', async () => {
+      scheduler.registerJob('job', 1000, async () => ({ closed: 2 }));
+
+      await expect(scheduler.runJob('job')).resolves.toEqual({ closed: 2 });
+    });
+
+    it('should not overlap runs of the same job', async () => {
+      let release;
+      const task = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+      scheduler.registerJob('job', 1000, task);
+
+      const first = scheduler.runJob('job');
+      await scheduler.runJob('job');
+      release();
+      await first;
+
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    it('should swallow task errors', async () => {
+      scheduler.registerJob('job', 1000, async () => {
+        throw new Error('boom');
+      });
+
+      await expect(scheduler.runJob('job')).resolves.toBeUndefined();
+    });
+
+    it('should reject unknown jobs', async () => {
+      await expect(scheduler.runJob('missing')).rejects.toThrow('Unknown job');
+    });
+  });
+
+  describe('start/stop', () => {
+    it('should run jobs on their interval until stopped', async () => {
+      jest.useFakeTimers();
+      const task = jest.fn(async () => {});
+      scheduler.registerJob('job', 1000, task);
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(task).toHaveBeenCalledTimes(3);
+
+      scheduler.stop();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(task).toHaveBeenCalledTimes(3);
+    });
+  });
+});
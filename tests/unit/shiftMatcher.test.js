@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for Shift Matcher
+ */
+
+const shiftMatcher = require('../../src/utils/shiftMatcher');
+
+describe('Shift Matcher', () => {
+  // Africa/Kigali is UTC+2 without daylight saving time
+  const timezone = 'Africa/Kigali';
+  const weekdays = [1, 2, 3, 4, 5];
+
+  const dayShift = {
+    id: 'day',
+    startTime: '08:00',
+    endTime: '17:00',
+    daysOfWeek: weekdays,
+    graceMinutes: 15
+  };
+  const nightShift = {
+    id: 'night',
+    startTime: '20:00',
+    endTime: '06:00',
+    daysOfWeek: weekdays,
+    graceMinutes: 15
+  };
+
+  describe('parseTimeOfDay', () => {
+    it('should parse HH:MM and HH:MM:SS', () => {
+      expect(shiftMatcher.parseTimeOfDay('08:30')).toBe(510);
+      expect(shiftMatcher.parseTimeOfDay('23:59:00')).toBe(1439);
+    });
+
+    it('should reject invalid times', () => {
+      expect(() => shiftMatcher.parseTimeOfDay('24:00')).toThrow('Invalid time of day');
+      expect(() => shiftMatcher.parseTimeOfDay('8am')).toThrow('Invalid time of day');
+    });
+  });
+
+  describe('getLocalParts', () => {
+    it('should return the local date, ISO weekday and offset', () => {
+      // Sunday 2024-01-14 23:30 UTC is Monday 01:30 in Kigali
+      const parts = shiftMatcher.getLocalParts(new Date('2024-01-14T23:30:00Z'), timezone);
+
+      expect(parts).toEqual({ date: '2024-01-15', dayOfWeek: 1, offsetMs: 2 * 60 * 60 * 1000 });
+    });
+  });
+
+  describe('getOccurrences', () => {
+    it('should convert local shift times to instants', () => {
+      const [occurrence] = shiftMatcher.getOccurrences([dayShift], '2024-01-15', timezone);
+
+      expect(occurrence.start.toISOString()).toBe('2024-01-15T06:00:00.000Z');
+      expect(occurrence.end.toISOString()).toBe('2024-01-15T15:00:00.000Z');
+    });
+
+    it('should end overnight shifts on the next day', () => {
+      const [occurrence] = shiftMatcher.getOccurrences([nightShift], '2024-01-15', timezone);
+
+      expect(occurrence.end.toISOString()).toBe('2024-01-16T04:00:00.000Z');
+    });
+
+    it('should skip shifts not running that weekday', () => {
+      expect(shiftMatcher.getOccurrences([dayShift], '2024-01-14', timezone)).toEqual([]);
+    });
+  });
+
+  describe('matchShift', () => {
+    it('should match a clock-in shortly before the start', () => {
+      const match = shiftMatcher.matchShift(
+        [dayShift, nightShift],
+        new Date('2024-01-15T05:50:00Z'),
+        { timezone }
+      );
+
+      expect(match.shift.id).toBe('day');
+      expect(match.date).toBe('2024-01-15');
+    });
+
+    it('should match an overnight shift that started the previous day', () => {
+      // Tuesday 02:00 local time, during Monday's night shift
+      const match = shiftMatcher.matchShift([nightShift], new Date('2024-01-16T00:00:00Z'), { timezone });
+
+      expect(match.shift.id).toBe('night');
+      expect(match.date).toBe('2024-01-15');
+    });
+
+    it('should return null outside any shift window', () => {
+      const time = new Date('2024-01-15T02:00:00Z'); // 04:00 local
+
+      expect(shiftMatcher.matchShift([dayShift], time, { timezone })).toBeNull();
+      expect(shiftMatcher.matchShift([dayShift], time, { timezone, earlyWindowMinutes: 300 })).not.toBeNull();
+    });
+  });
+
+  describe('classifyTiming', () => {
+    const scheduled = new Date('2024-01-15T06:00:00Z');
+
+    it('should be on time within the grace period', () => {
+      expect(shiftMatcher.classifyTiming(scheduled, new Date('2024-01-15T06:10:00Z'), 15))
+        .toEqual({ status: 'on_time', minutes: 10 });
+    });
+
+    it('should be late after the grace period', () => {
+      expect(shiftMatcher.classifyTiming(scheduled, new Date('2024-01-15T06:20:00Z'), 15))
+        .toEqual({ status: 'late', minutes: 20 });
+    });
+
+    it('should be early before the grace period', () => {
+      expect(shiftMatcher.classifyTiming(scheduled, new Date('2024-01-15T05:30:00Z'), 15))
+        .toEqual({ status: 'early', minutes: -30 });
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for Team Attendance
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/attendance/attendance.repository');
+
+const db = require('../../src/config/database');
+const attendanceRepository = require('../../src/modules/attendance/attendance.repository');
+const attendanceService = require('../../src/modules/attendance/attendance.service');
+
+const { findTeamAttendance } = jest.requireActual('../../src/modules/attendance/attendance.repository');
+
+describe('Team Attendance', () => {
+  const row = (overrides = {}) => ({
+    user_id: 'u2',
+    first_name: 'Grace',
+    last_name: 'Uwase',
+    supervisor_id: 'u1',
+    facility_id: 'f1',
+    facility_name: 'Health Center A',
+    attendance_status: null,
+    is_late: null,
+    late_minutes: null,
+    geofence_flagged: false,
+    holiday_id: null,
+    last_latitude: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    attendanceRepository.findTeamAttendance.mockResolvedValue([]);
+  });
+
+  describe('getTeamAttendance', () => {
+    const scopeOf = async (user, filters) => {
+      await attendanceService.getTeamAttendance(user, { date: '2024-07-10', ...filters });
+      const [supervisorId, options] = attendanceRepository.findTeamAttendance.mock.calls[0];
+      return { supervisorId, recursive: options.recursive };
+    };
+
+    it('should limit supervisors to their direct reports', async () => {
+      await expect(scopeOf({ id: 'u1', role: 'supervisor' }))
+        .resolves.toEqual({ supervisorId: 'u1', recursive: false });
+    });
+
+    it('should give backstoppers their whole reporting line', async () => {
+      await expect(scopeOf({ id: 'u1', role: 'backstopper' }, { supervisorId: 'u9' }))
+        .resolves.toEqual({ supervisorId: 'u1', recursive: true });
+    });
+
+    it('should let admins look at the reporting line of another supervisor', async () => {
+      await expect(scopeOf({ id: 'admin-1', role: 'admin' }, { supervisorId: 'u9' }))
+        .resolves.toEqual({ supervisorId: 'u9', recursive: true });
+    });
+
+    it('should summarise the day of each member', async () => {
+      attendanceRepository.findTeamAttendance.mockResolvedValue([
+        row(),
+        row({
+          user_id: 'u3', attendance_status: 'clocked_in', is_late: true, late_minutes: 25
+        }),
+        row({ user_id: 'u4', attendance_status: 'clocked_out', late_minutes: 5 })
+      ]);
+
+      const { summary, members } = await attendanceService.getTeamAttendance({ id: 'u1', role: 'supervisor' });
+
+      expect(summary).toEqual({
+        total: 3, clockedIn: 1, clockedOut: 1, notClockedIn: 1, late: 1, onHoliday: 0
+      });
+      expect(members.map((member) => [member.status, member.flags.lateMinutes])).toEqual([
+        ['not_clocked_in', 0],
+        ['clocked_in', 25],
+        ['clocked_out', 0]
+      ]);
+    });
+  });
+
+  describe('findTeamAttendance', () => {
+    const options = {
+      date: '2024-07-10',
+      timezone: 'Africa/Kigali',
+      workdayStart: '08:00',
+      lateGraceMinutes: 15
+    };
+
+    it('should only follow the reporting line past direct reports when recursive', async () => {
+      await findTeamAttendance('u1', options);
+      await findTeamAttendance('u1', { ...options, recursive: true });
+
+      const [[sql, direct], [, recursive]] = db.query.mock.calls;
+      expect(sql).toMatch(/SELECT id FROM users WHERE supervisor_id = \$1\s+UNION/);
+      expect(sql).toMatch(/INNER JOIN team t ON u\.supervisor_id = t\.id\s+WHERE \$2::boolean/);
+      expect(direct.slice(0, 2)).toEqual(['u1', false]);
+      expect(recursive.slice(0, 2)).toEqual(['u1', true]);
+    });
+
+    it('should filter members by facility', async () => {
+      await findTeamAttendance('u1', { ...options, facilityId: 'f1' });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('u.facility_id = $7');
+      expect(params[6]).toBe('f1');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Timesheet Calculator
+ */
+
+const timesheetCalculator = require('../../src/utils/timesheetCalculator');
+
+describe('Timesheet Calculator', () => {
+  // Africa/Kigali is UTC+2 without daylight saving time
+  const timezone = 'Africa/Kigali';
+  const thresholds = { dailyOvertimeHours: 8, weeklyOvertimeHours: 40 };
+
+  const record = (userId, clockIn, clockOut, tz = timezone) => ({
+    userId, clockIn, clockOut, timezone: tz
+  });
+
+  describe('getWeekStart', () => {
+    it('should return the Monday of the ISO week', () => {
+      expect(timesheetCalculator.getWeekStart('2024-01-17')).toBe('2024-01-15');
+      expect(timesheetCalculator.getWeekStart('2024-01-21')).toBe('2024-01-15');
+      expect(timesheetCalculator.getWeekStart('2024-01-15')).toBe('2024-01-15');
+    });
+  });
+
+  describe('getPeriod', () => {
+    it('should return week and month boundaries', () => {
+      expect(timesheetCalculator.getPeriod('2024-01-17', 'week'))
+        .toEqual({ start: '2024-01-15', end: '2024-01-21' });
+      expect(timesheetCalculator.getPeriod('2024-02-10', 'month'))
+        .toEqual({ start: '2024-02-01', end: '2024-02-29' });
+      expect(timesheetCalculator.getPeriod('2024-02-10', 'day'))
+        .toEqual({ start: '2024-02-10', end: '2024-02-10' });
+    });
+  });
+
+  describe('allocateOvertime', () => {
+    it('should count minutes beyond the daily threshold as overtime', () => {
+      // 07:00 - 18:00 local = 11 hours
+      const [entry] = timesheetCalculator.allocateOvertime([
+        record('u1', '2024-01-15T05:00:00Z', '2024-01-15T16:00:00Z')
+      ], thresholds);
+
+      expect(entry).toMatchObject({
+        date: '2024-01-15', workedMinutes: 660, regularMinutes: 480, overtimeMinutes: 180
+      });
+    });
+
+    it('should apply the daily threshold across several records of a day', () => {
+      const entries = timesheetCalculator.allocateOvertime([
+        record('u1', '2024-01-15T11:00:00Z', '2024-01-15T16:00:00Z'),
+        record('u1', '2024-01-15T05:00:00Z', '2024-01-15T10:00:00Z')
+      ], thresholds);
+
+      expect(entries.map((entry) => entry.regularMinutes)).toEqual([300, 180]);
+      expect(entries.map((entry) => entry.overtimeMinutes)).toEqual([0, 120]);
+    });
+
+    it('should keep a night shift on the local day it started', () => {
+      // 22:00 Monday - 06:00 Tuesday local
+      const [entry] = timesheetCalculator.allocateOvertime([
+        record('u1', '2024-01-15T20:00:00Z', '2024-01-16T04:00:00Z')
+      ], thresholds);
+
+      expect(entry.date).toBe('2024-01-15');
+      expect(entry.workedMinutes).toBe(480);
+      expect(entry.overtimeMinutes).toBe(0);
+    });
+
+    it('should use the record timezone for the local day', () => {
+      // 23:30 UTC is already the next day in Kigali
+      const [utc, kigali] = timesheetCalculator.allocateOvertime([
+        record('u1', '2024-01-15T23:30:00Z', '2024-01-16T01:30:00Z', 'UTC'),
+        record('u2', '2024-01-15T23:30:00Z', '2024-01-16T01:30:00Z')
+      ], thresholds);
+
+      expect(utc.date).toBe('2024-01-15');
+      expect(kigali.date).toBe('2024-01-16');
+    });
+
+    it('should count regular minutes beyond the weekly threshold as overtime', () => {
+      // Six 8-hour days, Monday to Saturday
+      const records = [15, 16, 17, 18, 19, 20].map((day) => record(
+        'u1',
+        `2024-01-${day}T06:00:00Z`,
+        `2024-01-${day}T14:00:00Z`
+      ));
+
+      const entries = timesheetCalculator.allocateOvertime(records, thresholds);
+
+      expect(entries.slice(0, 5).every((entry) => entry.overtimeMinutes === 0)).toBe(true);
+      expect(entries[5]).toMatchObject({ regularMinutes: 0, overtimeMinutes: 480 });
+    });
+
+    it('should keep users apart', () => {
+      const entries = timesheetCalculator.allocateOvertime([
+        record('u1', '2024-01-15T06:00:00Z', '2024-01-15T12:00:00Z'),
+        record('u2', '2024-01-15T06:00:00Z', '2024-01-15T12:00:00Z')
+      ], thresholds);
+
+      expect(entries.every((entry) => entry.overtimeMinutes === 0)).toBe(true);
+    });
+
+    it('should disable a threshold set to 0', () => {
+      const [entry] = timesheetCalculator.allocateOvertime([
+        record('u1', '2024-01-15T05:00:00Z', '2024-01-15T16:00:00Z')
+      ], { dailyOvertimeHours: 0, weeklyOvertimeHours: 0 });
+
+      expect(entry.overtimeMinutes).toBe(0);
+    });
+  });
+
+  describe('toHours', () => {
+    it('should round to two decimals', () => {
+      expect(timesheetCalculator.toHours(100)).toBe(1.67);
+      expect(timesheetCalculator.toHours(480)).toBe(8);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for Refresh Token Service
+ */
+
+jest.mock('../../src/config/database');
+
+const jwt = require('jsonwebtoken');
+const db = require('../../src/config/database');
+const tokenService = require('../../src/modules/auth/token.service');
+
+describe('Refresh Token Service', () => {
+  const user = { id: 'u1' };
+  const trx = { query: jest.fn() };
+
+  const stored = (overrides = {}) => ({
+    id: 't1',
+    user_id: 'u1',
+    family_id: 'family-1',
+    device_id: 'device-1',
+    user_agent: 'jest',
+    ip_address: '10.0.0.1',
+    revoked_at: null,
+    revoked_reason: null,
+    expires_at: new Date(Date.now() + 60000),
+    ...overrides
+  });
+
+  const queriesMatching = (mock, text) => mock.mock.calls.filter(([sql]) => sql.includes(text));
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    db.transaction.mockImplementation((callback) => callback(trx));
+    trx.query.mockResolvedValue({ rows: [], rowCount: 1 });
+  });
+
+  describe('issueRefreshToken', () => {
+    it('should store only the hash of a token starting a new family', async () => {
+      const token = await tokenService.issueRefreshToken(user);
+
+      const [, params] = db.query.mock.calls[0];
+      expect(params).not.toContain(token);
+      expect(params[3]).toBe(tokenService.hashToken(token));
+      expect(jwt.decode(token)).toMatchObject({ userId: 'u1', type: 'refresh', family: params[2] });
+    });
+  });
+
+  describe('findValidRefreshToken', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = await tokenService.issueRefreshToken(user);
+      db.query.mockReset();
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+    });
+
+    it('should refuse tokens with an invalid signature without a lookup', async () => {
+      await expect(tokenService.findValidRefreshToken(`${token}x`)).rejects.toMatchObject({ statusCode: 401 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return the stored token', async () => {
+      db.query.mockResolvedValueOnce({ rows: [stored()] });
+
+      await expect(tokenService.findValidRefreshToken(token)).resolves.toMatchObject({ id: 't1' });
+      expect(db.query.mock.calls[0][1]).toEqual([tokenService.hashToken(token)]);
+    });
+
+    it('should revoke the whole family when a rotated token is presented again', async () => {
+      db.query.mockResolvedValueOnce({ rows: [stored({ revoked_at: new Date(), revoked_reason: 'rotated' })] });
+
+      await expect(tokenService.findValidRefreshToken(token, { ipAddress: '10.0.0.2' }))
+        .rejects.toMatchObject({ statusCode: 401 });
+
+      const [revoke] = queriesMatching(db.query, 'WHERE family_id = $1');
+      expect(revoke[1]).toEqual(['family-1', 'reuse_detected']);
+      expect(queriesMatching(db.query, 'REFRESH_TOKEN_REUSE')).toHaveLength(1);
+    });
+
+    it('should not treat tokens revoked at logout as reuse', async () => {
+      db.query.mockResolvedValueOnce({ rows: [stored({ revoked_at: new Date(), revoked_reason: 'logout' })] });
+
+      await expect(tokenService.findValidRefreshToken(token)).rejects.toMatchObject({ statusCode: 401 });
+      expect(queriesMatching(db.query, 'WHERE family_id = $1')).toHaveLength(0);
+    });
+
+    it('should refuse expired tokens', async () => {
+      db.query.mockResolvedValueOnce({ rows: [stored({ expires_at: new Date(Date.now() - 1000) })] });
+
+      await expect(tokenService.findValidRefreshToken(token)).rejects.toThrow('Refresh token has expired');
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should revoke the token and issue its successor in the same family', async () => {
+      const next = await tokenService.rotateRefreshToken(stored(), { ipAddress: '10.0.0.2' });
+
+      const [claim, insert, link] = trx.query.mock.calls;
+      expect(claim[0]).toContain("revoked_reason = 'rotated'");
+      expect(claim[1]).toEqual(['t1']);
+      expect(insert[1].slice(1, 4)).toEqual(['u1', 'family-1', tokenService.hashToken(next)]);
+      expect(insert[1].slice(4, 7)).toEqual(['device-1', 'jest', '10.0.0.2']);
+      expect(link[1]).toEqual([insert[1][0], 't1']);
+      expect(jwt.decode(next)).toMatchObject({ family: 'family-1', jti: insert[1][0] });
+    });
+
+    it('should revoke the family when the token was rotated concurrently', async () => {
+      trx.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(tokenService.rotateRefreshToken(stored())).rejects.toMatchObject({ statusCode: 401 });
+
+      expect(trx.query).toHaveBeenCalledTimes(1);
+      expect(queriesMatching(db.query, 'WHERE family_id = $1')[0][1]).toEqual(['family-1', 'reuse_detected']);
+    });
+  });
+
+  describe('revokeFamily', () => {
+    it('should revoke the active tokens of the family', async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 3 });
+
+      await expect(tokenService.revokeFamily('family-1', 'logout')).resolves.toBe(3);
+      expect(db.query.mock.calls[0][0]).toContain('revoked_at IS NULL');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for TOTP Utilities
+ */
+
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+      const encoded = totp.base32Encode(bytes);
+
+      expect(encoded).toBe(RFC_SECRET);
+      expect(totp.base32Decode(encoded).equals(bytes)).toBe(true);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match RFC 6238 test vectors', () => {
+      expect(totp.generateTotp(RFC_SECRET, { time: 59000, digits: 8 })).toBe('94287082');
+      expect(totp.generateTotp(RFC_SECRET, { time: 1111111109000, digits: 8 })).toBe('07081804');
+      expect(totp.generateTotp(RFC_SECRET, { time: 1111111109000 })).toBe('081804');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const time = 1111111109000;
+
+    it('should return the time step of a valid code', () => {
+      expect(totp.verifyTotp('081804', RFC_SECRET, { time })).toBe(Math.floor(time / 30000));
+    });
+
+    it('should accept a code from the previous step within the window', () => {
+      const previous = totp.generateTotp(RFC_SECRET, { time: time - 30000 });
+      expect(totp.verifyTotp(previous, RFC_SECRET, { time })).toBe(Math.floor(time / 30000) - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = totp.generateTotp(RFC_SECRET, { time: time - 120000 });
+      expect(totp.verifyTotp(old, RFC_SECRET, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verifyTotp('12ab56', RFC_SECRET, { time })).toBeNull();
+      expect(totp.verifyTotp('', RFC_SECRET, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build a provisioning URI with issuer and account', () => {
+      const uri = totp.buildOtpauthUri({
+        secret: RFC_SECRET,
+        accountName: 'admin@woti.rw',
+        issuer: 'WOTI Attendance'
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/WOTI%20Attendance%3Aadmin%40woti\.rw\?/);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('issuer=WOTI+Attendance');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for User Import Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/users/users.repository');
+jest.mock('../../src/utils/spreadsheet');
+
+const db = require('../../src/config/database');
+const authConfig = require('../../src/config/auth');
+const usersRepository = require('../../src/modules/users/users.repository');
+const passwordService = require('../../src/modules/auth/password.service');
+const importService = require('../../src/modules/users/import.service');
+const spreadsheet = require('../../src/utils/spreadsheet');
+const { encrypt, decrypt } = require('../../src/utils/encryption');
+
+describe('User Import Service', () => {
+  const record = (email, firstName, lastName, role, extra = {}) => ({
+    Email: email, 'First Name': firstName, 'Last Name': lastName, Role: role, ...extra
+  });
+
+  const records = [
+    record('Alice@Example.com', 'Alice', 'Uwase', 'supervisor', { Facility: 'HC001' }),
+    record('bob@example.com', 'Bob', 'Mugisha', 'tester', { Supervisor: 'alice@example.com' }),
+    record('bob@example.com', 'Bob', 'Kalisa', 'tester'),
+    record('carol@example.com', 'Carol', 'Ineza', 'supervisor', { Facility: 'HC999' }),
+    record('dan@example.com', 'Dan', 'Habimana', 'tester', { Supervisor: 'carol@example.com' }),
+    record('eve@example.com', 'Eve', 'Keza', 'admin'),
+    record('frank@example.com', 'Frank', 'Nkusi', 'focal', { Supervisor: 'EMP-7' })
+  ];
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    spreadsheet.isSupported.mockReturnValue(true);
+    spreadsheet.parseFile.mockResolvedValue(records);
+    usersRepository.findByEmailsOrEmployeeIds.mockResolvedValue([
+      {
+        id: 'u7', email: 'grace@example.com', employee_id: 'EMP-7', status: 'active'
+      }
+    ]);
+    usersRepository.findFacilitiesByCode.mockResolvedValue([{ id: 'f1', code: 'HC001', status: 'active' }]);
+    usersRepository.createImport.mockResolvedValue({ id: 'import-1' });
+    usersRepository.applyImport.mockResolvedValue({ importId: 'import-1', createdIds: ['n1', 'n2', 'n3'] });
+    jest.spyOn(passwordService, 'hashPassword').mockResolvedValue('hash');
+  });
+
+  describe('importUsers', () => {
+    it('should resolve facilities and supervisors and reject invalid rows in a dry run', async () => {
+      const preview = await importService.importUsers('users.csv', 'text/csv', { dryRun: true, importedBy: 'admin-1' });
+
+      expect(preview).toMatchObject({
+        importId: 'import-1', total: 7, toCreate: 3, rejected: 4
+      });
+      expect(preview.rows.filter((row) => row.action === 'reject').map((row) => [row.row, row.errors])).toEqual([
+        [3, ['Duplicate email in file: bob@example.com']],
+        [4, ['Facility not found: HC999']],
+        [5, ['Supervisor on row 4 was rejected']],
+        [6, ['Admins cannot be imported']]
+      ]);
+
+      const { users } = usersRepository.createImport.mock.calls[0][0];
+      expect(users.map((user) => [user.email, user.facilityId, user.supervisorId, user.supervisorRow])).toEqual([
+        ['alice@example.com', 'f1', undefined, undefined],
+        ['bob@example.com', undefined, undefined, 1],
+        ['frank@example.com', undefined, 'u7', undefined]
+      ]);
+      expect(usersRepository.applyImport).not.toHaveBeenCalled();
+    });
+
+    it('should reject emails that are already registered', async () => {
+      usersRepository.findByEmailsOrEmployeeIds.mockResolvedValue([
+        {
+          id: 'u1', email: 'alice@example.com', employee_id: null, status: 'active'
+        }
+      ]);
+
+      const preview = await importService.importUsers('users.csv', 'text/csv', { dryRun: true });
+
+      expect(preview.rows[0].errors).toEqual(['Email already registered: alice@example.com']);
+      expect(preview.rows[1].errors).toBeUndefined();
+      expect(usersRepository.createImport.mock.calls[0][0].users[0].supervisorId).toBe('u1');
+    });
+
+    it('should create users with temporary passwords kept out of the report', async () => {
+      const report = await importService.importUsers('users.csv', 'text/csv', { importedBy: 'admin-1' });
+
+      const [accounts, saved] = usersRepository.applyImport.mock.calls[0];
+      const credentials = JSON.parse(decrypt(saved.credentials, authConfig.userImport.credentialsKey));
+
+      expect(accounts).toHaveLength(3);
+      expect(credentials.map((entry) => entry.email)).toEqual(accounts.map((account) => account.email));
+      credentials.forEach((entry) => {
+        expect(passwordService.validatePasswordStrength(entry.temporaryPassword).isValid).toBe(true);
+        expect(passwordService.hashPassword).toHaveBeenCalledWith(entry.temporaryPassword);
+      });
+
+      expect(report).toMatchObject({
+        importId: 'import-1',
+        created: { count: 3 },
+        failed: 4,
+        credentialsUrl: '/api/users/import/import-1/credentials'
+      });
+      expect(JSON.stringify(report)).not.toContain(credentials[0].temporaryPassword);
+    });
+  });
+
+  describe('takeCredentials', () => {
+    const admin = { id: 'admin-1' };
+
+    it('should return the decrypted credentials', async () => {
+      const credentials = [{ email: 'alice@example.com', temporaryPassword: 'Secret#123' }];
+      usersRepository.takeCredentials.mockResolvedValue(
+        encrypt(JSON.stringify(credentials), authConfig.userImport.credentialsKey)
+      );
+
+      await expect(importService.takeCredentials('import-1', admin)).resolves.toEqual(credentials);
+      expect(usersRepository.takeCredentials).toHaveBeenCalledWith('import-1', 'admin-1');
+    });
+
+    it('should refuse a second download', async () => {
+      usersRepository.takeCredentials.mockResolvedValue(null);
+      usersRepository.findImportById.mockResolvedValue({
+        id: 'import-1', committedBy: 'admin-1', credentialsDownloadedAt: new Date()
+      });
+
+      await expect(importService.takeCredentials('import-1', admin)).rejects.toMatchObject({ statusCode: 410 });
+    });
+
+    it('should hide imports committed by another admin', async () => {
+      usersRepository.takeCredentials.mockResolvedValue(null);
+      usersRepository.findImportById.mockResolvedValue({ id: 'import-1', committedBy: 'admin-2' });
+
+      await expect(importService.takeCredentials('import-1', admin)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
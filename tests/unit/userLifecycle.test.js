@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for User Lifecycle Service
+ */
+
+jest.mock('../../src/config/database');
+jest.mock('../../src/modules/users/users.repository');
+jest.mock('../../src/modules/facilities/facilities.repository');
+jest.mock('../../src/modules/auth/token.service');
+jest.mock('../../src/modules/attendance/register.service');
+
+const db = require('../../src/config/database');
+const usersRepository = require('../../src/modules/users/users.repository');
+const facilitiesRepository = require('../../src/modules/facilities/facilities.repository');
+const tokenService = require('../../src/modules/auth/token.service');
+const registerService = require('../../src/modules/attendance/register.service');
+const lifecycleService = require('../../src/modules/users/lifecycle.service');
+
+describe('User Lifecycle Service', () => {
+  const admin = { id: 'admin-1' };
+  const user = {
+    id: 'u1', status: 'active', facility: { id: 'f1' }, supervisor: { id: 's1' }
+  };
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2024-07-10T10:00:00Z') });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    db.query.mockResolvedValue({ rows: [] });
+    usersRepository.findById.mockImplementation(async (id) => (id === 's2'
+      ? { id: 's2', status: 'active' }
+      : user));
+    usersRepository.findOpenAssignment.mockResolvedValue({
+      id: 'a1', facility_id: 'f1', supervisor_id: 's1', effective_from: '2024-01-01'
+    });
+    usersRepository.applyTransfer.mockResolvedValue({ id: 'a2' });
+    usersRepository.findAssignments.mockResolvedValue([{ id: 'a2' }, { id: 'a1' }]);
+    usersRepository.isInReportingLine.mockResolvedValue(false);
+    facilitiesRepository.findById.mockResolvedValue({ id: 'f2', status: 'active' });
+  });
+
+  describe('suspendUser', () => {
+    it('should suspend an active user and revoke their sessions', async () => {
+      usersRepository.updateStatus.mockResolvedValue('active');
+      tokenService.revokeAllForUser.mockResolvedValue(2);
+
+      await lifecycleService.suspendUser(admin, 'u1', 'Disciplinary review');
+
+      expect(usersRepository.updateStatus).toHaveBeenCalledWith('u1', 'suspended', 'Disciplinary review', ['active']);
+      expect(tokenService.revokeAllForUser).toHaveBeenCalledWith('u1', 'user_suspended');
+      expect(db.query.mock.calls[0][1].slice(0, 3)).toEqual(['admin-1', 'USER_SUSPENDED', 'u1']);
+    });
+
+    it('should refuse to suspend the admin themselves', async () => {
+      await expect(lifecycleService.suspendUser(admin, 'admin-1', 'Test'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(usersRepository.updateStatus).not.toHaveBeenCalled();
+    });
+
+    it('should refuse users that are not active', async () => {
+      usersRepository.updateStatus.mockResolvedValue(null);
+
+      await expect(lifecycleService.suspendUser(admin, 'u1', 'Test')).rejects.toMatchObject({ statusCode: 409 });
+      expect(tokenService.revokeAllForUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reactivateUser', () => {
+    it('should refuse users that are already active', async () => {
+      usersRepository.updateStatus.mockResolvedValue(null);
+
+      await expect(lifecycleService.reactivateUser(admin, 'u1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(usersRepository.updateStatus).toHaveBeenCalledWith('u1', 'active', undefined, ['suspended', 'inactive']);
+    });
+  });
+
+  describe('transferUser', () => {
+    it('should schedule a future transfer without moving the user yet', async () => {
+      const result = await lifecycleService.transferUser(admin, 'u1', {
+        facilityId: 'f2', effectiveDate: '2024-08-01'
+      });
+
+      expect(usersRepository.applyTransfer).toHaveBeenCalledWith('u1', {
+        facilityId: 'f2',
+        supervisorId: 's1',
+        effectiveFrom: '2024-08-01',
+        reason: undefined,
+        createdBy: 'admin-1'
+      }, false);
+      expect(registerService.refreshDays).not.toHaveBeenCalled();
+      expect(result.assignment).toEqual({ id: 'a2' });
+    });
+
+    it('should rebuild frozen register days of a backdated transfer', async () => {
+      await lifecycleService.transferUser(admin, 'u1', { supervisorId: 's2', effectiveDate: '2024-07-08' });
+
+      expect(usersRepository.applyTransfer.mock.calls[0][2]).toBe(true);
+      expect(registerService.refreshDays).toHaveBeenCalledWith('u1', ['2024-07-08', '2024-07-09']);
+    });
+
+    it('should refuse dates before the latest assignment starts', async () => {
+      await expect(lifecycleService.transferUser(admin, 'u1', { facilityId: 'f2', effectiveDate: '2023-12-31' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(usersRepository.applyTransfer).not.toHaveBeenCalled();
+    });
+
+    it('should refuse transfers that change nothing', async () => {
+      await expect(lifecycleService.transferUser(admin, 'u1', { facilityId: 'f1' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should refuse supervisors who report to the user', async () => {
+      usersRepository.isInReportingLine.mockResolvedValue(true);
+
+      await expect(lifecycleService.transferUser(admin, 'u1', { supervisorId: 's2' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Supervisor reports to this user' });
+      expect(usersRepository.isInReportingLine).toHaveBeenCalledWith('u1', 's2');
+    });
+  });
+});
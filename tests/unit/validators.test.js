@@ -45,6 +45,19 @@ describe('Validators', () => {
     });
   });
 
+  describe('isValidTimezone', () => {
+    it('should validate IANA timezones', () => {
+      expect(validators.isValidTimezone('Africa/Kigali')).toBe(true);
+      expect(validators.isValidTimezone('UTC')).toBe(true);
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(validators.isValidTimezone('Africa/Atlantis')).toBe(false);
+      expect(validators.isValidTimezone('')).toBe(false);
+      expect(validators.isValidTimezone(null)).toBe(false);
+    });
+  });
+
   describe('isValidUUID', () => {
     it('should validate correct UUID', () => {
       expect(validators.isValidUUID('550e8400-e29b-41d4-a716-446655440000')).toBe(true);
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Job Queue Worker
+ */
+
+jest.mock('../../src/modules/jobs/jobs.repository');
+
+const jobsRepository = require('../../src/modules/jobs/jobs.repository');
+const worker = require('../../src/jobs/worker');
+const { AppError } = require('../../src/middleware/errorHandler.middleware');
+
+/**
+ * Let pending promises and immediate timers run until a condition holds
+ */
+async function waitFor(condition, attempts = 50) {
+  if (condition() || attempts === 0) {
+    return;
+  }
+
+  await new Promise((resolve) => { setTimeout(resolve, 5); });
+  await waitFor(condition, attempts - 1);
+}
+
+/**
+ * Queue one job for the worker to claim
+ */
+function queueJob(job) {
+  jobsRepository.claimNext
+    .mockResolvedValueOnce({
+      id: 'job-1',
+      type: 'test',
+      attempts: 1,
+      maxAttempts: 3,
+      payload: { file: 'a.csv' },
+      ...job
+    })
+    .mockResolvedValue(null);
+}
+
+describe('Job Queue Worker', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jobsRepository.releaseStale.mockResolvedValue([]);
+    jobsRepository.complete.mockResolvedValue(true);
+    jobsRepository.fail.mockResolvedValue(true);
+    jobsRepository.updateProgress.mockResolvedValue(true);
+  });
+
+  afterEach(async () => {
+    await worker.clear();
+  });
+
+  describe('registerHandler', () => {
+    it('should reject duplicate job types', () => {
+      worker.registerHandler('test', async () => {});
+
+      expect(() => worker.registerHandler('test', async () => {})).toThrow('already registered');
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay on each attempt', () => {
+      expect(worker.getRetryDelay(1)).toBe(30);
+      expect(worker.getRetryDelay(2)).toBe(60);
+      expect(worker.getRetryDelay(3)).toBe(120);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should not retry client errors', () => {
+      expect(worker.isRetryable(new AppError('Unsupported file format', 400))).toBe(false);
+      expect(worker.isRetryable(new AppError('Failed to import', 500))).toBe(true);
+      expect(worker.isRetryable(new Error('Connection terminated'))).toBe(true);
+    });
+  });
+
+  describe('start', () => {
+    it('should complete a job with the handler result and finalize it', async () => {
+      const finalize = jest.fn();
+      worker.registerHandler('test', async (payload, context) => {
+        await context.reportProgress(2, 2);
+        return { imported: payload.file };
+      }, { finalize });
+      queueJob();
+
+      worker.start();
+      await waitFor(() => finalize.mock.calls.length > 0);
+
+      expect(jobsRepository.updateProgress).toHaveBeenCalledWith('job-1', expect.any(String), 2, 2);
+      expect(jobsRepository.complete).toHaveBeenCalledWith('job-1', expect.any(String), { imported: 'a.csv' });
+      expect(finalize).toHaveBeenCalledWith({ file: 'a.csv' });
+    });
+
+    it('should requeue a failed job with backoff while attempts are left', async () => {
+      const finalize = jest.fn();
+      worker.registerHandler('test', async () => {
+        throw new Error('Connection terminated');
+      }, { finalize });
+      queueJob({ attempts: 2 });
+
+      worker.start();
+      await waitFor(() => jobsRepository.fail.mock.calls.length > 0);
+      await worker.stop();
+
+      expect(jobsRepository.fail).toHaveBeenCalledWith('job-1', expect.any(String), 'Connection terminated', 60);
+      expect(finalize).not.toHaveBeenCalled();
+    });
+
+    it('should fail a job for good on a client error', async () => {
+      const finalize = jest.fn();
+      worker.registerHandler('test', async () => {
+        throw new AppError('Unsupported file format', 400);
+      }, { finalize });
+      queueJob();
+
+      worker.start();
+      await waitFor(() => finalize.mock.calls.length > 0);
+
+      expect(jobsRepository.fail).toHaveBeenCalledWith('job-1', expect.any(String), 'Unsupported file format', null);
+    });
+
+    it('should fail a job for good after the last attempt', async () => {
+      worker.registerHandler('test', async () => {
+        throw new Error('Connection terminated');
+      });
+      queueJob({ attempts: 3 });
+
+      worker.start();
+      await waitFor(() => jobsRepository.fail.mock.calls.length > 0);
+      await worker.stop();
+
+      expect(jobsRepository.fail).toHaveBeenCalledWith('job-1', expect.any(String), 'Connection terminated', null);
+    });
+  });
+});